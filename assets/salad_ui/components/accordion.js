@@ -178,23 +178,69 @@ class AccordionComponent extends Component {
   }
 
   initializeItems() {
-    const itemElements = Array.from(
-      this.el.querySelectorAll("[data-part='item']"),
-    );
+    this.items = this.queryItemElements().map((element) => {
+      const item = this.createItem(element);
+      this.collection.add(item);
+      return item;
+    });
+  }
+
+  queryItemElements() {
+    return Array.from(this.el.querySelectorAll("[data-part='item']"));
+  }
+
+  createItem(element) {
+    // Initialize AccordionItem without hook context
+    const itemValue = element.dataset.value;
+    element.id = `${this.el.id}-item-${itemValue}`;
+
+    // Check if this item is initially open
+    const isOpen = this.collection.getValue(true).includes(itemValue);
+    return new AccordionItem(element, this, {
+      initialState: isOpen ? "open" : "closed",
+    });
+  }
+
+  afterUpdate({ previousOptions }) {
+    this.type = this.options.type || "single";
+    this.disabled = this.options.disabled || false;
+    this.collection.options.type = this.type;
 
-    this.items = itemElements.map((element) => {
-      // Initialize AccordionItem without hook context
-      const itemValue = element.dataset.value;
-      element.id = `${this.el.id}-item-${itemValue}`;
+    // Only follow the server value when it actually changed
+    const serverValue = this.options.value;
+    const values =
+      serverValue !== undefined &&
+      JSON.stringify(serverValue) !== JSON.stringify(previousOptions.value)
+        ? serverValue
+        : this.collection.getValue(true);
 
-      // Check if this item is initially open
-      const isOpen = this.collection.getValue(true).includes(itemValue);
-      const item = new AccordionItem(element, this, {
-        initialState: isOpen ? "open" : "closed",
-      });
+    const existing = new Map(this.items.map((item) => [item.el, item]));
+    this.collection.clear();
+    this.collection.setValues(values);
+
+    this.items = this.queryItemElements().map((element) => {
+      let item = existing.get(element);
+      if (item) {
+        existing.delete(element);
+        item.value = element.dataset.value;
+        item.disabled = element.dataset.disabled === "true";
+        item.updated();
+      } else {
+        item = this.createItem(element);
+      }
       this.collection.add(item);
       return item;
     });
+
+    // Items no longer rendered by the server
+    existing.forEach((item) => item.destroy());
+
+    // Adding only opens selected items, close the ones that were deselected
+    this.items.forEach((item) => {
+      if (!this.collection.isValueSelected(item.value)) {
+        item.handleEvent("unselect");
+      }
+    });
   }
 
   toggleItem(item) {
@@ -36,6 +36,14 @@ class ChartComponent extends Component {
     }
   }
 
+  afterUpdate() {
+    this.chartOptions = JSON.parse(this.el.dataset.chartOptions || "{}");
+    this.updateChart({
+      data: JSON.parse(this.el.dataset.chartData),
+      options: this.chartOptions,
+    });
+  }
+
   initializeChart() {
     const data = JSON.parse(this.el.dataset.chartData);
 
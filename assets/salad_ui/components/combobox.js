@@ -1,6 +1,17 @@
 // saladui/components/combobox.js
 import Component from "../core/component";
 import SaladUI from "../index";
+import { layerStack } from "../core/layer-stack";
+import {
+  getScorer,
+  scoreItem,
+  getKeywords,
+  getMatchText,
+  highlightMatches,
+  reorderElements,
+} from "../core/fuzzy";
+
+const INDICATOR = "[data-part='item-indicator']";
 
 /**
  * ComboboxItem class to manage individual combobox options
@@ -17,12 +28,27 @@ class ComboboxItem {
     this.selected = false;
     this.highlighted = false;
 
+    this.handleClick = this.handleClick.bind(this);
+    this.handleMouseEnter = this.handleMouseEnter.bind(this);
     this.setupEvents();
   }
 
   setupEvents() {
-    this.el.addEventListener("click", this.handleClick.bind(this));
-    this.el.addEventListener("mouseenter", this.handleMouseEnter.bind(this));
+    this.el.addEventListener("click", this.handleClick);
+    this.el.addEventListener("mouseenter", this.handleMouseEnter);
+  }
+
+  /**
+   * Re-read item attributes after a LiveView patch
+   */
+  refresh() {
+    this.value = this.el.dataset.value;
+    this.disabled = this.el.dataset.disabled === "true";
+    this.label = this.el.textContent.trim();
+    this.indicator = this.el.querySelector("[data-part='item-indicator']");
+    this.setSelected(this.selected);
+    this.setHighlighted(this.highlighted);
+    this.setVisible(this.visible);
   }
 
   handleClick(event) {
@@ -60,9 +86,23 @@ class ComboboxItem {
     this.el.setAttribute("data-visible", visible ? "true" : "false");
   }
 
-  matchesQuery(query) {
-    if (!query) return true;
-    return this.label.toLowerCase().includes(query.toLowerCase());
+  /**
+   * Score the item text and `data-keywords` against a query
+   *
+   * @returns {Object|null} `{ score, matches }`, null when it doesn't match
+   */
+  score(query, scorer) {
+    if (!query) return { score: 0, matches: [] };
+    return scoreItem(
+      scorer,
+      query,
+      getMatchText(this.el, INDICATOR),
+      getKeywords(this.el),
+    );
+  }
+
+  highlight(matches) {
+    highlightMatches(this.el, matches, INDICATOR);
   }
 
   destroy() {
@@ -91,6 +131,17 @@ class ComboboxComponent extends Component {
 
     this.selectedValue = this.options.value || this.options.defaultValue || null;
     this.highlightedIndex = -1;
+    this.scorer = getScorer(this.options.scorer);
+    // Items ranked by the last query, best match first
+    this.rankedItems = null;
+
+    // Remote mode: the server filters items from `search` events
+    this.remote = !!this.options.remote;
+    this.debounce = this.options.debounce ?? 300;
+    this.searchTimer = null;
+    this.searchSeq = 0;
+    this.awaitingPatch = false;
+    this.lastQuery = "";
 
     this.initializeItems();
     this.updateValueDisplay();
@@ -102,9 +153,15 @@ class ComboboxComponent extends Component {
       "End",
       "Enter",
       " ",
-      "Escape",
     ];
 
+    // Registered in the layer stack while open
+    this.layer = {
+      getElements: () => [this.el],
+      onEscape: () => this.transition("close"),
+      onPointerDownOutside: () => this.transition("close"),
+    };
+
     this.handleInputChange = this.handleInputChange.bind(this);
     this.input.addEventListener("input", this.handleInputChange);
   }
@@ -122,11 +179,25 @@ class ComboboxComponent extends Component {
         open: {
           enter: "onOpenEnter",
           exit: "onOpenExit",
+          initial: "idle",
           transitions: {
             close: "closed",
             toggle: "closed",
             select: "closed",
           },
+          states: {
+            idle: {
+              transitions: {
+                search: "loading",
+              },
+            },
+            // Remote mode: waiting for the server to patch search results
+            loading: {
+              transitions: {
+                loaded: "idle",
+              },
+            },
+          },
         },
       },
       events: {
@@ -145,7 +216,6 @@ class ComboboxComponent extends Component {
         },
         open: {
           keyMap: {
-            Escape: "close",
             ArrowUp: () => this.navigateItems("prev"),
             ArrowDown: () => this.navigateItems("next"),
             Home: () => this.navigateItems("first"),
@@ -157,9 +227,14 @@ class ComboboxComponent extends Component {
       hiddenConfig: {
         closed: {
           content: true,
+          loading: true,
         },
         open: {
           content: false,
+          loading: true,
+        },
+        "open.loading": {
+          loading: false,
         },
       },
       ariaConfig: {
@@ -179,6 +254,14 @@ class ComboboxComponent extends Component {
             role: "listbox",
           },
         },
+        list: {
+          "open.idle": {
+            busy: "false",
+          },
+          "open.loading": {
+            busy: "true",
+          },
+        },
         item: {
           all: {
             role: "option",
@@ -189,11 +272,9 @@ class ComboboxComponent extends Component {
   }
 
   initializeItems() {
-    const itemElements = Array.from(
-      this.el.querySelectorAll("[data-part='item']")
+    this.items = this.queryItemElements().map(
+      (el) => new ComboboxItem(el, this)
     );
-
-    this.items = itemElements.map((el) => new ComboboxItem(el, this));
     this.groups = this.getAllParts("group");
 
     if (this.selectedValue) {
@@ -206,21 +287,94 @@ class ComboboxComponent extends Component {
     }
   }
 
+  queryItemElements() {
+    return Array.from(this.el.querySelectorAll("[data-part='item']"));
+  }
+
+  afterUpdate({ optionsChanged }) {
+    if (optionsChanged) this.scorer = getScorer(this.options.scorer);
+
+    this.trigger = this.getPart("trigger");
+    this.valueDisplay = this.getPart("value");
+    this.content = this.getPart("content");
+    this.list = this.getPart("list");
+    this.empty = this.getPart("empty");
+    this.groups = this.getAllParts("group");
+    this.disabled = this.el.dataset.disabled === "true";
+
+    const input = this.getPart("input");
+    if (input !== this.input) {
+      this.input?.removeEventListener("input", this.handleInputChange);
+      input?.addEventListener("input", this.handleInputChange);
+      this.input = input;
+    }
+
+    this.reconcileItems();
+    this.updateValueDisplay();
+
+    // Server events without reply (JS commands) finish with the patch
+    if (this.awaitingPatch) {
+      this.awaitingPatch = false;
+      this.transition("loaded");
+      this.updateEmptyState();
+    }
+  }
+
+  /**
+   * Sync item instances with item elements, keeping the ones that survived
+   * the patch, then filter them again with the current query
+   */
+  reconcileItems() {
+    const highlightedValue = this.visibleItems[this.highlightedIndex]?.value;
+    const existing = new Map(this.items.map((item) => [item.el, item]));
+    this.rankedItems = null;
+
+    this.items = this.queryItemElements().map((element) => {
+      const item = existing.get(element);
+      if (!item) return new ComboboxItem(element, this);
+
+      existing.delete(element);
+      item.refresh();
+      return item;
+    });
+
+    // Items no longer rendered by the server
+    existing.forEach((item) => item.destroy());
+
+    this.items.forEach((item) =>
+      item.setSelected(item.value === this.selectedValue)
+    );
+
+    if (!this.matches("open")) return;
+
+    this.filterItems((this.input?.value || "").trim());
+    const highlighted = this.visibleItems.find(
+      (item) => item.value === highlightedValue
+    );
+    if (highlighted) this.highlightItem(highlighted);
+  }
+
   onOpenEnter() {
     this.input.value = "";
     this.filterItems("");
     this.highlightFirstItem();
 
+    // Server results are still filtered by the previous query
+    if (this.remote && this.lastQuery) {
+      this.search("");
+    }
+
     requestAnimationFrame(() => {
-      this.input.focus();
+      this.input?.focus();
     });
 
-    this.setupOutsideClickHandler();
+    layerStack.push(this.layer);
     this.pushEvent("opened");
   }
 
   onOpenExit() {
-    this.removeOutsideClickHandler();
+    layerStack.remove(this.layer);
+    this.cancelPendingSearch();
   }
 
   onClosedEnter() {
@@ -228,36 +382,73 @@ class ComboboxComponent extends Component {
     this.pushEvent("closed");
   }
 
-  setupOutsideClickHandler() {
-    this.outsideClickHandler = (event) => {
-      if (!this.el.contains(event.target)) {
-        this.transition("close");
-      }
-    };
-    document.addEventListener("click", this.outsideClickHandler, true);
-  }
+  handleInputChange() {
+    const query = this.input.value.trim();
 
-  removeOutsideClickHandler() {
-    if (this.outsideClickHandler) {
-      document.removeEventListener("click", this.outsideClickHandler, true);
-      this.outsideClickHandler = null;
+    if (!this.remote) {
+      this.filterItems(query);
+      return;
     }
+
+    clearTimeout(this.searchTimer);
+    this.searchTimer = setTimeout(() => this.search(query), this.debounce);
   }
 
-  handleInputChange() {
-    const query = this.input.value.trim();
-    this.filterItems(query);
+  /**
+   * Ask the server for items matching the query. Replies to older searches
+   * are ignored: only the latest sequence number ends the loading state.
+   *
+   * @param {string} query - Search query
+   */
+  search(query) {
+    this.searchTimer = null;
+    this.lastQuery = query;
+
+    const seq = ++this.searchSeq;
+    this.transition("search", { query, seq });
+    this.updateEmptyState();
+
+    const pushed = this.pushEvent("search", { query, seq }, null, (reply) =>
+      this.handleSearchReply(seq, reply),
+    );
+
+    // JS commands don't reply, wait for the server to patch the items
+    this.awaitingPatch = !pushed;
+  }
+
+  handleSearchReply(seq, reply) {
+    // The server may echo the sequence number it answered
+    const answeredSeq = reply?.seq ?? seq;
+    if (answeredSeq !== this.searchSeq) return;
+
+    this.transition("loaded", { seq });
+    this.updateEmptyState();
+    this.highlightFirstItem();
+  }
+
+  cancelPendingSearch() {
+    clearTimeout(this.searchTimer);
+    this.searchTimer = null;
+    this.awaitingPatch = false;
+    // Replies to searches sent so far are stale now
+    this.searchSeq++;
   }
 
   filterItems(query) {
-    let visibleCount = 0;
+    const scores = new Map();
 
     this.items.forEach((item) => {
-      const matches = item.matchesQuery(query);
-      item.setVisible(matches);
-      if (matches) visibleCount++;
+      const result = item.score(query, this.scorer);
+      if (result) scores.set(item, result.score);
+
+      // Remote items are already filtered by the server
+      item.setVisible(this.remote || !!result);
+      item.highlight(result?.matches);
     });
 
+    // The server decides the order of remote results
+    if (!this.remote) this.rankItems(scores);
+
     this.groups.forEach((group) => {
       const groupItems = group.querySelector("[data-part='group-items']");
       if (groupItems) {
@@ -268,18 +459,48 @@ class ComboboxComponent extends Component {
       }
     });
 
-    if (this.empty) {
-      this.empty.setAttribute(
-        "data-visible",
-        visibleCount === 0 ? "true" : "false"
+    this.updateEmptyState();
+    this.highlightFirstItem();
+  }
+
+  /**
+   * Move the best matches first, the rendered order is kept for equal
+   * scores and without a query
+   */
+  rankItems(scores) {
+    const score = (item) => scores.get(item) ?? -Number.MAX_VALUE;
+    this.rankedItems = this.items
+      .slice()
+      .sort((a, b) => score(b) - score(a));
+    reorderElements(this.rankedItems.map((item) => item.el));
+
+    const groupScore = (group) =>
+      Math.max(
+        -Number.MAX_VALUE,
+        ...this.items
+          .filter((item) => group.contains(item.el))
+          .map(score),
       );
-    }
+    reorderElements(
+      this.groups
+        .map((group) => [group, groupScore(group)])
+        .sort(([, a], [, b]) => b - a)
+        .map(([group]) => group),
+    );
+  }
 
-    this.highlightFirstItem();
+  updateEmptyState() {
+    if (!this.empty) return;
+
+    // Don't claim there are no results while the server is searching
+    const isEmpty =
+      !this.matches("open.loading") &&
+      !this.items.some((item) => item.visible);
+    this.empty.setAttribute("data-visible", isEmpty ? "true" : "false");
   }
 
   get visibleItems() {
-    return this.items.filter((item) => item.visible && !item.disabled);
+    return (this.rankedItems || this.items).filter((item) => item.visible && !item.disabled);
   }
 
   highlightFirstItem() {
@@ -385,8 +606,9 @@ class ComboboxComponent extends Component {
   }
 
   beforeDestroy() {
-    this.removeOutsideClickHandler();
-    this.input.removeEventListener("input", this.handleInputChange);
+    clearTimeout(this.searchTimer);
+    layerStack.remove(this.layer);
+    this.input?.removeEventListener("input", this.handleInputChange);
     this.items.forEach((item) => item.destroy());
     this.items = [];
   }
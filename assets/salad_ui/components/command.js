@@ -1,9 +1,29 @@
 import Component from "../core/component";
 import SaladUI from "..";
+import FocusTrap from "../core/focus-trap";
+import { layerStack } from "../core/layer-stack";
+import { matchesHotkey } from "../core/utils";
+import {
+  getScorer,
+  scoreItem,
+  getKeywords,
+  getMatchText,
+  highlightMatches,
+  reorderElements,
+} from "../core/fuzzy";
+
+// Shortcut hints aren't part of the item label
+const IGNORED_TEXT = "[data-part='shortcut']";
 
 /**
  * CommandComponent for SaladUI
  * Implements filtering, keyboard navigation, and selection for a command palette/list.
+ * Items are ranked by the `scorer` option (default: "fuzzy"), matching their
+ * text or `data-keywords`, and the matched characters are highlighted.
+ *
+ * With the `palette` option, the command is rendered in a modal opened by a
+ * global `shortcut` (default: "mod+k"). Recently selected items, persisted in
+ * localStorage, are listed first while the query is empty.
  */
 class CommandComponent extends Component {
   constructor(el, hookContext) {
@@ -11,6 +31,11 @@ class CommandComponent extends Component {
 
     // Set default field state
     this.currentItemIdx = 0;
+    this.scorer = getScorer(this.options.scorer);
+    this.palette = !!this.options.palette;
+    this.recentLimit = this.options.recentLimit ?? (this.palette ? 5 : 0);
+    this.recentKey =
+      this.options.storageKey || `saladui:command:${this.el.id}:recent`;
 
     // Core elements
     this.input = this.getPart("input");
@@ -20,7 +45,8 @@ class CommandComponent extends Component {
     this.items = this.getAllParts("item");
 
     // Bind event handlers
-    this.input.addEventListener("input", this.handleSearch);
+    this.input?.addEventListener("input", this.handleSearch);
+    this.list?.addEventListener("click", this.handleItemClick);
 
     // Initial search/filter
     this.handleSearch();
@@ -30,23 +56,134 @@ class CommandComponent extends Component {
   }
 
   getComponentConfig() {
+    const keyMap = {
+      Enter: "selectItem",
+      ArrowDown: "focusNextItem",
+      ArrowUp: "focusPrevItem",
+    };
+
+    if (!this.options.palette) {
+      return {
+        stateMachine: {
+          idle: { transitions: {} },
+        },
+        events: {
+          idle: { keyMap: { ...keyMap, Escape: "blurInput" } },
+        },
+      };
+    }
+
     return {
       stateMachine: {
-        idle: { transitions: {} },
+        closed: {
+          enter: "onClosedEnter",
+          transitions: {
+            open: "open",
+            toggle: "open",
+          },
+        },
+        open: {
+          enter: "onOpenEnter",
+          transitions: {
+            close: "closed",
+            toggle: "closed",
+          },
+        },
       },
       events: {
-        idle: {
-          keyMap: {
-            Enter: "selectItem",
-            ArrowDown: "focusNextItem",
-            ArrowUp: "focusPrevItem",
-            Escape: "blurInput",
+        open: {
+          // Escape is dispatched by the layer stack
+          keyMap,
+        },
+      },
+      hiddenConfig: {
+        closed: {
+          content: true,
+        },
+        open: {
+          content: false,
+        },
+      },
+      ariaConfig: {
+        "content-panel": {
+          all: {
+            role: "dialog",
+            label: () => this.options.label || "Command palette",
+          },
+          open: {
+            modal: "true",
+          },
+        },
+        "close-trigger": {
+          all: {
+            label: "Close",
           },
         },
       },
     };
   }
 
+  setupComponentEvents() {
+    super.setupComponentEvents();
+    if (!this.palette) return;
+
+    this.contentPanel = this.getPart("content-panel");
+    document.addEventListener("keydown", this.handleShortcut);
+
+    // Registered in the layer stack while open
+    this.layer = {
+      getElements: () => [this.contentPanel],
+      onEscape: () => this.transition("close"),
+      // Pointer-down on the overlay closes the palette
+      onPointerDownOutside: (event) => {
+        if (
+          event.target === this.getPart("content") ||
+          event.target.dataset?.part === "overlay"
+        ) {
+          this.transition("close");
+        }
+      },
+    };
+  }
+
+  afterUpdate({ optionsChanged }) {
+    if (optionsChanged) this.scorer = getScorer(this.options.scorer);
+
+    const selectedItem = this.selectableItems?.[this.currentItemIdx];
+
+    const input = this.getPart("input");
+    if (input !== this.input) {
+      this.input?.removeEventListener("input", this.handleSearch);
+      input?.addEventListener("input", this.handleSearch);
+      this.input = input;
+    }
+
+    const list = this.getPart("list");
+    if (list !== this.list) {
+      this.list?.removeEventListener("click", this.handleItemClick);
+      list?.addEventListener("click", this.handleItemClick);
+      this.list = list;
+    }
+
+    if (this.palette) {
+      const contentPanel = this.getPart("content-panel");
+      if (contentPanel !== this.contentPanel) {
+        this.focusTrap?.destroy();
+        this.focusTrap = null;
+        this.contentPanel = contentPanel;
+      }
+    }
+
+    this.empty = this.getPart("empty");
+    this.groups = this.getAllParts("group");
+    this.items = this.getAllParts("item");
+
+    // Filter the patched items with the current query, keep the selection
+    this.handleSearch();
+    const index = this.selectableItems.indexOf(selectedItem);
+    if (index >= 0) this.focusItem(index);
+  }
+
   // Focus item by index, wrap around if needed
   focusItem(index) {
     if (!this.selectableItems?.length) return;
@@ -80,20 +217,113 @@ class CommandComponent extends Component {
     item.click();
   };
 
+  // Clicks and Enter both end up here, through item.click()
+  handleItemClick = (event) => {
+    const item = event.target.closest("[data-part='item']");
+    if (!item || !this.items.includes(item) || item.hasAttribute("disabled")) {
+      return;
+    }
+
+    const value = item.getAttribute("data-value");
+    if (value != null) this.addRecent(value);
+
+    this.pushEvent("item-selected", { value });
+    if (this.palette) this.transition("close");
+  };
+
+  handleShortcut = (event) => {
+    if (!matchesHotkey(event, this.options.shortcut || "mod+k")) return;
+
+    event.preventDefault();
+    this.transition("toggle");
+  };
+
+  onOpenEnter() {
+    if (this.input) this.input.value = "";
+    this.handleSearch();
+
+    if (!this.focusTrap) {
+      this.focusTrap = new FocusTrap(this.contentPanel);
+    }
+    this.focusTrap.activate();
+    layerStack.push(this.layer);
+
+    this.pushEvent("opened");
+  }
+
+  onClosedEnter() {
+    // Restores the focus to the element focused before opening
+    this.focusTrap?.deactivate();
+    if (this.layer) layerStack.remove(this.layer);
+
+    this.pushEvent("closed");
+  }
+
+  /**
+   * Values of recently selected items, most recent first
+   */
+  getRecent() {
+    if (!this.recentLimit) return [];
+
+    try {
+      const recent = JSON.parse(localStorage.getItem(this.recentKey));
+      return Array.isArray(recent) ? recent : [];
+    } catch (_error) {
+      return [];
+    }
+  }
+
+  addRecent(value) {
+    if (!this.recentLimit) return;
+
+    const recent = [value]
+      .concat(this.getRecent().filter((recentValue) => recentValue !== value))
+      .slice(0, this.recentLimit);
+
+    try {
+      localStorage.setItem(this.recentKey, JSON.stringify(recent));
+    } catch (_error) {
+      // Storage may be full or disabled, recent items are best effort
+    }
+  }
+
   // Handle search/filtering
   handleSearch = () => {
-    const query = this.input.value.trim().toLowerCase();
+    const query = (this.input?.value || "").trim();
 
-    // Filter items
+    // Without a query, recent items rank first
+    const recent = query ? [] : this.getRecent();
+
+    // Score and filter items
+    const scores = new Map();
     this.items.forEach((item) => {
-      const text = item.textContent.trim().toLowerCase();
-      const visible = query === "" || text.includes(query);
-      item.setAttribute("data-visible", visible ? "true" : "false");
+      const recentIndex = recent.indexOf(item.getAttribute("data-value"));
+      const result = query
+        ? scoreItem(
+            this.scorer,
+            query,
+            getMatchText(item, IGNORED_TEXT),
+            getKeywords(item),
+          )
+        : {
+            score: recentIndex === -1 ? 0 : recent.length - recentIndex,
+            matches: [],
+          };
+
+      if (result) scores.set(item, result.score);
+      item.setAttribute("data-visible", result ? "true" : "false");
+      highlightMatches(item, result?.matches, IGNORED_TEXT);
     });
 
-    this.visibleItems = this.items.filter(
-      (el) => el.getAttribute("data-visible") === "true",
+    // Best matches first, the rendered order is kept for equal scores
+    this.visibleItems = this.items
+      .filter((el) => scores.has(el))
+      .sort((a, b) => scores.get(b) - scores.get(a));
+
+    reorderElements(
+      this.visibleItems.concat(this.items.filter((el) => !scores.has(el))),
     );
+    this.sortGroups(scores);
 
     this.selectableItems = this.visibleItems.filter(
       (el) => !el.hasAttribute("disabled"),
@@ -118,8 +348,30 @@ class CommandComponent extends Component {
     }
   };
 
+  // Order groups by their best item, keep the rendered order without a query
+  sortGroups(scores) {
+    const bestScore = (group) =>
+      Math.max(
+        -Number.MAX_VALUE,
+        ...this.items
+          .filter((item) => group.contains(item) && scores.has(item))
+          .map((item) => scores.get(item)),
+      );
+
+    const ranked = this.groups.map((group) => [group, bestScore(group)]);
+    reorderElements(
+      ranked.sort(([, a], [, b]) => b - a).map(([group]) => group),
+    );
+  }
+
   beforeDestroy() {
-    this.input.removeEventListener("input", this.handleSearch);
+    this.input?.removeEventListener("input", this.handleSearch);
+    this.list?.removeEventListener("click", this.handleItemClick);
+    document.removeEventListener("keydown", this.handleShortcut);
+
+    this.focusTrap?.destroy();
+    this.focusTrap = null;
+    if (this.layer) layerStack.remove(this.layer);
   }
 }
 
@@ -0,0 +1,312 @@
+// saladui/components/context_menu.js
+import Component from "../core/component";
+import SaladUI from "../index";
+import PositionedElement from "../core/positioned-element";
+import { createPointReference } from "../core/virtual-reference";
+import Menu, { isMenuScope } from "./menu";
+
+// Pointer travel (px) that cancels a long-press
+const LONG_PRESS_TOLERANCE = 10;
+
+/**
+ * ContextMenuComponent class for SaladUI framework
+ * Opens a menu at the pointer position on right-click, or long-press on
+ * touch screens, within the trigger area
+ */
+class ContextMenuComponent extends Component {
+  constructor(el, hookContext) {
+    super(el, { hookContext });
+
+    // Initialize core properties
+    this.trigger = this.getPart("trigger");
+    this.positioner = this.getPart("positioner");
+    this.content = this.positioner.querySelector("[data-part='content']");
+
+    this.menu = new Menu(this.content, {
+      hookContext,
+      onItemSelect: this.onItemSelect.bind(this),
+    });
+
+    this.longPressTimer = null;
+    this.longPressStart = null;
+
+    // Bind methods that will be used as event handlers
+    this.handleContextMenu = this.handleContextMenu.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.cancelLongPress = this.cancelLongPress.bind(this);
+  }
+
+  getComponentConfig() {
+    return {
+      stateMachine: {
+        closed: {
+          enter: "onClosedEnter",
+          transitions: {
+            open: "open",
+          },
+        },
+        open: {
+          enter: "onOpenEnter",
+          transitions: {
+            close: "closed",
+          },
+        },
+      },
+      events: {
+        closed: {
+          keyMap: {},
+        },
+        open: {
+          // Escape is dispatched by the layer stack
+          keyMap: {},
+        },
+      },
+      hiddenConfig: {
+        closed: {
+          positioner: true, // Hide the positioner in closed state
+        },
+        open: {
+          positioner: false, // Show the positioner in open state
+        },
+      },
+      ariaConfig: {
+        content: {
+          all: {
+            role: "menu",
+          },
+        },
+      },
+    };
+  }
+
+  get longPressDelay() {
+    return this.options.longPressDelay ?? 700;
+  }
+
+  isNestedScope(node) {
+    return super.isNestedScope(node) || isMenuScope(node);
+  }
+
+  setupComponentEvents() {
+    super.setupComponentEvents();
+
+    this.listenTrigger(this.trigger);
+  }
+
+  listenTrigger(trigger) {
+    if (!trigger) return;
+
+    trigger.addEventListener("contextmenu", this.handleContextMenu);
+    trigger.addEventListener("pointerdown", this.handlePointerDown);
+    trigger.addEventListener("pointermove", this.handlePointerMove);
+    trigger.addEventListener("pointerup", this.cancelLongPress);
+    trigger.addEventListener("pointercancel", this.cancelLongPress);
+  }
+
+  unlistenTrigger(trigger) {
+    if (!trigger) return;
+
+    trigger.removeEventListener("contextmenu", this.handleContextMenu);
+    trigger.removeEventListener("pointerdown", this.handlePointerDown);
+    trigger.removeEventListener("pointermove", this.handlePointerMove);
+    trigger.removeEventListener("pointerup", this.cancelLongPress);
+    trigger.removeEventListener("pointercancel", this.cancelLongPress);
+  }
+
+  isTriggerDisabled() {
+    return this.trigger?.hasAttribute("data-disabled");
+  }
+
+  /**
+   * Right-click, or the context menu key, opens the menu at the pointer.
+   * Right-clicking again while open moves the menu.
+   */
+  handleContextMenu(event) {
+    if (this.isTriggerDisabled()) return;
+
+    event.preventDefault();
+    this.cancelLongPress();
+
+    // Keyboard-initiated context menus have no pointer position
+    if (event.clientX === 0 && event.clientY === 0) {
+      const rect = this.trigger.getBoundingClientRect();
+      this.openAt(rect.left, rect.bottom);
+    } else {
+      this.openAt(event.clientX, event.clientY);
+    }
+  }
+
+  /**
+   * Touch and pen pointers open the menu after a long-press
+   */
+  handlePointerDown(event) {
+    if (event.pointerType === "mouse" || this.isTriggerDisabled()) return;
+
+    this.cancelLongPress();
+    this.longPressStart = { x: event.clientX, y: event.clientY };
+    this.longPressTimer = setTimeout(() => {
+      const { x, y } = this.longPressStart;
+      this.cancelLongPress();
+      this.openAt(x, y);
+    }, this.longPressDelay);
+  }
+
+  handlePointerMove(event) {
+    if (!this.longPressStart) return;
+
+    const distance = Math.hypot(
+      event.clientX - this.longPressStart.x,
+      event.clientY - this.longPressStart.y,
+    );
+    if (distance > LONG_PRESS_TOLERANCE) this.cancelLongPress();
+  }
+
+  cancelLongPress() {
+    clearTimeout(this.longPressTimer);
+    this.longPressTimer = null;
+    this.longPressStart = null;
+  }
+
+  /**
+   * Open the menu at a viewport position, or move it there when open
+   *
+   * @param {number} x - Viewport x coordinate
+   * @param {number} y - Viewport y coordinate
+   */
+  openAt(x, y) {
+    this.anchor = createPointReference(x, y, this.trigger);
+
+    if (this.state === "open") {
+      this.positionedElement?.updateReference(this.anchor);
+      this.menu.activate();
+      return;
+    }
+
+    this.transition("open");
+  }
+
+  afterUpdate() {
+    const trigger = this.getPart("trigger");
+    if (trigger !== this.trigger) {
+      this.unlistenTrigger(this.trigger);
+      this.trigger = trigger;
+      this.listenTrigger(this.trigger);
+    }
+
+    // Positioning is bound to the positioner element, rebuild it if replaced
+    const positioner = this.getPart("positioner") || this.positioner;
+    if (positioner !== this.positioner) {
+      this.positionedElement?.destroy();
+      this.positionedElement = null;
+      this.positioner = positioner;
+    }
+
+    const content = this.positioner.querySelector("[data-part='content']");
+    if (content === this.content) {
+      this.menu.updated();
+    } else {
+      this.menu.destroy();
+      this.content = content;
+      this.menu = new Menu(this.content, {
+        hookContext: this.hook,
+        onItemSelect: this.onItemSelect.bind(this),
+      });
+    }
+
+    if (this.state === "open" && !this.positionedElement) {
+      this.initializePositionedElement();
+      this.positionedElement?.activate();
+    }
+  }
+
+  initializePositionedElement() {
+    if (this.positioner && this.anchor && !this.positionedElement) {
+      // Get portal options
+      const usePortal = this.options.usePortal === true;
+      let portalContainer = null;
+      if (this.options.portalContainer) {
+        portalContainer = document.querySelector(this.options.portalContainer);
+      }
+
+      // Next to the pointer, flipping to its left near the viewport edge
+      this.positionedElement = new PositionedElement(
+        this.positioner,
+        this.anchor,
+        {
+          placement: "right",
+          alignment: "start",
+          sideOffset: 2,
+          alignOffset: 0,
+          flip: true,
+          usePortal,
+          portalContainer: portalContainer || document.body,
+          trapFocus: false,
+          onOutsideClick: (event) => this.handleOutsideClick(event),
+          onEscape: () => this.transition("close"),
+        },
+      );
+    } else {
+      this.positionedElement?.updateReference(this.anchor);
+    }
+  }
+
+  /**
+   * Pointer-downs outside the menu close it, including in the trigger area.
+   * A right-click there moves the menu instead, on its contextmenu event.
+   */
+  handleOutsideClick(event) {
+    if (event.button === 2 && this.trigger?.contains(event.target)) return;
+
+    this.transition("close");
+  }
+
+  onOpenEnter() {
+    this.previousFocusEl = document.activeElement;
+
+    // Opened without a pointer position, e.g. by the server
+    if (!this.anchor && this.trigger) {
+      const rect = this.trigger.getBoundingClientRect();
+      this.anchor = createPointReference(rect.left, rect.bottom, this.trigger);
+    }
+
+    this.initializePositionedElement();
+    this.positionedElement?.activate();
+    this.menu.activate();
+    this.pushEvent("opened");
+  }
+
+  onClosedEnter() {
+    this.menu.closeSubmenus();
+    this.positionedElement?.deactivate();
+    this.pushEvent("closed");
+    this.previousFocusEl?.focus();
+    this.previousFocusEl = null;
+  }
+
+  onItemSelect(_item) {
+    this.transition("close");
+  }
+
+  beforeDestroy() {
+    this.cancelLongPress();
+    this.unlistenTrigger(this.trigger);
+
+    // Clean up the positioned element
+    if (this.positionedElement) {
+      this.positionedElement.destroy();
+      this.positionedElement = null;
+    }
+
+    // Clean up menu items
+    if (this.menu) {
+      this.menu.destroy();
+      this.menu = null;
+    }
+  }
+}
+
+// Register the component
+SaladUI.register("context-menu", ContextMenuComponent);
+
+export default ContextMenuComponent;
@@ -2,7 +2,7 @@
 import Component from "../core/component";
 import SaladUI from "../index";
 import FocusTrap from "../core/focus-trap";
-import ClickOutsideMonitor from "../core/click-outside";
+import { layerStack } from "../core/layer-stack";
 
 class DialogComponent extends Component {
   constructor(el, hookContext) {
@@ -12,9 +12,16 @@ class DialogComponent extends Component {
     this.root = this.el;
     this.content = this.getPart("content");
     this.contentPanel = this.getPart("content-panel");
-    this.config.preventDefaultKeys = ["Escape"];
+
+    // Registered in the layer stack while open
+    this.layer = {
+      getElements: () => [this.contentPanel],
+      onEscape: () => this.transition("close"),
+      onPointerDownOutside: (event) => this.handlePointerDownOutside(event),
+    };
 
     this.setupEvents();
+    this.renderedOpen = this.el.dataset.open;
     this.transition(this.el.dataset.open == "true" ? "open" : "close");
   }
 
@@ -40,9 +47,8 @@ class DialogComponent extends Component {
           keyMap: {},
         },
         open: {
-          keyMap: {
-            Escape: "close",
-          },
+          // Escape is dispatched by the layer stack
+          keyMap: {},
         },
       },
       hiddenConfig: {
@@ -81,30 +87,33 @@ class DialogComponent extends Component {
     };
   }
 
-  // Setup component events
-  setupComponentEvents() {
-    super.setupComponentEvents();
+  afterUpdate() {
+    this.content = this.getPart("content");
+
+    const contentPanel = this.getPart("content-panel");
+    if (contentPanel !== this.contentPanel) {
+      this.focusTrap?.destroy();
+      this.focusTrap = null;
+      this.contentPanel = contentPanel;
+    }
 
-    // Only setup click handler if closeOnOutsideClick is enabled
-    if (this.options.closeOnOutsideClick) {
-      this.setupOutsideClickDetection();
+    // Follow data-open only when the server changed it
+    if (this.el.dataset.open !== this.renderedOpen) {
+      this.renderedOpen = this.el.dataset.open;
+      this.transition(this.el.dataset.open == "true" ? "open" : "close");
     }
   }
 
-  setupOutsideClickDetection() {
-    // Create click outside monitor to handle clicks on the overlay
-    this.clickOutsideMonitor = new ClickOutsideMonitor(
-      [this.contentPanel],
-      (event) => {
-        // Only close if click was directly on the content container (overlay area)
-        if (
-          event.target === this.content ||
-          event.target.dataset.part === "overlay"
-        ) {
-          this.transition("close");
-        }
-      },
-    );
+  handlePointerDownOutside(event) {
+    if (!this.options.closeOnOutsideClick) return;
+
+    // Only close if the pointer went down on the content container (overlay area)
+    if (
+      event.target === this.content ||
+      event.target.dataset?.part === "overlay"
+    ) {
+      this.transition("close");
+    }
   }
 
   // State machine handlers
@@ -114,10 +123,7 @@ class DialogComponent extends Component {
       this.focusTrap.deactivate();
     }
 
-    // Clean up click outside monitor
-    if (this.clickOutsideMonitor) {
-      this.clickOutsideMonitor.stop();
-    }
+    layerStack.remove(this.layer);
 
     // Notify the server of the state change
     this.pushEvent("closed");
@@ -137,12 +143,8 @@ class DialogComponent extends Component {
     // Activate focus trap
     this.focusTrap.activate();
 
-    // Activate click outside monitor if enabled
-    if (this.clickOutsideMonitor) {
-      this.clickOutsideMonitor.start();
-    }
-
-    // Setup escape key handling - now handled by the component's keyMap
+    // Escape and clicks on the overlay close the topmost layer only
+    layerStack.push(this.layer);
 
     // Notify the server of the state change
     this.pushEvent("opened");
@@ -153,9 +155,7 @@ class DialogComponent extends Component {
     this.focusTrap?.destroy();
     this.focusTrap = null;
 
-    // Clean up click outside monitor
-    this.clickOutsideMonitor?.destroy();
-    this.clickOutsideMonitor = null;
+    layerStack.remove(this.layer);
   }
 }
 
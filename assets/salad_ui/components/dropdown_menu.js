@@ -2,7 +2,7 @@
 import Component from "../core/component";
 import SaladUI from "../index";
 import PositionedElement from "../core/positioned-element";
-import Menu from "./menu";
+import Menu, { isMenuScope } from "./menu";
 
 /**
  * DropdownMenuComponent class for SaladUI framework
@@ -23,7 +23,9 @@ class DropdownMenuComponent extends Component {
     });
 
     // Set keyboard navigation defaults
-    this.config.preventDefaultKeys = ["Escape", "ArrowDown", " ", "Enter"];
+    this.config.preventDefaultKeys = ["ArrowDown", " ", "Enter"];
+
+    this.handleTypeahead = this.handleTypeahead.bind(this);
   }
 
   getComponentConfig() {
@@ -60,9 +62,8 @@ class DropdownMenuComponent extends Component {
           },
         },
         open: {
-          keyMap: {
-            Escape: "close",
-          },
+          // Escape is dispatched by the layer stack
+          keyMap: {},
         },
       },
       hiddenConfig: {
@@ -96,6 +97,62 @@ class DropdownMenuComponent extends Component {
     };
   }
 
+  isNestedScope(node) {
+    return super.isNestedScope(node) || isMenuScope(node);
+  }
+
+  setupComponentEvents() {
+    super.setupComponentEvents();
+
+    this.el.addEventListener("keydown", this.handleTypeahead);
+  }
+
+  /**
+   * Typing on the closed trigger opens the menu on the matching item,
+   * the menu handles typeahead itself once open
+   */
+  handleTypeahead(event) {
+    if (this.state !== "closed" || !this.menu.typeahead.isTypeaheadKey(event)) {
+      return;
+    }
+
+    // Focused by onOpenEnter, which runs once the open animation is over
+    const typeaheadItem = this.menu.typeahead.handleKey(
+      event,
+      this.menu.collection,
+    );
+    this.transition("open", { typeaheadItem });
+  }
+
+  afterUpdate() {
+    this.trigger = this.getPart("trigger");
+
+    // Positioning is bound to the positioner element, rebuild it if replaced
+    const positioner = this.getPart("positioner") || this.positioner;
+    if (positioner !== this.positioner) {
+      this.positionedElement?.destroy();
+      this.positionedElement = null;
+      this.positioner = positioner;
+    }
+
+    const content = this.positioner.querySelector("[data-part='content']");
+    if (content === this.content) {
+      this.menu.updated();
+    } else {
+      this.menu.destroy();
+      this.content = content;
+      this.menu = new Menu(this.content, {
+        hookContext: this.hook,
+        onItemSelect: this.onItemSelect.bind(this),
+      });
+    }
+
+    if (this.state === "open" && !this.positionedElement) {
+      this.initializePositionedElement();
+      this.positionedElement?.activate();
+    }
+  }
+
   initializePositionedElement() {
     if (this.positioner && this.trigger && !this.positionedElement) {
       const side = this.positioner.getAttribute("data-side") || "bottom";
@@ -129,21 +186,27 @@ class DropdownMenuComponent extends Component {
           portalContainer: portalContainer || document.body,
           trapFocus: false,
           onOutsideClick: () => this.transition("close"),
+          onEscape: () => this.transition("close"),
         },
       );
     }
   }
 
-  onOpenEnter() {
+  onOpenEnter({ typeaheadItem } = {}) {
     this.previousFocusEl = document.activeElement;
 
     this.initializePositionedElement();
     this.positionedElement?.activate();
-    this.menu.activate();
+    if (typeaheadItem) {
+      this.menu.collection.focus(typeaheadItem);
+    } else {
+      this.menu.activate();
+    }
     this.pushEvent("opened");
   }
 
   onClosedEnter() {
+    this.menu.closeSubmenus();
     this.positionedElement?.deactivate();
     this.pushEvent("closed");
     this.previousFocusEl?.focus();
@@ -155,6 +218,8 @@ class DropdownMenuComponent extends Component {
   }
 
   beforeDestroy() {
+    this.el.removeEventListener("keydown", this.handleTypeahead);
+
     // Clean up the positioned element
     if (this.positionedElement) {
       this.positionedElement.destroy();
@@ -1,6 +1,22 @@
 // saladui/components/dropdown_menu.js
 import Component from "../core/component";
 import Collection from "../core/collection";
+import PositionedElement from "../core/positioned-element";
+import Typeahead from "../core/typeahead";
+import { isPointInPolygon } from "../core/utils";
+
+// How long (ms) the pointer may take to travel from a sub-trigger to its
+// submenu over other items
+const POINTER_GRACE_TIMEOUT = 300;
+
+/**
+ * Submenus and radio groups manage their own parts, menus leave them out of
+ * theirs
+ */
+function isMenuScope(node) {
+  const part = node.dataset?.part;
+  return part === "sub" || part === "radio-group";
+}
 
 /**
  * Base class for dropdown menu items that provides common functionality
@@ -36,6 +52,7 @@ class MenuItemBase extends Component {
             item: {
               click: "handleActivation",
               mouseenter: "handleMouseEnter",
+              mousemove: "handleMouseEnter",
             },
           },
           keyMap: {
@@ -82,9 +99,9 @@ class MenuItemBase extends Component {
     this.parent.selectItem(this);
   }
 
-  handleMouseEnter() {
+  handleMouseEnter(event) {
     if (!this.disabled) {
-      this.parent.handleItemFocus(this);
+      this.parent.handleItemFocus(this, event);
     }
   }
 }
@@ -125,6 +142,7 @@ class MenuCheckboxItem extends MenuItemBase {
           mouseMap: {
             "checkbox-item": {
               click: "handleActivation",
+              mouseenter: "handleMouseEnter",
               mouseleave: "handleMouseLeave",
             },
           },
@@ -137,6 +155,7 @@ class MenuCheckboxItem extends MenuItemBase {
           mouseMap: {
             "checkbox-item": {
               click: "handleActivation",
+              mouseenter: "handleMouseEnter",
               mouseleave: "handleMouseLeave",
             },
           },
@@ -190,20 +209,192 @@ class MenuCheckboxItem extends MenuItemBase {
   }
 }
 
+/**
+ * Radio item, only one item of its radio group is checked at a time
+ */
+class MenuRadioItem extends MenuItemBase {
+  constructor(itemElement, parentComponent, options) {
+    super(itemElement, parentComponent, options);
+
+    this.group = parentComponent.getRadioGroup(
+      itemElement.closest("[data-part='radio-group']"),
+    );
+  }
+
+  getComponentConfig() {
+    const itemEvents = {
+      mouseMap: {
+        "radio-item": {
+          click: "handleActivation",
+          mouseenter: "handleMouseEnter",
+          mousemove: "handleMouseEnter",
+        },
+      },
+      keyMap: {
+        " ": "handleActivation",
+        Enter: "handleActivation",
+      },
+    };
+
+    return {
+      stateMachine: {
+        checked: {
+          transitions: {
+            uncheck: "unchecked",
+          },
+        },
+        unchecked: {
+          transitions: {
+            check: "checked",
+          },
+        },
+      },
+      events: {
+        checked: itemEvents,
+        unchecked: itemEvents,
+      },
+      hiddenConfig: {
+        checked: {
+          "item-indicator": false,
+        },
+        unchecked: {
+          "item-indicator": true,
+        },
+      },
+      ariaConfig: {
+        "radio-item": {
+          all: {
+            role: "menuitemradio",
+            disabled: () => (this.disabled ? "true" : null),
+            checked: () => (this.state == "checked" ? "true" : "false"),
+          },
+        },
+      },
+    };
+  }
+
+  handleEvent(eventType) {
+    switch (eventType) {
+      case "select":
+        this.transition("check");
+        return true;
+      case "unselect":
+        this.transition("uncheck");
+        return true;
+      default:
+        return super.handleEvent(eventType);
+    }
+  }
+
+  /**
+   * Check the item, the menu stays open
+   */
+  handleActivation(event) {
+    event?.preventDefault();
+    if (this.disabled || !this.group) return;
+
+    this.group.select(this);
+  }
+}
+
+/**
+ * Radio group: the single-select collection of the radio items it wraps.
+ * Its value comes from `data-value`, changes are pushed as `value-changed`.
+ */
+class MenuRadioGroup extends Component {
+  constructor(groupElement, parentMenu) {
+    super(groupElement, { hookContext: parentMenu.hook });
+
+    this.parent = parentMenu;
+    this.serverValue = groupElement.getAttribute("data-value");
+    this.value = this.serverValue;
+    this.collection = null;
+  }
+
+  getComponentConfig() {
+    return {
+      ariaConfig: {
+        "radio-group": {
+          all: {
+            role: "group",
+          },
+        },
+      },
+    };
+  }
+
+  /**
+   * Rebuild the collection from the group's radio items, checking the one
+   * matching the group value
+   */
+  setItems(items) {
+    this.collection = new Collection({
+      type: "single",
+      value: this.value,
+      getItemValue: (item) => item.value,
+      isItemDisabled: (item) => item.disabled,
+    });
+
+    items.forEach((item) => {
+      const collectionItem = this.collection.add(item);
+      if (!collectionItem.selected && item.state === "checked") {
+        item.handleEvent("unselect");
+      }
+    });
+  }
+
+  select(item) {
+    if (item.value === this.value) return;
+
+    const collectionItem = this.collection.getItemByInstance(item);
+    if (!collectionItem) return;
+
+    this.collection.select(collectionItem);
+    this.value = item.value;
+    this.pushEvent("value-changed", { value: this.value });
+  }
+
+  afterUpdate() {
+    // A value rendered by the server wins over the client one only when
+    // it changed, like data-state
+    const serverValue = this.el.getAttribute("data-value");
+    if (serverValue !== this.serverValue) {
+      this.serverValue = serverValue;
+      this.value = serverValue;
+    }
+  }
+}
+
 /**
  * MenuComponent class for SaladUI framework
  * Manages a dropdown menu with support for keyboard navigation and accessibility
  */
 class Menu extends Component {
-  constructor(el, { hookContext, onItemSelect }) {
+  constructor(el, { hookContext, onItemSelect, onClose }) {
     super(el, { hookContext });
 
     // callback for item selection
     this.onItemSelect = onItemSelect || (() => {});
+    // callback for ArrowLeft, set on submenus to close them
+    this.onClose = onClose || null;
     this.menuItems = [];
+    this.radioGroups = new Map();
+    this.pointerGrace = null;
+    this.pointerGraceTimer = null;
+    this.typeahead = new Typeahead({
+      // Submenus are labelled by their sub-trigger, not their own items
+      getItemLabel: (item) =>
+        (item.instance.trigger || item.instance.el).textContent,
+    });
 
     // Set keyboard navigation defaults
-    this.config.preventDefaultKeys = ["ArrowDown", "ArrowUp", "Home", "End"];
+    this.config.preventDefaultKeys = [
+      "ArrowDown",
+      "ArrowUp",
+      "Home",
+      "End",
+      "ArrowLeft",
+    ];
 
     // Initialize items and collection
     this.initializeItems();
@@ -211,6 +402,12 @@ class Menu extends Component {
     this.setupEvents();
   }
 
+  setupComponentEvents() {
+    super.setupComponentEvents();
+
+    this.typeahead.listen([this.el], (event) => this.handleTypeahead(event));
+  }
+
   getComponentConfig() {
     return {
       stateMachine: {
@@ -221,10 +418,14 @@ class Menu extends Component {
       events: {
         _all: {
           keyMap: {
-            ArrowDown: () => this.navigateItem("next"),
-            ArrowUp: () => this.navigateItem("prev"),
-            Home: () => this.navigateItem("first"),
-            End: () => this.navigateItem("last"),
+            ArrowDown: (event) =>
+              this.ownsEvent(event) && this.navigateItem("next"),
+            ArrowUp: (event) =>
+              this.ownsEvent(event) && this.navigateItem("prev"),
+            Home: (event) =>
+              this.ownsEvent(event) && this.navigateItem("first"),
+            End: (event) => this.ownsEvent(event) && this.navigateItem("last"),
+            ArrowLeft: (event) => this.ownsEvent(event) && this.onClose?.(),
           },
         },
       },
@@ -232,29 +433,91 @@ class Menu extends Component {
     };
   }
 
+  isNestedScope(node) {
+    return super.isNestedScope(node) || isMenuScope(node);
+  }
+
+  /**
+   * Whether a key event targets this menu rather than one of its submenus,
+   * which are nested in its element
+   */
+  ownsEvent(event) {
+    const scope = event.target.closest?.("[data-part='sub-content']");
+    return !scope || scope === this.el;
+  }
+
   initializeItems() {
-    // Get all items in the correct DOM order
-    const allItemElements = Array.from(
+    // Create appropriate item components while preserving original order
+    this.menuItems = this.queryItemElements().map((element) =>
+      this.createItem(element),
+    );
+  }
+
+  queryItemElements() {
+    // Get all items in the correct DOM order, items of submenus belong to
+    // the submenu
+    return Array.from(
       this.el.querySelectorAll(
-        "[data-part='item'], [data-part='checkbox-item']",
+        "[data-part='item'], [data-part='checkbox-item'], [data-part='radio-item'], [data-part='sub']",
       ),
-    );
+    ).filter((element) => {
+      const scope = element.parentElement.closest(
+        "[data-part='sub-content']",
+      );
+      return !scope || scope === this.el;
+    });
+  }
 
-    // Create appropriate item components while preserving original order
-    this.menuItems = allItemElements.map((element) => {
-      const itemType = element.getAttribute("data-part");
-
-      switch (itemType) {
-        case "checkbox-item":
-          return new MenuCheckboxItem(element, this, {
-            initialState: "normal",
-          });
-        default: // Regular item
-          return new MenuItem(element, this, {
-            initialState: "normal",
-          });
-      }
+  createItem(element) {
+    const itemType = element.getAttribute("data-part");
+
+    switch (itemType) {
+      case "checkbox-item":
+        return new MenuCheckboxItem(element, this, {
+          initialState: "normal",
+        });
+      case "radio-item":
+        return new MenuRadioItem(element, this);
+      case "sub":
+        return new MenuSub(element, this);
+      default: // Regular item
+        return new MenuItem(element, this, {
+          initialState: "normal",
+        });
+    }
+  }
+
+  afterUpdate() {
+    this.reconcileItems();
+  }
+
+  /**
+   * Sync item instances with item elements after a patch, keeping the
+   * instances (and their checked state) of elements that survived
+   */
+  reconcileItems() {
+    const focusedValue = this.collection.focusedItem?.value;
+    const existing = new Map(this.menuItems.map((item) => [item.el, item]));
+
+    this.menuItems = this.queryItemElements().map((element) => {
+      const item = existing.get(element);
+      if (!item) return this.createItem(element);
+
+      existing.delete(element);
+      item.updated();
+      return item;
     });
+
+    // Items no longer rendered by the server
+    existing.forEach((item) => item.destroy());
+    this.radioGroups.forEach((group) => group.updated());
+
+    this.initializeCollection();
+
+    const focusedItem = this.collection.getItemByValue(focusedValue);
+    if (focusedItem && this.el.contains(document.activeElement)) {
+      this.collection.focus(focusedItem);
+    }
   }
 
   initializeCollection() {
@@ -269,13 +532,47 @@ class Menu extends Component {
     this.menuItems.forEach((item) => {
       this.collection.add(item);
     });
+
+    this.syncRadioGroups();
+  }
+
+  /**
+   * Get the radio group of an element, creating it on first use
+   */
+  getRadioGroup(groupElement) {
+    if (!groupElement) return null;
+
+    if (!this.radioGroups.has(groupElement)) {
+      this.radioGroups.set(
+        groupElement,
+        new MenuRadioGroup(groupElement, this),
+      );
+    }
+    return this.radioGroups.get(groupElement);
+  }
+
+  /**
+   * Drop the groups no longer rendered and refresh the items of the others
+   */
+  syncRadioGroups() {
+    this.radioGroups.forEach((group, groupElement) => {
+      const items = this.menuItems.filter((item) => item.group === group);
+
+      if (items.length === 0 || !groupElement.isConnected) {
+        group.destroy();
+        this.radioGroups.delete(groupElement);
+        return;
+      }
+
+      group.setItems(items);
+    });
   }
 
-  // Activate menu, focusthe first item
-  activate() {
-    const firstItem = this.collection.getItem("first");
-    if (firstItem) {
-      this.collection.focus(firstItem);
+  // Activate menu, focus the first (or last) item
+  activate(position = "first") {
+    const item = this.collection.getItem(position);
+    if (item) {
+      this.collection.focus(item);
     }
   }
 
@@ -284,14 +581,78 @@ class Menu extends Component {
     this.onItemSelect(item);
   }
 
-  handleItemFocus(item) {
+  /**
+   * Focus an item under the pointer, closing the submenus of other items.
+   * Ignored while the pointer moves toward an open submenu.
+   */
+  handleItemFocus(item, event) {
+    if (this.isInPointerGraceArea(event)) return;
+
+    this.closeSubmenus(item);
+
     const collectionItem = this.collection.getItemByInstance(item);
     if (!collectionItem) return;
 
     this.collection.focus(collectionItem);
   }
 
+  /**
+   * Keep open submenus open while the pointer is within `area`, a polygon
+   * between where it left the sub-trigger and the submenu
+   */
+  setPointerGrace(area) {
+    clearTimeout(this.pointerGraceTimer);
+    this.pointerGrace = area;
+    this.pointerGraceTimer = setTimeout(() => {
+      this.pointerGrace = null;
+    }, POINTER_GRACE_TIMEOUT);
+  }
+
+  isInPointerGraceArea(event) {
+    if (!this.pointerGrace || event?.clientX === undefined) return false;
+
+    return isPointInPolygon(
+      { x: event.clientX, y: event.clientY },
+      this.pointerGrace,
+    );
+  }
+
+  /**
+   * Close the open submenus, nested ones included
+   *
+   * @param {Object} except - Submenu to keep open (optional)
+   */
+  closeSubmenus(except = null) {
+    this.menuItems?.forEach((item) => {
+      if (item instanceof MenuSub && item !== except && item.state === "open") {
+        item.transition("close");
+      }
+    });
+  }
+
+  /**
+   * Focus the next item whose label starts with the typed characters
+   *
+   * @param {KeyboardEvent} event - The keydown event
+   * @returns {boolean} Whether an item matched
+   */
+  handleTypeahead(event) {
+    if (!this.ownsEvent(event)) return false;
+
+    const item = this.typeahead.handleKey(
+      event,
+      this.collection,
+      this.collection.focusedItem,
+    );
+    if (!item) return false;
+
+    this.collection.focus(item);
+    return true;
+  }
+
   navigateItem(direction) {
+    this.closeSubmenus();
+
     // Check if we have an active focused item
     let currentItem = this.collection.focusedItem;
 
@@ -304,6 +665,9 @@ class Menu extends Component {
   }
 
   beforeDestroy() {
+    this.typeahead.destroy();
+    clearTimeout(this.pointerGraceTimer);
+
     // Clean up menu items
     if (this.menuItems) {
       this.menuItems.forEach((item) => {
@@ -314,11 +678,239 @@ class Menu extends Component {
       this.menuItems = null;
     }
 
+    this.radioGroups.forEach((group) => group.destroy());
+    this.radioGroups.clear();
+
     // Clean up collection
     this.collection = null;
   }
 }
 
+/**
+ * Submenu: a sub-trigger item of its parent menu, opening a nested menu
+ * (sub-content) next to it
+ */
+class MenuSub extends Component {
+  constructor(subElement, parentMenu) {
+    super(subElement, { hookContext: parentMenu.hook, initialState: "closed" });
+
+    this.parent = parentMenu;
+    this.trigger = this.getPart("sub-trigger");
+    this.content = this.getPart("sub-content");
+    this.value =
+      this.trigger.getAttribute("data-value") ||
+      this.trigger.textContent.trim();
+    this.disabled = this.trigger.getAttribute("data-disabled") !== null;
+    this.menu = this.createMenu();
+
+    this.config.preventDefaultKeys = ["ArrowRight", " ", "Enter"];
+    this.setupEvents();
+  }
+
+  getComponentConfig() {
+    const triggerEvents = {
+      keyEventTarget: "sub-trigger",
+      keyMap: {
+        ArrowRight: "openAndFocus",
+        " ": "openAndFocus",
+        Enter: "openAndFocus",
+      },
+      mouseMap: {
+        "sub-trigger": {
+          click: "openAndFocus",
+          mouseenter: "handleMouseEnter",
+          mousemove: "handleMouseEnter",
+          mouseleave: "handleMouseLeave",
+        },
+      },
+    };
+
+    return {
+      stateMachine: {
+        closed: {
+          enter: "onClosedEnter",
+          transitions: {
+            open: "open",
+          },
+        },
+        open: {
+          enter: "onOpenEnter",
+          transitions: {
+            close: "closed",
+          },
+        },
+      },
+      events: {
+        closed: triggerEvents,
+        open: triggerEvents,
+      },
+      hiddenConfig: {
+        closed: {
+          "sub-content": true,
+        },
+        open: {
+          "sub-content": false,
+        },
+      },
+      ariaConfig: {
+        "sub-trigger": {
+          all: {
+            role: "menuitem",
+            haspopup: "menu",
+            disabled: () => (this.disabled ? "true" : null),
+          },
+          open: {
+            expanded: "true",
+          },
+          closed: {
+            expanded: "false",
+          },
+        },
+        "sub-content": {
+          all: {
+            role: "menu",
+          },
+        },
+      },
+    };
+  }
+
+  isNestedScope(node) {
+    return super.isNestedScope(node) || isMenuScope(node);
+  }
+
+  createMenu() {
+    return new Menu(this.content, {
+      hookContext: this.hook,
+      onItemSelect: (item) => this.parent.selectItem(item),
+      onClose: () => this.closeAndFocusTrigger(),
+    });
+  }
+
+  // Collection item interface, the sub-trigger is the item of the parent menu
+  handleEvent(eventType) {
+    if (eventType === "focus" && !this.disabled) {
+      this.trigger.focus();
+    }
+    return true;
+  }
+
+  /**
+   * Click, Enter, Space and ArrowRight open the submenu on its first item
+   */
+  openAndFocus() {
+    if (this.disabled) return;
+
+    this.parent.handleItemFocus(this);
+    this.transition("open");
+    this.menu.activate();
+  }
+
+  /**
+   * Hovering the sub-trigger opens the submenu, focus stays on the trigger
+   */
+  handleMouseEnter(event) {
+    if (this.disabled || this.parent.isInPointerGraceArea(event)) return;
+
+    this.parent.handleItemFocus(this, event);
+    this.transition("open");
+  }
+
+  /**
+   * Leaving toward the open submenu starts the pointer grace period
+   */
+  handleMouseLeave(event) {
+    if (this.state !== "open") return;
+
+    this.parent.setPointerGrace(this.getGraceArea(event));
+  }
+
+  /**
+   * Triangle between the pointer and the near edge of the submenu, the
+   * pointer is moved back a little so that it starts inside
+   */
+  getGraceArea(event) {
+    const rect = this.content.getBoundingClientRect();
+    const toRight = this.content.getAttribute("data-placement") !== "left";
+    const edge = toRight ? rect.left : rect.right;
+    const bleed = toRight ? -5 : 5;
+
+    return [
+      { x: event.clientX + bleed, y: event.clientY },
+      { x: edge, y: rect.top },
+      { x: edge, y: rect.bottom },
+    ];
+  }
+
+  closeAndFocusTrigger() {
+    this.transition("close");
+    this.trigger.focus();
+  }
+
+  initializePositionedElement() {
+    if (this.positionedElement) return;
+
+    // To the right of the trigger, flipping left without room. Escape only
+    // closes the submenu, the topmost layer, and focuses its sub-trigger.
+    this.positionedElement = new PositionedElement(this.content, this.trigger, {
+      placement: "right",
+      alignment: "start",
+      sideOffset: 4,
+      alignOffset: -5,
+      flip: true,
+      onEscape: () => this.closeAndFocusTrigger(),
+    });
+  }
+
+  onOpenEnter() {
+    this.parent.closeSubmenus(this);
+
+    this.initializePositionedElement();
+    this.positionedElement.activate();
+  }
+
+  onClosedEnter() {
+    this.menu.closeSubmenus();
+    this.positionedElement?.deactivate();
+  }
+
+  afterUpdate() {
+    this.trigger = this.getPart("sub-trigger");
+    this.disabled = this.trigger.getAttribute("data-disabled") !== null;
+
+    // Positioning and the nested menu are bound to the content element
+    const content = this.getPart("sub-content");
+    if (content === this.content) {
+      this.menu.updated();
+    } else {
+      this.positionedElement?.destroy();
+      this.positionedElement = null;
+      this.menu.destroy();
+
+      this.content = content;
+      this.menu = this.createMenu();
+    }
+
+    if (this.state === "open" && !this.positionedElement?.active) {
+      this.initializePositionedElement();
+      this.positionedElement.activate();
+    }
+  }
+
+  beforeDestroy() {
+    if (this.positionedElement) {
+      this.positionedElement.destroy();
+      this.positionedElement = null;
+    }
+
+    if (this.menu) {
+      this.menu.destroy();
+      this.menu = null;
+    }
+  }
+}
+
 // Register the component
 
+export { isMenuScope };
 export default Menu;
@@ -0,0 +1,455 @@
+// saladui/components/menubar.js
+import Component from "../core/component";
+import SaladUI from "../index";
+import PositionedElement from "../core/positioned-element";
+import Collection from "../core/collection";
+import Menu, { isMenuScope } from "./menu";
+
+/**
+ * Top-level menu of a menubar: a trigger in the bar and the menu it opens
+ */
+class MenubarMenu extends Component {
+  constructor(menuElement, menubar) {
+    super(menuElement, { hookContext: menubar.hook, initialState: "closed" });
+
+    this.menubar = menubar;
+    this.trigger = this.getPart("trigger");
+    this.positioner = this.getPart("positioner");
+    this.content = this.positioner.querySelector("[data-part='content']");
+    this.value =
+      menuElement.getAttribute("data-value") ||
+      this.trigger.textContent.trim();
+    this.disabled = this.trigger.getAttribute("data-disabled") !== null;
+    this.menu = this.createMenu();
+
+    this.config.preventDefaultKeys = [
+      "ArrowRight",
+      "ArrowLeft",
+      "ArrowDown",
+      "ArrowUp",
+      "Home",
+      "End",
+      " ",
+      "Enter",
+    ];
+
+    // Bind methods that will be used as event handlers
+    this.handleTriggerClick = this.handleTriggerClick.bind(this);
+    this.handleContentKeyDown = this.handleContentKeyDown.bind(this);
+    this.setupEvents();
+  }
+
+  getComponentConfig() {
+    return {
+      stateMachine: {
+        closed: {
+          enter: "onClosedEnter",
+          transitions: {
+            open: "open",
+          },
+        },
+        open: {
+          enter: "onOpenEnter",
+          transitions: {
+            close: "closed",
+          },
+        },
+      },
+      events: {
+        _all: {
+          keyEventTarget: "trigger",
+          keyMap: {
+            ArrowRight: () => this.menubar.moveFocus("next"),
+            ArrowLeft: () => this.menubar.moveFocus("prev"),
+            Home: () => this.menubar.moveFocus("first"),
+            End: () => this.menubar.moveFocus("last"),
+            ArrowDown: () => this.menubar.openMenu(this, "first"),
+            ArrowUp: () => this.menubar.openMenu(this, "last"),
+            " ": () => this.menubar.openMenu(this, "first"),
+            Enter: () => this.menubar.openMenu(this, "first"),
+          },
+        },
+        closed: {
+          mouseMap: {
+            trigger: {
+              mouseenter: "handleTriggerEnter",
+            },
+          },
+        },
+      },
+      hiddenConfig: {
+        closed: {
+          positioner: true,
+        },
+        open: {
+          positioner: false,
+        },
+      },
+      ariaConfig: {
+        trigger: {
+          all: {
+            role: "menuitem",
+            haspopup: "menu",
+            disabled: () =>
+              this.getPart("trigger").hasAttribute("data-disabled")
+                ? "true"
+                : null,
+            controls: () => this.getPart("content")?.id || null,
+          },
+          open: {
+            expanded: "true",
+          },
+          closed: {
+            expanded: "false",
+          },
+        },
+        content: {
+          all: {
+            role: "menu",
+          },
+        },
+      },
+    };
+  }
+
+  isNestedScope(node) {
+    return super.isNestedScope(node) || isMenuScope(node);
+  }
+
+  setupComponentEvents() {
+    super.setupComponentEvents();
+
+    this.trigger.addEventListener("click", this.handleTriggerClick);
+    this.content.addEventListener("keydown", this.handleContentKeyDown);
+  }
+
+  createMenu() {
+    return new Menu(this.content, {
+      hookContext: this.hook,
+      onItemSelect: () => this.menubar.closeMenu(true),
+      // ArrowLeft in the menu, its submenus close themselves
+      onClose: () => this.menubar.moveFocus("prev"),
+    });
+  }
+
+  // Collection item interface, with a roving tabindex on the triggers
+  handleEvent(eventType) {
+    switch (eventType) {
+      case "focus":
+        this.trigger.setAttribute("tabindex", "0");
+        this.trigger.focus();
+        return true;
+      case "blur":
+        this.trigger.setAttribute("tabindex", "-1");
+        return true;
+    }
+  }
+
+  /**
+   * ArrowRight in the menu, or one of its submenus, moves to the next menu,
+   * unless a sub-trigger used it to open its submenu
+   */
+  handleContentKeyDown(event) {
+    if (event.key !== "ArrowRight" || event.defaultPrevented) return;
+
+    event.preventDefault();
+    this.menubar.moveFocus("next");
+  }
+
+  handleTriggerClick() {
+    if (this.disabled) return;
+
+    if (this.state === "open") {
+      this.menubar.closeMenu(true);
+    } else {
+      this.menubar.openMenu(this, "first");
+    }
+  }
+
+  /**
+   * Once a menu is open, hovering another trigger switches to its menu
+   */
+  handleTriggerEnter() {
+    if (this.disabled || this.menubar.state !== "open") return;
+
+    this.menubar.openMenu(this);
+  }
+
+  initializePositionedElement() {
+    if (this.positionedElement) return;
+
+    const side = this.positioner.getAttribute("data-side") || "bottom";
+    const align = this.positioner.getAttribute("data-align") || "start";
+    const sideOffset = parseInt(
+      this.positioner.getAttribute("data-side-offset") || "8",
+      10,
+    );
+    const alignOffset = parseInt(
+      this.positioner.getAttribute("data-align-offset") || "-4",
+      10,
+    );
+
+    this.positionedElement = new PositionedElement(
+      this.positioner,
+      this.trigger,
+      {
+        placement: side,
+        alignment: align,
+        sideOffset,
+        alignOffset,
+        flip: true,
+        trapFocus: false,
+        onOutsideClick: () => this.menubar.closeMenu(),
+        onEscape: () => this.menubar.closeMenu(true),
+      },
+    );
+  }
+
+  onOpenEnter() {
+    this.initializePositionedElement();
+    this.positionedElement.activate();
+    this.menubar.handleMenuOpen(this);
+  }
+
+  onClosedEnter() {
+    this.menu.closeSubmenus();
+    this.positionedElement?.deactivate();
+    this.menubar.handleMenuClose(this);
+  }
+
+  afterUpdate() {
+    const trigger = this.getPart("trigger");
+    if (trigger !== this.trigger) {
+      this.trigger.removeEventListener("click", this.handleTriggerClick);
+      this.positionedElement?.destroy();
+      this.positionedElement = null;
+      this.trigger = trigger;
+      this.trigger.addEventListener("click", this.handleTriggerClick);
+    }
+    this.disabled = this.trigger.getAttribute("data-disabled") !== null;
+
+    // Positioning is bound to the positioner element, rebuild it if replaced
+    const positioner = this.getPart("positioner") || this.positioner;
+    if (positioner !== this.positioner) {
+      this.positionedElement?.destroy();
+      this.positionedElement = null;
+      this.positioner = positioner;
+    }
+
+    const content = this.positioner.querySelector("[data-part='content']");
+    if (content === this.content) {
+      this.menu.updated();
+    } else {
+      this.content.removeEventListener("keydown", this.handleContentKeyDown);
+      this.menu.destroy();
+      this.content = content;
+      this.content.addEventListener("keydown", this.handleContentKeyDown);
+      this.menu = this.createMenu();
+    }
+
+    if (this.state === "open" && !this.positionedElement?.active) {
+      this.initializePositionedElement();
+      this.positionedElement.activate();
+    }
+  }
+
+  beforeDestroy() {
+    this.trigger?.removeEventListener("click", this.handleTriggerClick);
+    this.content?.removeEventListener("keydown", this.handleContentKeyDown);
+
+    if (this.positionedElement) {
+      this.positionedElement.destroy();
+      this.positionedElement = null;
+    }
+
+    if (this.menu) {
+      this.menu.destroy();
+      this.menu = null;
+    }
+  }
+}
+
+/**
+ * MenubarComponent class for SaladUI framework
+ * Desktop-style bar of menus (File, Edit, View...) following the WAI-ARIA
+ * menubar pattern: one trigger is tabbable, arrow keys move between the
+ * triggers and, once a menu is open, between the menus
+ */
+class MenubarComponent extends Component {
+  constructor(el, hookContext) {
+    super(el, { hookContext, initialState: "closed" });
+
+    this.activeMenu = null;
+    this.menus = this.queryMenuElements().map(
+      (element) => new MenubarMenu(element, this),
+    );
+    this.initializeCollection();
+  }
+
+  getComponentConfig() {
+    return {
+      stateMachine: {
+        closed: {
+          transitions: {
+            open: "open",
+          },
+        },
+        open: {
+          transitions: {
+            close: "closed",
+          },
+        },
+      },
+      events: {},
+      ariaConfig: {
+        root: {
+          all: {
+            role: "menubar",
+          },
+        },
+      },
+    };
+  }
+
+  isNestedScope(node) {
+    return super.isNestedScope(node) || node.dataset?.part === "menu";
+  }
+
+  queryMenuElements() {
+    return Array.from(this.el.querySelectorAll("[data-part='menu']")).filter(
+      (element) => element.parentElement.closest("[data-part='menu']") === null,
+    );
+  }
+
+  initializeCollection() {
+    const focusedValue = this.collection?.focusedItem?.value;
+
+    this.collection = new Collection({
+      type: "single",
+      getItemValue: (menu) => menu.value,
+      isItemDisabled: (menu) => menu.disabled,
+    });
+
+    this.menus.forEach((menu) => {
+      this.collection.add(menu);
+      menu.trigger.setAttribute("tabindex", "-1");
+    });
+
+    // Only one trigger is in the tab sequence
+    const tabbable =
+      this.collection.getItemByValue(this.activeMenu?.value ?? focusedValue) ||
+      this.collection.getItem("first");
+    if (tabbable) {
+      this.collection.focusedItem = tabbable;
+      tabbable.focused = true;
+      tabbable.instance.trigger.setAttribute("tabindex", "0");
+    }
+  }
+
+  /**
+   * Focus another trigger. While a menu is open, its menu opens instead.
+   *
+   * @param {string} direction - "next", "prev", "first" or "last"
+   */
+  moveFocus(direction) {
+    const target = this.collection.getItem(
+      direction,
+      this.collection.focusedItem,
+    );
+    if (!target) return;
+
+    if (this.activeMenu) {
+      this.openMenu(target.instance, "first");
+    } else {
+      this.collection.focus(target);
+    }
+  }
+
+  /**
+   * Open a menu, closing the open one
+   *
+   * @param {MenubarMenu} menu - Menu to open
+   * @param {string} focus - Item to focus, "first" or "last", the trigger keeps focus if omitted
+   */
+  openMenu(menu, focus = null) {
+    if (menu.disabled) return;
+
+    this.collection.focus(this.collection.getItemByInstance(menu));
+    menu.transition("open");
+
+    if (focus) menu.menu.activate(focus);
+  }
+
+  /**
+   * Close the open menu
+   *
+   * @param {boolean} focusTrigger - Whether to move focus back to its trigger
+   */
+  closeMenu(focusTrigger = false) {
+    const menu = this.activeMenu;
+    if (!menu) return;
+
+    menu.transition("close");
+    if (focusTrigger) menu.trigger.focus();
+  }
+
+  handleMenuOpen(menu) {
+    const previousMenu = this.activeMenu;
+    this.activeMenu = menu;
+
+    if (previousMenu && previousMenu !== menu) {
+      previousMenu.transition("close");
+    }
+
+    this.transition("open");
+    this.pushEvent("opened", { value: menu.value });
+  }
+
+  /**
+   * Switching menus closes the previous one, only closing the active menu
+   * closes the menubar
+   */
+  handleMenuClose(menu) {
+    if (this.activeMenu !== menu) return;
+
+    this.activeMenu = null;
+    this.transition("close");
+    this.pushEvent("closed", { value: menu.value });
+  }
+
+  afterUpdate() {
+    const existing = new Map(this.menus.map((menu) => [menu.el, menu]));
+
+    this.menus = this.queryMenuElements().map((element) => {
+      const menu = existing.get(element);
+      if (!menu) return new MenubarMenu(element, this);
+
+      existing.delete(element);
+      menu.updated();
+      return menu;
+    });
+
+    // Menus no longer rendered by the server
+    existing.forEach((menu) => {
+      if (menu === this.activeMenu) {
+        this.activeMenu = null;
+        this.transition("close");
+      }
+      menu.destroy();
+    });
+
+    this.initializeCollection();
+  }
+
+  beforeDestroy() {
+    this.menus.forEach((menu) => menu.destroy());
+    this.menus = [];
+    this.activeMenu = null;
+    this.collection = null;
+  }
+}
+
+// Register the component
+SaladUI.register("menubar", MenubarComponent);
+
+export default MenubarComponent;
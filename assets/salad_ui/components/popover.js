@@ -13,9 +13,6 @@ class PopoverComponent extends Component {
     this.content = this.positioner
       ? this.positioner.querySelector("[data-part='content']")
       : null;
-
-    // Set keyboard navigation defaults
-    this.config.preventDefaultKeys = ["Escape"];
   }
 
   getComponentConfig() {
@@ -41,9 +38,8 @@ class PopoverComponent extends Component {
           keyMap: {},
         },
         open: {
-          keyMap: {
-            Escape: "close",
-          },
+          // Escape is dispatched by the layer stack
+          keyMap: {},
         },
       },
       hiddenConfig: {
@@ -75,6 +71,27 @@ class PopoverComponent extends Component {
     };
   }
 
+  afterUpdate() {
+    this.trigger = this.getPart("trigger");
+
+    // Positioning is bound to the positioner element, rebuild it if replaced
+    const positioner = this.getPart("positioner") || this.positioner;
+    if (positioner !== this.positioner) {
+      this.positionedElement?.destroy();
+      this.positionedElement = null;
+      this.positioner = positioner;
+    }
+
+    this.content = this.positioner
+      ? this.positioner.querySelector("[data-part='content']")
+      : null;
+
+    if (this.state === "open" && !this.positionedElement) {
+      this.initializePositionedElement();
+      this.positionedElement?.activate();
+    }
+  }
+
   /**
    * Initializes the positioned element if the positioner and trigger exist and the positioned element is not already created.
    * Extracts placement configuration from DOM attributes and creates a new PositionedElement instance.
@@ -105,6 +122,7 @@ class PopoverComponent extends Component {
           portalContainer: document.querySelector(this.options.portalContainer),
           trapFocus: true,
           onOutsideClick: () => this.transition("close"),
+          onEscape: () => this.transition("close"),
         },
       );
     }
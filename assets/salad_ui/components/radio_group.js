@@ -2,6 +2,7 @@
 import Component from "../core/component";
 import SaladUI from "../index";
 import Collection from "../core/collection";
+import Typeahead from "../core/typeahead";
 
 class RadioGroupComponent extends Component {
   constructor(el, hookContext) {
@@ -20,6 +21,10 @@ class RadioGroupComponent extends Component {
       "End",
     ];
 
+    this.typeahead = new Typeahead({
+      getItemLabel: (item) => this.getItemLabel(item.instance),
+    });
+
     // Initialize collection manager for radio items
     this.initializeCollection();
   }
@@ -89,6 +94,21 @@ class RadioGroupComponent extends Component {
     this.updateItemStates();
   }
 
+  afterUpdate({ previousOptions }) {
+    this.items = this.getAllParts("item");
+
+    // Keep the checked item unless the server changed the value
+    const serverValue = this.options.initialValue;
+    const value =
+      serverValue !== undefined && serverValue !== previousOptions.initialValue
+        ? serverValue
+        : this.collection.getValue();
+
+    this.initializeCollection();
+    this.collection.setValues(value);
+    this.updateItemStates();
+  }
+
   handleItemClick(event) {
     const item = event.currentTarget;
     if (item.getAttribute("data-disabled") === "true") return;
@@ -152,6 +172,39 @@ class RadioGroupComponent extends Component {
     });
   }
 
+  /**
+   * Radio items are usually labelled by a <label> outside of the item
+   */
+  getItemLabel(item) {
+    const input = item.querySelector('input[type="radio"]');
+    return (
+      item.getAttribute("aria-label") ||
+      item.getAttribute("data-label") ||
+      input?.labels?.[0]?.textContent ||
+      item.textContent.trim() ||
+      item.getAttribute("data-value")
+    );
+  }
+
+  /**
+   * Type to check the next item whose label starts with the typed characters
+   */
+  handleTypeahead(event) {
+    const focusedItem = this.collection.getItemByInstance(
+      event.target.closest?.("[data-part='item']"),
+    );
+    const item = this.typeahead.handleKey(
+      event,
+      this.collection,
+      focusedItem ||
+        this.collection.getItemByValue(this.collection.getValue()),
+    );
+    if (!item) return;
+
+    item.instance.focus();
+    this.selectItem(item.instance);
+  }
+
   navigateItem(direction) {
     const currentValue = this.collection.getValue();
     const currentItem = this.collection.getItemByValue(currentValue);
@@ -186,6 +239,8 @@ class RadioGroupComponent extends Component {
   setupComponentEvents() {
     super.setupComponentEvents();
 
+    this.typeahead.listen([this.el], (event) => this.handleTypeahead(event));
+
     this.el.addEventListener("focus", (e) => {
       // Only handle focus if the group itself was focused (not a child)
       if (e.target === this.el) {
@@ -209,6 +264,7 @@ class RadioGroupComponent extends Component {
 
   // Clean up when the component is destroyed
   beforeDestroy() {
+    this.typeahead.destroy();
     this.collection = null;
   }
 }
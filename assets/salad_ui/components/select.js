@@ -3,6 +3,7 @@ import Component from "../core/component";
 import SaladUI from "../index";
 import Collection from "../core/collection";
 import PositionedElement from "../core/positioned-element";
+import Typeahead from "../core/typeahead";
 
 /**
  * SelectItem class to manage individual select options
@@ -135,6 +136,7 @@ class SelectComponent extends Component {
 
     // Get configuration from options
     this.multiple = this.options.multiple || false;
+    this.maxSelected = this.options.maxSelected || null;
     this.usePortal = this.options.hasOwnProperty("usePortal")
       ? this.options.usePortal
       : false;
@@ -157,12 +159,19 @@ class SelectComponent extends Component {
       "End",
       "Enter",
       " ",
-      "Escape",
     ];
 
+    this.handleChipClick = this.handleChipClick.bind(this);
+    this.handleTriggerKeyDown = this.handleTriggerKeyDown.bind(this);
+    this.handleTypeahead = this.handleTypeahead.bind(this);
+    this.typeahead = new Typeahead({
+      getItemLabel: (item) => item.instance.label,
+    });
+
     // Initialize select items
     this.initializeItems();
     this.initializePlaceholder();
+    this.syncHiddenInputs();
   }
 
   getComponentConfig() {
@@ -203,7 +212,6 @@ class SelectComponent extends Component {
         open: {
           keyEventTarget: "content",
           keyMap: {
-            Escape: "close",
             ArrowUp: () => this.navigateItem("prev"),
             ArrowDown: () => this.navigateItem("next"),
             Home: () => this.navigateItem("first"),
@@ -234,16 +242,59 @@ class SelectComponent extends Component {
         content: {
           all: {
             role: "listbox",
+            multiselectable: () => (this.options.multiple ? "true" : null),
           },
         },
       },
     };
   }
 
-  initializeItems() {
-    const itemElements = Array.from(
-      this.el.querySelectorAll("[data-part='item']"),
+  setupComponentEvents() {
+    super.setupComponentEvents();
+
+    // Capture phase, so removing a chip doesn't also toggle the trigger
+    this.el.addEventListener("click", this.handleChipClick, true);
+    this.el.addEventListener("keydown", this.handleTriggerKeyDown);
+
+    // The content may be portalled, so listen on it as well as the trigger
+    this.typeahead.listen([this.trigger, this.content], this.handleTypeahead);
+  }
+
+  /**
+   * Type to select: highlight the matching item while open, select it
+   * directly while closed like a native select
+   */
+  handleTypeahead(event) {
+    if (this.disabled) return;
+
+    if (this.state === "open") {
+      const item = this.typeahead.handleKey(
+        event,
+        this.collection,
+        this.collection.focusedItem,
+      );
+      if (item) this.collection.focus(item);
+      return;
+    }
+
+    const [selectedValue] = this.collection.getValue(true);
+    const item = this.typeahead.handleKey(
+      event,
+      this.collection,
+      this.collection.getItemByValue(selectedValue),
     );
+    if (!item) return;
+
+    if (this.multiple) {
+      // Highlighted by onOpenEnter, which runs once the open animation is over
+      this.transition("open", { typeaheadValue: item.value });
+    } else if (!item.selected) {
+      this.selectValue(item.value);
+    }
+  }
+
+  initializeItems() {
+    const itemElements = this.queryItemElements();
 
     itemElements.map((element) => {
       // Create a SelectItem instance for each item
@@ -261,6 +312,92 @@ class SelectComponent extends Component {
     this.updateValueDisplay();
   }
 
+  queryItemElements() {
+    const root = this.content || this.el;
+    return Array.from(root.querySelectorAll("[data-part='item']"));
+  }
+
+  afterUpdate({ previousOptions }) {
+    this.trigger = this.getPart("trigger");
+    this.valueDisplay = this.getPart("value");
+    this.disabled = this.el.dataset.disabled === "true";
+
+    // Content may have been replaced by the patch, rebuild positioning for it
+    const content = this.getPart("content") || this.content;
+    if (content !== this.content) {
+      this.positionedElement?.destroy();
+      this.positionedElement = null;
+      this.content = content;
+
+      if (this.state === "open") {
+        this.initializePositionedElement();
+        this.positionedElement?.activate();
+      }
+    }
+
+    // Only follow the server value when it actually changed
+    const serverValue = this.options.value;
+    if (
+      serverValue !== undefined &&
+      JSON.stringify(serverValue) !== JSON.stringify(previousOptions.value)
+    ) {
+      this.collection.setValues(serverValue);
+    }
+
+    this.maxSelected = this.options.maxSelected || null;
+    this.typeahead.listen([this.trigger, this.content], this.handleTypeahead);
+
+    this.reconcileItems();
+    this.updateValueDisplay();
+    this.syncHiddenInputs();
+  }
+
+  /**
+   * Sync item instances with item elements, keeping the ones that survived
+   * the patch and the highlighted item
+   */
+  reconcileItems() {
+    const itemElements = this.queryItemElements();
+    const focusedValue = this.collection.focusedItem?.value;
+    const existing = new Map(
+      this.collection.items.map((collectionItem) => [
+        collectionItem.instance.el,
+        collectionItem.instance,
+      ]),
+    );
+
+    this.collection.clear();
+
+    itemElements.forEach((element) => {
+      const value = element.dataset.value;
+      const isSelected = this.collection.isValueSelected(value);
+      let item = existing.get(element);
+
+      if (item) {
+        existing.delete(element);
+        item.value = value;
+        item.disabled = element.dataset.disabled === "true";
+        item.label = element.textContent.trim();
+        item.handleEvent(isSelected ? "select" : "unselect");
+        item.updateUI();
+        item.updatePartsVisibility();
+      } else {
+        item = new SelectItem(element, this, {
+          initialState: isSelected ? "checked" : "unchecked",
+        });
+      }
+      this.collection.add(item);
+    });
+
+    // Items no longer rendered by the server
+    existing.forEach((item) => item.destroy());
+
+    const focusedItem = this.collection.getItemByValue(focusedValue);
+    if (focusedItem && this.state === "open") {
+      this.collection.focus(focusedItem);
+    }
+  }
+
   initializePlaceholder() {
     if (!this.valueDisplay) return;
 
@@ -294,6 +431,7 @@ class SelectComponent extends Component {
         portalContainer: portalContainer || document.body,
         trapFocus: false,
         onOutsideClick: () => this.transition("close"),
+        onEscape: () => this.transition("close"),
       });
     }
   }
@@ -305,7 +443,7 @@ class SelectComponent extends Component {
     this.pushEvent("closed");
   }
 
-  onOpenEnter() {
+  onOpenEnter({ typeaheadValue } = {}) {
     // Initialize positioned element
     this.initializePositionedElement();
 
@@ -314,8 +452,13 @@ class SelectComponent extends Component {
       this.positionedElement.activate();
     }
 
-    // Highlight first selected item or first item
-    this.highlightFirstSelectedOrFirstItem();
+    // Highlight the typed item, the first selected item or the first item
+    const typeaheadItem = this.collection.getItemByValue(typeaheadValue);
+    if (typeaheadItem) {
+      this.collection.focus(typeaheadItem);
+    } else {
+      this.highlightFirstSelectedOrFirstItem();
+    }
 
     this.pushEvent("opened");
   }
@@ -332,22 +475,69 @@ class SelectComponent extends Component {
     const collectionItem = this.collection.getItemByValue(value);
     if (!collectionItem) return;
 
+    // Don't select more than maxSelected items, unselecting is always allowed
+    if (!collectionItem.selected && this.isMaxSelected()) return;
+
     // Toggle item selection
     this.collection.select(collectionItem);
 
     // Update value display
     this.updateValueDisplay();
 
-    // Close dropdown if single select
-    if (!this.multiple) {
-      this.transition("select");
-    }
+    // Close dropdown if single select, multiple select stays open while
+    // toggling. Typeahead selects while closed.
+    if (!this.multiple) this.transition("select");
+    this.syncHiddenInputs();
 
     // Emit event with current value
     const selectedValue = this.collection.getValue();
     this.pushEvent("value-changed", { value: selectedValue });
   }
 
+  /**
+   * Unselect a value from its chip, without opening the content
+   */
+  removeValue(value) {
+    const collectionItem = this.collection.getItemByValue(value);
+    if (!collectionItem?.selected || this.disabled) return;
+
+    this.selectValue(value);
+  }
+
+  handleChipClick(event) {
+    const removeButton = event.target.closest("[data-part='chip-remove']");
+    if (!removeButton || !this.el.contains(removeButton)) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+
+    const chip = removeButton.closest("[data-part='chip']");
+    this.removeValue(chip?.dataset.value);
+  }
+
+  /**
+   * Chips are inside the trigger button, they can't hold buttons of their
+   * own: Backspace on the trigger removes the last selected value
+   */
+  handleTriggerKeyDown(event) {
+    if (!this.multiple || event.key !== "Backspace") return;
+    if (!this.trigger?.contains(event.target)) return;
+
+    const values = this.collection.getValue(true);
+    if (values.length === 0) return;
+
+    event.preventDefault();
+    this.removeValue(values[values.length - 1]);
+  }
+
+  isMaxSelected() {
+    return (
+      this.multiple &&
+      this.maxSelected !== null &&
+      this.collection.getValue(true).length >= this.maxSelected
+    );
+  }
+
   handleItemFocus(item) {
     const collectionItem = this.collection.getItemByInstance(item);
     if (!collectionItem) return;
@@ -362,25 +552,17 @@ class SelectComponent extends Component {
     const placeholder =
       this.valueDisplay.getAttribute("data-placeholder") || "Select an option";
 
+    if (this.multiple) {
+      this.updateMaxSelectedState();
+      this.renderChips(selectedValues);
+    }
+
     if (selectedValues.length === 0) {
       // No selection, show placeholder
       this.valueDisplay.setAttribute("data-content", placeholder);
     } else if (this.multiple) {
-      // Multiple selection
-      if (selectedValues.length === 1) {
-        // Get the label from the selected item
-        const selectedItem = this.collection.getItemByValue(selectedValues[0]);
-        this.valueDisplay.setAttribute(
-          "data-content",
-          selectedItem.instance.label,
-        );
-      } else {
-        // Show count for multiple selections
-        this.valueDisplay.setAttribute(
-          "data-content",
-          `${selectedValues.length} items selected`,
-        );
-      }
+      // Multiple selection is rendered as chips
+      this.valueDisplay.setAttribute("data-content", "");
     } else {
       // Single selection - get label from the selected item
       const selectedItem = this.collection.getItemByValue(selectedValues[0]);
@@ -391,6 +573,57 @@ class SelectComponent extends Component {
     }
   }
 
+  /**
+   * Render selected values as removable chips inside the value part
+   */
+  renderChips(selectedValues) {
+    const chips = selectedValues
+      .map((value) => this.collection.getItemByValue(value))
+      .filter(Boolean)
+      .map((collectionItem) => this.createChip(collectionItem));
+
+    this.valueDisplay.replaceChildren(...chips);
+  }
+
+  createChip(collectionItem) {
+    const label = collectionItem.instance.label;
+
+    const chip = document.createElement("span");
+    chip.setAttribute("data-part", "chip");
+    chip.setAttribute("data-value", collectionItem.value);
+    chip.className =
+      "pointer-events-auto mr-1 inline-flex items-center gap-1 rounded-sm bg-secondary px-1.5 py-0.5 text-xs text-secondary-foreground";
+
+    const text = document.createElement("span");
+    text.textContent = label;
+
+    // Pointer only, keyboard users remove values with Backspace
+    const removeButton = document.createElement("span");
+    removeButton.setAttribute("data-part", "chip-remove");
+    removeButton.setAttribute("aria-hidden", "true");
+    removeButton.className = "cursor-pointer opacity-50 hover:opacity-100";
+    removeButton.textContent = "×";
+
+    chip.append(text, removeButton);
+    return chip;
+  }
+
+  /**
+   * Mark unselected items as unavailable once maxSelected is reached
+   */
+  updateMaxSelectedState() {
+    const maxReached = this.isMaxSelected();
+
+    this.el.toggleAttribute("data-max-selected", maxReached);
+    this.collection.items.forEach((collectionItem) => {
+      if (maxReached && !collectionItem.selected) {
+        collectionItem.instance.el.setAttribute("aria-disabled", "true");
+      } else if (!collectionItem.instance.disabled) {
+        collectionItem.instance.el.removeAttribute("aria-disabled");
+      }
+    });
+  }
+
   // Navigation methods
   navigateItem(direction) {
     // Check if we have an active highlighted item
@@ -414,7 +647,7 @@ class SelectComponent extends Component {
 
   highlightFirstSelectedOrFirstItem() {
     // Try to highlight the first selected item
-    const selectedValue = this.collection.getValue();
+    const [selectedValue] = this.collection.getValue(true);
 
     const selectedItem =
       this.collection.getItemByValue(selectedValue) ||
@@ -429,17 +662,21 @@ class SelectComponent extends Component {
     // Get the selected values
     const values = this.collection.getValue(true);
     const name = this.options.name || "";
+    if (!name) return;
 
     // Remove existing hidden inputs
     const existingInputs = this.el.querySelectorAll("input[type='hidden']");
     existingInputs.forEach((input) => input.remove());
 
-    // Create new hidden inputs
+    // Create new hidden inputs, `name[]` so Phoenix receives a list. An
+    // empty value keeps the param when nothing is selected, so that the
+    // server can clear its list.
     if (this.multiple) {
-      values.forEach((value) => {
+      const listName = name.endsWith("[]") ? name : `${name}[]`;
+      (values.length > 0 ? values : [""]).forEach((value) => {
         const input = document.createElement("input");
         input.type = "hidden";
-        input.name = name;
+        input.name = listName;
         input.value = value;
         this.el.appendChild(input);
       });
@@ -455,6 +692,10 @@ class SelectComponent extends Component {
 
   // Cleanup
   beforeDestroy() {
+    this.el.removeEventListener("click", this.handleChipClick, true);
+    this.el.removeEventListener("keydown", this.handleTriggerKeyDown);
+    this.typeahead.destroy();
+
     if (this.positionedElement) {
       this.positionedElement.destroy();
       this.positionedElement = null;
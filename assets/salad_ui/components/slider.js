@@ -2,6 +2,48 @@
 import Component from "../core/component";
 import SaladUI from "../index";
 
+// Centers an element on its position, by the edge it is positioned from
+const CENTER_TRANSFORMS = {
+  left: "translateX(-50%)",
+  right: "translateX(50%)",
+  bottom: "translateY(50%)",
+  top: "translateY(-50%)",
+};
+
+// Duration (ms) of the glide to a point pressed on the track
+const TRACK_PRESS_DURATION = 150;
+
+// PageUp/PageDown move by this many steps
+const PAGE_STEPS = 10;
+
+/**
+ * Number of decimals of a step, used to round away float errors
+ */
+function getDecimalCount(value) {
+  return (String(value).split(".")[1] || "").length;
+}
+
+/**
+ * Parse the `data-value` attribute: a number, or a JSON array of numbers for
+ * several thumbs
+ */
+function parseValueAttribute(value) {
+  try {
+    return JSON.parse(value);
+  } catch (_error) {
+    return parseFloat(value);
+  }
+}
+
+/**
+ * Normalize a `marks` option entry, a number or `{ value, label }`
+ */
+function parseMark(mark) {
+  return typeof mark === "object"
+    ? { value: parseFloat(mark.value), label: mark.label ?? mark.value }
+    : { value: parseFloat(mark), label: mark };
+}
+
 class SliderComponent extends Component {
   constructor(el, hookContext) {
     super(el, { hookContext });
@@ -9,9 +51,13 @@ class SliderComponent extends Component {
     // Get slider elements
     this.track = this.getPart("track");
     this.range = this.getPart("range");
-    this.thumb = this.getPart("thumb");
+    this.thumbs = this.getAllParts("thumb");
+
+    // Thumb moved by the keyboard or the pointer
+    this.activeThumbIndex = 0;
 
-    // Initialize values
+    // Initialize marks, then values as they may snap to them
+    this.initializeMarks();
     this.parseValues();
 
     // Add drag handling
@@ -22,24 +68,59 @@ class SliderComponent extends Component {
     this.updatePosition();
   }
 
+  /**
+   * Value pushed to the server: a number with one thumb, an array otherwise
+   */
+  get value() {
+    return this.values.length > 1 ? [...this.values] : this.values[0];
+  }
+
   parseValues() {
     // Get values from options with defaults
     this.min = parseFloat(this.options.min || 0);
     this.max = parseFloat(this.options.max || 100);
     this.step = parseFloat(this.options.step || 1);
+    this.minStepsBetweenThumbs = parseInt(
+      this.options.minStepsBetweenThumbs || 0,
+      10,
+    );
+    this.orientation =
+      this.options.orientation === "vertical" ? "vertical" : "horizontal";
+    this.inverted = !!this.options.inverted;
     this.disabled = !!this.options.disabled;
+    this.snapToMarks = !!this.options.snapToMarks;
+    this.throttle = parseInt(this.options.throttle ?? 100, 10);
 
     // Get value from data attribute, fallback to defaultValue from options, then to min
     const dataValue = this.el.dataset.value;
     const defaultValue = this.options.defaultValue;
-    this.value = parseFloat(
+    const value =
       dataValue !== undefined && dataValue !== null
-        ? dataValue
-        : (defaultValue !== undefined ? defaultValue : this.min),
-    );
+        ? parseValueAttribute(dataValue)
+        : defaultValue !== undefined && defaultValue !== null
+          ? defaultValue
+          : this.min;
+
+    this.setValues([].concat(value));
+  }
+
+  /**
+   * Set all thumb values at once: sorted, clamped to min/max and snapped to
+   * the step, or the marks. There is one value per thumb.
+   */
+  setValues(values) {
+    const sorted = values
+      .map((value) => this.snapValue(parseFloat(value)))
+      .filter((value) => !isNaN(value))
+      .sort((a, b) => a - b);
+    if (sorted.length === 0) sorted.push(this.min);
+
+    // Thumbs without a value of their own stack on the last one
+    while (sorted.length < this.thumbs.length) {
+      sorted.push(sorted[sorted.length - 1]);
+    }
 
-    // Clamp value to min/max
-    this.value = Math.max(this.min, Math.min(this.max, this.value));
+    this.values = sorted;
   }
 
   getComponentConfig() {
@@ -62,12 +143,14 @@ class SliderComponent extends Component {
       events: {
         idle: {
           keyMap: {
-            ArrowLeft: () => this.decrementValue(),
-            ArrowRight: () => this.incrementValue(),
-            ArrowDown: () => this.decrementValue(),
-            ArrowUp: () => this.incrementValue(),
-            Home: () => this.setValueAndUpdate(this.min),
-            End: () => this.setValueAndUpdate(this.max),
+            ArrowLeft: (event) => this.handleStepKey(event),
+            ArrowRight: (event) => this.handleStepKey(event),
+            ArrowDown: (event) => this.handleStepKey(event),
+            ArrowUp: (event) => this.handleStepKey(event),
+            PageUp: (event) => this.handlePageKey(event, 1),
+            PageDown: (event) => this.handlePageKey(event, -1),
+            Home: (event) => this.handleEdgeKey(event, this.min),
+            End: (event) => this.handleEdgeKey(event, this.max),
           },
         },
         dragging: {
@@ -76,13 +159,14 @@ class SliderComponent extends Component {
       },
       ariaConfig: {
         root: {
+          all: {
+            disabled: () => (this.disabled ? "true" : null),
+          },
+        },
+        // Values are set on each thumb by updatePosition
+        thumb: {
           all: {
             role: "slider",
-            valuemin: () => this.min?.toString(),
-            valuemax: () => this.max?.toString(),
-            valuenow: () => this.value?.toString(),
-            valuetext: () => this.value?.toString(),
-            orientation: "horizontal",
             disabled: () => (this.disabled ? "true" : null),
           },
         },
@@ -90,149 +174,527 @@ class SliderComponent extends Component {
     };
   }
 
+  afterUpdate() {
+    this.track = this.getPart("track");
+    this.range = this.getPart("range");
+    this.thumbs = this.getAllParts("thumb");
+    this.initializeMarks();
+
+    // The value being dragged wins over the rendered one
+    if (this.state !== "dragging") {
+      this.parseValues();
+    }
+    this.updatePosition();
+  }
+
+  /**
+   * Index of the thumb an event happened on, the active one otherwise
+   */
+  getThumbIndex(target) {
+    const thumb = target?.closest?.("[data-part='thumb']");
+    const index = this.thumbs.indexOf(thumb);
+    return index === -1 ? this.activeThumbIndex : index;
+  }
+
+  /**
+   * Index of the thumb closest to a value. Between stacked thumbs, the one
+   * that can move toward the value is picked.
+   */
+  getClosestThumbIndex(value) {
+    let closestIndex = 0;
+    let closestDistance = Infinity;
+
+    this.values.forEach((thumbValue, index) => {
+      const distance = Math.abs(thumbValue - value);
+      if (
+        distance < closestDistance ||
+        (distance === closestDistance && value > thumbValue)
+      ) {
+        closestIndex = index;
+        closestDistance = distance;
+      }
+    });
+
+    return closestIndex;
+  }
+
+  /**
+   * Collect the tick marks: the rendered `mark` parts, or the `marks` option
+   * rendered next to the track when the server didn't
+   */
+  initializeMarks() {
+    let elements = this.getAllParts("mark");
+
+    if (elements.length === 0 && Array.isArray(this.options.marks)) {
+      elements = this.options.marks.map((mark) =>
+        this.createMark(parseMark(mark)),
+      );
+    }
+
+    this.marks = elements
+      .map((element) => ({ value: parseFloat(element.dataset.value), element }))
+      .filter((mark) => !isNaN(mark.value))
+      .sort((a, b) => a.value - b.value);
+  }
+
+  createMark({ value, label }) {
+    const element = document.createElement("span");
+    element.setAttribute("data-part", "mark");
+    element.setAttribute("data-value", value);
+    element.className = [
+      "absolute whitespace-nowrap text-xs text-muted-foreground data-[in-range]:text-foreground",
+      this.options.orientation === "vertical" ? "left-full ml-3" : "top-full mt-2",
+    ].join(" ");
+    element.textContent = label;
+
+    // Positioned along the track, like the thumbs
+    (this.track?.parentElement || this.el).appendChild(element);
+    return element;
+  }
+
+  /**
+   * Snap a value to the closest mark with `snapToMarks`, to the step otherwise
+   */
+  snapValue(value) {
+    if (!this.snapToMarks || this.marks.length === 0) {
+      return this.snapToStep(value);
+    }
+
+    const closest = this.marks.reduce((closest, mark) =>
+      Math.abs(mark.value - value) < Math.abs(closest.value - value)
+        ? mark
+        : closest,
+    );
+    return Math.max(this.min, Math.min(this.max, closest.value));
+  }
+
+  /**
+   * Value some steps away from a value, the next mark with `snapToMarks`
+   *
+   * @param {number} value - Value to move from
+   * @param {number} direction - 1 toward max, -1 toward min
+   * @param {number} steps - Number of steps to move by
+   */
+  getSteppedValue(value, direction, steps = 1) {
+    if (!this.snapToMarks || this.marks.length === 0) {
+      return value + direction * steps * this.step;
+    }
+
+    const marks = direction > 0 ? this.marks : [...this.marks].reverse();
+    const next = marks.find((mark) =>
+      direction > 0 ? mark.value > value : mark.value < value,
+    );
+    return next ? next.value : value;
+  }
+
+  snapToStep(value) {
+    const stepped =
+      Math.round((value - this.min) / this.step) * this.step + this.min;
+    const decimals = Math.max(
+      getDecimalCount(this.step),
+      getDecimalCount(this.min),
+    );
+    const rounded = parseFloat(stepped.toFixed(decimals));
+
+    return Math.max(this.min, Math.min(this.max, rounded));
+  }
+
   setupDragHandling() {
     // Set up event handlers with proper binding
     this.onPointerMove = this.onPointerMove.bind(this);
     this.onPointerUp = this.onPointerUp.bind(this);
+    this.onPointerCancel = this.onPointerCancel.bind(this);
     this.onPointerDown = this.onPointerDown.bind(this);
-    // Mouse events
-    this.el.addEventListener("mousedown", this.onPointerDown);
 
-    // Touch events
-    this.el.addEventListener("touchstart", this.onPointerDown, {
-      passive: false,
-    });
+    // Pointer events cover mouse, touch and pen alike
+    this.el.addEventListener("pointerdown", this.onPointerDown);
   }
 
   onIdleEnter() {
-    // Set proper tabindex when component is idle (not being dragged)
-    this.el.setAttribute("tabindex", "0");
+    // Thumbs are focusable when the component is idle (not being dragged)
+    this.thumbs.forEach((thumb) =>
+      thumb.setAttribute("tabindex", this.disabled ? "-1" : "0"),
+    );
   }
 
   onDraggingEnter() {
-    // Add global event listeners
-    document.addEventListener("mousemove", this.onPointerMove);
-    document.addEventListener("touchmove", this.onPointerMove, {
-      passive: false,
-    });
-    document.addEventListener("mouseup", this.onPointerUp);
-    document.addEventListener("touchend", this.onPointerUp);
+    // The root captures the pointer, it gets its events wherever it goes
+    this.el.addEventListener("pointermove", this.onPointerMove);
+    this.el.addEventListener("pointerup", this.onPointerUp);
+    this.el.addEventListener("pointercancel", this.onPointerCancel);
   }
 
   onDraggingExit() {
-    // Remove global event listeners
-    document.removeEventListener("mousemove", this.onPointerMove);
-    document.removeEventListener("touchmove", this.onPointerMove);
-    document.removeEventListener("mouseup", this.onPointerUp);
-    document.removeEventListener("touchend", this.onPointerUp);
+    // The committed value supersedes a pending value-changing
+    clearTimeout(this.changingTimer);
+    this.changingTimer = null;
+
+    this.el.removeEventListener("pointermove", this.onPointerMove);
+    this.el.removeEventListener("pointerup", this.onPointerUp);
+    this.el.removeEventListener("pointercancel", this.onPointerCancel);
+
+    if (this.el.hasPointerCapture?.(this.dragPointerId)) {
+      this.el.releasePointerCapture(this.dragPointerId);
+    }
+    this.dragPointerId = null;
   }
 
   onPointerDown(event) {
-    // Skip if disabled
-    if (this.disabled) return;
+    // Skip if disabled, or for other buttons than the main one
+    if (this.disabled || event.button !== 0 || this.state === "dragging") {
+      return;
+    }
 
     // Prevent default to avoid text selection during drag
     event.preventDefault();
 
-    // Handle mousedown or touchstart
+    // Drag the pressed thumb, or the one closest to the pointer
+    const value = this.getValueFromPointer(event);
+    const thumb = event.target.closest?.("[data-part='thumb']");
+    this.activeThumbIndex = thumb
+      ? this.thumbs.indexOf(thumb)
+      : this.getClosestThumbIndex(value);
+
+    // Restored if the browser cancels the drag, e.g. to scroll
+    this.dragStartValues = [...this.values];
+    this.dragPointerId = event.pointerId;
+    this.el.setPointerCapture?.(event.pointerId);
+
+    this.lastChangingAt = 0;
     this.transition("drag");
+    this.thumbs[this.activeThumbIndex]?.focus();
+
+    // Pressing the track glides the thumb there
+    if (!thumb) this.animatePosition();
 
     // Update value based on pointer position
-    this.updateValueFromPointer(event);
+    if (this.setValueAndUpdate(value)) this.pushValueChanging();
   }
 
   onPointerMove(event) {
+    if (event.pointerId !== this.dragPointerId) return;
+
     // Prevent default to avoid scrolling during drag
     event.preventDefault();
 
+    // Follow the pointer without lagging behind a track press animation
+    this.stopAnimation();
+
     // Update value based on pointer position
-    this.updateValueFromPointer(event);
+    if (this.setValueAndUpdate(this.getValueFromPointer(event))) {
+      this.pushValueChanging();
+    }
   }
 
-  onPointerUp() {
+  onPointerUp(event) {
+    if (event.pointerId !== this.dragPointerId) return;
+
+    const changed = this.hasDragChanged();
+
     // End dragging
     this.transition("end");
 
-    // Notify of value change
-    this.pushEvent("value-changed", { value: this.value });
+    // Notify of value change, a plain click on a thumb changes nothing
+    if (changed) {
+      this.pushEvent("value-changed", { value: this.value });
+      this.pushEvent("value-committed", { value: this.value });
+    } else if (this.lastChangingAt) {
+      // Dragged back to where it started, after value-changing events
+      this.pushEvent("value-changing", { value: this.value });
+    }
+  }
+
+  /**
+   * The drag was interrupted (scroll gesture, lost pointer...), go back to
+   * the value it started from
+   */
+  onPointerCancel(event) {
+    if (event.pointerId !== this.dragPointerId) return;
+
+    const changed = this.hasDragChanged();
+
+    this.transition("end");
+    this.values = this.dragStartValues;
+    this.updatePosition();
+
+    // The server may have followed the drag through value-changing
+    if (changed) this.pushEvent("value-changing", { value: this.value });
+  }
+
+  // Whether the thumbs moved since the drag started
+  hasDragChanged() {
+    return this.values.some(
+      (value, index) => value !== this.dragStartValues[index],
+    );
   }
 
-  updateValueFromPointer(event) {
-    // Get coordinates depending on event type
-    const clientX = event.touches ? event.touches[0].clientX : event.clientX;
+  /**
+   * Animate the thumbs and range to their next position
+   */
+  animatePosition() {
+    const transition = ["left", "right", "top", "bottom", "width", "height"]
+      .map((property) => `${property} ${TRACK_PRESS_DURATION}ms ease-out`)
+      .join(", ");
+
+    [this.range, ...this.thumbs].forEach((element) => {
+      if (element) element.style.transition = transition;
+    });
 
+    clearTimeout(this.animationTimer);
+    this.animationTimer = setTimeout(
+      () => this.stopAnimation(),
+      TRACK_PRESS_DURATION,
+    );
+  }
+
+  stopAnimation() {
+    if (!this.animationTimer) return;
+
+    clearTimeout(this.animationTimer);
+    this.animationTimer = null;
+    [this.range, ...this.thumbs].forEach((element) => {
+      if (element) element.style.transition = "";
+    });
+  }
+
+  /**
+   * Push the value while dragging, at most once per `throttle` ms. The last
+   * value of a burst is pushed once the interval is over.
+   */
+  pushValueChanging() {
+    clearTimeout(this.changingTimer);
+    this.changingTimer = null;
+
+    const elapsed = Date.now() - this.lastChangingAt;
+    if (elapsed >= this.throttle) {
+      this.lastChangingAt = Date.now();
+      this.pushEvent("value-changing", { value: this.value });
+    } else {
+      this.changingTimer = setTimeout(
+        () => this.pushValueChanging(),
+        this.throttle - elapsed,
+      );
+    }
+  }
+
+  /**
+   * Value under the pointer, along the slider axis
+   */
+  getValueFromPointer(event) {
     // Get track bounds
     const trackRect = this.track.getBoundingClientRect();
 
-    // Calculate percentage within track
-    let percentage = Math.max(
-      0,
-      Math.min(1, (clientX - trackRect.left) / trackRect.width),
-    );
+    // Calculate percentage within track, from the start edge
+    let percentage =
+      this.orientation === "vertical"
+        ? (trackRect.bottom - event.clientY) / trackRect.height
+        : (event.clientX - trackRect.left) / trackRect.width;
+    if (this.inverted) percentage = 1 - percentage;
+    percentage = Math.max(0, Math.min(1, percentage || 0));
 
-    // Calculate value based on percentage
-    const rawValue = this.min + percentage * (this.max - this.min);
+    return this.min + percentage * (this.max - this.min);
+  }
 
-    // Snap to step
-    const steppedValue = Math.round(rawValue / this.step) * this.step;
+  /**
+   * Arrow keys move the focused thumb by a step. Like the pointer, keys go
+   * toward the end of the slider, which `inverted` flips.
+   */
+  handleStepKey(event) {
+    const backKeys = !this.inverted
+      ? ["ArrowLeft", "ArrowDown"]
+      : this.orientation === "vertical"
+        ? ["ArrowLeft", "ArrowUp"]
+        : ["ArrowRight", "ArrowDown"];
+    const direction = backKeys.includes(event.key) ? -1 : 1;
 
-    // Set and update
-    this.setValueAndUpdate(steppedValue);
+    event.preventDefault();
+    this.activeThumbIndex = this.getThumbIndex(event.target);
+    this.commitValue(
+      this.getSteppedValue(this.values[this.activeThumbIndex], direction),
+    );
+  }
+
+  /**
+   * PageUp/PageDown move the focused thumb by a big step
+   */
+  handlePageKey(event, direction) {
+    event.preventDefault();
+    this.activeThumbIndex = this.getThumbIndex(event.target);
+    this.commitValue(
+      this.getSteppedValue(
+        this.values[this.activeThumbIndex],
+        direction,
+        PAGE_STEPS,
+      ),
+    );
+  }
+
+  handleEdgeKey(event, value) {
+    event.preventDefault();
+    this.activeThumbIndex = this.getThumbIndex(event.target);
+    this.commitValue(value);
   }
 
   incrementValue() {
-    this.setValueAndUpdate(Math.min(this.max, this.value + this.step));
-    this.pushEvent("value-changed", { value: this.value });
+    this.commitValue(
+      this.getSteppedValue(this.values[this.activeThumbIndex], 1),
+    );
   }
 
   decrementValue() {
-    this.setValueAndUpdate(Math.max(this.min, this.value - this.step));
-    this.pushEvent("value-changed", { value: this.value });
+    this.commitValue(
+      this.getSteppedValue(this.values[this.activeThumbIndex], -1),
+    );
   }
 
-  setValueAndUpdate(newValue) {
-    // Ensure value is within bounds
-    this.value = Math.max(this.min, Math.min(this.max, newValue));
+  /**
+   * Set the active thumb value and notify the server when it changed.
+   * Keyboard changes are committed right away.
+   */
+  commitValue(newValue) {
+    if (this.setValueAndUpdate(newValue)) {
+      this.pushEvent("value-changed", { value: this.value });
+      this.pushEvent("value-committed", { value: this.value });
+    }
+  }
+
+  /**
+   * Move the active thumb, snapped to the step or marks and kept between its
+   * neighbours: thumbs stay `minStepsBetweenThumbs` steps apart and can't
+   * pass each other
+   *
+   * @returns {boolean} Whether the value changed
+   */
+  setValueAndUpdate(newValue, index = this.activeThumbIndex) {
+    const gap = this.minStepsBetweenThumbs * this.step;
+    const lower = index > 0 ? this.values[index - 1] + gap : this.min;
+    const upper =
+      index < this.values.length - 1 ? this.values[index + 1] - gap : this.max;
+    const value = Math.max(lower, Math.min(upper, this.snapValue(newValue)));
+
+    if (value === this.values[index]) return false;
+
+    this.values[index] = value;
 
     // Update visual position
     this.updatePosition();
+    return true;
+  }
 
-    // Update ARIA attributes
-    this.el.setAttribute("aria-valuenow", this.value.toString());
-    this.el.setAttribute("aria-valuetext", this.value.toString());
+  getPercentage(value) {
+    if (this.max === this.min) return 0;
+    return ((value - this.min) / (this.max - this.min)) * 100;
   }
 
   updatePosition() {
-    // Calculate percentage for positioning
-    const percentage = ((this.value - this.min) / (this.max - this.min)) * 100;
+    const vertical = this.orientation === "vertical";
+    const startEdge = vertical
+      ? this.inverted
+        ? "top"
+        : "bottom"
+      : this.inverted
+        ? "right"
+        : "left";
+    const size = vertical ? "height" : "width";
+
+    // Calculate percentages for positioning
+    const percentages = this.values.map((value) => this.getPercentage(value));
+
+    // The range fills from the start with one thumb, between the first and
+    // last thumbs otherwise
+    const rangeStart = percentages.length > 1 ? percentages[0] : 0;
+    const rangeEnd = percentages[percentages.length - 1];
+    if (this.range) {
+      this.resetPosition(this.range);
+      this.range.style[startEdge] = `${rangeStart}%`;
+      this.range.style[size] = `${rangeEnd - rangeStart}%`;
+    }
 
-    // Update range width
-    this.range.style.width = `${percentage}%`;
+    // Get track dimensions
+    const trackSize = this.track.getBoundingClientRect()[size];
+
+    this.thumbs.forEach((thumb, index) => {
+      const percentage = percentages[index] ?? rangeEnd;
+
+      // Calculate the percentage offset needed to keep thumb fully within track
+      // This accounts for the thumb's size relative to the track
+      const thumbHalfPercentage = trackSize
+        ? (thumb.getBoundingClientRect()[size] / 2 / trackSize) * 100
+        : 0;
+
+      // Constrain the thumb position to keep it fully inside the track
+      const thumbPercentage = Math.max(
+        thumbHalfPercentage,
+        Math.min(100 - thumbHalfPercentage, percentage),
+      );
+
+      // Update thumb position, centered on its value
+      this.resetPosition(thumb);
+      thumb.style[startEdge] = `${thumbPercentage}%`;
+      thumb.style.transform = CENTER_TRANSFORMS[startEdge];
+
+      // Update ARIA attributes
+      const value = this.values[index]?.toString();
+      thumb.setAttribute("aria-valuemin", this.min.toString());
+      thumb.setAttribute("aria-valuemax", this.max.toString());
+      thumb.setAttribute("aria-valuenow", value);
+      thumb.setAttribute("aria-valuetext", value);
+      thumb.setAttribute("aria-orientation", this.orientation);
+    });
 
-    // Get track and thumb dimensions
-    const trackRect = this.track.getBoundingClientRect();
-    const thumbRect = this.thumb.getBoundingClientRect();
+    // Marks sit on their value, highlighted within the range
+    const rangeMin = this.values.length > 1 ? this.values[0] : this.min;
+    const rangeMax = this.values[this.values.length - 1];
+    this.marks.forEach(({ value, element }) => {
+      this.resetPosition(element);
+      element.style[startEdge] = `${this.getPercentage(value)}%`;
+      element.style.transform = CENTER_TRANSFORMS[startEdge];
+      element.toggleAttribute(
+        "data-in-range",
+        value >= rangeMin && value <= rangeMax,
+      );
+    });
 
-    // Calculate the percentage offset needed to keep thumb fully within track
-    // This accounts for the thumb's width relative to the track
-    const thumbHalfWidthPercentage =
-      (thumbRect.width / 2 / trackRect.width) * 100;
+    this.syncHiddenInputs();
+  }
 
-    // Constrain the thumb position to keep it fully inside the track
-    const thumbPercentage = Math.max(
-      thumbHalfWidthPercentage,
-      Math.min(100 - thumbHalfWidthPercentage, percentage),
+  // Clear positions of a previous orientation
+  resetPosition(element) {
+    ["left", "right", "top", "bottom", "width", "height"].forEach(
+      (property) => (element.style[property] = ""),
     );
+  }
+
+  // Form integration, one hidden input per thumb
+  syncHiddenInputs() {
+    const inputs = Array.from(this.el.querySelectorAll("input[type='hidden']"));
+    const name = this.options.name || inputs[0]?.name;
+    if (!name) return;
+
+    // `name[]` so Phoenix receives a list
+    const inputName =
+      this.values.length > 1 && !name.endsWith("[]") ? `${name}[]` : name;
+
+    this.values.forEach((value, index) => {
+      let input = inputs[index];
+      if (!input) {
+        input = document.createElement("input");
+        input.type = "hidden";
+        this.el.appendChild(input);
+      }
+
+      input.name = inputName;
+      input.value = value;
+    });
 
-    // Update thumb position
-    this.thumb.style.left = `${thumbPercentage}%`;
-    this.thumb.style.transform = "translateX(-50%)";
+    inputs.slice(this.values.length).forEach((input) => input.remove());
   }
 
   // Handle direct server-side commands
   handleCommand(command, params) {
     if (command === "setValue") {
-      this.setValueAndUpdate(parseFloat(params.value));
+      this.setValues([].concat(params.value));
+      this.updatePosition();
       return true;
     }
     return super.handleCommand(command, params);
@@ -240,13 +702,13 @@ class SliderComponent extends Component {
 
   // Clean up
   beforeDestroy() {
-    document.removeEventListener("mousemove", this.onPointerMove);
-    document.removeEventListener("touchmove", this.onPointerMove);
-    document.removeEventListener("mouseup", this.onPointerUp);
-    document.removeEventListener("touchend", this.onPointerUp);
+    clearTimeout(this.changingTimer);
+    clearTimeout(this.animationTimer);
+    this.el.removeEventListener("pointermove", this.onPointerMove);
+    this.el.removeEventListener("pointerup", this.onPointerUp);
+    this.el.removeEventListener("pointercancel", this.onPointerCancel);
     // Remove local event listeners
-    this.el.removeEventListener("mousedown", this.onPointerDown);
-    this.el.removeEventListener("touchstart", this.onPointerDown);
+    this.el.removeEventListener("pointerdown", this.onPointerDown);
   }
 }
 
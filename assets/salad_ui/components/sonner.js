@@ -1,4 +1,6 @@
 import SaladUI from "../index";
+import { layerStack } from "../core/layer-stack";
+import { matchesHotkey } from "../core/utils";
 
 /**
  * Global toast function for triggering toasts from JavaScript
@@ -16,25 +18,98 @@ import SaladUI from "../index";
  *   },
  * })
  *
+ * // In a named toaster, e.g. <.toaster name="sidebar" position="top-left" />
+ * toast("Filters saved", { toaster: "sidebar" })
+ *
+ * // A cancel button next to the action
+ * toast("Delete the file?", {
+ *   action: { label: "Delete", onClick: () => remove(file) },
+ *   cancel: { label: "Keep" },
+ * })
+ *
+ * // Actions can also push a LiveView event, or run a JS command
+ * toast("Message archived", {
+ *   action: { label: "Undo", event: "unarchive", payload: { id: 42 } },
+ * })
+ *
  * // Different types
  * toast.success("Success!")
  * toast.error("Error!", { description: "Something went wrong" })
  * toast.warning("Warning!")
  * toast.info("Info")
+ *
+ * // A single toast following a promise
+ * toast.promise(upload(file), {
+ *   loading: "Uploading...",
+ *   success: (result) => `${result.name} uploaded`,
+ *   error: "Upload failed",
+ * })
+ *
+ * // Change or dismiss a toast in place
+ * const id = toast.loading("Processing...")
+ * toast.update(id, { type: "success", title: "Done" })
+ * toast.dismiss(id)
+ *
+ * @returns {string} The toast id
  */
 function createToast(title, options = {}) {
+  const id = options.id || generateToastId();
   const event = new CustomEvent("salad-ui:toast", {
     detail: {
-      id: options.id || `toast-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      id,
+      toaster: options.toaster,
       type: options.type || "default",
       title,
       description: options.description,
       duration: options.duration,
       dismissible: options.dismissible,
       action: options.action,
+      cancel: options.cancel,
     },
   });
   window.dispatchEvent(event);
+  return id;
+}
+
+function generateToastId() {
+  return `toast-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Change an existing toast: type, title, description, duration, dismissible
+ * or action. Its timer restarts.
+ */
+function updateToast(id, patch = {}) {
+  window.dispatchEvent(new CustomEvent("salad-ui:toast-update", { detail: { ...patch, id } }));
+}
+
+/**
+ * Dismiss a toast, or all of them, in every toaster, without an id
+ */
+function dismissToast(id) {
+  window.dispatchEvent(new CustomEvent("salad-ui:toast-dismiss", { detail: { id } }));
+}
+
+/**
+ * Show a loading toast until a promise settles, then turn it into a success
+ * or error toast. Messages are strings, or functions receiving the result or
+ * the error.
+ *
+ * @param {Promise|Function} promise - The promise, or a function returning it
+ * @param {Object} messages - `loading`, `success` and `error` messages, plus toast options
+ * @returns {Promise} The promise, to chain on it
+ */
+function promiseToast(promise, { loading, success, error, ...options } = {}) {
+  const id = createToast(loading, { ...options, type: "loading", duration: 0 });
+  const message = (value, result) => (typeof value === "function" ? value(result) : value);
+
+  const pending = typeof promise === "function" ? promise() : promise;
+  pending.then(
+    (result) => updateToast(id, { type: "success", title: message(success, result), duration: options.duration }),
+    (reason) => updateToast(id, { type: "error", title: message(error, reason), duration: options.duration })
+  );
+
+  return pending;
 }
 
 // Create the main toast function with type methods
@@ -43,56 +118,197 @@ const toast = Object.assign(createToast, {
   error: (title, options = {}) => createToast(title, { ...options, type: "error" }),
   warning: (title, options = {}) => createToast(title, { ...options, type: "warning" }),
   info: (title, options = {}) => createToast(title, { ...options, type: "info" }),
+  loading: (title, options = {}) => createToast(title, { duration: 0, ...options, type: "loading" }),
+  promise: promiseToast,
+  update: updateToast,
+  dismiss: dismissToast,
 });
 
 // Expose globally
 window.toast = toast;
 
+// Swipe distance (px) or velocity (px/ms) past which a toast is dismissed
+const SWIPE_THRESHOLD = 45;
+const SWIPE_VELOCITY = 0.11;
+
+// Toast types announced assertively, interrupting the screen reader
+const ASSERTIVE_TYPES = ["error", "warning"];
+
+// Built-in toast markup, used without a template in the toaster
+const DEFAULT_TEMPLATE = `
+  <div class="relative flex w-full items-start gap-3 overflow-hidden rounded-lg border-l-4 border-border bg-popover p-4 shadow-lg ring-1 ring-border/50 group-data-[type=success]:border-green-500 group-data-[type=info]:border-blue-500 group-data-[type=warning]:border-yellow-500 group-data-[type=error]:border-red-500">
+    <span data-slot="icon" class="text-foreground group-data-[type=success]:text-green-500 group-data-[type=info]:text-blue-500 group-data-[type=warning]:text-yellow-500 group-data-[type=error]:text-red-500 group-data-[type=loading]:text-muted-foreground"></span>
+    <div class="flex-1 min-w-0">
+      <p data-slot="title" class="text-sm font-medium text-popover-foreground"></p>
+      <p data-slot="description" class="text-sm text-muted-foreground mt-1"></p>
+      <div data-slot="actions" class="mt-2 flex gap-2">
+        <button type="button" data-slot="action" class="text-sm font-medium px-3 py-1.5 rounded-md border border-border bg-background hover:bg-accent transition-colors"></button>
+        <button type="button" data-slot="cancel" class="text-sm font-medium px-3 py-1.5 rounded-md text-muted-foreground hover:bg-accent transition-colors"></button>
+      </div>
+    </div>
+    <button type="button" data-slot="close" class="shrink-0 rounded p-1 opacity-50 hover:opacity-100 transition-opacity" aria-label="Dismiss">
+      <svg class="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
+      </svg>
+    </button>
+    <div data-slot="progress" class="absolute bottom-0 left-0 h-0.5 w-full origin-left bg-foreground/20"></div>
+  </div>
+`;
+
+let defaultTemplate = null;
+
+function getDefaultTemplate() {
+  if (!defaultTemplate) {
+    defaultTemplate = document.createElement("template");
+    defaultTemplate.innerHTML = DEFAULT_TEMPLATE.trim();
+  }
+  return defaultTemplate;
+}
+
 /**
  * Sonner - Toast notification component
+ *
+ * Toasters are named, "default" unless the `name` option says otherwise, and
+ * only show the toasts sent to their name with the `toaster` option.
+ *
+ * Toasts are announced through live regions, and the `hotkey` option (Alt+T
+ * by default) moves focus into the stack, which stays expanded with timers
+ * paused while hovered or focused.
  */
 class Sonner {
-  // Static to track if global listeners are already set up
-  static instance = null;
+  // One toaster per name handles its toast events
+  static instances = new Map();
 
   constructor(el, hookContext) {
     this.el = el;
     this.hookContext = hookContext;
     this.toasts = [];
     this.expanded = false;
+    this.hovered = false;
+    this.focused = false;
+    this.previousFocusEl = null;
 
     // Config from data attributes
-    const options = JSON.parse(el.dataset.options || "{}");
-    this.duration = options.duration || 4000;
-    this.maxToasts = options.maxToasts || 3;
-    this.gap = options.gap || 8;
+    this.parseOptions();
+    this.createLiveRegions();
 
-    // Use singleton pattern - only one Sonner instance should handle events
-    if (Sonner.instance) {
-      Sonner.instance.destroy();
-    }
-    Sonner.instance = this;
+    // A toaster rendered again under the same name replaces the previous one
+    Sonner.instances.get(this.name)?.destroy();
+    Sonner.instances.set(this.name, this);
 
     // Bound handlers for cleanup
     this.boundHandleToast = this.handleToast.bind(this);
-    this.boundHandleKeyDown = this.handleKeyDown.bind(this);
+    this.boundHandleUpdate = this.handleUpdate.bind(this);
+    this.boundHandleDismiss = this.handleDismiss.bind(this);
+    this.boundHandleHotkey = this.handleHotkey.bind(this);
+    this.boundHandleMouseEnter = () => this.setHovered(true);
+    this.boundHandleMouseLeave = () => this.setHovered(false);
+    this.boundHandleFocusIn = this.handleFocusIn.bind(this);
+    this.boundHandleFocusOut = this.handleFocusOut.bind(this);
+
+    // Registered in the layer stack while toasts are visible: Escape gives
+    // focus back when in the stack. Other Escapes and pointer-downs outside
+    // go to the layers below.
+    this.layer = {
+      getElements: () => [this.el],
+      handlesEscape: () => this.el.contains(document.activeElement),
+      onEscape: () => this.restoreFocus(),
+    };
   }
 
   setupEvents() {
     // Listen for toast events (single handler for both)
     window.addEventListener("phx:salad-ui:toast", this.boundHandleToast);
     window.addEventListener("salad-ui:toast", this.boundHandleToast);
-    document.addEventListener("keydown", this.boundHandleKeyDown);
+    window.addEventListener("phx:salad-ui:toast-update", this.boundHandleUpdate);
+    window.addEventListener("salad-ui:toast-update", this.boundHandleUpdate);
+    window.addEventListener("phx:salad-ui:toast-dismiss", this.boundHandleDismiss);
+    window.addEventListener("salad-ui:toast-dismiss", this.boundHandleDismiss);
+
+    // Expand/collapse on hover and keyboard focus
+    this.el.addEventListener("mouseenter", this.boundHandleMouseEnter);
+    this.el.addEventListener("mouseleave", this.boundHandleMouseLeave);
+    this.el.addEventListener("focusin", this.boundHandleFocusIn);
+    this.el.addEventListener("focusout", this.boundHandleFocusOut);
+    document.addEventListener("keydown", this.boundHandleHotkey);
+  }
 
-    // Expand/collapse on hover
-    this.el.addEventListener("mouseenter", () => this.setExpanded(true));
-    this.el.addEventListener("mouseleave", () => this.setExpanded(false));
+  /**
+   * Visually hidden regions announcing toasts, one per politeness level
+   */
+  createLiveRegions() {
+    this.liveRegions = {};
+
+    ["polite", "assertive"].forEach((politeness) => {
+      const region = document.createElement("div");
+      region.className = "sr-only";
+      region.dataset.liveRegion = politeness;
+      region.setAttribute("aria-live", politeness);
+      region.setAttribute("aria-relevant", "additions");
+      this.el.appendChild(region);
+      this.liveRegions[politeness] = region;
+    });
+  }
+
+  announce(toast) {
+    const politeness = ASSERTIVE_TYPES.includes(toast.type) ? "assertive" : "polite";
+    const region = this.liveRegions[politeness];
+
+    // Added nodes are announced, even when repeating a previous message
+    const message = document.createElement("div");
+    message.textContent = [toast.title, toast.description].filter(Boolean).join(". ");
+    region.appendChild(message);
+
+    while (region.children.length > this.maxToasts) {
+      region.firstElementChild.remove();
+    }
+  }
+
+  parseOptions() {
+    const options = JSON.parse(this.el.dataset.options || "{}");
+    this.name = options.name || "default";
+    this.position = options.position || "bottom-right";
+    this.duration = options.duration || 4000;
+    this.maxToasts = options.maxToasts || 3;
+    this.gap = options.gap || 8;
+    this.hotkey = options.hotkey ?? "alt+t";
+    this.progress = !!options.progress;
+    this.eventMappings = JSON.parse(this.el.dataset.eventMappings || "{}");
+  }
+
+  // Re-read options after a LiveView patch. The toaster content is ignored
+  // by patches, toasts and live regions stay in place.
+  updated() {
+    const name = this.name;
+    this.parseOptions();
+
+    if (this.name !== name) {
+      if (Sonner.instances.get(name) === this) Sonner.instances.delete(name);
+      Sonner.instances.get(this.name)?.destroy();
+      Sonner.instances.set(this.name, this);
+    }
+
+    this.updateStack();
   }
 
   destroy() {
+    if (Sonner.instances.get(this.name) === this) {
+      Sonner.instances.delete(this.name);
+    }
+
     window.removeEventListener("phx:salad-ui:toast", this.boundHandleToast);
     window.removeEventListener("salad-ui:toast", this.boundHandleToast);
-    document.removeEventListener("keydown", this.boundHandleKeyDown);
+    window.removeEventListener("phx:salad-ui:toast-update", this.boundHandleUpdate);
+    window.removeEventListener("salad-ui:toast-update", this.boundHandleUpdate);
+    window.removeEventListener("phx:salad-ui:toast-dismiss", this.boundHandleDismiss);
+    window.removeEventListener("salad-ui:toast-dismiss", this.boundHandleDismiss);
+    this.el.removeEventListener("mouseenter", this.boundHandleMouseEnter);
+    this.el.removeEventListener("mouseleave", this.boundHandleMouseLeave);
+    this.el.removeEventListener("focusin", this.boundHandleFocusIn);
+    this.el.removeEventListener("focusout", this.boundHandleFocusOut);
+    document.removeEventListener("keydown", this.boundHandleHotkey);
+    Object.values(this.liveRegions).forEach((region) => region.remove());
+    layerStack.remove(this.layer);
 
     // Clear all timeouts
     this.toasts.forEach((t) => t.timeoutId && clearTimeout(t.timeoutId));
@@ -100,29 +316,125 @@ class Sonner {
   }
 
   handleToast(e) {
+    if ((e.detail.toaster || "default") !== this.name) return;
+
     this.addToast(e.detail);
   }
 
-  handleKeyDown(e) {
-    if (e.key === "Escape" && this.toasts.length > 0) {
-      this.dismissToast(this.toasts[this.toasts.length - 1].id);
+  handleUpdate(e) {
+    const { id, ...patch } = e.detail;
+    this.updateToast(id, patch);
+  }
+
+  handleDismiss(e) {
+    const id = e.detail?.id;
+    if (id) {
+      this.dismissToast(id, "programmatic");
+    } else {
+      this.dismissAll("programmatic");
+    }
+  }
+
+  /**
+   * Push a toaster event to the server, through the `data-event-mappings` of
+   * the toaster: an event name, or a JS command
+   */
+  pushEvent(clientEvent, payload = {}) {
+    const handler = this.eventMappings[clientEvent];
+    if (!handler || !this.hookContext) return;
+
+    if (typeof handler === "string") {
+      this.hookContext.pushEventTo(this.el, handler, payload);
+    } else {
+      this.hookContext.liveSocket.execJS(this.el, JSON.stringify(handler));
+    }
+  }
+
+  /**
+   * Run a toast action: a JS callback, a LiveView event with its payload,
+   * or a JS command sent by the server
+   */
+  runAction(toast, action = toast.action) {
+    const { onClick, event, payload, js } = action;
+
+    if (typeof onClick === "function") {
+      onClick();
+    } else if (event && this.hookContext) {
+      this.hookContext.pushEventTo(this.el, event, { ...payload, toastId: toast.id });
+    } else if (js && this.hookContext) {
+      this.hookContext.liveSocket.execJS(this.el, typeof js === "string" ? js : JSON.stringify(js));
     }
   }
 
+  /**
+   * The hotkey moves focus to the latest toast, remembering where it was
+   */
+  handleHotkey(e) {
+    if (e.defaultPrevented || this.toasts.length === 0 || !matchesHotkey(e, this.hotkey)) return;
+
+    e.preventDefault();
+    if (!this.el.contains(document.activeElement)) {
+      this.previousFocusEl = document.activeElement;
+    }
+    this.toasts[this.toasts.length - 1].element.focus();
+  }
+
+  handleFocusIn() {
+    this.focused = true;
+    this.updateExpanded();
+  }
+
+  handleFocusOut(e) {
+    if (this.el.contains(e.relatedTarget)) return;
+
+    // Tabbing out of the stack, focus is where the user wants it
+    this.focused = false;
+    this.previousFocusEl = null;
+    this.updateExpanded();
+  }
+
+  restoreFocus() {
+    const target = this.previousFocusEl;
+    this.previousFocusEl = null;
+
+    if (target?.isConnected && target !== document.body) {
+      target.focus();
+    } else {
+      document.activeElement?.blur();
+    }
+  }
+
+  setHovered(hovered) {
+    this.hovered = hovered;
+    this.updateExpanded();
+  }
+
+  // Hovering or focusing the stack expands it and pauses the timers
+  updateExpanded() {
+    const expanded = this.hovered || this.focused;
+    if (expanded !== this.expanded) this.setExpanded(expanded);
+  }
+
+  dismissAll(reason) {
+    [...this.toasts].forEach((t) => this.dismissToast(t.id, reason));
+  }
+
   addToast(data) {
-    // Check for duplicate toast ID (prevent double-firing)
+    // A toast with a known ID replaces the content of the existing one
     if (this.toasts.some((t) => t.id === data.id)) {
+      this.updateToast(data.id, data);
       return;
     }
 
     const toast = {
-      id: data.id || `toast-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+      id: data.id || generateToastId(),
       type: data.type || "default",
       title: data.title,
       description: data.description,
       duration: data.duration ?? this.duration,
       dismissible: data.dismissible ?? true,
       action: data.action,
+      cancel: data.cancel,
       element: null,
       timeoutId: null,
       startTime: Date.now(),
@@ -133,6 +445,8 @@ class Sonner {
     this.el.appendChild(toast.element);
     this.toasts.push(toast);
 
+    if (!layerStack.has(this.layer)) layerStack.push(this.layer);
+
     // Animate in
     requestAnimationFrame(() => {
       toast.element.dataset.state = "open";
@@ -140,18 +454,53 @@ class Sonner {
     });
 
     // Auto dismiss
-    if (toast.duration > 0) {
-      toast.timeoutId = setTimeout(() => this.dismissToast(toast.id), toast.duration);
-    }
+    this.startTimer(toast);
+    this.announce(toast);
 
     // Remove oldest if over limit (after adding new one)
     if (this.toasts.length > this.maxToasts) {
       const oldest = this.toasts[0];
-      this.dismissToast(oldest.id);
+      this.dismissToast(oldest.id, "limit");
     }
   }
 
-  dismissToast(id) {
+  /**
+   * Re-render an existing toast with new fields and restart its timer
+   */
+  updateToast(id, patch) {
+    const toast = this.toasts.find((t) => t.id === id);
+    if (!toast) return;
+
+    ["type", "title", "description", "dismissible", "action", "cancel"].forEach((key) => {
+      if (patch[key] !== undefined) toast[key] = patch[key];
+    });
+    // A missing duration falls back to the default, e.g. after loading
+    if ("duration" in patch) toast.duration = patch.duration ?? this.duration;
+
+    this.renderToast(toast);
+    this.startTimer(toast);
+    this.announce(toast);
+    this.updateStack();
+  }
+
+  // Start the auto-dismiss timer, paused while the stack is expanded
+  startTimer(toast) {
+    if (toast.timeoutId) clearTimeout(toast.timeoutId);
+    toast.timeoutId = null;
+    toast.remaining = undefined;
+    toast.startTime = Date.now();
+
+    if (toast.duration > 0 && !this.expanded) {
+      toast.timeoutId = setTimeout(() => this.dismissToast(toast.id, "timeout"), toast.duration);
+    }
+    this.updateProgress(toast);
+  }
+
+  /**
+   * Remove a toast and report it to the server with why it was dismissed:
+   * "timeout", "user", "limit" (pushed out by a newer toast) or "programmatic"
+   */
+  dismissToast(id, reason = "user") {
     const index = this.toasts.findIndex((t) => t.id === id);
     if (index === -1) return;
 
@@ -160,9 +509,21 @@ class Sonner {
 
     // Remove from array immediately to prevent double-dismiss
     this.toasts.splice(index, 1);
+    if (this.toasts.length === 0) layerStack.remove(this.layer);
+
+    // Keep focus in the stack, or give it back with the last toast
+    if (toast.element.contains(document.activeElement)) {
+      const front = this.toasts[this.toasts.length - 1];
+      if (front) {
+        front.element.focus();
+      } else {
+        this.restoreFocus();
+      }
+    }
 
     // Animate out
     toast.element.dataset.state = "closed";
+    this.pushEvent("toast-dismissed", { id, reason });
 
     setTimeout(() => {
       toast.element.remove();
@@ -177,14 +538,16 @@ class Sonner {
     this.toasts.forEach((toast) => {
       if (expanded && toast.timeoutId) {
         clearTimeout(toast.timeoutId);
-        toast.remaining = Math.max(0, toast.duration - (Date.now() - toast.startTime));
+        toast.remaining = Math.max(0, (toast.remaining ?? toast.duration) - (Date.now() - toast.startTime));
         toast.timeoutId = null;
+        this.updateProgress(toast);
       } else if (!expanded && toast.duration > 0 && !toast.timeoutId) {
         toast.startTime = Date.now();
         toast.timeoutId = setTimeout(
-          () => this.dismissToast(toast.id),
+          () => this.dismissToast(toast.id, "timeout"),
           toast.remaining ?? toast.duration
         );
+        this.updateProgress(toast);
       }
     });
 
@@ -194,6 +557,10 @@ class Sonner {
   updateStack() {
     const count = this.toasts.length;
 
+    // Toasts stack from the edge of the screen they are closest to
+    const fromTop = this.position.startsWith("top");
+    const direction = fromTop ? 1 : -1;
+
     // Get heights of all toasts
     const heights = this.toasts.map((t) => t.element.offsetHeight);
 
@@ -209,28 +576,32 @@ class Sonner {
       const el = toast.element;
       const fromFront = count - 1 - i; // 0 = front (newest), 1 = behind, etc.
 
-      // Position all toasts absolutely at the bottom
+      // Position all toasts absolutely at the stacking edge
       el.style.position = "absolute";
-      el.style.bottom = "0";
+      el.style.top = fromTop ? "0" : "";
+      el.style.bottom = fromTop ? "" : "0";
       el.style.left = "0";
       el.style.right = "0";
 
+      // Follows the pointer while swiped
+      const swipe = toast.swipe ? `translate(${toast.swipe.x}px, ${toast.swipe.y}px) ` : "";
+
       if (this.expanded) {
-        // When expanded, stack toasts upward with gaps
-        let offsetFromBottom = 0;
+        // When expanded, stack toasts away from the edge with gaps
+        let offsetFromEdge = 0;
         for (let j = count - 1; j > i; j--) {
-          offsetFromBottom += heights[j] + this.gap;
+          offsetFromEdge += heights[j] + this.gap;
         }
-        el.style.transform = `translateY(-${offsetFromBottom}px)`;
+        el.style.transform = `${swipe}translateY(${direction * offsetFromEdge}px)`;
         el.style.opacity = "1";
       } else {
         // When collapsed, show as a visual stack
         // Front toast at position 0, others slightly behind and scaled
         const scale = 1 - fromFront * 0.05;
-        const translateY = fromFront * -8; // Move up slightly to peek
+        const translateY = fromFront * 8 * direction; // Move slightly to peek
 
-        el.style.transform = `translateY(${translateY}px) scale(${scale})`;
-        el.style.transformOrigin = "bottom center";
+        el.style.transform = `${swipe}translateY(${translateY}px) scale(${scale})`;
+        el.style.transformOrigin = fromTop ? "top center" : "bottom center";
 
         // Fade out toasts further back
         if (fromFront > 2) {
@@ -258,68 +629,188 @@ class Sonner {
     const div = document.createElement("div");
     div.id = toast.id;
     div.dataset.state = "closed";
-    div.dataset.type = toast.type;
-    div.setAttribute("role", "alert");
-
-    const colors = {
-      default: "border-border",
-      success: "border-green-500",
-      info: "border-blue-500",
-      warning: "border-yellow-500",
-      error: "border-red-500",
-    };
-
+    div.tabIndex = 0;
+    div.style.touchAction = "none";
     div.className = [
-      "group pointer-events-auto flex w-full items-start gap-3 rounded-lg bg-popover p-4",
-      "border-l-4 shadow-lg ring-1 ring-border/50",
+      "group pointer-events-auto w-full rounded-lg",
       "transition-all duration-200 ease-out origin-bottom",
+      "focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring",
       "data-[state=closed]:opacity-0 data-[state=closed]:translate-x-full",
       "data-[state=open]:opacity-100 data-[state=open]:translate-x-0",
-      colors[toast.type] || colors.default,
     ].join(" ");
+    toast.element = div;
 
-    const icon = this.getIcon(toast.type);
-
-    div.innerHTML = `
-      ${icon ? `<span class="${this.getIconColor(toast.type)}">${icon}</span>` : ""}
-      <div class="flex-1 min-w-0">
-        <p class="text-sm font-medium text-popover-foreground">${this.escape(toast.title)}</p>
-        ${toast.description ? `<p class="text-sm text-muted-foreground mt-1">${this.escape(toast.description)}</p>` : ""}
-        ${toast.action ? `
-          <button type="button" data-action="true" class="mt-2 text-sm font-medium px-3 py-1.5 rounded-md border border-border bg-background hover:bg-accent transition-colors">
-            ${this.escape(toast.action.label)}
-          </button>
-        ` : ""}
-      </div>
-      ${toast.dismissible ? `
-        <button type="button" data-dismiss="true" class="shrink-0 rounded p-1 opacity-50 hover:opacity-100 transition-opacity" aria-label="Dismiss">
-          <svg class="h-4 w-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/>
-          </svg>
-        </button>
-      ` : ""}
-    `;
-
-    // Dismiss button handler
-    const dismissBtn = div.querySelector("[data-dismiss]");
-    if (dismissBtn) {
-      dismissBtn.onclick = (e) => {
-        e.stopPropagation();
-        this.dismissToast(toast.id);
-      };
+    div.addEventListener("pointerdown", (e) => this.handleSwipeStart(toast, e));
+    div.addEventListener("pointermove", (e) => this.handleSwipeMove(toast, e));
+    div.addEventListener("pointerup", (e) => this.handleSwipeEnd(toast, e));
+    div.addEventListener("pointercancel", (e) => this.handleSwipeEnd(toast, e, true));
+
+    this.renderToast(toast);
+    return div;
+  }
+
+  /**
+   * Directions a toast can be swiped away to: toward the vertical edge it
+   * stacks from, and toward its side unless centered
+   */
+  getSwipeDirections() {
+    const [y, x] = this.position.split("-");
+    return x === "center" ? [y] : [y, x];
+  }
+
+  handleSwipeStart(toast, e) {
+    // Buttons keep their clicks
+    if (e.button !== 0 || e.target.closest("button") || !toast.dismissible) return;
+
+    toast.swipeStart = { x: e.clientX, y: e.clientY, time: Date.now(), pointerId: e.pointerId };
+    toast.element.setPointerCapture?.(e.pointerId);
+  }
+
+  handleSwipeMove(toast, e) {
+    const start = toast.swipeStart;
+    if (!start || e.pointerId !== start.pointerId) return;
+
+    const deltaX = e.clientX - start.x;
+    const deltaY = e.clientY - start.y;
+
+    // Lock the axis once the pointer clearly moved along one
+    if (!start.axis) {
+      if (Math.max(Math.abs(deltaX), Math.abs(deltaY)) < 2) return;
+      start.axis = Math.abs(deltaX) > Math.abs(deltaY) ? "x" : "y";
+    }
+
+    // Only swipes toward an allowed edge move the toast
+    const directions = this.getSwipeDirections();
+    const delta = start.axis === "x" ? deltaX : deltaY;
+    const edge = start.axis === "x" ? (delta < 0 ? "left" : "right") : delta < 0 ? "top" : "bottom";
+    const offset = directions.includes(edge) ? delta : 0;
+
+    toast.swipe = start.axis === "x" ? { x: offset, y: 0 } : { x: 0, y: offset };
+    toast.element.style.transition = "none";
+    this.updateStack();
+  }
+
+  handleSwipeEnd(toast, e, cancelled = false) {
+    const start = toast.swipeStart;
+    if (!start || e.pointerId !== start.pointerId) return;
+
+    const distance = toast.swipe ? Math.abs(toast.swipe.x || toast.swipe.y) : 0;
+    const velocity = distance / Math.max(1, Date.now() - start.time);
+
+    toast.swipeStart = null;
+    toast.element.style.transition = "";
+
+    if (!cancelled && distance > 0 && (distance >= SWIPE_THRESHOLD || velocity > SWIPE_VELOCITY)) {
+      this.dismissToast(toast.id, "user");
+    } else {
+      // Not far or fast enough, snap back
+      toast.swipe = null;
+      this.updateStack();
     }
+  }
 
-    // Action button handler
-    const actionBtn = div.querySelector("[data-action]");
-    if (actionBtn && toast.action?.onClick) {
-      actionBtn.onclick = (e) => {
+  /**
+   * Render a toast from the `<template data-toast-type="...">` of its type
+   * in the toaster, the "default" one, or the built-in markup. Slots are
+   * elements marked with `data-slot`: icon, title, description, actions,
+   * action, cancel, close and progress. Slots without content are removed.
+   */
+  renderToast(toast) {
+    const div = toast.element;
+    div.dataset.type = toast.type;
+    div.setAttribute("aria-busy", String(toast.type === "loading"));
+    div.replaceChildren(this.getTemplate(toast.type).content.cloneNode(true));
+
+    const slot = (name) => div.querySelector(`[data-slot='${name}']`);
+
+    // Templates can bring their own icon
+    const icon = slot("icon");
+    if (icon && !icon.firstElementChild) {
+      const svg = this.getIcon(toast.type);
+      if (svg) {
+        icon.innerHTML = svg;
+      } else {
+        icon.remove();
+      }
+    }
+
+    this.fillTextSlot(slot("title"), toast.title);
+    this.fillTextSlot(slot("description"), toast.description);
+    this.fillButtonSlot(toast, slot("action"), toast.action);
+    this.fillButtonSlot(toast, slot("cancel"), toast.cancel);
+
+    const actions = slot("actions");
+    if (actions && !actions.querySelector("[data-slot]")) actions.remove();
+
+    const close = slot("close");
+    if (close && !toast.dismissible) {
+      close.remove();
+    } else if (close) {
+      close.onclick = (e) => {
         e.stopPropagation();
-        toast.action.onClick();
-        this.dismissToast(toast.id);
+        this.dismissToast(toast.id, "user");
       };
     }
+  }
 
-    return div;
+  getTemplate(type) {
+    const templates = Array.from(this.el.querySelectorAll(":scope > template[data-toast-type]"));
+
+    return (
+      templates.find((t) => t.dataset.toastType === type) ||
+      templates.find((t) => t.dataset.toastType === "default") ||
+      getDefaultTemplate()
+    );
+  }
+
+  fillTextSlot(element, text) {
+    if (!element) return;
+
+    if (text) {
+      element.textContent = text;
+    } else {
+      element.remove();
+    }
+  }
+
+  // Action and cancel buttons run their action, then dismiss the toast
+  fillButtonSlot(toast, element, action) {
+    if (!element) return;
+
+    if (!action) {
+      element.remove();
+      return;
+    }
+
+    if (action.label) element.textContent = action.label;
+    element.onclick = (e) => {
+      e.stopPropagation();
+      this.runAction(toast, action);
+      this.dismissToast(toast.id, "user");
+    };
+  }
+
+  /**
+   * Shrink the progress slot along the remaining duration, or freeze it
+   * while the timer is paused
+   */
+  updateProgress(toast) {
+    const bar = toast.element.querySelector("[data-slot='progress']");
+    if (!bar) return;
+
+    bar.hidden = !this.progress || !(toast.duration > 0);
+    if (bar.hidden) return;
+
+    const remaining = toast.remaining ?? toast.duration;
+    bar.style.transition = "none";
+    bar.style.transform = `scaleX(${remaining / toast.duration})`;
+
+    if (toast.timeoutId) {
+      // Commit the start position before transitioning from it
+      bar.getBoundingClientRect();
+      bar.style.transition = `transform ${remaining}ms linear`;
+      bar.style.transform = "scaleX(0)";
+    }
   }
 
   getIcon(type) {
@@ -328,26 +819,11 @@ class Sonner {
       error: `<svg class="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M6 18L18 6M6 6l12 12"/></svg>`,
       warning: `<svg class="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z"/></svg>`,
       info: `<svg class="h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"/></svg>`,
+      loading: `<svg class="h-5 w-5 animate-spin" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M21 12a9 9 0 11-6.219-8.56"/></svg>`,
     };
     return icons[type] || null;
   }
 
-  getIconColor(type) {
-    const colors = {
-      success: "text-green-500",
-      error: "text-red-500",
-      warning: "text-yellow-500",
-      info: "text-blue-500",
-    };
-    return colors[type] || "text-foreground";
-  }
-
-  escape(str) {
-    if (!str) return "";
-    const div = document.createElement("div");
-    div.textContent = str;
-    return div.innerHTML;
-  }
 }
 
 SaladUI.register("sonner", Sonner);
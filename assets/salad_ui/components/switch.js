@@ -83,26 +83,30 @@ class SwitchComponent extends Component {
     this.config.preventDefaultKeys = [" ", "Enter"];
   }
 
-  onCheckedEnter(e) {
+  onCheckedEnter(params = {}) {
     // Update hidden checkbox input
     const checkbox = this.el.querySelector('input[type="checkbox"]');
     if (checkbox) {
       checkbox.checked = true;
     }
 
-    // Notify of value change
-    this.pushEvent("checked-changed", { value: true });
+    // Notify of value change, unless the server made it
+    if (params.source !== "server") {
+      this.pushEvent("checked-changed", { value: true });
+    }
   }
 
-  onUncheckedEnter(e) {
+  onUncheckedEnter(params = {}) {
     // Update hidden checkbox input
     const checkbox = this.el.querySelector('input[type="checkbox"]');
     if (checkbox) {
       checkbox.checked = false;
     }
 
-    // Notify of value change
-    this.pushEvent("checked-changed", { value: false });
+    // Notify of value change, unless the server made it
+    if (params.source !== "server") {
+      this.pushEvent("checked-changed", { value: false });
+    }
   }
 }
 
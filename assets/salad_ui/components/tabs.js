@@ -2,6 +2,7 @@
 import Component from "../core/component";
 import SaladUI from "../index";
 import Collection from "../core/collection";
+import Typeahead from "../core/typeahead";
 
 class TabsComponent extends Component {
   constructor(el, hookContext) {
@@ -22,10 +23,35 @@ class TabsComponent extends Component {
       " ",
     ];
 
+    this.typeahead = new Typeahead();
+
     // Initialize tabs
     this.initialize();
   }
 
+  setupComponentEvents() {
+    super.setupComponentEvents();
+    this.listenTypeahead();
+  }
+
+  /**
+   * Only listen on the tab list, typing in a panel must not switch tabs
+   */
+  listenTypeahead() {
+    this.typeahead.listen([this.list || this.el], (event) =>
+      this.handleTypeahead(event),
+    );
+  }
+
+  handleTypeahead(event) {
+    const item = this.typeahead.handleKey(
+      event,
+      this.collection,
+      this.collection.getItemByValue(this.collection.getValue()),
+    );
+    if (item) this.selectTab(item.value);
+  }
+
   initialize() {
     // Initialize collection manager for tabs
     this.collection = new Collection({
@@ -108,6 +134,33 @@ class TabsComponent extends Component {
     });
   }
 
+  afterUpdate({ previousOptions }) {
+    this.list = this.getPart("list");
+    this.triggers = this.getAllParts("trigger");
+    this.contents = this.getAllParts("content");
+
+    // Keep the active tab unless the server changed the value
+    const serverValue = this.options.value;
+    const value =
+      serverValue !== undefined && serverValue !== previousOptions.value
+        ? serverValue
+        : this.collection.getValue();
+
+    this.collection.clear();
+    this.triggers.forEach((trigger) => this.collection.add(trigger));
+    this.collection.setValues(value);
+
+    // The active tab may be gone, fall back to the first one
+    if (!this.collection.getItemByValue(this.collection.getValue())) {
+      const firstTrigger = this.collection.getItem("first");
+      if (firstTrigger) this.collection.select(firstTrigger);
+    }
+
+    this.setupAriaAttributes();
+    this.updateActiveTab();
+    this.listenTypeahead();
+  }
+
   handleTriggerClick(event) {
     const trigger = event.currentTarget;
     if (trigger.getAttribute("data-disabled") === "true") return;
@@ -165,6 +218,7 @@ class TabsComponent extends Component {
 
   // Cleanup
   destroy() {
+    this.typeahead.destroy();
     this.collection = null;
     super.destroy();
   }
@@ -97,6 +97,24 @@ class TooltipComponent extends Component {
     };
   }
 
+  afterUpdate() {
+    const trigger = this.getPart("trigger") || this.trigger;
+    const content = this.getPart("content") || this.content;
+
+    // Positioning is bound to both elements, rebuild it if one was replaced
+    if (trigger !== this.trigger || content !== this.content) {
+      this.positionedElement?.destroy();
+      this.positionedElement = null;
+      this.trigger = trigger;
+      this.content = content;
+
+      if (this.state === "open") {
+        this.initializePositionedElement();
+        this.positionedElement?.activate();
+      }
+    }
+  }
+
   // Generic methods for delayed state transitions
   delayOpen() {
     this.clearTimers();
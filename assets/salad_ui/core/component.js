@@ -18,6 +18,7 @@ class Component {
     };
 
     this.initialState = initialState;
+    this.ignoreItems = ignoreItems;
     this.eventConfig = {};
     this.componentConfig = {};
     this.hiddenConfig = {};
@@ -26,21 +27,14 @@ class Component {
 
     // Initialize component
     this.parseOptions();
+    this.serverState = this.el.getAttribute("data-state");
     this.disabled = !!this.options.disabled;
     this.initEventMappings();
     this.initConfig();
     this.initStateMachine(this.componentConfig.stateMachine, this.initialState);
     this.ariaManager = new AriaManager(this, this.ariaConfig);
 
-    // ignore item's part
-    this.allParts = this.queryParts();
-    if (ignoreItems) {
-      this.allParts = this.allParts.filter(
-        (element) =>
-          !element.dataset.part.startsWith("item") &&
-          !element.dataset.part.endsWith("-item"),
-      );
-    }
+    this.allParts = this.collectParts();
 
     this.updateUI();
     this.updatePartsVisibility();
@@ -65,14 +59,42 @@ class Component {
   queryParts() {
     return queryDOM(this.el, (node) => {
       if (!node.dataset?.part) return 0;
-      if (node.getAttribute("phx-hook") != null) return -1;
+      if (this.isNestedScope(node)) return -1;
       return 1;
     }).concat([this.el]);
   }
 
+  /**
+   * Whether a part starts a scope managed by another component, whose parts
+   * are left out. Nested hooks by default, override to add child components
+   * (e.g. submenus).
+   */
+  isNestedScope(node) {
+    return node.getAttribute("phx-hook") != null;
+  }
+
+  /**
+   * Query the component parts, leaving out item parts unless the component
+   * manages them itself (ignoreItems: false)
+   */
+  collectParts() {
+    const parts = this.queryParts();
+    if (!this.ignoreItems) return parts;
+
+    return parts.filter(
+      (element) =>
+        !element.dataset.part.startsWith("item") &&
+        !element.dataset.part.endsWith("-item"),
+    );
+  }
+
   initEventMappings() {
     this.onClientCommand = this.onClientCommand.bind(this);
+    this.handleActionClick = this.handleActionClick.bind(this);
+    this.parseEventMappings();
+  }
 
+  parseEventMappings() {
     try {
       const mappingsString = this.el.getAttribute("data-event-mappings");
       this.eventMappings = mappingsString ? JSON.parse(mappingsString) : {};
@@ -122,12 +144,12 @@ class Component {
     this.stateMachine = new StateMachine(stateMachineConfig, initialState, {
       onStateChanged: this.onStateChanged.bind(this),
       validCheck: () => !this.destroyed,
+      context: this.componentConfig.context,
     });
   }
 
   // Handle client commands
   onClientCommand(event) {
-    console.log(event);
     const { command, params } = event.detail;
     if (command) {
       this.handleCommand(command, params);
@@ -137,8 +159,8 @@ class Component {
   onStateChanged(prevState, nextState, params) {
     if (this.destroyed) return;
 
-    // Check if we should animate
-    const transitionName = `${prevState}_to_${nextState}`;
+    // Check if we should animate, animations are named after top-level states
+    const transitionName = `${rootState(prevState)}_to_${rootState(nextState)}`;
     const animConfig = this.options.animations?.[transitionName];
     this.updateUI();
 
@@ -163,34 +185,65 @@ class Component {
 
   /**
    * Process the state machine configuration to automatically bind string method references
-   * to instance methods for enter and exit handlers
+   * to instance methods for enter and exit handlers, transition guards and actions
    *
    * @param {Object} config - The original state machine configuration
-   * @returns {Object} - The processed configuration with bound enter/exit methods
+   * @returns {Object} - The processed configuration with bound methods
    */
   bindStateHandlers(stateMachineConfig) {
-    // Process each state
+    // Process each state, nested states included
     Object.keys(stateMachineConfig).forEach((stateName) => {
       const stateConfig = stateMachineConfig[stateName];
 
       ["enter", "exit"].forEach((handlerName) => {
         // Process handler if it's a string
         if (typeof stateConfig[handlerName] === "string") {
-          const methodName = stateConfig[handlerName];
-          if (typeof this[methodName] === "function") {
-            stateConfig[handlerName] = this[methodName].bind(this);
-          } else {
-            console.warn(
-              `Method ${methodName} not found for ${handlerName} handler in state ${stateName}`,
+          stateConfig[handlerName] = this.bindMethod(
+            stateConfig[handlerName],
+            `${handlerName} handler in state ${stateName}`,
+          );
+        }
+      });
+
+      // Process guards and actions of object transitions
+      Object.values(stateConfig.transitions || {}).forEach((transition) => {
+        [].concat(transition).forEach((candidate) => {
+          if (typeof candidate !== "object" || candidate === null) return;
+
+          if (typeof candidate.guard === "string") {
+            candidate.guard = this.bindMethod(
+              candidate.guard,
+              `guard in state ${stateName}`,
             );
           }
-        }
+
+          if (candidate.actions) {
+            candidate.actions = [].concat(candidate.actions).map((action) =>
+              typeof action === "string"
+                ? this.bindMethod(action, `action in state ${stateName}`)
+                : action,
+            );
+          }
+        });
       });
+
+      if (stateConfig.states) {
+        this.bindStateHandlers(stateConfig.states);
+      }
     });
 
     return stateMachineConfig;
   }
 
+  bindMethod(methodName, description) {
+    if (typeof this[methodName] === "function") {
+      return this[methodName].bind(this);
+    }
+
+    console.warn(`Method ${methodName} not found for ${description}`);
+    return undefined;
+  }
+
   setupEvents() {
     if (this.eventSetupCompleted) {
       this.removeAllEvents();
@@ -198,7 +251,7 @@ class Component {
 
     this.el.addEventListener("salad_ui:command", this.onClientCommand);
 
-    this.el.addEventListener("click", this.handleActionClick.bind(this));
+    this.el.addEventListener("click", this.handleActionClick);
 
     this.setupKeyEventHandlers();
     this.setupMouseEventHandlers();
@@ -236,7 +289,7 @@ class Component {
 
       // Create a bound handler that will check the current state before executing
       const boundHandler = (event) => {
-        if (stateName == "_all" || this.stateMachine.state === stateName) {
+        if (stateName == "_all" || this.stateMachine.matches(stateName)) {
           const key = event.key;
           const action = stateEvents.keyMap[key];
 
@@ -282,8 +335,7 @@ class Component {
           // Create a bound handler that will check the current state before executing
           const boundHandler = (event) => {
             // Only execute the handler if we're in the correct state
-            const currentState = this.stateMachine.state;
-            if (currentState === stateName) {
+            if (this.stateMachine.matches(stateName)) {
               this.executeHandler(handlerAction, event);
             }
           };
@@ -310,6 +362,16 @@ class Component {
     });
   }
 
+  /**
+   * Re-attach keyMap and mouseMap handlers, e.g. after parts were replaced
+   */
+  rebindPartEvents() {
+    this.removeKeyEventHandlers();
+    this.removeMouseEventListeners();
+    this.setupKeyEventHandlers();
+    this.setupMouseEventHandlers();
+  }
+
   removeKeyEventHandlers() {
     if (this.keyEventHandlers) {
       // For each element that has event handlers
@@ -376,34 +438,57 @@ class Component {
    * @param {Object} params - Optional parameters from state transition
    */
   updateUI(params = {}) {
-    const currentState = this.stateMachine.state;
+    // Nested states keep data-state on the top-level state, so styles
+    // written for `data-state=open` still apply in `open.loading`
+    const currentState = rootState(this.stateMachine.state);
 
     // Update data-state attributes on all parts and root element
     this.allParts.forEach((el) => el.setAttribute("data-state", currentState));
     this.el.setAttribute("data-state", currentState);
 
     // Apply ARIA attributes
-    this.ariaManager.applyAriaAttributes(currentState);
+    this.ariaManager.applyAriaAttributes(this.activeStatePaths());
   }
 
   /**
-   * Update part visibility based on current state configuration
+   * Update part visibility based on current state configuration.
+   * Every active state path applies its config, innermost states last.
    */
   updatePartsVisibility() {
-    const currentState = this.stateMachine.state;
-    const stateVisibility = this.hiddenConfig[currentState];
-    if (!stateVisibility) return;
-
-    Object.entries(stateVisibility).forEach(([partName, hidden]) => {
-      const partElements = this.getAllParts(partName);
-      partElements.forEach((element) => {
-        if (element) {
-          element.hidden = hidden;
-        }
+    this.activeStatePaths().forEach((statePath) => {
+      const stateVisibility = this.hiddenConfig[statePath];
+      if (!stateVisibility) return;
+
+      Object.entries(stateVisibility).forEach(([partName, hidden]) => {
+        const partElements = this.getAllParts(partName);
+        partElements.forEach((element) => {
+          if (element) {
+            element.hidden = hidden;
+          }
+        });
       });
     });
   }
 
+  /**
+   * Active state paths, ancestors first: ["open", "open.loading"]
+   */
+  activeStatePaths() {
+    return this.stateMachine.sortPaths(
+      Array.from(this.stateMachine.configuration),
+    );
+  }
+
+  /**
+   * Check whether a state (or one of its nested states) is active
+   *
+   * @param {string} statePath - State path, e.g. "open" or "open.loading"
+   * @returns {boolean} Whether the state is active
+   */
+  matches(statePath) {
+    return this.stateMachine.matches(statePath);
+  }
+
   getPart(name) {
     return this.allParts.find((part) => part.dataset.part === name);
   }
@@ -422,9 +507,17 @@ class Component {
     return part.id;
   }
 
-  // Push event to server (for frameworks like Phoenix LiveView)
-  pushEvent(clientEvent, payload = {}, context) {
-    if (!this.hook || !this.hook.pushEventTo) return;
+  /**
+   * Push event to server (for frameworks like Phoenix LiveView)
+   *
+   * @param {string} clientEvent - Component event name, mapped with data-event-mappings
+   * @param {Object} payload - Event payload
+   * @param {HTMLElement} context - Element identifying the sender (default: root)
+   * @param {function} onReply - Called with the server reply, server events only
+   * @returns {boolean} Whether a server event was pushed (false for JS commands)
+   */
+  pushEvent(clientEvent, payload = {}, context, onReply) {
+    if (!this.hook || !this.hook.pushEventTo) return false;
 
     const eventHandler = this.eventMappings[clientEvent];
     const el = context || this.el;
@@ -437,11 +530,14 @@ class Component {
           component: el.getAttribute("data-component"),
         };
 
-        this.hook.pushEventTo(this.el, eventHandler, fullPayload);
+        this.hook.pushEventTo(this.el, eventHandler, fullPayload, onReply);
+        return true;
       } else {
         this.hook.liveSocket.execJS(this.el, JSON.stringify(eventHandler));
       }
     }
+
+    return false;
   }
 
   // Get current state from state machine
@@ -454,6 +550,11 @@ class Component {
     return this.stateMachine.previousState;
   }
 
+  // Get extended state (context) from state machine
+  get context() {
+    return this.stateMachine.context;
+  }
+
   removeAllEvents() {
     this.el.removeEventListener("salad_ui:command", this.onClientCommand);
     this.el.removeEventListener("click", this.handleActionClick);
@@ -461,6 +562,81 @@ class Component {
     this.removeMouseEventListeners();
   }
 
+  /**
+   * Reconcile the component with its element after a LiveView patch.
+   * Options, event mappings and parts are read again, while the current
+   * state is kept unless the server rendered a new data-state.
+   */
+  updated() {
+    if (this.destroyed) return;
+
+    const previousOptions = this.options;
+    this.parseOptions();
+    this.parseEventMappings();
+
+    // Diff parts against the ones we know about. Portalled parts live
+    // outside the root element, keep them while they're still attached.
+    const previousParts = this.allParts;
+    this.allParts = this.collectParts().concat(
+      previousParts.filter(
+        (part) => part.isConnected && !this.el.contains(part),
+      ),
+    );
+    const addedParts = this.allParts.filter(
+      (part) => !previousParts.includes(part),
+    );
+    const removedParts = previousParts.filter(
+      (part) => !this.allParts.includes(part),
+    );
+
+    if (addedParts.length > 0 || removedParts.length > 0) {
+      this.rebindPartEvents();
+    }
+
+    const nextState = this.getServerState();
+    if (nextState) {
+      this.stateMachine.executeTransition(this.state, nextState, {
+        source: "server",
+      });
+    } else {
+      // The patch may have reset attributes we manage, apply them again
+      this.updateUI();
+      this.updatePartsVisibility();
+    }
+
+    this.afterUpdate({
+      addedParts,
+      removedParts,
+      previousOptions,
+      optionsChanged:
+        JSON.stringify(previousOptions) !== JSON.stringify(this.options),
+    });
+  }
+
+  /**
+   * Get the state the server asked for with data-state, if it's a new one.
+   * A data-state equal to the last rendered one only means the server
+   * re-rendered, not that it wants to override the client state.
+   *
+   * @returns {string|null} The state to move to, or null to keep the current one
+   */
+  getServerState() {
+    const renderedState = this.el.getAttribute("data-state");
+    const previousServerState = this.serverState;
+    this.serverState = renderedState;
+
+    if (
+      !renderedState ||
+      this.stateMachine.matches(renderedState) ||
+      renderedState === previousServerState ||
+      !this.stateMachine.hasState(renderedState)
+    ) {
+      return null;
+    }
+
+    return renderedState;
+  }
+
   // Cleanup method to remove event listeners and references
   destroy() {
     // Lifecycle hook before destruction
@@ -482,6 +658,14 @@ class Component {
   // Lifecycle hooks
   beforeDestroy() {}
 
+  /**
+   * Called at the end of updated(), once options, parts and state are
+   * refreshed. Override to reconcile items or cached part references.
+   *
+   * @param {Object} changes - { addedParts, removedParts, previousOptions, optionsChanged }
+   */
+  afterUpdate(changes) {}
+
   // Alias for transition()
   handleCommand(command, params = {}) {
     return this.transition(command, params);
@@ -502,6 +686,9 @@ class AriaManager {
     this.ariaConfig = ariaConfig || {};
   }
 
+  /**
+   * @param {string|Array} currentState - Active state path(s), ancestors first
+   */
   applyAriaAttributes(currentState) {
     if (!this.ariaConfig) return;
 
@@ -533,11 +720,13 @@ class AriaManager {
   }
 
   applyStateSpecificAriaAttributes(part, states, currentState) {
-    const stateConfig = states[currentState];
-    if (!stateConfig) return;
+    [].concat(currentState).forEach((statePath) => {
+      const stateConfig = states[statePath];
+      if (!stateConfig) return;
 
-    Object.entries(stateConfig).forEach(([attr, value]) => {
-      this.applyAriaAttribute(part, attr, value);
+      Object.entries(stateConfig).forEach(([attr, value]) => {
+        this.applyAriaAttribute(part, attr, value);
+      });
     });
   }
 
@@ -555,4 +744,11 @@ class AriaManager {
   }
 }
 
+/**
+ * Top-level state of a nested state path: "open.loading" => "open"
+ */
+function rootState(statePath) {
+  return typeof statePath === "string" ? statePath.split(".")[0] : statePath;
+}
+
 export default Component;
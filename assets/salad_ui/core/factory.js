@@ -9,6 +9,10 @@ class ComponentRegistry {
     return this;
   }
 
+  has(type) {
+    return this.registry.has(type);
+  }
+
   create(type, el, hookContext) {
     const ComponentClass = this.registry.get(type);
     if (!ComponentClass) {
@@ -57,10 +57,9 @@ class FocusTrap {
       this.previouslyFocused.focus &&
       this.isElementInViewport(this.previouslyFocused)
     ) {
-      setTimeout(() => {
-        this.previouslyFocused.focus();
-        this.previouslyFocused = null;
-      }, 0);
+      const previouslyFocused = this.previouslyFocused;
+      this.previouslyFocused = null;
+      setTimeout(() => previouslyFocused.focus(), 0);
     }
 
     this.active = false;
@@ -74,6 +73,9 @@ class FocusTrap {
     const focusableElements = this.getFocusableElements();
 
     setTimeout(() => {
+      // Deactivated or destroyed before the delay
+      if (!this.active) return;
+
       if (focusableElements.length > 0) {
         // Look for an element with autofocus attribute first
         const autoFocusEl = this.element.querySelector("[autofocus]");
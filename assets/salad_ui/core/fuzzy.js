@@ -0,0 +1,313 @@
+// saladui/core/fuzzy.js
+/**
+ * Fuzzy matching utilities for SaladUI components
+ * Scores item labels against a query, ranks the matches and highlights
+ * the matched characters
+ *
+ * A scorer is a function `(query, text) => { score, matches } | null`, where
+ * `matches` holds the indexes of the matched characters in `text` and a
+ * higher score ranks first. Components pick one by name with the `scorer`
+ * option, custom scorers are added with `registerScorer`.
+ */
+
+// Matched character, on top of a word boundary or right after another match
+const MATCH_SCORE = 1;
+const BOUNDARY_BONUS = 8;
+const CONSECUTIVE_BONUS = 5;
+// Per skipped character between two matches, capped
+const GAP_PENALTY = 1;
+const MAX_GAP_PENALTY = 3;
+
+const MATCH_ATTRIBUTE = "data-match";
+const MATCH_CLASS = "bg-transparent font-semibold text-current";
+
+/**
+ * Subsequence scorer: every query character must appear in order.
+ * Matches at word starts and runs of consecutive characters rank higher.
+ *
+ * @param {string} query - Search query
+ * @param {string} text - Text to match
+ * @returns {Object|null} `{ score, matches }`, null when the text doesn't match
+ */
+function fuzzyScorer(query, text) {
+  const needle = query.toLowerCase();
+  const haystack = text.toLowerCase();
+  if (!needle) return { score: 0, matches: [] };
+
+  // Find where the first complete match ends...
+  let queryIndex = 0;
+  let end = -1;
+  for (let i = 0; i < haystack.length; i++) {
+    if (haystack[i] === needle[queryIndex] && ++queryIndex === needle.length) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) return null;
+
+  // ...then walk back from it to the shortest window holding the query
+  queryIndex = needle.length - 1;
+  let start = end;
+  for (let i = end; i >= 0; i--) {
+    if (haystack[i] === needle[queryIndex] && --queryIndex < 0) {
+      start = i;
+      break;
+    }
+  }
+
+  const matches = [];
+  queryIndex = 0;
+  for (let i = start; i <= end && queryIndex < needle.length; i++) {
+    if (haystack[i] === needle[queryIndex]) {
+      matches.push(i);
+      queryIndex++;
+    }
+  }
+
+  const score = matches.reduce((total, index, n) => {
+    let points = MATCH_SCORE;
+    if (isWordStart(text, index)) points += BOUNDARY_BONUS;
+
+    if (n > 0) {
+      const gap = index - matches[n - 1] - 1;
+      points +=
+        gap === 0
+          ? CONSECUTIVE_BONUS
+          : -Math.min(gap * GAP_PENALTY, MAX_GAP_PENALTY);
+    }
+    return total + points;
+  }, 0);
+
+  // Between equal matches, prefer the shorter text
+  return { score: score - haystack.trim().length / 1000, matches };
+}
+
+/**
+ * Plain substring scorer, earlier matches rank higher
+ */
+function substringScorer(query, text) {
+  const needle = query.toLowerCase();
+  if (!needle) return { score: 0, matches: [] };
+
+  const index = text.toLowerCase().indexOf(needle);
+  if (index === -1) return null;
+
+  const matches = Array.from({ length: needle.length }, (_, i) => index + i);
+  return { score: -index, matches };
+}
+
+const scorers = {
+  fuzzy: fuzzyScorer,
+  substring: substringScorer,
+};
+
+/**
+ * Register a scorer usable through the `scorer` component option
+ *
+ * @param {string} name - Scorer name
+ * @param {function} scorer - `(query, text) => { score, matches } | null`
+ */
+function registerScorer(name, scorer) {
+  scorers[name] = scorer;
+}
+
+/**
+ * Get a scorer by name, or pass a scorer function through
+ */
+function getScorer(nameOrScorer = "fuzzy") {
+  if (typeof nameOrScorer === "function") return nameOrScorer;
+
+  const scorer = scorers[nameOrScorer];
+  if (!scorer) {
+    console.warn(`SaladUI: unknown scorer '${nameOrScorer}', using 'fuzzy'`);
+    return fuzzyScorer;
+  }
+  return scorer;
+}
+
+/**
+ * Score a label and its keywords. Keywords can make an item match, but only
+ * label matches are highlighted.
+ *
+ * @param {function} scorer - Scorer function
+ * @param {string} query - Search query
+ * @param {string} label - Item label
+ * @param {Array} keywords - Aliases of the item (optional)
+ * @returns {Object|null} `{ score, matches }`, null when nothing matches
+ */
+function scoreItem(scorer, query, label, keywords = []) {
+  let best = scorer(query, label);
+
+  keywords.forEach((keyword) => {
+    const result = scorer(query, keyword);
+    if (result && (!best || result.score > best.score)) {
+      best = { score: result.score, matches: [] };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Read the `data-keywords` aliases of an element, comma separated
+ */
+function getKeywords(el) {
+  return (el.getAttribute("data-keywords") || "")
+    .split(",")
+    .map((keyword) => keyword.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Text of an element, leaving out the descendants matching `ignore`.
+ * Match indexes returned by scorers refer to this text.
+ *
+ * @param {HTMLElement} el - Element to read
+ * @param {string} ignore - Selector of descendants to skip (optional)
+ */
+function getMatchText(el, ignore) {
+  return textNodes(el, ignore)
+    .map((node) => node.data)
+    .join("");
+}
+
+/**
+ * Wrap the matched characters of an element in `<mark>` elements, replacing
+ * previous highlights
+ *
+ * @param {HTMLElement} el - Element whose text was scored
+ * @param {Array} matches - Indexes of the matched characters
+ * @param {string} ignore - Selector passed to getMatchText (optional)
+ */
+function highlightMatches(el, matches, ignore) {
+  clearHighlights(el);
+  if (!matches?.length) return;
+
+  const matched = new Set(matches);
+  let offset = 0;
+
+  textNodes(el, ignore).forEach((node) => {
+    const text = node.data;
+    const start = offset;
+    offset += text.length;
+
+    if (!matches.some((index) => index >= start && index < offset)) return;
+
+    // Split the text node into runs of matched and unmatched characters
+    const fragment = document.createDocumentFragment();
+    let run = "";
+    let runMatched = false;
+
+    const flush = () => {
+      if (!run) return;
+      if (runMatched) {
+        const mark = document.createElement("mark");
+        mark.setAttribute(MATCH_ATTRIBUTE, "");
+        mark.className = MATCH_CLASS;
+        mark.textContent = run;
+        fragment.appendChild(mark);
+      } else {
+        fragment.appendChild(document.createTextNode(run));
+      }
+      run = "";
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const isMatch = matched.has(start + i);
+      if (isMatch !== runMatched) {
+        flush();
+        runMatched = isMatch;
+      }
+      run += text[i];
+    }
+    flush();
+
+    node.replaceWith(fragment);
+  });
+}
+
+/**
+ * Remove the highlights added by highlightMatches
+ */
+function clearHighlights(el) {
+  const marks = el.querySelectorAll(`mark[${MATCH_ATTRIBUTE}]`);
+  if (marks.length === 0) return;
+
+  marks.forEach((mark) => mark.replaceWith(...mark.childNodes));
+  el.normalize();
+}
+
+/**
+ * Move elements so that, within each parent, they follow the given order.
+ * Only the positions they already occupy are reused: siblings that aren't
+ * part of the list (separators, headings) stay in place.
+ *
+ * @param {Array} elements - Elements in the wanted order
+ */
+function reorderElements(elements) {
+  const byParent = new Map();
+  elements.forEach((el) => {
+    if (!el.parentNode) return;
+    if (!byParent.has(el.parentNode)) byParent.set(el.parentNode, []);
+    byParent.get(el.parentNode).push(el);
+  });
+
+  byParent.forEach((children, parent) => {
+    const current = Array.from(parent.children).filter((child) =>
+      children.includes(child),
+    );
+    if (current.every((child, index) => child === children[index])) return;
+
+    const placeholders = current.map((child) => {
+      const placeholder = document.createComment("");
+      child.replaceWith(placeholder);
+      return placeholder;
+    });
+    placeholders.forEach((placeholder, index) =>
+      placeholder.replaceWith(children[index]),
+    );
+  });
+}
+
+function textNodes(el, ignore) {
+  const nodes = [];
+  const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => {
+      const skipped = ignore && node.parentElement?.closest(ignore);
+      return skipped && el.contains(skipped)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT;
+    },
+  });
+
+  while (walker.nextNode()) nodes.push(walker.currentNode);
+  return nodes;
+}
+
+function isWordStart(text, index) {
+  if (index === 0) return true;
+
+  const previous = text[index - 1];
+  if (/[\s\-_./:]/.test(previous)) return true;
+
+  // camelCase boundary
+  const char = text[index];
+  return (
+    previous === previous.toLowerCase() &&
+    char !== char.toLowerCase() &&
+    char === char.toUpperCase()
+  );
+}
+
+export {
+  fuzzyScorer,
+  substringScorer,
+  registerScorer,
+  getScorer,
+  scoreItem,
+  getKeywords,
+  getMatchText,
+  highlightMatches,
+  clearHighlights,
+  reorderElements,
+};
@@ -19,6 +19,7 @@ const SaladUIHook = {
     }
 
     // The registry.create method will handle creating the component and calling setupEvents
+    this.componentType = componentType;
     this.component = registry.create(componentType, el, this);
   },
 
@@ -35,14 +36,20 @@ const SaladUIHook = {
   },
 
   updated() {
-    if (this.component) {
+    if (!this.component) return;
+
+    const componentType = this.el.getAttribute("data-component");
+    const canUpdate =
+      typeof this.component.updated === "function" &&
+      componentType === this.componentType;
+
+    if (canUpdate) {
+      // Reconcile in place to keep state, focus and in-flight animations
+      this.component.updated();
+    } else {
       this.component.destroy();
       this.component = null;
       this.initComponent();
-      //   this.component.parseOptions();
-      //   this.component.setupEvents();
-      //   this.component.updatePartsVisibility();
-      //   this.component.updateUI();
     }
   },
 
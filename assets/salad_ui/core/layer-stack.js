@@ -0,0 +1,129 @@
+// saladui/core/layer-stack.js
+/**
+ * LayerStack utility for SaladUI components
+ * Keeps track of the open dismissable layers (dialogs, popovers, menus,
+ * toasts...) in the order they were opened, so that Escape and pointer-down
+ * outside only dismiss the topmost one instead of every open overlay.
+ */
+import Portal from "./portal";
+
+class LayerStack {
+  constructor() {
+    this.layers = [];
+
+    // Bind methods that will be used as event handlers
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+  }
+
+  /**
+   * Register an open layer on top of the stack
+   *
+   * @param {Object} layer - Layer definition
+   * @param {function} layer.getElements - Returns the elements belonging to the layer
+   * @param {function} layer.onEscape - Called on Escape when the layer is the topmost one (optional)
+   * @param {function} layer.handlesEscape - Returns false to let an Escape through to the layers below (optional)
+   * @param {function} layer.onPointerDownOutside - Called on pointer-down outside the layer (optional)
+   * @returns {Object} The layer, to pass to remove()
+   */
+  push(layer) {
+    this.remove(layer);
+    this.layers.push(layer);
+
+    if (this.layers.length === 1) this.listen();
+    return layer;
+  }
+
+  /**
+   * Unregister a layer, e.g. when it closes
+   */
+  remove(layer) {
+    const index = this.layers.indexOf(layer);
+    if (index === -1) return;
+
+    this.layers.splice(index, 1);
+    if (this.layers.length === 0) this.unlisten();
+  }
+
+  has(layer) {
+    return this.layers.includes(layer);
+  }
+
+  isTopmost(layer) {
+    return this.layers[this.layers.length - 1] === layer;
+  }
+
+  /**
+   * Check whether a node belongs to a layer. Elements moved to a portal
+   * count as part of the layer they were rendered in.
+   *
+   * @param {Object} layer - Registered layer
+   * @param {Node} target - Node to check
+   * @returns {boolean} Whether the node is inside the layer
+   */
+  contains(layer, target) {
+    const elements = layer.getElements().filter(Boolean);
+
+    let node = target;
+    while (node) {
+      if (elements.includes(node)) return true;
+      node = Portal.getOriginalParent(node) || node.parentNode;
+    }
+
+    return false;
+  }
+
+  listen() {
+    // Capture phase: layers are dismissed before components handle the event
+    document.addEventListener("keydown", this.handleKeyDown, true);
+    document.addEventListener("pointerdown", this.handlePointerDown, true);
+  }
+
+  unlisten() {
+    document.removeEventListener("keydown", this.handleKeyDown, true);
+    document.removeEventListener("pointerdown", this.handlePointerDown, true);
+  }
+
+  /**
+   * Escape dismisses the topmost layer handling it. Layers may only handle
+   * some of them (e.g. toasts, when focused) and let the others through.
+   */
+  handleKeyDown(event) {
+    if (event.key !== "Escape" || event.isComposing) return;
+
+    const layer = this.layers
+      .slice()
+      .reverse()
+      .find(
+        (candidate) =>
+          candidate.onEscape && candidate.handlesEscape?.(event) !== false,
+      );
+    if (!layer) return;
+
+    event.preventDefault();
+    layer.onEscape(event);
+  }
+
+  /**
+   * Pointer-down inside a layer keeps every layer open. Outside of it, only
+   * the topmost layer handling outside pointer-downs is dismissed; layers
+   * that don't (e.g. toasts) let it through to the ones below.
+   */
+  handlePointerDown(event) {
+    const layers = this.layers.slice().reverse();
+
+    for (const layer of layers) {
+      if (this.contains(layer, event.target)) return;
+
+      if (layer.onPointerDownOutside) {
+        layer.onPointerDownOutside(event);
+        return;
+      }
+    }
+  }
+}
+
+const layerStack = new LayerStack();
+
+export { layerStack };
+export default LayerStack;
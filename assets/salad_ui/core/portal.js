@@ -98,6 +98,17 @@ class Portal {
     return data?.inPortal === true;
   }
 
+  /**
+   * Get the parent an element had before it was moved to a portal
+   *
+   * @param {HTMLElement} element - Element to check
+   * @returns {HTMLElement|null} The original parent, null if not in a portal
+   */
+  static getOriginalParent(element) {
+    if (!this.isInPortal(element)) return null;
+    return this.portalRegistry.get(element).parent;
+  }
+
   /**
    * Setup scroll event passthrough for a portal element
    * Makes the portal element transparent to pointer events except for interactive elements
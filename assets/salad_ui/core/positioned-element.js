@@ -4,16 +4,20 @@
  */
 import Positioner from "./positioner";
 import FocusTrap from "./focus-trap";
-import ClickOutsideMonitor from "./click-outside";
+import { layerStack } from "./layer-stack";
 import Portal from "./portal";
 import ScrollManager from "./scroll-manager";
+import {
+  getReferenceElement,
+  isVirtualReference,
+} from "./virtual-reference";
 
 class PositionedElement {
   /**
    * Create a positioned element with full functionality
    *
    * @param {HTMLElement} element - Element to position
-   * @param {HTMLElement} reference - Reference element to position against
+   * @param {HTMLElement|Object} reference - Reference element to position against, or a virtual reference (see virtual-reference.js)
    * @param {Object} options - Positioning options
    */
   constructor(element, reference, options = {}) {
@@ -27,6 +31,15 @@ class PositionedElement {
       alignOffset: 0,
       flip: true,
 
+      // Collision handling, see Positioner
+      autoPlacement: false,
+      shift: true,
+      collisionPadding: 8,
+      middleware: null,
+
+      // Space kept between the `arrow` part and the element corners
+      arrowPadding: 4,
+
       // Portal options
       usePortal: false,
       portalContainer: document.body,
@@ -36,8 +49,10 @@ class PositionedElement {
       focusableSelector:
         'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])',
 
-      // Event handlers
+      // Event handlers, dispatched through the layer stack: only the
+      // topmost open layer is dismissed
       onOutsideClick: null,
+      onEscape: null,
       scrollPassThrough: false,
 
       ...options,
@@ -46,6 +61,13 @@ class PositionedElement {
     // State
     this.active = false;
 
+    // Components may read their configuration from these attributes, so the
+    // computed values are only reported while positioned
+    this.initialAttributes = {
+      "data-placement": element.getAttribute("data-placement"),
+      "data-align": element.getAttribute("data-align"),
+    };
+
     // Initialize sub-modules
     this.initializeModules();
   }
@@ -59,13 +81,20 @@ class PositionedElement {
       focusableSelector: this.options.focusableSelector,
     });
 
-    // Click outside detection
-    this.clickOutsideMonitor = this.options.onOutsideClick
-      ? new ClickOutsideMonitor(
-          [this.element, this.reference],
-          this.options.onOutsideClick,
-        )
-      : null;
+    // Dismissable layer, for pointer-down outside and Escape. A virtual
+    // reference is a point, its contextElement (e.g. the whole trigger area
+    // of a context menu) doesn't count as inside.
+    this.layer =
+      this.options.onOutsideClick || this.options.onEscape
+        ? {
+            getElements: () => [
+              this.element,
+              isVirtualReference(this.reference) ? null : this.reference,
+            ],
+            onPointerDownOutside: this.options.onOutsideClick,
+            onEscape: this.options.onEscape,
+          }
+        : null;
 
     // Scroll and resize handling
     this.scrollManager = new ScrollManager(() => {
@@ -97,11 +126,11 @@ class PositionedElement {
       this.focusTrap.activate();
     }
 
-    if (this.clickOutsideMonitor) {
-      this.clickOutsideMonitor.start();
+    if (this.layer) {
+      layerStack.push(this.layer);
     }
 
-    this.scrollManager.start(this.reference, this.element);
+    this.scrollManager.start(getReferenceElement(this.reference), this.element);
 
     // Add wheel and touch event handlers if in portal
     if (Portal.isInPortal(this.element) && this.options.scrollPassThrough) {
@@ -109,19 +138,29 @@ class PositionedElement {
     }
 
     // set reference width and height ass css variable
-    this.element.style.setProperty(
-      "--salad-reference-width",
-      this.reference.offsetWidth + "px",
-    );
-    this.element.style.setProperty(
-      "--salad-reference-height",
-      this.reference.offsetHeight + "px",
-    );
+    const { width, height } = this.getReferenceSize();
+    this.element.style.setProperty("--salad-reference-width", width + "px");
+    this.element.style.setProperty("--salad-reference-height", height + "px");
 
     this.active = true;
     return this;
   }
 
+  /**
+   * Size of the reference, virtual references only have a bounding rect
+   */
+  getReferenceSize() {
+    if (this.reference === getReferenceElement(this.reference)) {
+      return {
+        width: this.reference.offsetWidth,
+        height: this.reference.offsetHeight,
+      };
+    }
+
+    const { width, height } = this.reference.getBoundingClientRect();
+    return { width, height };
+  }
+
   /**
    * Deactivate the positioned element
    */
@@ -133,8 +172,8 @@ class PositionedElement {
       this.focusTrap.deactivate();
     }
 
-    if (this.clickOutsideMonitor) {
-      this.clickOutsideMonitor.stop();
+    if (this.layer) {
+      layerStack.remove(this.layer);
     }
 
     this.scrollManager.stop();
@@ -186,22 +225,91 @@ class PositionedElement {
    * Calculate and apply position to the element
    */
   calculateAndApplyPosition() {
-    const position = Positioner.calculate(
-      this.element,
-      this.reference,
-      this.options,
-    );
+    const { offsetWidth, offsetHeight } = this.element;
+    let position = this.calculatePosition();
+
+    // Capping the size to the available space may resize the element,
+    // place it again with its new size
+    if (
+      this.element.offsetWidth !== offsetWidth ||
+      this.element.offsetHeight !== offsetHeight
+    ) {
+      position = this.calculatePosition();
+    }
 
     // Apply positioning - with fixed positioning, we no longer need to
     // adjust for scroll position since fixed is relative to the viewport
     Positioner.applyPosition(this.element, position.x, position.y);
 
-    // Update placement attribute
+    // Report the placement and alignment picked by the middleware
     this.element.setAttribute("data-placement", position.placement);
+    this.element.setAttribute("data-align", position.alignment);
+
+    return position;
+  }
+
+  /**
+   * Run the positioner and expose the available space as CSS variables
+   */
+  calculatePosition() {
+    const arrow = this.getArrow();
+    const position = Positioner.calculate(this.element, this.reference, {
+      ...this.options,
+      arrow,
+    });
+
+    const size = position.middlewareData.size;
+    if (size) {
+      this.element.style.setProperty(
+        "--salad-available-width",
+        size.availableWidth + "px",
+      );
+      this.element.style.setProperty(
+        "--salad-available-height",
+        size.availableHeight + "px",
+      );
+    }
+
+    if (arrow) this.applyArrowPosition(arrow, position);
 
     return position;
   }
 
+  /**
+   * The `arrow` part of the element, if any. Looked up on every update as
+   * LiveView may replace it.
+   */
+  getArrow() {
+    return this.element.querySelector("[data-part='arrow']");
+  }
+
+  /**
+   * Move the arrow along the side of the element, the side itself is left to
+   * CSS through `data-side`
+   */
+  applyArrowPosition(arrow, position) {
+    const data = position.middlewareData.arrow;
+    if (!data) return;
+
+    arrow.style.position = "absolute";
+    arrow.style.left = data.x === null ? "" : data.x + "px";
+    arrow.style.top = data.y === null ? "" : data.y + "px";
+    arrow.setAttribute("data-side", position.placement);
+  }
+
+  /**
+   * Put back the attributes overwritten with computed values
+   */
+  restoreAttributes() {
+    Object.entries(this.initialAttributes).forEach(([name, value]) => {
+      if (value === null) {
+        this.element.removeAttribute(name);
+      } else {
+        this.element.setAttribute(name, value);
+      }
+    });
+  }
+
   /**
    * Set up scroll event passthrough
    */
@@ -290,14 +398,15 @@ class PositionedElement {
   }
 
   /**
-   * Update the reference element
+   * Update the reference element, or virtual reference
    */
   updateReference(reference) {
     this.reference = reference;
 
-    // Update click outside monitor
-    if (this.clickOutsideMonitor) {
-      this.clickOutsideMonitor.updateElements([this.element, this.reference]);
+    // Follow the scroll containers of the new reference
+    if (this.active) {
+      this.scrollManager.stop();
+      this.scrollManager.start(getReferenceElement(reference), this.element);
     }
 
     this.update();
@@ -327,12 +436,10 @@ class PositionedElement {
    */
   destroy() {
     this.deactivate();
+    this.restoreAttributes();
 
     // Destroy sub-modules
     this.focusTrap.destroy();
-    if (this.clickOutsideMonitor) {
-      this.clickOutsideMonitor.destroy();
-    }
     this.scrollManager.destroy();
 
     if (Portal.isInPortal(this.element)) {
@@ -344,7 +451,7 @@ class PositionedElement {
     this.reference = null;
     this.options = null;
     this.focusTrap = null;
-    this.clickOutsideMonitor = null;
+    this.layer = null;
     this.scrollManager = null;
     this.touchStartY = null;
   }
@@ -2,7 +2,22 @@
 /**
  * Core Positioning utility for SaladUI components
  * Handles pure positioning calculations without side effects
+ *
+ * The base position is refined by a pipeline of middleware, run in order.
+ * A middleware is `{ name, fn(state) }`, where `state` holds the current
+ * `x`, `y`, `placement`, `alignment`, the `rects` of the element, reference
+ * and container, the `options` and the `middlewareData` of the previous
+ * middleware. `fn` returns the values it changes and its own `data`;
+ * changing the placement or alignment recomputes the base position.
+ *
+ * @example
+ * Positioner.calculate(element, reference, {
+ *   middleware: [Positioner.autoPlacement(), Positioner.shift({ padding: 4 })],
+ * });
  */
+const SIDES = ["top", "right", "bottom", "left"];
+const ALIGNMENTS = ["start", "center", "end"];
+
 class Positioner {
   /**
    * Calculate position for an element relative to a reference element
@@ -10,16 +25,20 @@ class Positioner {
    * @param {HTMLElement} element - The element to position
    * @param {HTMLElement} reference - The reference element to position against
    * @param {Object} options - Positioning options
-   * @returns {Object} The computed position data
+   * @param {boolean} options.flip - Flip to the opposite side on overflow (default: true)
+   * @param {boolean|Object} options.autoPlacement - Use the side with the most space instead of flipping, `{ allowedPlacements }` (default: false)
+   * @param {boolean} options.shift - Slide along the side to stay in view (default: true)
+   * @param {number} options.collisionPadding - Space kept from the container edges (default: 8)
+   * @param {HTMLElement} options.arrow - Arrow element pointing at the reference (optional)
+   * @param {number} options.arrowPadding - Space kept between the arrow and the element corners (default: 4)
+   * @param {Array} options.middleware - Custom pipeline, replaces the one built from the options above
+   * @returns {Object} `{ x, y, placement, alignment, middlewareData }`
    */
   static calculate(element, reference, options = {}) {
     const {
       placement = "bottom",
       alignment = "center",
       container = document.body,
-      flip = true,
-      alignOffset = 0,
-      sideOffset = 8,
     } = options;
 
     // Get element and reference rects for positioning
@@ -44,47 +63,295 @@ class Positioner {
       containerRect = container.getBoundingClientRect();
     }
 
-    // Calculate initial position
-    let { x, y } = this.getBasePosition(
+    const state = {
       placement,
       alignment,
-      elementRect,
-      referenceRect,
-      alignOffset,
-      sideOffset,
-    );
+      rects: {
+        element: elementRect,
+        reference: referenceRect,
+        container: containerRect,
+      },
+      options,
+      middlewareData: {},
+    };
+
+    // Calculate initial position
+    Object.assign(state, this.getStatePosition(state));
+
+    // Refine it through the middleware pipeline
+    const middleware = options.middleware || this.getDefaultMiddleware(options);
+    middleware.filter(Boolean).forEach(({ name, fn }) => {
+      const { data, ...result } = fn(state) || {};
+
+      const repositioned =
+        (result.placement && result.placement !== state.placement) ||
+        (result.alignment && result.alignment !== state.alignment);
+      Object.assign(state, result);
+      if (repositioned && result.x === undefined && result.y === undefined) {
+        Object.assign(state, this.getStatePosition(state));
+      }
+
+      if (data) state.middlewareData[name] = data;
+    });
+
+    return {
+      x: state.x,
+      y: state.y,
+      placement: state.placement,
+      alignment: state.alignment,
+      middlewareData: state.middlewareData,
+    };
+  }
+
+  /**
+   * Build the middleware pipeline from the positioning options
+   */
+  static getDefaultMiddleware(options = {}) {
+    const {
+      flip = true,
+      autoPlacement = false,
+      shift = true,
+      collisionPadding = 8,
+    } = options;
 
-    // Apply flipping if needed
-    let actualPlacement = placement;
-    if (flip) {
-      const flippedPlacement = this.getFlippedPlacement(
-        placement,
-        { x, y, width: elementRect.width, height: elementRect.height },
-        containerRect,
+    const middleware = [];
+    if (autoPlacement) {
+      middleware.push(
+        this.autoPlacement(autoPlacement === true ? {} : autoPlacement),
       );
+    } else if (flip) {
+      middleware.push(this.flip());
+    }
+    if (shift) middleware.push(this.shift({ padding: collisionPadding }));
+    if (options.arrow) {
+      middleware.push(
+        this.arrow({ element: options.arrow, padding: options.arrowPadding }),
+      );
+    }
+    middleware.push(this.size({ padding: collisionPadding }));
+
+    return middleware;
+  }
+
+  /**
+   * Flip to the opposite side when the element overflows on its side
+   * and fits on the other one
+   */
+  static flip() {
+    return {
+      name: "flip",
+      fn: ({ x, y, placement, rects }) => {
+        const flippedPlacement = this.getFlippedPlacement(
+          placement,
+          { x, y, ...rects.element },
+          rects.container,
+        );
+
+        return {
+          placement: flippedPlacement,
+          data: { flipped: flippedPlacement !== placement },
+        };
+      },
+    };
+  }
+
+  /**
+   * Place the element on the side with the most space. The preferred
+   * placement wins ties.
+   *
+   * @param {Object} options - `{ allowedPlacements }` (default: every side)
+   */
+  static autoPlacement({ allowedPlacements = SIDES } = {}) {
+    return {
+      name: "autoPlacement",
+      fn: ({ placement, rects, options }) => {
+        const space = this.getAvailableSpace(
+          rects.reference,
+          rects.container,
+          options.sideOffset ?? 8,
+        );
+
+        // Space left once the element is placed, relative to its size
+        const fit = (side) =>
+          isVertical(side)
+            ? space[side] - rects.element.height
+            : space[side] - rects.element.width;
+
+        const candidates = [
+          placement,
+          ...allowedPlacements.filter((side) => side !== placement),
+        ].filter((side) => allowedPlacements.includes(side));
+        const best = candidates.reduce((current, side) =>
+          fit(side) > fit(current) ? side : current,
+        );
+
+        return { placement: best, data: { space } };
+      },
+    };
+  }
+
+  /**
+   * Slide the element along its side to keep it within the container,
+   * `padding` pixels away from the edges. The reported alignment becomes
+   * the one closest to the shifted position.
+   *
+   * @param {Object} options - `{ padding }` (default: 8)
+   */
+  static shift({ padding = 8 } = {}) {
+    return {
+      name: "shift",
+      fn: (state) => {
+        const { x, y, placement, rects } = state;
+        const vertical = isVertical(placement);
+
+        const [value, size, min, max] = vertical
+          ? [x, rects.element.width, rects.container.left, rects.container.right]
+          : [
+              y,
+              rects.element.height,
+              rects.container.top,
+              rects.container.bottom,
+            ];
+
+        // Elements larger than the container stick to its start
+        const shifted = Math.max(
+          min + padding,
+          Math.min(value, max - padding - size),
+        );
+        const offset = shifted - value;
+        if (offset === 0) return { data: { x: 0, y: 0 } };
 
-      if (flippedPlacement !== placement) {
-        actualPlacement = flippedPlacement;
-        const flippedPosition = this.getBasePosition(
-          flippedPlacement,
+        const alignment = this.getClosestAlignment(state, shifted);
+        return {
+          x: vertical ? shifted : x,
+          y: vertical ? y : shifted,
           alignment,
-          elementRect,
-          referenceRect,
-          alignOffset,
-          sideOffset,
+          data: { x: vertical ? offset : 0, y: vertical ? 0 : offset },
+        };
+      },
+    };
+  }
+
+  /**
+   * Offset an arrow so that it points at the center of the reference,
+   * wherever the element ended up. Runs after flip and shift.
+   *
+   * @param {Object} options - `{ element, padding }`: arrow element and the space kept from the element corners (default: 4)
+   */
+  static arrow({ element, padding = 4 } = {}) {
+    return {
+      name: "arrow",
+      fn: ({ x, y, placement, rects }) => {
+        if (!element) return {};
+
+        const vertical = isVertical(placement);
+        const arrowSize = vertical ? element.offsetWidth : element.offsetHeight;
+        const [size, center] = vertical
+          ? [
+              rects.element.width,
+              rects.reference.left + rects.reference.width / 2 - x,
+            ]
+          : [
+              rects.element.height,
+              rects.reference.top + rects.reference.height / 2 - y,
+            ];
+
+        const offset = center - arrowSize / 2;
+        const clamped = Math.max(
+          padding,
+          Math.min(offset, size - arrowSize - padding),
         );
-        x = flippedPosition.x;
-        y = flippedPosition.y;
-      }
-    }
 
+        return {
+          data: {
+            x: vertical ? clamped : null,
+            y: vertical ? null : clamped,
+            // Distance left between the arrow and the reference center
+            centerOffset: offset - clamped,
+          },
+        };
+      },
+    };
+  }
+
+  /**
+   * Measure the space available on the element's side, minus `padding`.
+   * Doesn't move the element: the result is exposed as
+   * `--salad-available-width` and `--salad-available-height` so content can
+   * be capped and scroll.
+   *
+   * @param {Object} options - `{ padding }` (default: 8)
+   */
+  static size({ padding = 8 } = {}) {
     return {
-      x,
-      y,
-      placement: actualPlacement,
+      name: "size",
+      fn: ({ placement, rects, options }) => {
+        const space = this.getAvailableSpace(
+          rects.reference,
+          rects.container,
+          options.sideOffset ?? 8,
+        );
+        const vertical = isVertical(placement);
+
+        const availableWidth = vertical
+          ? rects.container.width - padding * 2
+          : space[placement] - padding;
+        const availableHeight = vertical
+          ? space[placement] - padding
+          : rects.container.height - padding * 2;
+
+        return {
+          data: {
+            availableWidth: Math.max(0, availableWidth),
+            availableHeight: Math.max(0, availableHeight),
+          },
+        };
+      },
+    };
+  }
+
+  /**
+   * Space between the reference and each container edge
+   */
+  static getAvailableSpace(referenceRect, containerRect, sideOffset = 0) {
+    return {
+      top: referenceRect.top - containerRect.top - sideOffset,
+      right: containerRect.right - referenceRect.right - sideOffset,
+      bottom: containerRect.bottom - referenceRect.bottom - sideOffset,
+      left: referenceRect.left - containerRect.left - sideOffset,
     };
   }
 
+  /**
+   * Alignment whose position along the side is the closest to `value`
+   */
+  static getClosestAlignment(state, value) {
+    const axis = isVertical(state.placement) ? "x" : "y";
+
+    return ALIGNMENTS.reduce(
+      (closest, alignment) => {
+        const position = this.getStatePosition({ ...state, alignment })[axis];
+        const distance = Math.abs(position - value);
+        return distance < closest.distance ? { alignment, distance } : closest;
+      },
+      { alignment: state.alignment, distance: Infinity },
+    ).alignment;
+  }
+
+  /**
+   * Base position of a middleware state
+   */
+  static getStatePosition({ placement, alignment, rects, options }) {
+    return this.getBasePosition(
+      placement,
+      alignment,
+      rects.element,
+      rects.reference,
+      options.alignOffset ?? 0,
+      options.sideOffset ?? 8,
+    );
+  }
+
   /**
    * Apply position to an element
    * @param {HTMLElement} element - Element to position
@@ -235,4 +502,8 @@ class Positioner {
   }
 }
 
+function isVertical(placement) {
+  return placement === "top" || placement === "bottom";
+}
+
 export default Positioner;
@@ -1,4 +1,7 @@
 // saladui/core/state-machine.js
+// Result of a transition waiting for an animation to end
+export const DEFERRED = "deferred";
+
 /**
  * StateMachine class for SaladUI framework
  * Handles state transitions, event processing, and state-specific behavior
@@ -7,40 +10,177 @@ class StateMachine {
   /**
    * Create a state machine
    *
+   * States can be nested: a state with `states` is a compound state that
+   * enters its `initial` child (the first one by default), and a state with
+   * `type: "parallel"` enters all of its child regions at once. Nested paths
+   * are dot separated, e.g. `open.loading`.
+   *
    * @param {Object} stateConfig - Configuration object defining states and transitions
    * @param {string} initialState - The initial state to start in
    * @param {Object} options - Optional configuration options. Currently supports:
    *   - onStateChanged: A callback function to be called when the state changes
+   *   - validCheck: A function returning false once the machine owner is gone
+   *   - context: Initial extended state, updated by `assign` actions
    */
   constructor(stateConfig, initialState, options) {
     this.stateConfig = stateConfig;
-    this.state = initialState || "idle";
+    this.nodes = indexStates(stateConfig);
     this.previousState = null;
-    this.options = options || {};
+    this.options = { validCheck: () => true, ...options };
+    this.context = { ...(this.options.context || {}) };
+
+    // Active state paths, ancestors included
+    this.configuration = new Set();
+    this.setConfiguration(this.entrySet("", [initialState || "idle"]));
+
+    // Animation promise returned by onStateChanged, if still running
+    this.pendingAnimation = null;
+    // Events received while animating, run in order once the animation ends
+    this.queuedEvents = [];
+    // Abort controller of the async enter handlers still running, if any
+    this.pendingEnter = null;
   }
 
   /**
-   * Trigger a transition based on an event
+   * Active leaf states, one per parallel region
+   */
+  get activeStates() {
+    return this.sortPaths(
+      Array.from(this.configuration).filter(
+        (path) =>
+          !this.getNode(path)?.children.some((child) =>
+            this.configuration.has(child),
+          ),
+      ),
+    );
+  }
+
+  /**
+   * Check whether a state is active. Ancestors of the current state match
+   * too, so `matches("open")` is true in `open.loading`.
+   *
+   * @param {string} path - State path
+   * @returns {boolean} Whether the state is active
+   */
+  matches(path) {
+    return this.configuration.has(path);
+  }
+
+  /**
+   * Check whether a state path is defined in the configuration
+   */
+  hasState(path) {
+    return this.nodes.has(path);
+  }
+
+  getNode(path) {
+    return this.nodes.get(path);
+  }
+
+  /**
+   * Trigger a transition based on an event. The innermost active state
+   * handling the event wins; each parallel region can handle it once.
+   *
+   * Events received while the previous transition is still animating are
+   * deferred until it ends, so that enter handlers run in order. Every
+   * deferred event is sent again in turn, its guards checked at that time.
    *
    * @param {string} event - The event triggering the transition
    * @param {Object} params - Parameters to pass to the handlers
-   * @returns {boolean} Whether the transition was successful
+   * @returns {boolean|string} Whether the transition was successful, or
+   *   `"deferred"` when it waits for an animation
    */
   transition(event, params = {}) {
-    const currentStateConfig = this.stateConfig[this.state];
-    if (!currentStateConfig) return false;
+    if (this.pendingAnimation) {
+      this.queuedEvents.push({ event, params });
+      return DEFERRED;
+    }
+
+    const selected = this.selectTransitions(event, params);
+    if (!selected.length) return false;
+
+    let transitioned = false;
+    selected.forEach(({ source, candidate }) => {
+      // An earlier region may have left this one already
+      if (!this.configuration.has(source)) return;
+
+      const target = this.determineNextState(candidate, params);
+      if (!target) return;
+
+      this.executeTransition(
+        source,
+        this.resolveTarget(source, target),
+        params,
+        candidate.actions,
+      );
+      transitioned = true;
+    });
+
+    return transitioned;
+  }
+
+  /**
+   * Find the transitions handling an event, walking up from each active
+   * leaf state to its ancestors
+   *
+   * @returns {Array} `{ source, candidate }` pairs, one per handling state
+   */
+  selectTransitions(event, params) {
+    const selected = [];
+
+    this.activeStates.forEach((leaf) => {
+      for (let path = leaf; path; path = parentPath(path)) {
+        const transition = this.getNode(path)?.config.transitions?.[event];
+        if (!transition) continue;
+
+        const candidate = this.selectTransition(transition, params);
+        if (!candidate) continue;
 
-    const transition = currentStateConfig.transitions?.[event];
-    if (!transition) return false;
+        if (!selected.some((entry) => entry.source === path)) {
+          selected.push({ source: path, candidate });
+        }
+        return;
+      }
+    });
 
-    const nextState = this.determineNextState(transition, params);
-    if (!nextState) return false;
+    return selected;
+  }
 
-    const prevState = this.state;
+  /**
+   * Pick the first transition candidate whose guard passes
+   *
+   * @param {string|Function|Object|Array} transition - Transition definition
+   * @param {Object} params - Parameters passed to guards
+   * @returns {Object|null} The selected `{ target, guard, actions }` candidate
+   */
+  selectTransition(transition, params) {
+    const candidates = (Array.isArray(transition) ? transition : [transition])
+      .map((candidate) =>
+        typeof candidate === "object" && candidate !== null
+          ? candidate
+          : { target: candidate },
+      );
 
-    this.executeTransition(prevState, nextState, params);
+    return (
+      candidates.find((candidate) => this.checkGuard(candidate.guard, params)) ||
+      null
+    );
+  }
 
-    return true;
+  /**
+   * Evaluate a guard predicate
+   *
+   * @param {Function|undefined} guard - Guard predicate receiving (params, context)
+   * @param {Object} params - Transition parameters
+   * @returns {boolean} Whether the transition is allowed
+   */
+  checkGuard(guard, params) {
+    if (guard === undefined || guard === null) return true;
+    if (typeof guard !== "function") {
+      console.warn("StateMachine: guard must be a function", guard);
+      return false;
+    }
+    return !!guard(params, this.context);
   }
 
   /**
@@ -51,58 +191,297 @@ class StateMachine {
    * @returns {string|null} The next state or null if not determinable
    */
   determineNextState(transition, params) {
-    if (typeof transition === "string") {
+    if (typeof transition === "object" && transition !== null) {
+      return this.determineNextState(transition.target, params);
+    } else if (typeof transition === "string") {
       return transition;
     } else if (typeof transition === "function") {
-      return transition(params);
+      return transition(params, this.context);
     }
     return null;
   }
 
   /**
-   * Execute a transition between states, with optional animation
+   * Resolve a transition target relative to the state handling the event:
+   * `.child` targets a child, other names a sibling, then an absolute path
    *
-   * @param {string} prevState - The state we're coming from
-   * @param {string} nextState - The state we're going to
+   * @param {string} source - Path of the state handling the event
+   * @param {string} target - Target as written in the configuration
+   * @returns {string} Absolute target path
+   */
+  resolveTarget(source, target) {
+    if (target.startsWith(".")) return `${source}${target}`;
+
+    const sibling = joinPath(parentPath(source), target);
+    return this.nodes.has(sibling) ? sibling : target;
+  }
+
+  /**
+   * Execute a transition between states, with optional animation.
+   * Exit handlers run from the innermost state outwards, enter handlers
+   * from the outermost state inwards.
+   *
+   * @param {string} prevState - The state the transition starts from
+   * @param {string|Array} nextState - The state (or leaf states) we're going to
    * @param {Object} params - Parameters to pass to handlers
+   * @param {Array|Function|Object} actions - Transition actions to run (optional)
    */
-  executeTransition(prevState, nextState, params = {}) {
+  executeTransition(prevState, nextState, params = {}, actions = []) {
     if (!this.options.validCheck()) return;
 
+    // A newer transition supersedes async enter handlers still running
+    this.cancelPendingEnter();
+
+    const targets = [].concat(nextState);
+    const domain = this.transitionDomain(prevState || "", targets);
+    const prevValue = this.state;
+    const prevLeaves = this.activeStates;
+
+    const exitSet = this.sortPaths(
+      Array.from(this.configuration).filter((path) =>
+        isDescendant(path, domain),
+      ),
+    ).reverse();
+    const kept = Array.from(this.configuration).filter(
+      (path) => !exitSet.includes(path),
+    );
+    const nextConfiguration = this.entrySet(domain, targets, kept);
+    const entrySet = nextConfiguration.filter((path) => !kept.includes(path));
+
     // Execute exit handlers
-    this.executeStateHandler(prevState, "exit", params);
+    exitSet.forEach((path) => this.executeStateHandler(path, "exit", params));
+
+    // Run transition actions, which may update the context
+    this.executeActions(actions, params);
 
     // Update state
-    this.previousState = prevState;
-    this.state = nextState;
+    this.setConfiguration(nextConfiguration);
+    this.previousState = prevValue;
 
     let callbackResult;
     // Execute state change hook
     if (typeof this.options.onStateChanged === "function") {
       callbackResult = this.options.onStateChanged(
-        prevState,
-        nextState,
+        prevValue,
+        this.state,
         params,
       );
     }
 
     if (callbackResult && typeof callbackResult.then === "function") {
-      // If it returns a promise, wait for completion before executing enter handler
-      callbackResult
+      // If it returns a promise, wait for completion before executing enter handlers
+      const animation = callbackResult;
+      this.pendingAnimation = animation;
+
+      animation
         .then(() => {
+          const current = this.pendingAnimation === animation;
+          if (current) this.pendingAnimation = null;
           if (!this.options.validCheck()) return;
 
-          this.executeStateHandler(nextState, "enter", params);
+          this.enterStates(entrySet, prevLeaves, params);
+          if (current) this.runQueuedEvents();
         })
         .catch((error) => {
+          const current = this.pendingAnimation === animation;
+          if (current) this.pendingAnimation = null;
           console.error("Animation promise rejected:", error);
-          // Still execute enter handler even if animation fails
-          this.executeStateHandler(nextState, "enter", params);
+          // Still execute enter handlers even if animation fails
+          this.enterStates(entrySet, prevLeaves, params);
+          if (current) this.runQueuedEvents();
         });
     } else {
-      // If it doesn't return a promise, execute enter handler immediately
-      this.executeStateHandler(nextState, "enter", params);
+      // If it doesn't return a promise, execute enter handlers immediately
+      this.enterStates(entrySet, prevLeaves, params);
+    }
+  }
+
+  /**
+   * Run the enter handlers of the entered states. Async handlers receive an
+   * AbortSignal in `params.signal`; resolving to `false` cancels the
+   * transition and moves back to the previous states.
+   *
+   * @param {Array} entrySet - Entered state paths, outermost first
+   * @param {Array} prevLeaves - Leaf states active before the transition
+   * @param {Object} params - Parameters to pass to the handlers
+   */
+  enterStates(entrySet, prevLeaves, params) {
+    const controller = new AbortController();
+    const results = entrySet
+      .map((path) =>
+        this.executeStateHandler(path, "enter", {
+          ...params,
+          signal: controller.signal,
+        }),
+      )
+      .filter((result) => result && typeof result.then === "function");
+
+    if (!results.length) return;
+
+    this.pendingEnter = controller;
+
+    Promise.all(results)
+      .then((outcomes) => {
+        if (controller.signal.aborted) return;
+        this.pendingEnter = null;
+
+        if (outcomes.includes(false) && this.options.validCheck()) {
+          this.executeTransition(this.state, prevLeaves, {
+            ...params,
+            cancelled: true,
+          });
+        }
+      })
+      .catch((error) => {
+        if (controller.signal.aborted) return;
+        this.pendingEnter = null;
+        console.error("Enter handler failed:", error);
+      });
+  }
+
+  /**
+   * The state whose descendants are exited and entered by a transition.
+   * Targeting the source state itself (or one of its ancestors) exits and
+   * re-enters it, targeting a descendant keeps it active.
+   */
+  transitionDomain(source, targets) {
+    let domain = targets.reduce(commonAncestor, source);
+
+    if (targets.some((target) => target === domain)) {
+      domain = parentPath(domain);
     }
+
+    // Only compound states (or the root) can be a domain
+    while (domain && this.getNode(domain)?.type === "parallel") {
+      domain = parentPath(domain);
+    }
+
+    return domain;
+  }
+
+  /**
+   * Build the configuration reached by entering targets inside a domain:
+   * the targets, their ancestors below the domain, then initial children
+   * of compound states and every region of parallel states
+   *
+   * @param {string} domain - Path of the transition domain ("" for the root)
+   * @param {Array} targets - Target state paths
+   * @param {Array} kept - Active paths that stay active
+   * @returns {Array} The full configuration, in document order
+   */
+  entrySet(domain, targets, kept = []) {
+    const paths = new Set(kept);
+
+    targets.forEach((target) => {
+      for (let path = target; path && path !== domain; path = parentPath(path)) {
+        paths.add(path);
+      }
+    });
+
+    // Complete the configuration, outermost states first
+    const complete = (path) => {
+      const node = this.getNode(path);
+      const children = path === "" ? this.rootChildren() : node?.children;
+      // Unknown states can be active at the root, count them too
+      let active = Array.from(paths).filter(
+        (child) => child && parentPath(child) === path,
+      );
+
+      if (children?.length) {
+        if (node?.type === "parallel") {
+          active = children;
+        } else if (!active.length) {
+          active = [this.initialChild(path)];
+        }
+      }
+
+      active.forEach((child) => {
+        paths.add(child);
+        complete(child);
+      });
+    };
+    complete("");
+
+    return this.sortPaths(Array.from(paths));
+  }
+
+  rootChildren() {
+    return Array.from(this.nodes.values())
+      .filter((node) => node.parent === "")
+      .map((node) => node.path);
+  }
+
+  initialChild(path) {
+    if (path === "") return this.rootChildren()[0];
+
+    const node = this.getNode(path);
+    const initial = node.config.initial;
+    return initial ? joinPath(path, initial) : node.children[0];
+  }
+
+  setConfiguration(paths) {
+    this.configuration = new Set(paths);
+
+    // `state` is the active leaf, or the parallel state holding the regions
+    const leaves = this.activeStates;
+    this.state = leaves.reduce(commonAncestor, leaves[0] || "");
+  }
+
+  /**
+   * Sort state paths in document order, parents before their children.
+   * Unknown states (not in the configuration) go last.
+   */
+  sortPaths(paths) {
+    const order = (path) =>
+      this.getNode(path)?.order ?? Number.MAX_SAFE_INTEGER;
+    return paths.slice().sort((a, b) => order(a) - order(b));
+  }
+
+  /**
+   * Send the events deferred while animating, in order. A transition that
+   * animates again defers the remaining ones behind it.
+   */
+  runQueuedEvents() {
+    while (this.queuedEvents.length && !this.pendingAnimation) {
+      if (!this.options.validCheck()) {
+        this.queuedEvents = [];
+        return;
+      }
+
+      const { event, params } = this.queuedEvents.shift();
+      this.transition(event, params);
+    }
+  }
+
+  /**
+   * Abort the async enter handlers still running, if any
+   */
+  cancelPendingEnter() {
+    if (!this.pendingEnter) return;
+
+    this.pendingEnter.abort();
+    this.pendingEnter = null;
+  }
+
+  /**
+   * Run transition actions
+   *
+   * @param {Array|Function|Object} actions - Action functions or `assign` actions
+   * @param {Object} params - Parameters passed to the actions
+   */
+  executeActions(actions, params) {
+    if (!actions) return;
+
+    (Array.isArray(actions) ? actions : [actions]).forEach((action) => {
+      if (action?.type === "assign") {
+        this.context = {
+          ...this.context,
+          ...resolveAssignment(action.assignment, this.context, params),
+        };
+      } else if (typeof action === "function") {
+        action(params, this.context);
+      }
+    });
   }
 
   /**
@@ -111,15 +490,16 @@ class StateMachine {
    * @param {string} stateName - The state whose handler to execute
    * @param {string} handlerType - 'enter' or 'exit'
    * @param {Object} params - Parameters to pass to the handler
+   * @returns {*} The handler result, a promise for async handlers
    */
   executeStateHandler(stateName, handlerType, params) {
-    const stateConfig = this.stateConfig[stateName];
-    if (!stateConfig) return;
+    const node = this.getNode(stateName);
+    if (!node) return;
 
-    const handler = stateConfig[handlerType];
+    const handler = node.config[handlerType];
 
     if (typeof handler === "function") {
-      handler(params);
+      return handler(params, this.context);
     }
   }
 
@@ -133,4 +513,90 @@ class StateMachine {
   }
 }
 
+/**
+ * Index a (possibly nested) state configuration by dot separated path
+ *
+ * @param {Object} states - State configurations keyed by name
+ * @returns {Map} path => { path, parent, config, children, type, order }
+ */
+function indexStates(states, parent = "", nodes = new Map()) {
+  Object.entries(states || {}).forEach(([name, config]) => {
+    const path = joinPath(parent, name);
+    const node = {
+      path,
+      parent,
+      config,
+      children: [],
+      type:
+        config.type === "parallel"
+          ? "parallel"
+          : config.states
+            ? "compound"
+            : "atomic",
+      order: nodes.size,
+    };
+
+    nodes.set(path, node);
+    nodes.get(parent)?.children.push(path);
+    indexStates(config.states, path, nodes);
+  });
+
+  return nodes;
+}
+
+function joinPath(parent, name) {
+  return parent ? `${parent}.${name}` : name;
+}
+
+function parentPath(path) {
+  const index = path.lastIndexOf(".");
+  return index === -1 ? "" : path.slice(0, index);
+}
+
+function isDescendant(path, ancestor) {
+  return ancestor === "" || path.startsWith(`${ancestor}.`);
+}
+
+function commonAncestor(a, b) {
+  const segmentsA = a.split(".");
+  const segmentsB = b.split(".");
+  const common = [];
+
+  for (let i = 0; i < Math.min(segmentsA.length, segmentsB.length); i++) {
+    if (segmentsA[i] !== segmentsB[i]) break;
+    common.push(segmentsA[i]);
+  }
+
+  return common.join(".");
+}
+
+/**
+ * Create an action that updates the machine context
+ *
+ * @example
+ * transitions: {
+ *   select: { target: "closed", actions: assign({ value: (ctx, params) => params.value }) }
+ * }
+ *
+ * @param {Object|Function} assignment - Partial context, with optional
+ *   `(context, params) => value` functions, or a function returning one
+ * @returns {Object} The assign action
+ */
+export function assign(assignment) {
+  return { type: "assign", assignment };
+}
+
+function resolveAssignment(assignment, context, params) {
+  if (typeof assignment === "function") {
+    return assignment(context, params) || {};
+  }
+
+  return Object.fromEntries(
+    Object.entries(assignment || {}).map(([key, value]) => [
+      key,
+      typeof value === "function" ? value(context, params) : value,
+    ]),
+  );
+}
+
 export default StateMachine;
@@ -0,0 +1,164 @@
+// saladui/core/typeahead.js
+/**
+ * Typeahead utility for SaladUI components
+ * Buffers printable keystrokes and finds the next collection item whose
+ * label starts with them, as in WAI-ARIA listbox and menu patterns
+ */
+class Typeahead {
+  /**
+   * Create a typeahead helper
+   *
+   * @param {Object} options - Configuration options
+   * @param {function} options.getItemLabel - Function returning the label of a collection item
+   * @param {number} options.timeout - Delay (ms) after which the typed buffer is reset (default: 500)
+   */
+  constructor(options = {}) {
+    this.options = {
+      getItemLabel: defaultItemLabel,
+      timeout: 500,
+      ...options,
+    };
+
+    this.buffer = "";
+    this.timer = null;
+    this.targets = [];
+    this.handler = null;
+  }
+
+  /**
+   * Listen for keydown on elements, replacing the previous targets
+   *
+   * @param {Array} targets - Elements to listen on
+   * @param {function} handler - Keydown handler
+   */
+  listen(targets, handler) {
+    this.unlisten();
+
+    this.targets = targets.filter(Boolean);
+    this.handler = handler;
+    this.targets.forEach((target) =>
+      target.addEventListener("keydown", this.handler),
+    );
+  }
+
+  unlisten() {
+    this.targets.forEach((target) =>
+      target.removeEventListener("keydown", this.handler),
+    );
+    this.targets = [];
+  }
+
+  /**
+   * Check whether a keydown should be handled as typeahead: printable
+   * characters without Ctrl/Meta/Alt, outside of text fields. Space only
+   * activates items, so it's left out.
+   */
+  isTypeaheadKey(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return false;
+    if (!event.key || event.key.length !== 1 || event.key === " ") return false;
+
+    const target = event.target;
+    return !(
+      target?.isContentEditable ||
+      target?.tagName === "INPUT" ||
+      target?.tagName === "TEXTAREA" ||
+      target?.tagName === "SELECT"
+    );
+  }
+
+  /**
+   * Handle a keydown event, prevents its default when an item matches
+   *
+   * @param {KeyboardEvent} event - The keydown event
+   * @param {Collection} collection - Collection to search
+   * @param {Object} referenceItem - Current item, the search starts from it (optional)
+   * @returns {Object} The matching collection item or null
+   */
+  handleKey(event, collection, referenceItem = null) {
+    if (!collection || !this.isTypeaheadKey(event)) return null;
+
+    const item = this.type(event.key, collection, referenceItem);
+    if (item) event.preventDefault();
+    return item;
+  }
+
+  /**
+   * Add a character to the buffer and search for it
+   */
+  type(char, collection, referenceItem = null) {
+    this.buffer += char.toLowerCase();
+
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.reset(), this.options.timeout);
+
+    return this.search(this.buffer, collection, referenceItem);
+  }
+
+  /**
+   * Find the item whose label starts with the query. Repeating the same
+   * character cycles through the items starting with it, otherwise the
+   * current item is kept while it still matches.
+   *
+   * @param {string} query - Text to match against item labels
+   * @param {Collection} collection - Collection to search
+   * @param {Object} referenceItem - Item to start from (optional)
+   * @returns {Object} The matching collection item or null
+   */
+  search(query, collection, referenceItem = null) {
+    const normalized = query.toLowerCase();
+    const repeated = Array.from(normalized).every(
+      (char) => char === normalized[0],
+    );
+    const prefix = repeated ? normalized[0] : normalized;
+
+    const referenceEnabled =
+      referenceItem &&
+      !collection.options.isItemDisabled(referenceItem.instance);
+    let candidate =
+      referenceEnabled && !repeated
+        ? referenceItem
+        : collection.getItem("next", referenceItem);
+
+    // Walk the enabled items once, getItem loops back to the first one
+    const visited = new Set();
+    while (candidate && !visited.has(candidate)) {
+      visited.add(candidate);
+      if (this.getLabel(candidate).startsWith(prefix)) return candidate;
+      candidate = collection.getItem("next", candidate);
+    }
+
+    return null;
+  }
+
+  getLabel(item) {
+    return (this.options.getItemLabel(item) || "")
+      .replace(/\s+/g, " ")
+      .trim()
+      .toLowerCase();
+  }
+
+  reset() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.buffer = "";
+  }
+
+  destroy() {
+    this.reset();
+    this.unlisten();
+  }
+}
+
+/**
+ * Label of a collection item: `label` of item components, otherwise the
+ * `data-label` or text of the item element
+ */
+function defaultItemLabel(item) {
+  const instance = item.instance;
+  if (typeof instance.label === "string") return instance.label;
+
+  const el = instance.el || instance;
+  return el.getAttribute?.("data-label") || el.textContent;
+}
+
+export default Typeahead;
@@ -38,7 +38,6 @@ export function animateTransition(animConfig, targetElement) {
  * @returns {Promise} Promise that resolves when animation completes
  */
 export function executeAnimation(targetElement, animOptions) {
-  console.log("Animating", targetElement, animOptions);
   return new Promise((resolve) => {
     const { animation, duration } = animOptions;
     let [transitionRun, transitionStart, transitionEnd] = animation || [
@@ -162,3 +161,62 @@ function addChildren(element, collection) {
     collection.push(element.children[i]);
   }
 }
+
+/**
+ * Check whether a keydown event matches a hotkey such as "mod+k" or
+ * "alt+shift+t". `mod` is Meta on Apple platforms and Ctrl elsewhere.
+ *
+ * @param {KeyboardEvent} event - The keydown event
+ * @param {string} hotkey - Modifiers and key joined with "+"
+ * @returns {boolean} Whether the event matches
+ */
+export function matchesHotkey(event, hotkey) {
+  if (!hotkey) return false;
+
+  const keys = hotkey.toLowerCase().split("+");
+  const key = keys.pop();
+  const apple = /mac|iphone|ipad/i.test(navigator.platform || "");
+  const wanted = {
+    ctrl: keys.includes("ctrl") || (!apple && keys.includes("mod")),
+    meta: keys.includes("meta") || (apple && keys.includes("mod")),
+    alt: keys.includes("alt"),
+    shift: keys.includes("shift"),
+  };
+
+  // Alt changes event.key on macOS, fall back to the physical key
+  const pressed = event.key?.toLowerCase();
+  const code = event.code?.toLowerCase();
+  const sameKey =
+    pressed === key || code === `key${key}` || code === `digit${key}`;
+
+  return (
+    sameKey &&
+    event.ctrlKey === wanted.ctrl &&
+    event.metaKey === wanted.meta &&
+    event.altKey === wanted.alt &&
+    event.shiftKey === wanted.shift
+  );
+}
+
+/**
+ * Check whether a point lies inside a polygon (ray casting)
+ *
+ * @param {Object} point - `{ x, y }`
+ * @param {Array} polygon - Vertices as `{ x, y }`, in order
+ * @returns {boolean} Whether the point is inside
+ */
+export function isPointInPolygon(point, polygon) {
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+
+    const crosses =
+      a.y > point.y !== b.y > point.y &&
+      point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x;
+    if (crosses) inside = !inside;
+  }
+
+  return inside;
+}
@@ -0,0 +1,80 @@
+// saladui/core/virtual-reference.js
+/**
+ * Virtual reference utilities for SaladUI components
+ * PositionedElement can be anchored to anything with a
+ * `getBoundingClientRect()` method instead of a DOM element, e.g. a pointer
+ * position or a text selection.
+ *
+ * A virtual reference may carry a `contextElement`: the DOM element it
+ * belongs to, used to follow scrolling. Pointer-downs on it are outside the
+ * positioned element.
+ */
+
+/**
+ * Reference at a point of the viewport, e.g. where a pointer event happened
+ *
+ * @param {number} x - Viewport x coordinate (clientX)
+ * @param {number} y - Viewport y coordinate (clientY)
+ * @param {HTMLElement} contextElement - Element the point belongs to (optional)
+ * @returns {Object} Virtual reference
+ */
+function createPointReference(x, y, contextElement = null) {
+  return {
+    contextElement,
+    getBoundingClientRect: () => ({
+      x,
+      y,
+      top: y,
+      right: x,
+      bottom: y,
+      left: x,
+      width: 0,
+      height: 0,
+    }),
+  };
+}
+
+/**
+ * Reference around the current text selection. The range is copied, so the
+ * reference stays where the selection was when it was created.
+ *
+ * @param {Selection} selection - Selection to anchor to (default: the document selection)
+ * @returns {Object} Virtual reference, null without a selection
+ */
+function createSelectionReference(selection = window.getSelection()) {
+  if (!selection || selection.rangeCount === 0) return null;
+
+  const range = selection.getRangeAt(0).cloneRange();
+  const container = range.commonAncestorContainer;
+
+  return {
+    contextElement:
+      container.nodeType === Node.ELEMENT_NODE
+        ? container
+        : container.parentElement,
+    getBoundingClientRect: () => range.getBoundingClientRect(),
+  };
+}
+
+/**
+ * Whether a reference is a virtual one rather than a DOM element
+ */
+function isVirtualReference(reference) {
+  return !!reference && reference.nodeType !== Node.ELEMENT_NODE;
+}
+
+/**
+ * DOM element behind a reference: the element itself, or the
+ * `contextElement` of a virtual reference
+ */
+function getReferenceElement(reference) {
+  if (!isVirtualReference(reference)) return reference || null;
+  return reference.contextElement || null;
+}
+
+export {
+  createPointReference,
+  createSelectionReference,
+  isVirtualReference,
+  getReferenceElement,
+};
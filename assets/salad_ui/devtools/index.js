@@ -0,0 +1,405 @@
+// saladui/devtools/index.js
+/**
+ * SaladUI devtools
+ * Opt-in debugging helpers: records every state machine transition of the
+ * live components in a ring buffer, and exposes `window.SaladUI.devtools`
+ * to list instances, dump their state, replay events and show an overlay.
+ *
+ * Import it once, before LiveSocket connects, so every component is tracked:
+ *
+ * @example
+ * import "salad_ui/devtools";
+ *
+ * SaladUI.devtools.list();
+ * SaladUI.devtools.log("my-select");
+ */
+import Component from "../core/component";
+import StateMachine from "../core/state-machine";
+import { registry } from "../core/factory";
+import Overlay from "./overlay";
+
+const DEFAULT_LIMIT = 200;
+
+class Devtools {
+  constructor() {
+    this.limit = DEFAULT_LIMIT;
+    this.entries = [];
+    this.sequence = 0;
+    this.instances = new Set();
+    this.listeners = new Set();
+    this.overlayPanel = null;
+    this.originals = null;
+
+    // Type and display id of each tracked component
+    this.meta = new WeakMap();
+
+    // Component owning each state machine, and the event being handled
+    this.owners = new WeakMap();
+    this.currentEvent = null;
+
+    // Params of each entry that can be sent again by replay
+    this.replayParams = new WeakMap();
+  }
+
+  /**
+   * Patch the registry and StateMachine to record transitions
+   *
+   * @param {Object} options - `{ limit }`: number of transitions kept (default 200)
+   */
+  install(options = {}) {
+    if (options.limit) this.limit = options.limit;
+    if (this.originals) return this;
+
+    const devtools = this;
+    const originals = {
+      create: registry.create,
+      destroy: Component.prototype.destroy,
+      transition: StateMachine.prototype.transition,
+      executeTransition: StateMachine.prototype.executeTransition,
+    };
+    this.originals = originals;
+
+    registry.create = function (type, el, hookContext) {
+      const instance = originals.create.call(this, type, el, hookContext);
+      if (instance) devtools.track(instance, type);
+      return instance;
+    };
+
+    Component.prototype.destroy = function () {
+      devtools.instances.delete(this);
+      return originals.destroy.call(this);
+    };
+
+    StateMachine.prototype.transition = function (event, params = {}) {
+      const parentEvent = devtools.currentEvent;
+      devtools.currentEvent = event;
+
+      try {
+        const accepted = originals.transition.call(this, event, params);
+        if (!accepted) {
+          devtools.record(this, {
+            event,
+            params,
+            prevState: this.state,
+            nextState: this.state,
+            rejected: devtools.rejectionReason(this, event),
+          });
+        }
+        return accepted;
+      } finally {
+        devtools.currentEvent = parentEvent;
+      }
+    };
+
+    StateMachine.prototype.executeTransition = function (
+      prevState,
+      nextState,
+      params = {},
+      actions,
+    ) {
+      if (!this.options.validCheck()) return;
+
+      const previous = this.state;
+      const result = originals.executeTransition.call(
+        this,
+        prevState,
+        nextState,
+        params,
+        actions,
+      );
+
+      devtools.record(this, {
+        event: devtools.currentEvent,
+        params,
+        prevState: previous,
+        nextState: this.state,
+      });
+      return result;
+    };
+
+    return this;
+  }
+
+  /**
+   * Restore the original registry and StateMachine methods
+   */
+  uninstall() {
+    if (!this.originals) return;
+
+    registry.create = this.originals.create;
+    Component.prototype.destroy = this.originals.destroy;
+    StateMachine.prototype.transition = this.originals.transition;
+    StateMachine.prototype.executeTransition =
+      this.originals.executeTransition;
+
+    this.originals = null;
+    this.overlay(false);
+  }
+
+  track(instance, type) {
+    const id = instance.el?.id || `${type}-${this.instances.size + 1}`;
+    this.meta.set(instance, { type, id });
+    this.instances.add(instance);
+    if (instance.stateMachine) this.owners.set(instance.stateMachine, instance);
+    this.notify();
+  }
+
+  /**
+   * Explain why a machine ignored an event
+   */
+  rejectionReason(machine, event) {
+    const handled = (machine.activeStates || [machine.state]).some((leaf) =>
+      leaf
+        .split(".")
+        .some((_, index, segments) =>
+          machine.getNode?.(segments.slice(0, index + 1).join("."))?.config
+            .transitions?.[event],
+        ),
+    );
+
+    return handled ? "guard-rejected" : "no-transition";
+  }
+
+  record(machine, { event, params, prevState, nextState, rejected }) {
+    // Machines of nested parts (e.g. select items) aren't tracked
+    const component = this.owners.get(machine);
+    if (!component) return;
+
+    const entry = {
+      id: ++this.sequence,
+      time: Date.now(),
+      component: this.instanceId(component),
+      type: this.meta.get(component).type,
+      event: event || implicitEvent(params),
+      params: serialize(params),
+      prevState,
+      nextState,
+      rejected: rejected || null,
+    };
+
+    this.replayParams.set(entry, primitiveParams(params));
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) {
+      this.entries.splice(0, this.entries.length - this.limit);
+    }
+
+    this.notify(entry);
+  }
+
+  /**
+   * Live components tracked since install
+   *
+   * @returns {Array} `{ id, type, state, el }` for each instance
+   */
+  list() {
+    return Array.from(this.instances).map((instance) => ({
+      id: this.instanceId(instance),
+      type: this.meta.get(instance).type,
+      state: instance.state,
+      el: instance.el,
+    }));
+  }
+
+  /**
+   * Find a live component by element id, element or instance
+   */
+  get(target) {
+    return (
+      Array.from(this.instances).find(
+        (instance) =>
+          instance === target ||
+          instance.el === target ||
+          this.instanceId(instance) === target,
+      ) || null
+    );
+  }
+
+  /**
+   * Snapshot of a component's state machine, or of every component
+   *
+   * @param {string|HTMLElement} target - Component to dump (optional)
+   * @returns {Object|Array} Plain data, safe to copy from the console
+   */
+  dump(target) {
+    if (target === undefined) {
+      return this.list().map(({ id }) => this.dump(id));
+    }
+
+    const instance = this.get(target);
+    if (!instance) return null;
+
+    const machine = instance.stateMachine;
+    return {
+      id: this.instanceId(instance),
+      type: this.meta.get(instance).type,
+      state: machine.state,
+      previousState: machine.previousState,
+      activeStates: machine.activeStates,
+      context: serialize(machine.context),
+      options: serialize(instance.options),
+      disabled: instance.disabled,
+      transitions: this.log(target),
+    };
+  }
+
+  /**
+   * Recorded transitions, optionally for a single component
+   */
+  log(target) {
+    if (target === undefined) return this.entries.slice();
+
+    const instance = this.get(target);
+    const id = instance ? this.instanceId(instance) : target;
+    return this.entries.filter((entry) => entry.component === id);
+  }
+
+  clear() {
+    this.entries = [];
+    this.notify();
+  }
+
+  /**
+   * Send recorded events to a component again, in order. Only the event
+   * name and its primitive params are sent: the DOM events and elements
+   * the transition received are gone, the log only describes them.
+   *
+   * @param {string|HTMLElement} target - Component to replay on
+   * @param {Array} entries - Entries to replay (default: its accepted transitions)
+   * @param {Object} options - `{ delay }` in ms between events
+   * @returns {Promise} Resolves once every event was sent
+   */
+  async replay(target, entries, { delay = 0 } = {}) {
+    const instance = this.get(target);
+    if (!instance) {
+      console.warn(`SaladUI devtools: no live component '${target}'`);
+      return;
+    }
+
+    const events = (entries || this.log(target)).filter(
+      (entry) => entry.event && !entry.event.startsWith("(") && !entry.rejected,
+    );
+
+    for (const entry of events) {
+      // Entries copied from the log only replay the event name
+      const params = this.replayParams.get(entry) || {};
+      instance.transition(entry.event, { ...params, source: "devtools" });
+      if (delay) await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Move a component back to the state it had after a recorded transition,
+   * without replaying the events in between
+   *
+   * @param {number} entryId - Id of the recorded transition
+   */
+  travelTo(entryId) {
+    const entry = this.entries.find(({ id }) => id === entryId);
+    const instance = entry && this.get(entry.component);
+    if (!instance) return false;
+
+    instance.stateMachine.executeTransition(instance.state, entry.nextState, {
+      source: "devtools",
+    });
+    return true;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(entry) {
+    this.listeners.forEach((listener) => listener(entry, this));
+  }
+
+  /**
+   * Show or hide a floating overlay with live components and the latest
+   * transitions
+   *
+   * @param {boolean} visible - Whether to show the overlay (default: true)
+   */
+  overlay(visible = true) {
+    if (!visible) {
+      this.overlayPanel?.destroy();
+      this.overlayPanel = null;
+      return null;
+    }
+
+    if (!this.overlayPanel) this.overlayPanel = new Overlay(this);
+    this.overlayPanel.show();
+    return this.overlayPanel;
+  }
+
+  instanceId(instance) {
+    return this.meta.get(instance)?.id || null;
+  }
+}
+
+/**
+ * Label transitions that didn't come from an event
+ */
+function implicitEvent(params = {}) {
+  if (params.cancelled) return "(cancelled)";
+  if (params.source) return `(${params.source})`;
+  return null;
+}
+
+/**
+ * Turn transition params into plain data: DOM events and elements are
+ * described instead of kept, so the log doesn't hold on to detached nodes
+ */
+function serialize(value, depth = 0) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === "function") return undefined;
+  if (typeof value !== "object") return value;
+
+  // Duck-typed, events and nodes may come from another realm (iframes)
+  if (typeof value.preventDefault === "function") {
+    return { type: value.type, key: value.key };
+  }
+  if (value.nodeType === 1) return describeElement(value);
+  if (typeof AbortSignal !== "undefined" && value instanceof AbortSignal) {
+    return undefined;
+  }
+  if (depth > 3) return "[Object]";
+
+  if (Array.isArray(value)) {
+    return value.map((item) => serialize(item, depth + 1));
+  }
+
+  return Object.fromEntries(
+    Object.entries(value)
+      .map(([key, item]) => [key, serialize(item, depth + 1)])
+      .filter(([, item]) => item !== undefined),
+  );
+}
+
+/**
+ * Keep the params holding plain values, dropping events, elements and
+ * anything else that can't be rebuilt from the log
+ */
+function primitiveParams(params = {}) {
+  return Object.fromEntries(
+    Object.entries(params).filter(
+      ([, value]) =>
+        value === null || !["object", "function"].includes(typeof value),
+    ),
+  );
+}
+
+function describeElement(el) {
+  const id = el.id ? `#${el.id}` : "";
+  const part = el.dataset?.part ? `[data-part=${el.dataset.part}]` : "";
+  return `${el.tagName.toLowerCase()}${id}${part}`;
+}
+
+const devtools = new Devtools().install();
+
+if (typeof window !== "undefined") {
+  window.SaladUI = window.SaladUI || {};
+  window.SaladUI.devtools = devtools;
+}
+
+export { Devtools, serialize };
+export default devtools;
@@ -0,0 +1,88 @@
+// saladui/devtools/overlay.js
+/**
+ * Floating devtools panel listing live components and the latest transitions
+ */
+const MAX_ROWS = 12;
+
+const PANEL_STYLE = `
+  position: fixed; right: 8px; bottom: 8px; z-index: 2147483647;
+  width: 360px; max-height: 50vh; overflow: auto;
+  font: 11px/1.4 ui-monospace, monospace; color: #e5e7eb;
+  background: rgba(17, 24, 39, 0.92); border-radius: 6px; padding: 8px;
+  box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+`;
+
+class Overlay {
+  constructor(devtools) {
+    this.devtools = devtools;
+    this.el = null;
+    this.frame = null;
+    this.unsubscribe = null;
+  }
+
+  show() {
+    if (this.el) return;
+
+    this.el = document.createElement("div");
+    this.el.setAttribute("data-saladui-devtools", "");
+    this.el.style.cssText = PANEL_STYLE;
+    document.body.appendChild(this.el);
+
+    // Re-render at most once per frame
+    this.unsubscribe = this.devtools.subscribe(() => this.scheduleRender());
+    this.render();
+  }
+
+  scheduleRender() {
+    if (this.frame) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.render();
+    });
+  }
+
+  render() {
+    if (!this.el) return;
+
+    const components = this.devtools
+      .list()
+      .map(
+        ({ id, type, state }) =>
+          `<div>${escape(type)} <b>#${escape(id)}</b> ${escape(state)}</div>`,
+      )
+      .join("");
+
+    const transitions = this.devtools.entries
+      .slice(-MAX_ROWS)
+      .reverse()
+      .map((entry) => {
+        const arrow = entry.rejected
+          ? `✕ ${escape(entry.rejected)}`
+          : `${escape(entry.prevState)} → ${escape(entry.nextState)}`;
+        const event = escape(entry.event || "");
+        return `<div>#${escape(entry.component)} <i>${event}</i> ${arrow}</div>`;
+      })
+      .join("");
+
+    this.el.innerHTML = `
+      <div><b>SaladUI</b> components</div>${components || "<div>none</div>"}
+      <div style="margin-top: 6px"><b>Transitions</b></div>${transitions || "<div>none</div>"}
+    `;
+  }
+
+  destroy() {
+    if (this.frame) cancelAnimationFrame(this.frame);
+    this.unsubscribe?.();
+    this.el?.remove();
+    this.el = null;
+  }
+}
+
+function escape(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+export default Overlay;
@@ -0,0 +1,136 @@
+// saladui/testing/dom.js
+/**
+ * DOM environment utilities for the SaladUI test kit
+ * Installs a jsdom window as the global environment when the test runner
+ * doesn't provide one, and patches APIs jsdom doesn't implement
+ */
+
+// Globals copied from the jsdom window onto globalThis
+const WINDOW_GLOBALS = [
+  "window",
+  "document",
+  "navigator",
+  "Node",
+  "Element",
+  "HTMLElement",
+  "HTMLInputElement",
+  "HTMLTemplateElement",
+  "Event",
+  "CustomEvent",
+  "KeyboardEvent",
+  "MouseEvent",
+  "PointerEvent",
+  "FocusEvent",
+  "InputEvent",
+  "DOMParser",
+  "MutationObserver",
+  "NodeFilter",
+  "getComputedStyle",
+  "requestAnimationFrame",
+  "cancelAnimationFrame",
+  "localStorage",
+];
+
+let installedDOM = null;
+let installedGlobals = [];
+
+/**
+ * Make sure a DOM is available for components to run against.
+ * When a document already exists (e.g. a jsdom test environment), it's reused.
+ *
+ * @param {Object} options - Options passed to the JSDOM constructor
+ * @returns {Promise<Window>} The window the components will run in
+ */
+export async function setupDOM(options = {}) {
+  if (typeof globalThis.document !== "undefined") {
+    installPolyfills(globalThis.window || globalThis);
+    return globalThis.window || globalThis;
+  }
+
+  const { JSDOM } = await import("jsdom");
+  installedDOM = new JSDOM("<!DOCTYPE html><html><body></body></html>", {
+    pretendToBeVisual: true,
+    url: "http://localhost/",
+    ...options,
+  });
+
+  const win = installedDOM.window;
+  installedGlobals = WINDOW_GLOBALS.filter(
+    (name) => !(name in globalThis) && win[name] !== undefined,
+  );
+  installedGlobals.forEach((name) => {
+    const value = win[name];
+    globalThis[name] =
+      typeof value === "function" && !/^[A-Z]/.test(name)
+        ? value.bind(win)
+        : value;
+  });
+
+  installPolyfills(win);
+  return win;
+}
+
+/**
+ * Remove the globals installed by setupDOM and close the jsdom window.
+ * Does nothing if the document was provided by the test runner.
+ */
+export function teardownDOM() {
+  if (!installedDOM) return;
+
+  installedGlobals.forEach((name) => delete globalThis[name]);
+  installedGlobals = [];
+
+  installedDOM.window.close();
+  installedDOM = null;
+}
+
+/**
+ * Patch browser APIs that components rely on but jsdom doesn't implement
+ *
+ * @param {Window} win - Window to patch
+ */
+export function installPolyfills(win) {
+  const ElementProto = win.Element?.prototype;
+  if (!ElementProto) return;
+
+  if (typeof ElementProto.scrollIntoView !== "function") {
+    ElementProto.scrollIntoView = function () {};
+  }
+
+  // Pointer capture is tracked per element so tests can assert on it
+  if (typeof ElementProto.setPointerCapture !== "function") {
+    ElementProto.setPointerCapture = function (pointerId) {
+      this.__capturedPointers = this.__capturedPointers || new Set();
+      this.__capturedPointers.add(pointerId);
+    };
+    ElementProto.releasePointerCapture = function (pointerId) {
+      this.__capturedPointers?.delete(pointerId);
+    };
+    ElementProto.hasPointerCapture = function (pointerId) {
+      return !!this.__capturedPointers?.has(pointerId);
+    };
+  }
+
+  if (win.document && typeof win.document.elementsFromPoint !== "function") {
+    win.document.elementsFromPoint = () => [];
+  }
+}
+
+/**
+ * Wait for the next animation frame
+ *
+ * @returns {Promise} Resolves on the next frame
+ */
+export function nextFrame() {
+  return new Promise((resolve) => requestAnimationFrame(() => resolve()));
+}
+
+/**
+ * Wait for a number of milliseconds, e.g. to let animations or delays finish
+ *
+ * @param {number} ms - Time to wait
+ * @returns {Promise} Resolves after the delay
+ */
+export function wait(ms = 0) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
@@ -0,0 +1,259 @@
+// saladui/testing/events.js
+/**
+ * Interaction helpers for the SaladUI test kit
+ * Dispatch keyboard and pointer event sequences the way a browser would
+ */
+
+/**
+ * Dispatch a single event on a target
+ *
+ * @param {HTMLElement} target - Element to dispatch on
+ * @param {Event} event - Event to dispatch
+ * @returns {Event} The dispatched event, to inspect `defaultPrevented`
+ */
+function dispatch(target, event) {
+  if (!target) throw new TypeError("SaladUI test kit: event target is missing");
+  target.dispatchEvent(event);
+  return event;
+}
+
+function createPointerEvent(type, init) {
+  const EventClass =
+    typeof PointerEvent === "function" ? PointerEvent : MouseEvent;
+  const event = new EventClass(type, init);
+
+  // MouseEvent fallback doesn't know about pointer fields
+  if (!("pointerId" in event)) {
+    Object.defineProperties(event, {
+      pointerId: { value: init.pointerId },
+      pointerType: { value: init.pointerType },
+      isPrimary: { value: init.isPrimary },
+    });
+  }
+
+  return event;
+}
+
+function pointerInit(init = {}) {
+  return {
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    clientX: 0,
+    clientY: 0,
+    button: 0,
+    buttons: 1,
+    pointerId: 1,
+    pointerType: "mouse",
+    isPrimary: true,
+    ...init,
+  };
+}
+
+const keyboard = {
+  /**
+   * Dispatch keydown on a target
+   *
+   * @param {HTMLElement} target - Element receiving the key
+   * @param {string} key - `event.key` value (e.g. "ArrowDown", "a", " ")
+   * @param {Object} init - Extra event init (modifier keys, etc.)
+   * @returns {KeyboardEvent} The keydown event
+   */
+  down(target, key, init = {}) {
+    return dispatch(
+      target,
+      new KeyboardEvent("keydown", {
+        key,
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        ...init,
+      }),
+    );
+  },
+
+  up(target, key, init = {}) {
+    return dispatch(
+      target,
+      new KeyboardEvent("keyup", {
+        key,
+        bubbles: true,
+        cancelable: true,
+        composed: true,
+        ...init,
+      }),
+    );
+  },
+
+  /**
+   * Press and release a key
+   *
+   * @returns {KeyboardEvent} The keydown event
+   */
+  press(target, key, init = {}) {
+    const event = this.down(target, key, init);
+    this.up(target, key, init);
+    return event;
+  },
+
+  /**
+   * Type text character by character. Inputs and textareas get their value
+   * updated and an `input` event, unless keydown was prevented.
+   *
+   * @param {HTMLElement} target - Element receiving the keys
+   * @param {string} text - Text to type
+   */
+  type(target, text, init = {}) {
+    const isTextField =
+      target.tagName === "INPUT" || target.tagName === "TEXTAREA";
+
+    Array.from(text).forEach((char) => {
+      const event = this.down(target, char, init);
+
+      if (isTextField && !event.defaultPrevented) {
+        target.value += char;
+        dispatch(
+          target,
+          new Event("input", { bubbles: true, cancelable: false }),
+        );
+      }
+
+      this.up(target, char, init);
+    });
+  },
+
+  /**
+   * Clear a text field and dispatch an `input` event
+   */
+  clear(target) {
+    target.value = "";
+    dispatch(target, new Event("input", { bubbles: true, cancelable: false }));
+  },
+};
+
+const pointer = {
+  /**
+   * Press the pointer on a target (pointerdown + mousedown)
+   *
+   * @param {HTMLElement} target - Element to press
+   * @param {Object} init - Coordinates and pointer fields
+   * @returns {PointerEvent} The pointerdown event
+   */
+  down(target, init = {}) {
+    const options = pointerInit(init);
+    const event = dispatch(target, createPointerEvent("pointerdown", options));
+    if (!event.defaultPrevented) {
+      dispatch(target, new MouseEvent("mousedown", options));
+    }
+    return event;
+  },
+
+  move(target, init = {}) {
+    const options = pointerInit(init);
+    const event = dispatch(target, createPointerEvent("pointermove", options));
+    dispatch(target, new MouseEvent("mousemove", options));
+    return event;
+  },
+
+  up(target, init = {}) {
+    const options = pointerInit({ buttons: 0, ...init });
+    const event = dispatch(target, createPointerEvent("pointerup", options));
+    dispatch(target, new MouseEvent("mouseup", options));
+    return event;
+  },
+
+  cancel(target, init = {}) {
+    return dispatch(
+      target,
+      createPointerEvent("pointercancel", pointerInit({ buttons: 0, ...init })),
+    );
+  },
+
+  /**
+   * Full click sequence: down, up, then click
+   *
+   * @returns {MouseEvent} The click event
+   */
+  click(target, init = {}) {
+    this.down(target, init);
+    this.up(target, init);
+    return dispatch(target, new MouseEvent("click", pointerInit(init)));
+  },
+
+  /**
+   * Right-click sequence ending with a `contextmenu` event
+   *
+   * @returns {MouseEvent} The contextmenu event
+   */
+  contextMenu(target, init = {}) {
+    const options = { button: 2, buttons: 2, ...init };
+    this.down(target, options);
+    this.up(target, options);
+    return dispatch(
+      target,
+      new MouseEvent("contextmenu", pointerInit(options)),
+    );
+  },
+
+  /**
+   * Move the pointer onto a target. Enter events don't bubble, so they're
+   * dispatched on the target only.
+   */
+  hover(target, init = {}) {
+    const options = pointerInit({ buttons: 0, ...init });
+    dispatch(target, createPointerEvent("pointerover", options));
+    dispatch(
+      target,
+      createPointerEvent("pointerenter", { ...options, bubbles: false }),
+    );
+    dispatch(target, new MouseEvent("mouseover", options));
+    dispatch(target, new MouseEvent("mouseenter", { ...options, bubbles: false }));
+  },
+
+  unhover(target, init = {}) {
+    const options = pointerInit({ buttons: 0, ...init });
+    dispatch(target, createPointerEvent("pointerout", options));
+    dispatch(
+      target,
+      createPointerEvent("pointerleave", { ...options, bubbles: false }),
+    );
+    dispatch(target, new MouseEvent("mouseout", options));
+    dispatch(target, new MouseEvent("mouseleave", { ...options, bubbles: false }));
+  },
+
+  /**
+   * Drag from one point to another in a number of steps.
+   * Moves are dispatched on `moveTarget` (the document by default) since
+   * that's where components listen while dragging.
+   *
+   * @param {HTMLElement} target - Element where the drag starts
+   * @param {Object} from - Start `{ clientX, clientY }`
+   * @param {Object} to - End `{ clientX, clientY }`
+   * @param {Object} options - `{ steps, moveTarget }`
+   */
+  drag(target, from, to, { steps = 5, moveTarget = null } = {}) {
+    const moveOn = moveTarget || target.ownerDocument;
+
+    this.down(target, from);
+    for (let i = 1; i <= steps; i++) {
+      this.move(moveOn, {
+        clientX: from.clientX + ((to.clientX - from.clientX) * i) / steps,
+        clientY: from.clientY + ((to.clientY - from.clientY) * i) / steps,
+      });
+    }
+    this.up(moveOn, to);
+  },
+};
+
+/**
+ * Move focus to an element
+ *
+ * @param {HTMLElement} target - Element to focus
+ * @returns {boolean} Whether the element received focus
+ */
+function focus(target) {
+  target.focus();
+  return target.ownerDocument.activeElement === target;
+}
+
+export { keyboard, pointer, focus, dispatch };
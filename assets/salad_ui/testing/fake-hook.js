@@ -0,0 +1,127 @@
+// saladui/testing/fake-hook.js
+/**
+ * FakeHook for the SaladUI test kit
+ * Stands in for a Phoenix LiveView hook context and records every call
+ * a component makes to the server
+ */
+class FakeHook {
+  /**
+   * Create a fake hook context
+   *
+   * @param {HTMLElement} el - The element the hook is mounted on
+   * @param {Object} callbacks - Hook callbacks (e.g. SaladUIHook) copied onto the context
+   */
+  constructor(el, callbacks = {}) {
+    this.el = el;
+    this.calls = {
+      pushEvent: [],
+      pushEventTo: [],
+      handleEvent: [],
+      execJS: [],
+    };
+    this.eventHandlers = new Map();
+
+    // Same as LiveView: hook callbacks become methods on the context
+    Object.keys(callbacks).forEach((key) => {
+      this[key] = callbacks[key];
+    });
+
+    this.liveSocket = {
+      execJS: (el, encodedJS, eventType = null) => {
+        this.calls.execJS.push({ el, js: parseJS(encodedJS), eventType });
+      },
+    };
+  }
+
+  pushEvent(event, payload = {}, onReply) {
+    this.calls.pushEvent.push({ event, payload });
+    return this.reply(onReply);
+  }
+
+  pushEventTo(target, event, payload = {}, onReply) {
+    this.calls.pushEventTo.push({ target, event, payload });
+    return this.reply(onReply);
+  }
+
+  handleEvent(event, callback) {
+    this.calls.handleEvent.push({ event, callback });
+
+    if (!this.eventHandlers.has(event)) {
+      this.eventHandlers.set(event, new Set());
+    }
+    this.eventHandlers.get(event).add(callback);
+
+    return { event, callback };
+  }
+
+  removeHandleEvent(ref) {
+    this.eventHandlers.get(ref?.event)?.delete(ref.callback);
+  }
+
+  reply(onReply) {
+    if (typeof onReply === "function") {
+      onReply({}, null);
+    }
+    return Promise.resolve({});
+  }
+
+  /**
+   * Simulate a `push_event` from the server to the handlers registered
+   * through handleEvent
+   *
+   * @param {string} event - Event name
+   * @param {Object} payload - Event payload
+   */
+  serverPush(event, payload = {}) {
+    const handlers = this.eventHandlers.get(event);
+    if (!handlers) return;
+
+    handlers.forEach((callback) => callback(payload));
+  }
+
+  /**
+   * Get events pushed to the server, optionally filtered by event name
+   *
+   * @param {string} event - Event name to filter by (optional)
+   * @returns {Array} List of `{ target, event, payload }` entries
+   */
+  pushedEvents(event) {
+    const pushed = this.calls.pushEventTo.concat(
+      this.calls.pushEvent.map((call) => ({ target: null, ...call })),
+    );
+    return event ? pushed.filter((call) => call.event === event) : pushed;
+  }
+
+  /**
+   * Get the last event pushed to the server
+   *
+   * @param {string} event - Event name to filter by (optional)
+   * @returns {Object|null} The last `{ target, event, payload }` entry
+   */
+  lastPushed(event) {
+    const pushed = this.pushedEvents(event);
+    return pushed.length > 0 ? pushed[pushed.length - 1] : null;
+  }
+
+  /**
+   * Forget all recorded calls, keeping registered event handlers
+   */
+  reset() {
+    Object.keys(this.calls).forEach((key) => {
+      if (key !== "handleEvent") this.calls[key] = [];
+    });
+  }
+}
+
+// JS commands arrive encoded as JSON, keep the raw value if it isn't
+function parseJS(encodedJS) {
+  if (typeof encodedJS !== "string") return encodedJS;
+
+  try {
+    return JSON.parse(encodedJS);
+  } catch (_error) {
+    return encodedJS;
+  }
+}
+
+export default FakeHook;
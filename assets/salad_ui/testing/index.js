@@ -0,0 +1,187 @@
+// saladui/testing/index.js
+/**
+ * SaladUI test kit
+ * Mounts registered components in a DOM (jsdom) with a fake LiveView hook,
+ * so components built on `Component` can be tested without a server
+ *
+ * @example
+ * import { setupDOM, mount, keyboard } from "salad_ui/testing";
+ * import "salad_ui/components/select";
+ *
+ * await setupDOM();
+ * const harness = mount(`<div id="s" data-component="select">...</div>`);
+ * keyboard.press(harness.part("trigger"), "Enter");
+ * expect(harness.state).toBe("open");
+ */
+import { registry } from "../core/factory";
+import { SaladUIHook } from "../core/hook";
+import FakeHook from "./fake-hook";
+import { keyboard, pointer, focus, dispatch } from "./events";
+import { setupDOM, teardownDOM, nextFrame, wait } from "./dom";
+
+const mountedHarnesses = new Set();
+
+/**
+ * A mounted component, its fake hook and helpers to inspect both
+ */
+class ComponentHarness {
+  constructor(container, el, hook) {
+    this.container = container;
+    this.el = el;
+    this.hook = hook;
+  }
+
+  get component() {
+    return this.hook.component;
+  }
+
+  get state() {
+    return this.component?.state;
+  }
+
+  /**
+   * Find the first element with the given data-part, including portalled ones
+   */
+  part(name) {
+    return this.parts(name)[0] || null;
+  }
+
+  parts(name) {
+    const selector = `[data-part='${name}']`;
+    const found = Array.from(this.el.querySelectorAll(selector));
+    if (this.el.matches(selector)) found.unshift(this.el);
+
+    // Portalled parts live outside the root element
+    Array.from(document.querySelectorAll(selector)).forEach((part) => {
+      if (!found.includes(part) && !this.container.contains(part)) {
+        found.push(part);
+      }
+    });
+
+    return found;
+  }
+
+  /**
+   * Events pushed to the server, optionally filtered by name
+   */
+  pushed(event) {
+    return this.hook.pushedEvents(event);
+  }
+
+  /**
+   * Send a `saladui:command` from the server, like `push_event` would
+   */
+  command(command, params = {}, target) {
+    this.hook.serverPush("saladui:command", { command, params, target });
+  }
+
+  /**
+   * Simulate a LiveView patch: apply the change, then run the hook's
+   * `updated` callback
+   *
+   * @param {string|Function} patch - New root markup, or a function mutating the root
+   */
+  update(patch) {
+    if (typeof patch === "function") {
+      patch(this.el);
+    } else {
+      const template = document.createElement("template");
+      template.innerHTML = patch.trim();
+      const next = template.content.firstElementChild;
+
+      Array.from(next.attributes).forEach((attr) =>
+        this.el.setAttribute(attr.name, attr.value),
+      );
+      this.el.replaceChildren(...next.childNodes);
+    }
+
+    this.hook.updated();
+    return this;
+  }
+
+  /**
+   * Run the hook's `destroyed` callback and remove the markup
+   */
+  unmount() {
+    if (!mountedHarnesses.has(this)) return;
+
+    this.hook.destroyed();
+    this.container.remove();
+    mountedHarnesses.delete(this);
+  }
+}
+
+/**
+ * Mount a component through SaladUIHook, the same way LiveView does
+ *
+ * @param {string|HTMLElement} markup - Component markup, or an element already in the document
+ * @param {Object} options - Mount options
+ * @param {string} options.type - Component type to use if the root has no data-component
+ * @param {HTMLElement} options.container - Where to render the markup (default: document.body)
+ * @returns {ComponentHarness} The mounted component harness
+ */
+function mount(markup, options = {}) {
+  const { type, container: parent = document.body } = options;
+
+  let container;
+  let el;
+  if (typeof markup === "string") {
+    container = document.createElement("div");
+    container.setAttribute("data-testing-container", "");
+    container.innerHTML = markup.trim();
+    parent.appendChild(container);
+    el = container.querySelector("[data-component]") || container.firstElementChild;
+  } else {
+    el = markup;
+    container = el;
+  }
+
+  if (!el) {
+    container?.remove();
+    throw new Error("SaladUI test kit: nothing to mount");
+  }
+
+  if (type && !el.hasAttribute("data-component")) {
+    el.setAttribute("data-component", type);
+  }
+
+  const componentType = el.getAttribute("data-component");
+  if (!registry.has(componentType)) {
+    if (container !== el) container.remove();
+    throw new Error(
+      `SaladUI test kit: component type '${componentType}' is not registered, import its module before mounting`,
+    );
+  }
+
+  if (!el.id) el.id = `${componentType}-${mountedHarnesses.size + 1}`;
+
+  const hook = new FakeHook(el, SaladUIHook);
+  hook.mounted();
+
+  const harness = new ComponentHarness(container, el, hook);
+  mountedHarnesses.add(harness);
+  return harness;
+}
+
+/**
+ * Unmount every component mounted since the last cleanup,
+ * call it from `afterEach`
+ */
+function cleanup() {
+  mountedHarnesses.forEach((harness) => harness.unmount());
+}
+
+export {
+  mount,
+  cleanup,
+  ComponentHarness,
+  FakeHook,
+  keyboard,
+  pointer,
+  focus,
+  dispatch,
+  setupDOM,
+  teardownDOM,
+  nextFrame,
+  wait,
+};
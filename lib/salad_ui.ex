@@ -58,6 +58,8 @@ defmodule SaladUI do
   - `tooltip/1` - Hover information displays
   - `hover_card/1` - Rich hover content
   - `dropdown_menu/1` - Contextual action menus
+  - `context_menu/1` - Right-click menus opened at the pointer
+  - `menubar/1` - Desktop-style bars of menus
 
   ### Feedback & Status
   - `alert/1` - Status messages and notifications
@@ -189,6 +191,7 @@ defmodule SaladUI do
       import SaladUI.Checkbox
       import SaladUI.Collapsible
       import SaladUI.Combobox
+      import SaladUI.ContextMenu
       import SaladUI.Dialog
       import SaladUI.DropdownMenu
       import SaladUI.Form
@@ -198,6 +201,7 @@ defmodule SaladUI do
       import SaladUI.Input
       import SaladUI.Label
       import SaladUI.Menu
+      import SaladUI.Menubar
       import SaladUI.Pagination
       import SaladUI.Popover
       import SaladUI.Progress
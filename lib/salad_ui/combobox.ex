@@ -14,6 +14,32 @@ defmodule SaladUI.Combobox do
         <.combobox_item value="svelte">Svelte</.combobox_item>
       </.combobox>
 
+  ## Matching
+
+  Typing ranks items with a fuzzy matcher and highlights the matched characters.
+  Use `keywords` to let an item match other words than its text, and
+  `scorer="substring"` for plain substring filtering:
+
+      <.combobox id="country-select">
+        <.combobox_item value="us" keywords={["usa", "america"]}>United States</.combobox_item>
+        <.combobox_item value="gb" keywords={["uk", "britain"]}>United Kingdom</.combobox_item>
+      </.combobox>
+
+  ## Remote search
+
+  With `remote`, items aren't filtered on the client. Typing pushes a debounced
+  `search` event with the `query` and a sequence number `seq`, and the server
+  renders the matching items. Reply with the `seq` you handled so the combobox
+  can ignore answers to outdated searches:
+
+      <.combobox id="user-select" remote on-search="search_users" on-value-changed="user_selected">
+        <.combobox_item :for={user <- @users} value={user.id}>{user.name}</.combobox_item>
+      </.combobox>
+
+      def handle_event("search_users", %{"query" => query, "seq" => seq}, socket) do
+        {:reply, %{seq: seq}, assign(socket, users: Accounts.search_users(query))}
+      end
+
   ## With groups
 
       <.combobox id="fruit-select" placeholder="Select fruit...">
@@ -38,6 +64,10 @@ defmodule SaladUI.Combobox do
   attr :placeholder, :string, default: "Select...", doc: "Placeholder text for the search input"
   attr :"empty-message", :string, default: "No results found.", doc: "Message shown when no items match"
   attr :disabled, :boolean, default: false
+  attr :scorer, :string, default: "fuzzy", doc: "Item matching: fuzzy, substring or a scorer registered in JS"
+  attr :remote, :boolean, default: false, doc: "Let the server filter items through the search event"
+  attr :debounce, :integer, default: 300, doc: "Delay (ms) before pushing a search event in remote mode"
+  attr :"loading-message", :string, default: "Searching...", doc: "Message shown while the server searches"
   attr :class, :string, default: nil
 
   attr :field, Phoenix.HTML.FormField,
@@ -46,6 +76,7 @@ defmodule SaladUI.Combobox do
   attr :"on-value-changed", :any, default: nil, doc: "Handler for value changed event"
   attr :"on-open", :any, default: nil, doc: "Handler for combobox open event"
   attr :"on-close", :any, default: nil, doc: "Handler for combobox close event"
+  attr :"on-search", :any, default: nil, doc: "Handler for search event in remote mode"
 
   attr :rest, :global
   slot :inner_block, required: true
@@ -58,6 +89,7 @@ defmodule SaladUI.Combobox do
       |> add_event_mapping(assigns, "value-changed", :"on-value-changed")
       |> add_event_mapping(assigns, "opened", :"on-open")
       |> add_event_mapping(assigns, "closed", :"on-close")
+      |> add_event_mapping(assigns, "search", :"on-search")
 
     assigns =
       assigns
@@ -71,6 +103,9 @@ defmodule SaladUI.Combobox do
           placeholder: assigns.placeholder,
           emptyMessage: assigns[:"empty-message"],
           disabled: assigns.disabled,
+          scorer: assigns.scorer,
+          remote: assigns.remote,
+          debounce: assigns.debounce,
           animations: get_animation_config()
         })
       )
@@ -149,6 +184,10 @@ defmodule SaladUI.Combobox do
           />
         </div>
 
+        <div data-part="loading" hidden class="py-6 text-center text-sm text-muted-foreground">
+          {assigns[:"loading-message"]}
+        </div>
+
         <div data-part="empty" data-visible="false" class="py-6 text-center text-sm data-[visible=false]:hidden">
           {assigns[:"empty-message"]}
         </div>
@@ -179,6 +218,7 @@ defmodule SaladUI.Combobox do
   end
 
   attr :value, :string, required: true
+  attr :keywords, :list, default: [], doc: "Other words matching the item when searching"
   attr :disabled, :boolean, default: false
   attr :class, :string, default: nil
   attr :rest, :global
@@ -189,6 +229,7 @@ defmodule SaladUI.Combobox do
     <div
       data-part="item"
       data-value={@value}
+      data-keywords={@keywords != [] && Enum.join(@keywords, ",")}
       data-disabled={@disabled}
       tabindex={if @disabled, do: "-1", else: "0"}
       class={
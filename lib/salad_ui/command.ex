@@ -41,6 +41,8 @@ defmodule SaladUI.Command do
   ## Attributes
 
     * `:id` (required) - The unique id for the command palette.
+    * `:scorer` - How items match the query: `"fuzzy"` (default) ranks them and highlights the matched characters, `"substring"` filters by plain text, other names refer to scorers registered in JS.
+    * `:on-item-selected` - Handler for item selection, receives the item `value`.
     * `:class` - Additional classes to apply.
 
   ## Slots
@@ -54,16 +56,27 @@ defmodule SaladUI.Command do
       </.command>
   """
   attr :id, :string, required: true
+  attr :scorer, :string, default: "fuzzy"
+  attr :"on-item-selected", :any, default: nil
   attr :class, :any, default: ""
   slot :inner_block, required: true
 
   def command(assigns) do
+    event_map = add_event_mapping(%{}, assigns, "item-selected", :"on-item-selected")
+
+    assigns =
+      assigns
+      |> assign(:event_map, json(event_map))
+      |> assign(:options, json(%{scorer: assigns.scorer}))
+
     ~H"""
     <div
       id={@id}
       tabindex="-1"
       data-component="command"
       data-part="root"
+      data-options={@options}
+      data-event-mappings={@event_map}
       phx-hook="SaladUI"
       class={
         classes([
@@ -111,6 +124,97 @@ defmodule SaladUI.Command do
     """
   end
 
+  @doc """
+  Renders a command palette in a modal opened by a global keyboard shortcut,
+  without a server round-trip. Focus returns to the previously focused element
+  on close. Items with a `value` are remembered when selected, and the most
+  recent ones are listed first while the query is empty.
+
+  ## Attributes
+
+    * `:id` (required) - The unique id for the command palette.
+    * `:shortcut` - Shortcut toggling the palette, `mod` is Cmd on macOS and Ctrl elsewhere. Defaults to `"mod+k"`.
+    * `:recent-limit` - Number of recent items to remember, `0` disables them. Defaults to `5`.
+    * `:storage-key` - localStorage key of the recent items. Defaults to one derived from the id.
+    * `:label` - Accessible label of the modal.
+    * `:scorer` - How items match the query, see `command/1`.
+    * `:on-item-selected` - Handler for item selection, receives the item `value`.
+    * `:on-open` / `:on-close` - Handlers for the palette opening and closing.
+
+  ## Slots
+
+    * `:inner_block` (required) - The content of the command palette.
+
+  ## Example
+
+      <.command_palette id="palette" on-item-selected="run_command">
+        <.command_input placeholder="Type a command or search..." />
+        <.command_empty>No results found</.command_empty>
+        <.command_list>
+          <.command_item value="new-file">New file</.command_item>
+          <.command_item value="settings" keywords={["preferences"]}>Settings</.command_item>
+        </.command_list>
+      </.command_palette>
+
+      def handle_event("run_command", %{"value" => value}, socket) do
+        ...
+      end
+  """
+  attr :id, :string, required: true
+  attr :shortcut, :string, default: "mod+k"
+  attr :"recent-limit", :integer, default: 5
+  attr :"storage-key", :string, default: nil
+  attr :label, :string, default: "Command palette"
+  attr :scorer, :string, default: "fuzzy"
+  attr :"on-item-selected", :any, default: nil
+  attr :"on-open", :any, default: nil
+  attr :"on-close", :any, default: nil
+  attr :class, :any, default: ""
+  slot :inner_block, required: true
+
+  def command_palette(assigns) do
+    event_map =
+      %{}
+      |> add_event_mapping(assigns, "item-selected", :"on-item-selected")
+      |> add_event_mapping(assigns, "opened", :"on-open")
+      |> add_event_mapping(assigns, "closed", :"on-close")
+
+    assigns =
+      assigns
+      |> assign(:event_map, json(event_map))
+      |> assign(
+        :options,
+        json(%{
+          palette: true,
+          shortcut: assigns.shortcut,
+          recentLimit: assigns[:"recent-limit"],
+          storageKey: assigns[:"storage-key"],
+          label: assigns.label,
+          scorer: assigns.scorer,
+          animations: SaladUI.Dialog.animation_config()
+        })
+      )
+
+    ~H"""
+    <div
+      id={@id}
+      data-component="command"
+      data-part="root"
+      data-state="closed"
+      data-options={@options}
+      data-event-mappings={@event_map}
+      phx-hook="SaladUI"
+      class="relative z-50 group/dialog"
+    >
+      <.dialog_content class={classes(["overflow-hidden p-0", @class])}>
+        <div class="flex h-full w-full flex-col overflow-hidden rounded-md bg-popover text-popover-foreground [&_[data-part='input']]:h-12">
+          {render_slot(@inner_block)}
+        </div>
+      </.dialog_content>
+    </div>
+    """
+  end
+
   @doc """
   Renders the input field for searching/filtering commands.
 
@@ -260,6 +364,8 @@ defmodule SaladUI.Command do
 
     * `:disabled` - Whether the item is disabled.
     * `:selected` - Whether the item is selected.
+    * `:value` - Value pushed with the `item-selected` event, also identifies recent items.
+    * `:keywords` - Other words matching the item when searching.
     * All global attributes are passed to the `<button>` element.
 
   ## Slots
@@ -268,12 +374,14 @@ defmodule SaladUI.Command do
 
   ## Example
 
-      <.command_item phx-click="select_command">
+      <.command_item phx-click="select_command" keywords={["schedule", "events"]}>
         <.icon name="calendar" />
         <span>Calendar</span>
       </.command_item>
   """
   attr :disabled, :boolean, default: false
+  attr :value, :string, default: nil
+  attr :keywords, :list, default: []
   attr :selected, :boolean, default: false
   attr :rest, :global
   slot :inner_block, required: true
@@ -285,6 +393,8 @@ defmodule SaladUI.Command do
       role="option"
       data-part="item"
       class="[&_svg]:h-4 [&_svg]:w-4 relative flex cursor-default w-full gap-2 select-none items-center rounded-sm px-2 py-1.5 text-sm outline-none disabled:pointer-events-none hover:bg-accent/75 data-[selected=true]:bg-accent data-[selected=true]:text-accent-foreground data-[visible=false]:hidden disabled:opacity-50 [&_svg]:pointer-events-none [&_svg]:size-4 [&_svg]:shrink-0"
+      data-value={@value}
+      data-keywords={@keywords != [] && Enum.join(@keywords, ",")}
       data-selected={@selected}
       aria-selected={@selected}
       disabled={@disabled}
@@ -0,0 +1,157 @@
+defmodule SaladUI.ContextMenu do
+  @moduledoc """
+  Implementation of context menu component for SaladUI framework.
+
+  Context menus open at the pointer position when the trigger area is
+  right-clicked, or long-pressed on touch screens. Items are the dropdown
+  menu ones and push the same `item-selected` and `checked-changed` events.
+
+  ## Examples:
+
+      <.context_menu id="file-menu">
+        <.context_menu_trigger class="flex h-36 w-72 items-center justify-center rounded-md border border-dashed text-sm">
+          Right click here
+        </.context_menu_trigger>
+        <.context_menu_content class="w-56">
+          <.dropdown_menu_item value="back" on-select="navigate">
+            Back
+            <.dropdown_menu_shortcut>⌘[</.dropdown_menu_shortcut>
+          </.dropdown_menu_item>
+          <.dropdown_menu_item value="reload" on-select="navigate">
+            Reload
+            <.dropdown_menu_shortcut>⌘R</.dropdown_menu_shortcut>
+          </.dropdown_menu_item>
+          <.dropdown_menu_separator />
+          <.dropdown_menu_checkbox_item checked={@show_bookmarks} on-checked-change="toggle_bookmarks">
+            Show Bookmarks Bar
+          </.dropdown_menu_checkbox_item>
+        </.context_menu_content>
+      </.context_menu>
+  """
+  use SaladUI, :component
+
+  @doc """
+  The main context menu component that manages state and positioning.
+
+  ## Options
+
+  * `:id` - Required unique identifier for the context menu.
+  * `:long-press-delay` - Time in milliseconds a touch must be held to open the menu. Defaults to `700`.
+  * `:use-portal` - Whether to render the menu in a portal. Defaults to `false`.
+  * `:portal-container` - CSS selector for the portal container. Defaults to `nil`.
+  * `:on-open` - Handler for context menu open event.
+  * `:on-close` - Handler for context menu close event.
+  * `:class` - Additional CSS classes.
+  """
+  attr :id, :string, required: true, doc: "Unique identifier for the context menu"
+  attr :"long-press-delay", :integer, default: 700, doc: "Time a touch must be held to open the menu"
+  attr :"use-portal", :boolean, default: false, doc: "Whether to render the content in a portal"
+  attr :"portal-container", :string, default: nil, doc: "CSS selector for the portal container"
+  attr :"on-open", :any, default: nil, doc: "Handler for context menu open event"
+  attr :"on-close", :any, default: nil, doc: "Handler for context menu close event"
+  attr :class, :string, default: nil
+  attr :rest, :global
+  slot :inner_block, required: true
+
+  def context_menu(assigns) do
+    # Collect event mappings
+    event_map =
+      %{}
+      |> add_event_mapping(assigns, "opened", :"on-open")
+      |> add_event_mapping(assigns, "closed", :"on-close")
+
+    assigns =
+      assigns
+      |> assign(:event_map, json(event_map))
+      |> assign(
+        :options,
+        json(%{
+          longPressDelay: assigns[:"long-press-delay"],
+          usePortal: assigns[:"use-portal"],
+          portalContainer: assigns[:"portal-container"],
+          animations: get_animation_config()
+        })
+      )
+
+    ~H"""
+    <div
+      id={@id}
+      class={classes(["relative", @class])}
+      data-component="context-menu"
+      data-state="closed"
+      data-event-mappings={@event_map}
+      data-options={@options}
+      data-part="root"
+      phx-hook="SaladUI"
+      {@rest}
+    >
+      {render_slot(@inner_block)}
+    </div>
+    """
+  end
+
+  @doc """
+  The area that opens the context menu when right-clicked or long-pressed.
+
+  ## Options
+
+  * `:disabled` - Whether to keep the browser context menu instead. Defaults to `false`.
+  * `:class` - Additional CSS classes.
+  """
+  attr :class, :string, default: nil
+  attr :disabled, :boolean, default: false
+  attr :rest, :global
+  slot :inner_block, required: true
+
+  def context_menu_trigger(assigns) do
+    ~H"""
+    <div
+      data-part="trigger"
+      data-disabled={@disabled}
+      class={classes(["select-none [-webkit-touch-callout:none]", @class])}
+      {@rest}
+    >
+      {render_slot(@inner_block)}
+    </div>
+    """
+  end
+
+  @doc """
+  The menu content, positioned at the pointer.
+
+  ## Options
+
+  * `:class` - Additional CSS classes.
+  """
+  attr :class, :string, default: nil
+  attr :rest, :global
+  slot :inner_block, required: true
+
+  def context_menu_content(assigns) do
+    ~H"""
+    <div data-part="positioner" class="absolute z-50" hidden>
+      <div
+        data-part="content"
+        class={
+          classes([
+            "z-50 max-h-[var(--salad-available-height,none)] min-w-[8rem] overflow-y-auto overflow-x-hidden rounded-md border bg-popover p-1 text-popover-foreground shadow-md outline-none data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95",
+            @class
+          ])
+        }
+        {@rest}
+      >
+        {render_slot(@inner_block)}
+      </div>
+    </div>
+    """
+  end
+
+  defp get_animation_config do
+    %{
+      "open_to_closed" => %{
+        duration: 130,
+        target_part: "content"
+      }
+    }
+  end
+end
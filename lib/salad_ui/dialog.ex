@@ -68,7 +68,7 @@ defmodule SaladUI.Dialog do
         options:
           json(%{
             closeOnOutsideClick: assigns[:"close-on-outside-click"],
-            animations: get_animation_config()
+            animations: animation_config()
           })
       )
 
@@ -195,7 +195,9 @@ defmodule SaladUI.Dialog do
     """
   end
 
-  defp get_animation_config do
+  # Shared with dialog-like components, e.g. the command palette
+  @doc false
+  def animation_config do
     %{
       "open_to_closed" => %{
         duration: 130,
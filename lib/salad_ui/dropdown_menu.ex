@@ -182,7 +182,7 @@ defmodule SaladUI.DropdownMenu do
         data-part="content"
         class={
           classes([
-            "z-50 min-w-[8rem] overflow-hidden rounded-md border bg-popover p-1 text-popover-foreground shadow-md outline-none data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2",
+            "z-50 max-h-[var(--salad-available-height,none)] min-w-[8rem] overflow-y-auto overflow-x-hidden rounded-md border bg-popover p-1 text-popover-foreground shadow-md outline-none data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2",
             @class
           ])
         }
@@ -404,6 +404,214 @@ defmodule SaladUI.DropdownMenu do
     """
   end
 
+  @doc """
+  A group of mutually exclusive `dropdown_menu_radio_item`s, only one of them is checked.
+
+  Checking an item keeps the menu open and pushes a `value-changed` event with the new value.
+
+  ## Options
+
+  * `:value` - The value of the checked item. Defaults to `nil`.
+  * `:on-value-change` - Handler for when the checked item changes.
+  * `:class` - Additional CSS classes.
+
+  ## Examples:
+
+      <.dropdown_menu_radio_group value={@sort} on-value-change="sort_changed">
+        <.dropdown_menu_radio_item value="name">Name</.dropdown_menu_radio_item>
+        <.dropdown_menu_radio_item value="date">Date</.dropdown_menu_radio_item>
+        <.dropdown_menu_radio_item value="size">Size</.dropdown_menu_radio_item>
+      </.dropdown_menu_radio_group>
+  """
+  attr :class, :string, default: nil
+  attr :value, :string, default: nil
+  attr :"on-value-change", :any, default: nil, doc: "Handler for when the checked item changes"
+  attr :rest, :global
+  slot :inner_block, required: true
+
+  def dropdown_menu_radio_group(assigns) do
+    # Collect event mappings
+    event_map =
+      add_event_mapping(%{}, assigns, "value-changed", :"on-value-change")
+
+    assigns =
+      assign(assigns, :event_map, json(event_map))
+
+    ~H"""
+    <div
+      data-part="radio-group"
+      data-value={@value}
+      data-event-mappings={@event_map}
+      role="group"
+      class={classes([@class])}
+      {@rest}
+    >
+      {render_slot(@inner_block)}
+    </div>
+    """
+  end
+
+  @doc """
+  An item of a `dropdown_menu_radio_group`.
+
+  ## Options
+
+  * `:value` - Required value of the item.
+  * `:disabled` - Whether the item is disabled. Defaults to `false`.
+  * `:class` - Additional CSS classes.
+  """
+  attr :class, :string, default: nil
+  attr :value, :string, required: true
+  attr :disabled, :boolean, default: false
+  attr :rest, :global
+  slot :inner_block, required: true
+
+  def dropdown_menu_radio_item(assigns) do
+    ~H"""
+    <div
+      data-part="radio-item"
+      data-value={@value}
+      data-disabled={@disabled}
+      data-state="unchecked"
+      class={
+        classes([
+          "relative flex cursor-default select-none items-center rounded-sm py-1.5 pr-2 pl-8 text-sm outline-none focus:bg-accent focus:text-accent-foreground data-[disabled]:pointer-events-none data-[disabled]:opacity-50",
+          @class
+        ])
+      }
+      tabindex={if @disabled, do: "-1", else: "0"}
+      {@rest}
+    >
+      <span class="absolute left-2 flex h-3.5 w-3.5 items-center justify-center">
+        <span data-part="item-indicator" hidden>
+          <svg
+            xmlns="http://www.w3.org/2000/svg"
+            width="24"
+            height="24"
+            viewBox="0 0 24 24"
+            fill="currentColor"
+            stroke="none"
+            class="h-2 w-2"
+          >
+            <circle cx="12" cy="12" r="12"></circle>
+          </svg>
+        </span>
+      </span>
+      {render_slot(@inner_block)}
+    </div>
+    """
+  end
+
+  @doc """
+  A submenu, wrapping a `dropdown_menu_sub_trigger` and its `dropdown_menu_sub_content`.
+
+  The submenu opens to the right of its trigger on hover, click, Enter, Space or ArrowRight,
+  and flips to the left when there is no room. ArrowLeft closes it.
+
+  ## Examples:
+
+      <.dropdown_menu_sub>
+        <.dropdown_menu_sub_trigger>Move to</.dropdown_menu_sub_trigger>
+        <.dropdown_menu_sub_content>
+          <.dropdown_menu_item value="inbox" on-select="move">Inbox</.dropdown_menu_item>
+          <.dropdown_menu_item value="archive" on-select="move">Archive</.dropdown_menu_item>
+        </.dropdown_menu_sub_content>
+      </.dropdown_menu_sub>
+  """
+  attr :class, :string, default: nil
+  attr :rest, :global
+  slot :inner_block, required: true
+
+  def dropdown_menu_sub(assigns) do
+    ~H"""
+    <div data-part="sub" data-state="closed" class={classes(["", @class])} {@rest}>
+      {render_slot(@inner_block)}
+    </div>
+    """
+  end
+
+  @doc """
+  The item opening a submenu.
+
+  ## Options
+
+  * `:value` - Value identifying the item. Defaults to its text.
+  * `:disabled` - Whether the submenu is disabled. Defaults to `false`.
+  * `:inset` - Whether to indent the trigger to align with checkbox items. Defaults to `false`.
+  * `:class` - Additional CSS classes.
+  """
+  attr :class, :string, default: nil
+  attr :value, :string, default: nil
+  attr :disabled, :boolean, default: false
+  attr :inset, :boolean, default: false
+  attr :rest, :global
+  slot :inner_block, required: true
+
+  def dropdown_menu_sub_trigger(assigns) do
+    ~H"""
+    <div
+      data-part="sub-trigger"
+      data-value={@value}
+      data-disabled={@disabled}
+      class={
+        classes([
+          "flex cursor-default select-none items-center gap-2 rounded-sm px-2 py-1.5 text-sm outline-none focus:bg-accent data-[state=open]:bg-accent data-[disabled]:pointer-events-none data-[disabled]:opacity-50 [&_svg]:size-4 [&_svg]:shrink-0",
+          @inset && "pl-8",
+          @class
+        ])
+      }
+      tabindex={if @disabled, do: "-1", else: "0"}
+      {@rest}
+    >
+      {render_slot(@inner_block)}
+      <svg
+        xmlns="http://www.w3.org/2000/svg"
+        width="24"
+        height="24"
+        viewBox="0 0 24 24"
+        fill="none"
+        stroke="currentColor"
+        stroke-width="2"
+        stroke-linecap="round"
+        stroke-linejoin="round"
+        class="ml-auto"
+      >
+        <path d="m9 18 6-6-6-6"></path>
+      </svg>
+    </div>
+    """
+  end
+
+  @doc """
+  The content of a submenu, positioned next to its trigger.
+
+  ## Options
+
+  * `:class` - Additional CSS classes.
+  """
+  attr :class, :string, default: nil
+  attr :rest, :global
+  slot :inner_block, required: true
+
+  def dropdown_menu_sub_content(assigns) do
+    ~H"""
+    <div
+      data-part="sub-content"
+      data-state="closed"
+      class={
+        classes([
+          "z-50 max-h-[var(--salad-available-height,none)] min-w-[8rem] overflow-y-auto overflow-x-hidden rounded-md border bg-popover p-1 text-popover-foreground shadow-lg data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[placement=left]:slide-in-from-right-2 data-[placement=right]:slide-in-from-left-2",
+          @class
+        ])
+      }
+      hidden
+      {@rest}
+    >
+      {render_slot(@inner_block)}
+    </div>
+    """
+  end
+
   @doc """
   A separator for visually dividing sections of the dropdown menu.
 
@@ -0,0 +1,201 @@
+defmodule SaladUI.Menubar do
+  @moduledoc """
+  Implementation of menubar component for SaladUI framework.
+
+  A menubar is a desktop-style bar of menus (File, Edit, View...). Arrow keys move
+  between its triggers, only one of them being tabbable, and once a menu is open,
+  hovering another trigger or pressing ArrowLeft/ArrowRight switches to its menu.
+  Items are the dropdown menu ones and push the same events.
+
+  ## Examples:
+
+      <.menubar id="app-menubar">
+        <.menubar_menu value="file">
+          <.menubar_trigger>File</.menubar_trigger>
+          <.menubar_content>
+            <.dropdown_menu_item value="new-tab" on-select="file_action">
+              New Tab
+              <.dropdown_menu_shortcut>⌘T</.dropdown_menu_shortcut>
+            </.dropdown_menu_item>
+            <.dropdown_menu_separator />
+            <.dropdown_menu_sub>
+              <.dropdown_menu_sub_trigger>Share</.dropdown_menu_sub_trigger>
+              <.dropdown_menu_sub_content>
+                <.dropdown_menu_item value="email" on-select="share">Email link</.dropdown_menu_item>
+              </.dropdown_menu_sub_content>
+            </.dropdown_menu_sub>
+          </.menubar_content>
+        </.menubar_menu>
+        <.menubar_menu value="view">
+          <.menubar_trigger>View</.menubar_trigger>
+          <.menubar_content>
+            <.dropdown_menu_checkbox_item checked={@show_bookmarks} on-checked-change="toggle_bookmarks">
+              Always Show Bookmarks Bar
+            </.dropdown_menu_checkbox_item>
+          </.menubar_content>
+        </.menubar_menu>
+      </.menubar>
+  """
+  use SaladUI, :component
+
+  @doc """
+  The menubar, coordinating its menus.
+
+  ## Options
+
+  * `:id` - Required unique identifier for the menubar.
+  * `:on-open` - Handler for when a menu opens, receives its `value`.
+  * `:on-close` - Handler for when the menubar closes, receives the `value` of the menu
+    that was open. Switching between menus doesn't close the menubar.
+  * `:class` - Additional CSS classes.
+  """
+  attr :id, :string, required: true, doc: "Unique identifier for the menubar"
+  attr :"on-open", :any, default: nil, doc: "Handler for menu open event"
+  attr :"on-close", :any, default: nil, doc: "Handler for menu close event"
+  attr :class, :string, default: nil
+  attr :rest, :global
+  slot :inner_block, required: true
+
+  def menubar(assigns) do
+    # Collect event mappings
+    event_map =
+      %{}
+      |> add_event_mapping(assigns, "opened", :"on-open")
+      |> add_event_mapping(assigns, "closed", :"on-close")
+
+    assigns = assign(assigns, :event_map, json(event_map))
+
+    ~H"""
+    <div
+      id={@id}
+      class={
+        classes([
+          "flex h-9 items-center space-x-1 rounded-md border bg-background p-1 shadow-sm",
+          @class
+        ])
+      }
+      data-component="menubar"
+      data-state="closed"
+      data-event-mappings={@event_map}
+      data-part="root"
+      role="menubar"
+      phx-hook="SaladUI"
+      {@rest}
+    >
+      {render_slot(@inner_block)}
+    </div>
+    """
+  end
+
+  @doc """
+  A top-level menu of the menubar, wrapping a `menubar_trigger` and its `menubar_content`.
+
+  ## Options
+
+  * `:value` - Identifier of the menu, sent with the open and close events. Defaults to the trigger text.
+  * `:class` - Additional CSS classes.
+  """
+  attr :value, :string, default: nil
+  attr :class, :string, default: nil
+  attr :rest, :global
+  slot :inner_block, required: true
+
+  def menubar_menu(assigns) do
+    ~H"""
+    <div
+      data-part="menu"
+      data-value={@value}
+      data-state="closed"
+      class={classes(["relative", @class])}
+      {@rest}
+    >
+      {render_slot(@inner_block)}
+    </div>
+    """
+  end
+
+  @doc """
+  The button of a menu in the bar.
+
+  ## Options
+
+  * `:disabled` - Whether the menu can't be opened. Defaults to `false`.
+  * `:class` - Additional CSS classes.
+  """
+  attr :disabled, :boolean, default: false
+  attr :class, :string, default: nil
+  attr :rest, :global
+  slot :inner_block, required: true
+
+  def menubar_trigger(assigns) do
+    ~H"""
+    <button
+      type="button"
+      data-part="trigger"
+      data-disabled={@disabled}
+      tabindex="-1"
+      class={
+        classes([
+          "flex cursor-default select-none items-center rounded-sm px-3 py-1 text-sm font-medium outline-none focus:bg-accent focus:text-accent-foreground data-[state=open]:bg-accent data-[state=open]:text-accent-foreground data-[disabled]:pointer-events-none data-[disabled]:opacity-50",
+          @class
+        ])
+      }
+      {@rest}
+    >
+      {render_slot(@inner_block)}
+    </button>
+    """
+  end
+
+  @doc """
+  The menu opened by a `menubar_trigger`.
+
+  ## Options
+
+  * `:side` - Placement of the menu relative to the trigger (top, right, bottom, left). Defaults to `"bottom"`.
+  * `:align` - Alignment of the menu (start, center, end). Defaults to `"start"`.
+  * `:side-offset` - Distance from the trigger in pixels. Defaults to `8`.
+  * `:align-offset` - Offset along the alignment axis. Defaults to `-4`.
+  * `:class` - Additional CSS classes.
+  """
+  attr :class, :string, default: nil
+  attr :side, :string, values: ~w(top right bottom left), default: "bottom"
+  attr :align, :string, values: ~w(start center end), default: "start"
+  attr :"side-offset", :integer, default: 8, doc: "Distance from the trigger in pixels"
+  attr :"align-offset", :integer, default: -4, doc: "Offset along the alignment axis"
+  attr :rest, :global
+  slot :inner_block, required: true
+
+  def menubar_content(assigns) do
+    assigns =
+      assign(assigns, %{
+        side_offset: assigns[:"side-offset"],
+        align_offset: assigns[:"align-offset"]
+      })
+
+    ~H"""
+    <div
+      data-part="positioner"
+      data-side={@side}
+      data-align={@align}
+      data-side-offset={@side_offset}
+      data-align-offset={@align_offset}
+      class="absolute z-50"
+      hidden
+    >
+      <div
+        data-part="content"
+        class={
+          classes([
+            "z-50 max-h-[var(--salad-available-height,none)] min-w-[12rem] overflow-y-auto overflow-x-hidden rounded-md border bg-popover p-1 text-popover-foreground shadow-md outline-none data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2",
+            @class
+          ])
+        }
+        {@rest}
+      >
+        {render_slot(@inner_block)}
+      </div>
+    </div>
+    """
+  end
+end
@@ -140,6 +140,35 @@ defmodule SaladUI.Popover do
     """
   end
 
+  @doc """
+  An arrow pointing from the popover at its trigger.
+
+  Render it inside `popover_content`, it's kept pointed at the trigger center
+  when the popover flips or shifts to stay in view.
+  """
+  attr :class, :string, default: nil
+  attr :rest, :global
+
+  def popover_arrow(assigns) do
+    ~H"""
+    <span
+      data-part="arrow"
+      aria-hidden="true"
+      class={
+        classes([
+          "absolute size-2.5 rotate-45 border bg-popover",
+          "data-[side=top]:-bottom-[5px] data-[side=top]:border-l-0 data-[side=top]:border-t-0",
+          "data-[side=bottom]:-top-[5px] data-[side=bottom]:border-b-0 data-[side=bottom]:border-r-0",
+          "data-[side=left]:-right-[5px] data-[side=left]:border-b-0 data-[side=left]:border-l-0",
+          "data-[side=right]:-left-[5px] data-[side=right]:border-r-0 data-[side=right]:border-t-0",
+          @class
+        ])
+      }
+      {@rest}
+    />
+    """
+  end
+
   defp get_animation_config do
     %{
       "open_to_closed" => %{
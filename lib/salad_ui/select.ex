@@ -24,6 +24,22 @@ defmodule SaladUI.Select do
 
         <.button type="submit">Submit</.button>
       </form>
+
+  Multiple selection keeps the content open while toggling items, renders the
+  selected values as removable chips and submits them as a list (`name[]`).
+  Backspace on the trigger removes the last selected value. Without a
+  selection, the list is submitted as `[""]` so that the form can clear it:
+
+      <.select id="fruits" name="fruits" multiple max-selected={3}>
+        <.select_trigger class="w-[280px]">
+          <.select_value placeholder="Select fruits"/>
+        </.select_trigger>
+        <.select_content>
+          <.select_item value="apple">Apple</.select_item>
+          <.select_item value="banana">Banana</.select_item>
+          <.select_item value="blueberry">Blueberry</.select_item>
+        </.select_content>
+      </.select>
   """
   use SaladUI, :component
 
@@ -36,6 +52,7 @@ defmodule SaladUI.Select do
   attr :value, :any, default: nil, doc: "The value of the select"
   attr :"default-value", :any, default: nil, doc: "The default value of the select"
   attr :multiple, :boolean, default: false, doc: "Allow multiple selection"
+  attr :"max-selected", :integer, default: nil, doc: "Maximum number of selected values when multiple"
   attr :"use-portal", :boolean, default: false, doc: "Whether to render the content in a portal"
   attr :"portal-container", :string, default: nil, doc: "CSS selector for the portal container"
   attr :"on-value-changed", :any, default: nil, doc: "Handler for value changed event"
@@ -74,6 +91,7 @@ defmodule SaladUI.Select do
           value: assigns.value,
           name: assigns.name,
           multiple: assigns.multiple,
+          maxSelected: assigns[:"max-selected"],
           usePortal: assigns[:"use-portal"],
           portalContainer: assigns[:"portal-container"],
           animations: get_animation_config()
@@ -179,7 +197,7 @@ defmodule SaladUI.Select do
       class={
         classes([
           "absolute min-w-full",
-          "z-50 max-h-96 min-w-[8rem] overflow-hidden rounded-md border bg-popover text-popover-foreground shadow-md data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2",
+          "z-50 max-h-[min(24rem,var(--salad-available-height,24rem))] min-w-[8rem] overflow-y-auto overflow-x-hidden rounded-md border bg-popover text-popover-foreground shadow-md data-[state=open]:animate-in data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=open]:fade-in-0 data-[state=closed]:zoom-out-95 data-[state=open]:zoom-in-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2",
           @position_class,
           @class
         ])
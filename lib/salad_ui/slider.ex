@@ -3,13 +3,38 @@ defmodule SaladUI.Slider do
   Implementation of slider component for selecting values within a range.
 
   Sliders provide users with a visual representation of a value within a range,
-  and allow them to adjust it by dragging a thumb or pressing arrow keys.
+  and allow them to adjust it by dragging a thumb with a mouse, finger or pen,
+  or with the keyboard: arrow keys move by a step, PageUp/PageDown by ten steps
+  and Home/End to the bounds.
+
+  A list `value` renders one thumb per value, e.g. for a price range. Thumbs
+  can't pass each other and stay `min-steps-between-thumbs` steps apart.
 
   ## Examples:
 
       <.slider id="volume-slider" min={0} max={100} value={50} on-value-changed={JS.push("volume_changed")} />
 
       <.slider id="price-range" min={10} max={1000} step={10} value={500} class="w-[300px]" />
+
+      <.slider id="price-filter" name="price" min={0} max={1000} step={10} value={[100, 600]} min-steps-between-thumbs={5} />
+
+      <.slider id="volume" orientation="vertical" value={70} class="h-48" />
+
+  ## Marks and live values
+
+  `marks` renders labelled ticks along the track, and `snap-to-marks` makes
+  the thumbs stop on them only. While dragging, a throttled `value-changing`
+  event lets the server follow the value; `value-committed` is pushed once
+  the thumb is released with a new value, or right away for keyboard changes:
+
+      <.slider
+        id="conversion-filter"
+        value={50}
+        marks={[0, %{value: 25, label: "25%"}, %{value: 50, label: "50%"}, %{value: 100, label: "100%"}]}
+        snap-to-marks
+        on-value-changing="preview_filter"
+        on-value-committed="apply_filter"
+      />
   """
   use SaladUI, :component
 
@@ -22,10 +47,18 @@ defmodule SaladUI.Slider do
   * `:min` - Minimum value (defaults to 0).
   * `:max` - Maximum value (defaults to 100).
   * `:step` - Step size for value changes (defaults to 1).
-  * `:value` - Current value of the slider (defaults to min).
+  * `:value` - Current value of the slider, a list for several thumbs (defaults to min).
   * `:default-value` - Default value if value is not provided.
+  * `:min-steps-between-thumbs` - Minimum number of steps between two thumbs (defaults to 0).
+  * `:orientation` - `"horizontal"` or `"vertical"` (defaults to `"horizontal"`).
+  * `:inverted` - Whether the slider goes from right to left, or top to bottom when vertical (defaults to false).
   * `:disabled` - Whether the slider is disabled (defaults to false).
-  * `:on-value-changed` - Handler for value changed event.
+  * `:marks` - Tick marks, numbers or maps with a `:value` and a `:label`.
+  * `:snap-to-marks` - Whether thumbs snap to the marks instead of the step (defaults to false).
+  * `:throttle` - Minimum interval in ms between two `value-changing` events (defaults to 100).
+  * `:on-value-changed` - Handler for value changed event, receives a list with several thumbs.
+  * `:on-value-changing` - Handler for value changes while dragging, throttled.
+  * `:on-value-committed` - Handler for the final value of a drag or a keyboard change.
   * `:class` - Additional CSS classes.
   """
   attr :id, :string, required: true, doc: "Unique identifier for the slider"
@@ -33,10 +66,18 @@ defmodule SaladUI.Slider do
   attr :min, :integer, default: 0, doc: "Minimum value"
   attr :max, :integer, default: 100, doc: "Maximum value"
   attr :step, :integer, default: 1, doc: "Step size for value changes"
-  attr :value, :integer, default: nil, doc: "Current value of the slider"
-  attr :"default-value", :integer, default: nil, doc: "Default value if value is not provided"
+  attr :value, :any, default: nil, doc: "Current value of the slider, a list for several thumbs"
+  attr :"default-value", :any, default: nil, doc: "Default value if value is not provided"
+  attr :"min-steps-between-thumbs", :integer, default: 0, doc: "Minimum number of steps between two thumbs"
+  attr :orientation, :string, values: ~w(horizontal vertical), default: "horizontal"
+  attr :inverted, :boolean, default: false, doc: "Whether the slider is visually inverted"
   attr :disabled, :boolean, default: false, doc: "Whether the slider is disabled"
+  attr :marks, :list, default: [], doc: "Tick marks, numbers or maps with a value and a label"
+  attr :"snap-to-marks", :boolean, default: false, doc: "Whether thumbs snap to the marks"
+  attr :throttle, :integer, default: 100, doc: "Minimum interval (ms) between value-changing events"
   attr :"on-value-changed", :any, default: nil, doc: "Handler for value changed event"
+  attr :"on-value-changing", :any, default: nil, doc: "Handler for throttled value changes while dragging"
+  attr :"on-value-committed", :any, default: nil, doc: "Handler for committed value event"
   attr :field, Phoenix.HTML.FormField, doc: "A form field struct retrieved from the form, for example: @form[:volume]"
   attr :class, :string, default: nil
   attr :rest, :global
@@ -52,16 +93,24 @@ defmodule SaladUI.Slider do
         true -> assigns.min
       end
 
-    # Ensure value is within bounds and snapped to step
-    value =
+    # Ensure values are within bounds, snapped to step and in thumb order
+    values =
       value
-      |> max(assigns.min)
-      |> min(assigns.max)
-      |> snap_to_step(assigns.step)
+      |> List.wrap()
+      |> Enum.map(fn value ->
+        value
+        |> max(assigns.min)
+        |> min(assigns.max)
+        |> snap_to_step(assigns.step)
+      end)
+      |> Enum.sort()
 
     # Collect event mappings
     event_map =
-      add_event_mapping(%{}, assigns, "value-changed", :"on-value-changed")
+      %{}
+      |> add_event_mapping(assigns, "value-changed", :"on-value-changed")
+      |> add_event_mapping(assigns, "value-changing", :"on-value-changing")
+      |> add_event_mapping(assigns, "value-committed", :"on-value-committed")
 
     # Create options object
     options = %{
@@ -69,12 +118,21 @@ defmodule SaladUI.Slider do
       max: assigns.max,
       step: assigns.step,
       defaultValue: assigns[:"default-value"],
-      disabled: assigns.disabled
+      minStepsBetweenThumbs: assigns[:"min-steps-between-thumbs"],
+      orientation: assigns.orientation,
+      inverted: assigns.inverted,
+      disabled: assigns.disabled,
+      snapToMarks: assigns[:"snap-to-marks"],
+      throttle: assigns.throttle
     }
 
     assigns =
       assigns
-      |> assign(:value, value)
+      |> assign(:values, values)
+      |> assign(:marks, Enum.map(assigns.marks, &normalize_mark/1))
+      |> assign(:data_value, if(length(values) == 1, do: hd(values), else: json(values)))
+      |> assign(:input_name, input_name(assigns.name, length(values)))
+      |> assign(:vertical, assigns.orientation == "vertical")
       |> assign(:event_map, json(event_map))
       |> assign(:options, json(options))
 
@@ -84,33 +142,51 @@ defmodule SaladUI.Slider do
       class={classes(["relative", @class])}
       data-component="slider"
       data-state="idle"
-      data-value={@value}
+      data-value={@data_value}
+      data-orientation={@orientation}
       data-options={@options}
       data-event-mappings={@event_map}
-      tabindex={if @disabled, do: "-1", else: "0"}
       phx-hook="SaladUI"
       data-part="root"
       phx-no-format
       {@rest}
     >
       <div
-        class="relative flex w-full touch-none select-none items-center"
-        data-part="root"
+        class={classes(["relative flex touch-none select-none items-center", if(@vertical, do: "h-full min-h-44 w-auto flex-col justify-center", else: "w-full"), @marks != [] && if(@vertical, do: "mr-10", else: "mb-6")])}
       >
-        <div data-part="track" class="relative h-2 w-full grow overflow-hidden rounded-full bg-secondary">
-          <div data-part="range" class="absolute h-full bg-primary" />
+        <div data-part="track" class={classes(["relative grow overflow-hidden rounded-full bg-secondary", if(@vertical, do: "h-full w-2", else: "h-2 w-full")])}>
+          <div data-part="range" class={classes(["absolute bg-primary", if(@vertical, do: "w-full", else: "h-full")])} />
         </div>
         <div
+          :for={_value <- @values}
           disabled={@disabled}
           data-part="thumb"
+          tabindex={if @disabled, do: "-1", else: "0"}
           class="block h-5 w-5 rounded-full border-2 border-primary bg-background ring-offset-background transition-colors focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:pointer-events-none disabled:opacity-50 absolute"
         />
+        <span
+          :for={mark <- @marks}
+          data-part="mark"
+          data-value={mark.value}
+          class={classes(["absolute whitespace-nowrap text-xs text-muted-foreground data-[in-range]:text-foreground", if(@vertical, do: "left-full ml-3", else: "top-full mt-2")])}
+        >{mark.label}</span>
       </div>
-      <input type="hidden" name={@name} value={@value} />
+      <input :for={value <- @values} type="hidden" name={@input_name} value={value} />
     </div>
     """
   end
 
+  # `name[]` so that forms receive a list when there are several thumbs
+  defp input_name(nil, _count), do: nil
+  defp input_name(name, 1), do: name
+
+  defp input_name(name, _count) do
+    if String.ends_with?(name, "[]"), do: name, else: name <> "[]"
+  end
+
+  defp normalize_mark(%{value: value} = mark), do: %{value: value, label: Map.get(mark, :label, value)}
+  defp normalize_mark(value), do: %{value: value, label: value}
+
   # Snap a value to the nearest step
   defp snap_to_step(value, step) do
     step_count = round(value / step)
@@ -23,6 +23,77 @@ defmodule SaladUI.Sonner do
         duration: 8000
       )
 
+  A toast keeps its `id`, so a long-running task can use a single toast that
+  goes from loading to done:
+
+      socket = push_toast(socket, :loading, "Uploading...", id: "upload")
+      # later
+      update_toast(socket, "upload", type: :success, title: "Uploaded")
+
+  From JavaScript, `toast.promise/2` does the same for a promise, and
+  `toast.update/2` and `toast.dismiss/1` change or remove toasts in place.
+
+  ## Actions
+
+  A toast action can't be a function when sent from the server. Give it the
+  name of an event to push, with a payload, or a `Phoenix.LiveView.JS`
+  command instead:
+
+      push_toast(socket, :default, "Message archived",
+        action: %{label: "Undo", event: "unarchive", payload: %{id: message.id}}
+      )
+
+      push_toast(socket, :default, "Report ready",
+        action: %{label: "Open", js: JS.navigate(~p"/reports/latest")}
+      )
+
+  The event payload also has the `toastId`. With `on-dismiss`, the toaster
+  reports each dismissed toast with its `id` and the `reason`: `"timeout"`,
+  `"user"`, `"limit"` (pushed out by newer toasts) or `"programmatic"`
+  (`dismiss_toast/2` or `toast.dismiss()`).
+
+  ## Several toasters
+
+  Toasters are named, the unnamed one being `"default"`. Send a toast to
+  another one with the `:toaster` option:
+
+      <.toaster />
+      <.toaster name="sidebar" position="top-left" />
+
+      push_toast(socket, :info, "Filters saved", toaster: "sidebar")
+
+  Toasts can be swiped away toward the edges of their toaster.
+
+  ## Custom toasts
+
+  Toasts are rendered from `toast_template/1` elements in the toaster, by
+  type, with a `"default"` template for the other types. Elements marked with
+  `data-slot` are filled: `icon` (the built-in one when left empty), `title`,
+  `description`, `action`, `cancel`, `close` and `progress`. Slots without
+  content are removed, as is an `actions` slot left without buttons. Without
+  templates, toasts use the built-in markup.
+
+      <.toaster progress>
+        <.toast_template type="success">
+          <div class="flex gap-3 rounded-xl bg-brand p-4 text-white">
+            <span data-slot="icon"></span>
+            <div>
+              <p data-slot="title" class="font-semibold"></p>
+              <p data-slot="description" class="text-sm opacity-80"></p>
+            </div>
+            <button data-slot="close" aria-label="Dismiss">×</button>
+            <div data-slot="progress" class="absolute bottom-0 left-0 h-1 w-full origin-left bg-white/40"></div>
+          </div>
+        </.toast_template>
+      </.toaster>
+
+  ## Accessibility
+
+  Toasts are announced to screen readers, errors and warnings assertively and
+  other types politely. The `hotkey` (Alt+T by default) moves focus to the
+  latest toast; the stack stays expanded with its timers paused while focused,
+  and Escape returns focus to where it was.
+
   ## Toast Types
 
   - `:default` - Neutral notification
@@ -30,70 +101,160 @@ defmodule SaladUI.Sonner do
   - `:info` - Blue informational message
   - `:warning` - Yellow warning message
   - `:error` - Red error message
+  - `:loading` - Spinner, kept until updated or dismissed
   """
   use SaladUI, :component
 
   @doc """
   Renders the toast container.
 
-  Place once in your app layout. Toasts will be rendered here.
+  Place once in your app layout. Toasts will be rendered here, so LiveView
+  leaves the content of the toaster alone: toast templates are read as
+  rendered on mount.
 
   ## Attributes
 
-  - `:id` - Container ID. Defaults to "toaster".
+  - `:id` - Container ID. Defaults to "toaster", or "toaster-<name>" for a named toaster.
+  - `:name` - Name targeted by the `:toaster` option of toasts. Defaults to "default".
+  - `:position` - `top-left`, `top-center`, `top-right`, `bottom-left`, `bottom-center`
+    or `bottom-right`. Defaults to `bottom-right`.
   - `:class` - Additional CSS classes.
   - `:duration` - Default auto-dismiss time in ms. Defaults to 4000.
   - `:max_toasts` - Max visible toasts. Defaults to 3.
+  - `:progress` - Whether to show a progress bar for the remaining duration of toasts. Defaults to false.
+  - `:hotkey` - Shortcut moving focus to the toasts, such as `"alt+t"` or `"mod+shift+n"`. Defaults to `"alt+t"`.
+  - `:on-dismiss` - Handler for dismissed toasts, receives the `id` and the `reason`.
 
   ## Example
 
       <.toaster />
-      <.toaster duration={5000} max_toasts={5} />
+      <.toaster duration={5000} max_toasts={5} on-dismiss="toast_dismissed" />
+      <.toaster name="sidebar" position="top-left" />
   """
-  attr :id, :string, default: "toaster"
+  attr :id, :string, default: nil
+  attr :name, :string, default: "default"
+
+  attr :position, :string,
+    values: ~w(top-left top-center top-right bottom-left bottom-center bottom-right),
+    default: "bottom-right"
+
   attr :class, :any, default: nil
   attr :duration, :integer, default: 4000
   attr :max_toasts, :integer, default: 3
   attr :gap, :integer, default: 8
+  attr :hotkey, :string, default: "alt+t", doc: "Shortcut moving focus to the toasts"
+  attr :progress, :boolean, default: false, doc: "Show the remaining duration of toasts"
+  attr :"on-dismiss", :any, default: nil, doc: "Handler for toast dismissed event"
+  slot :inner_block, doc: "Toast templates"
 
   def toaster(assigns) do
+    event_map = add_event_mapping(%{}, assigns, "toast-dismissed", :"on-dismiss")
+
     assigns =
-      assign(
-        assigns,
+      assigns
+      |> assign(:id, assigns.id || toaster_id(assigns.name))
+      |> assign(:position_style, position_style(assigns.position))
+      |> assign(:label, toaster_label(assigns.hotkey))
+      |> assign(
         :options,
         json(%{
+          name: assigns.name,
+          position: assigns.position,
           duration: assigns.duration,
           maxToasts: assigns.max_toasts,
-          gap: assigns.gap
+          gap: assigns.gap,
+          hotkey: assigns.hotkey,
+          progress: assigns.progress
         })
       )
+      |> assign(:event_map, json(event_map))
 
     ~H"""
     <div
       id={@id}
       data-component="sonner"
       data-options={@options}
+      data-event-mappings={@event_map}
+      data-position={@position}
       phx-hook="SaladUI"
-      aria-live="polite"
-      style="position: fixed; bottom: 1rem; right: 1rem; z-index: 100; width: 360px; display: flex; flex-direction: column; gap: 0.5rem;"
+      phx-update="ignore"
+      role="region"
+      aria-label={@label}
+      style={"position: fixed; #{@position_style} z-index: 100; width: 360px; display: flex; flex-direction: column; gap: 0.5rem;"}
       class={classes([@class])}
     >
+      {render_slot(@inner_block)}
     </div>
     """
   end
 
+  @doc """
+  Template rendering the toasts of a type in its toaster.
+
+  Fill it with markup where `data-slot` elements receive the toast content,
+  see "Custom toasts" above.
+
+  ## Attributes
+
+  - `:type` - Toast type rendered by the template, or `"default"` for the others.
+
+  ## Example
+
+      <.toast_template type="error">
+        <div class="rounded-md border-2 border-destructive bg-background p-4">
+          <p data-slot="title" class="font-medium text-destructive"></p>
+          <p data-slot="description" class="text-sm"></p>
+          <button data-slot="action" class="mt-2 underline"></button>
+        </div>
+      </.toast_template>
+  """
+  attr :type, :string, default: "default"
+  slot :inner_block, required: true
+
+  def toast_template(assigns) do
+    ~H"""
+    <template data-toast-type={@type}>{render_slot(@inner_block)}</template>
+    """
+  end
+
+  defp toaster_id("default"), do: "toaster"
+  defp toaster_id(name), do: "toaster-#{name}"
+
+  # Mentions the hotkey, "alt+t" reading as "Alt+T"
+  defp toaster_label(nil), do: "Notifications"
+
+  defp toaster_label(hotkey) do
+    "Notifications " <> (hotkey |> String.split("+") |> Enum.map_join("+", &String.capitalize/1))
+  end
+
+  defp position_style(position) do
+    [vertical, horizontal] = String.split(position, "-")
+
+    horizontal_style =
+      case horizontal do
+        "center" -> "left: 50%; transform: translateX(-50%);"
+        side -> "#{side}: 1rem;"
+      end
+
+    "#{vertical}: 1rem; #{horizontal_style}"
+  end
+
   @doc """
   Push a toast notification from LiveView.
 
   ## Parameters
 
   - `socket` - LiveView socket
-  - `type` - `:default`, `:success`, `:info`, `:warning`, or `:error`
+  - `type` - `:default`, `:success`, `:info`, `:warning`, `:error`, or `:loading`
   - `title` - Toast title/message
   - `opts` - Optional keyword list:
     - `:description` - Additional text
     - `:duration` - Auto-dismiss time in ms (0 = never)
     - `:id` - Custom toast ID
+    - `:toaster` - Name of the toaster showing the toast
+    - `:action` - Button with a `:label`, pushing an `:event` with its
+      `:payload` or running a `:js` command
+    - `:cancel` - Second button, same shape as `:action`
 
   ## Examples
 
@@ -109,13 +270,72 @@ defmodule SaladUI.Sonner do
   def push_toast(socket, type, title, opts \\ []) do
     payload = %{
       id: Keyword.get(opts, :id, "toast-#{System.unique_integer([:positive])}"),
+      toaster: Keyword.get(opts, :toaster),
       type: to_string(type),
       title: title,
       description: Keyword.get(opts, :description),
-      duration: Keyword.get(opts, :duration, 4000),
-      dismissible: Keyword.get(opts, :dismissible, true)
+      duration: Keyword.get(opts, :duration, if(type == :loading, do: 0, else: 4000)),
+      dismissible: Keyword.get(opts, :dismissible, true),
+      action: opts |> Keyword.get(:action) |> normalize_action(),
+      cancel: opts |> Keyword.get(:cancel) |> normalize_action()
     }
 
     Phoenix.LiveView.push_event(socket, "salad-ui:toast", payload)
   end
+
+  @doc """
+  Update a visible toast in place and restart its timer.
+
+  ## Parameters
+
+  - `socket` - LiveView socket
+  - `id` - ID of the toast, as given to `push_toast/4`
+  - `opts` - Fields to change: `:type`, `:title`, `:description`, `:duration`,
+    `:dismissible`, `:action` and `:cancel`. Without `:duration`, the toaster default applies.
+
+  ## Examples
+
+      update_toast(socket, "upload", type: :success, title: "Uploaded")
+  """
+  @spec update_toast(Phoenix.LiveView.Socket.t(), String.t(), keyword()) ::
+          Phoenix.LiveView.Socket.t()
+  def update_toast(socket, id, opts) do
+    payload =
+      opts
+      |> Keyword.take([:type, :title, :description, :duration, :dismissible, :action, :cancel])
+      |> Map.new(fn
+        {:type, type} -> {:type, to_string(type)}
+        {key, action} when key in [:action, :cancel] -> {key, normalize_action(action)}
+        pair -> pair
+      end)
+      |> Map.put_new(:duration, nil)
+      |> Map.put(:id, id)
+
+    Phoenix.LiveView.push_event(socket, "salad-ui:toast-update", payload)
+  end
+
+  @doc """
+  Dismiss a toast by ID, or all visible toasts.
+
+  ## Examples
+
+      dismiss_toast(socket, "upload")
+      dismiss_toast(socket)
+  """
+  @spec dismiss_toast(Phoenix.LiveView.Socket.t(), String.t() | nil) ::
+          Phoenix.LiveView.Socket.t()
+  def dismiss_toast(socket, id \\ nil) do
+    Phoenix.LiveView.push_event(socket, "salad-ui:toast-dismiss", %{id: id})
+  end
+
+  # Actions from the server are data: a label with an event and payload, or a JS command.
+  # `%JS{}` has no JSON encoder, its ops are what `liveSocket.execJS` runs.
+  defp normalize_action(nil), do: nil
+
+  defp normalize_action(action) do
+    case Map.new(action) do
+      %{js: %JS{ops: ops}} = action -> %{action | js: ops}
+      action -> action
+    end
+  end
 end
@@ -18,6 +18,7 @@ defmodule SaladUI.Tooltip do
         </.tooltip_trigger>
         <.tooltip_content side="top" align="center">
           Need help? Click here for more information.
+          <.tooltip_arrow />
         </.tooltip_content>
       </.tooltip>
   """
@@ -134,7 +135,7 @@ defmodule SaladUI.Tooltip do
       data-align-offset={@align_offset}
       class={
         classes([
-          "z-50 overflow-hidden rounded-md border bg-popover px-3 py-1.5 text-sm text-popover-foreground shadow-md animate-in fade-in-0 zoom-in-95 data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=closed]:zoom-out-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2",
+          "z-50 rounded-md border bg-popover px-3 py-1.5 text-sm text-popover-foreground shadow-md animate-in fade-in-0 zoom-in-95 data-[state=closed]:animate-out data-[state=closed]:fade-out-0 data-[state=closed]:zoom-out-95 data-[side=bottom]:slide-in-from-top-2 data-[side=left]:slide-in-from-right-2 data-[side=right]:slide-in-from-left-2 data-[side=top]:slide-in-from-bottom-2",
           @class
         ])
       }
@@ -146,6 +147,35 @@ defmodule SaladUI.Tooltip do
     """
   end
 
+  @doc """
+  An arrow pointing from the tooltip at its trigger.
+
+  Render it inside `tooltip_content`, it's kept pointed at the trigger center
+  when the tooltip flips or shifts to stay in view.
+  """
+  attr :class, :string, default: nil
+  attr :rest, :global
+
+  def tooltip_arrow(assigns) do
+    ~H"""
+    <span
+      data-part="arrow"
+      aria-hidden="true"
+      class={
+        classes([
+          "absolute size-2.5 rotate-45 border bg-popover",
+          "data-[side=top]:-bottom-[5px] data-[side=top]:border-l-0 data-[side=top]:border-t-0",
+          "data-[side=bottom]:-top-[5px] data-[side=bottom]:border-b-0 data-[side=bottom]:border-r-0",
+          "data-[side=left]:-right-[5px] data-[side=left]:border-b-0 data-[side=left]:border-l-0",
+          "data-[side=right]:-left-[5px] data-[side=right]:border-r-0 data-[side=right]:border-t-0",
+          @class
+        ])
+      }
+      {@rest}
+    />
+    """
+  end
+
   defp get_animation_config do
     %{
       "closed_to_open" => %{
@@ -15,6 +15,8 @@ import "salad_ui/components/accordion";
 import "salad_ui/components/slider";
 import "salad_ui/components/switch";
 import "salad_ui/components/dropdown_menu";
+import "salad_ui/components/context_menu";
+import "salad_ui/components/menubar";
 import "salad_ui/components/chart";
 import "salad_ui/components/combobox";
 import "salad_ui/components/sonner";
@@ -61,6 +61,40 @@ defmodule Storybook.SaladUIComponents.Slider do
           "on-value-changed": "handle_slider_change"
         },
         description: "Slider with value change event handler"
+      },
+      %Variation{
+        id: :range_slider,
+        attributes: %{
+          id: "slider-range",
+          value: [20, 80],
+          "min-steps-between-thumbs": 5,
+          class: "w-[60%]",
+          name: "price"
+        },
+        description: "Range slider with two thumbs kept 5 steps apart"
+      },
+      %Variation{
+        id: :vertical_slider,
+        attributes: %{
+          id: "slider-vertical",
+          value: 40,
+          orientation: "vertical",
+          class: "h-48",
+          name: "level"
+        },
+        description: "Vertical slider"
+      },
+      %Variation{
+        id: :marks_slider,
+        attributes: %{
+          id: "slider-marks",
+          value: 50,
+          marks: [0, %{value: 25, label: "25%"}, %{value: 50, label: "50%"}, %{value: 75, label: "75%"}, 100],
+          "snap-to-marks": true,
+          class: "w-[60%]",
+          name: "threshold"
+        },
+        description: "Slider with labelled marks the thumb snaps to"
       }
     ]
   end
@@ -0,0 +1,166 @@
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import {
+  cleanup,
+  keyboard,
+  mount,
+  pointer,
+  setupDOM,
+  wait,
+} from "../../../assets/salad_ui/testing";
+import "../../../assets/salad_ui/components/combobox";
+
+const COMBOBOX = `
+  <div id="framework" data-component="combobox" data-part="root" data-state="closed"
+       data-options='{"value":"phoenix"}'>
+    <button data-part="trigger"><span data-part="value"></span></button>
+    <div data-part="content" hidden>
+      <input data-part="input" />
+      <div data-part="list">
+        <div data-part="empty">No results found.</div>
+        <div data-part="item" data-value="phoenix">Phoenix</div>
+        <div data-part="item" data-value="rails">Rails</div>
+        <div data-part="item" data-value="remix">Remix</div>
+      </div>
+    </div>
+  </div>
+`;
+
+const remoteCombobox = (search) => `
+  <div id="user" data-component="combobox" data-part="root" data-state="closed"
+       data-options='{"remote":true,"debounce":50}'
+       data-event-mappings='{"search":${JSON.stringify(search)}}'>
+    <button data-part="trigger"><span data-part="value"></span></button>
+    <div data-part="content" hidden>
+      <input data-part="input" />
+      <div data-part="loading" hidden>Searching...</div>
+      <div data-part="list">
+        <div data-part="empty">No results found.</div>
+      </div>
+    </div>
+  </div>
+`;
+
+// Keep the reply callbacks, the fake hook replies right away otherwise
+const holdReplies = (harness) => {
+  const replies = [];
+  harness.hook.pushEventTo = (target, event, payload, onReply) => {
+    harness.hook.calls.pushEventTo.push({ target, event, payload });
+    replies.push(onReply);
+  };
+  return replies;
+};
+
+const highlightedValue = (harness) =>
+  harness.el
+    .querySelector("[data-highlighted='true']")
+    ?.getAttribute("data-value");
+
+beforeAll(async () => {
+  await setupDOM();
+});
+
+afterEach(() => cleanup());
+
+describe("combobox", () => {
+  it("keeps the open state, query and highlight across a patch", () => {
+    const combobox = mount(COMBOBOX);
+
+    pointer.click(combobox.part("trigger"));
+    keyboard.type(combobox.part("input"), "r");
+    keyboard.press(combobox.el, "ArrowDown");
+    expect(highlightedValue(combobox)).toBe("remix");
+
+    combobox.update((el) => {
+      const item = document.createElement("div");
+      item.setAttribute("data-part", "item");
+      item.setAttribute("data-value", "ruby");
+      item.textContent = "Ruby";
+      el.querySelector("[data-part='list']").prepend(item);
+    });
+
+    expect(combobox.state).toBe("open.idle");
+    expect(combobox.part("input").value).toBe("r");
+    expect(highlightedValue(combobox)).toBe("remix");
+    expect(combobox.part("value").getAttribute("data-content")).toBe("Phoenix");
+  });
+
+  it("survives a patch that removes the input", () => {
+    const combobox = mount(COMBOBOX);
+    pointer.click(combobox.part("trigger"));
+
+    expect(() =>
+      combobox.update((el) => el.querySelector("[data-part='input']").remove()),
+    ).not.toThrow();
+    expect(combobox.state).toBe("open.idle");
+  });
+
+  it("follows a server data-state only when it changes", () => {
+    const combobox = mount(COMBOBOX);
+
+    pointer.click(combobox.part("trigger"));
+    combobox.update((el) => el.setAttribute("data-state", "closed"));
+    expect(combobox.state).toBe("open.idle");
+
+    combobox.update((el) => el.setAttribute("data-state", "open"));
+    combobox.update((el) => el.setAttribute("data-state", "closed"));
+    expect(combobox.state).toBe("closed");
+  });
+
+  it("debounces remote searches and ignores stale replies", async () => {
+    const combobox = mount(remoteCombobox("search_users"));
+    const replies = holdReplies(combobox);
+
+    pointer.click(combobox.part("trigger"));
+    keyboard.type(combobox.part("input"), "an");
+    expect(combobox.pushed("search_users")).toHaveLength(0);
+
+    await wait(80);
+    keyboard.type(combobox.part("input"), "n");
+    await wait(80);
+
+    expect(combobox.pushed("search_users").map((call) => call.payload)).toMatchObject([
+      { query: "an", seq: 1 },
+      { query: "ann", seq: 2 },
+    ]);
+    expect(combobox.state).toBe("open.loading");
+    expect(combobox.part("loading").hidden).toBe(false);
+    expect(combobox.part("list").getAttribute("aria-busy")).toBe("true");
+    expect(combobox.part("empty").getAttribute("data-visible")).toBe("false");
+
+    replies[0]({ seq: 1 });
+    expect(combobox.state).toBe("open.loading");
+
+    replies[1]({ seq: 2 });
+    expect(combobox.state).toBe("open.idle");
+    expect(combobox.part("loading").hidden).toBe(true);
+    expect(combobox.part("empty").getAttribute("data-visible")).toBe("true");
+  });
+
+  it("waits for the patch when searching through a JS command", async () => {
+    const combobox = mount(remoteCombobox({ push: "search_users" }));
+
+    pointer.click(combobox.part("trigger"));
+    keyboard.type(combobox.part("input"), "ann");
+    await wait(80);
+
+    expect(combobox.hook.calls.execJS).toHaveLength(1);
+    expect(combobox.state).toBe("open.loading");
+
+    combobox.update((el) => {
+      el.querySelector("[data-part='list']").insertAdjacentHTML(
+        "beforeend",
+        `<div data-part="item" data-value="1">Ann Lee</div>
+         <div data-part="item" data-value="2">Joann Park</div>`,
+      );
+    });
+
+    expect(combobox.state).toBe("open.idle");
+    expect(highlightedValue(combobox)).toBe("1");
+
+    pointer.click(combobox.parts("item")[1]);
+    expect(combobox.state).toBe("closed");
+    expect(combobox.part("value").getAttribute("data-content")).toBe(
+      "Joann Park",
+    );
+  });
+});
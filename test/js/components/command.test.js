@@ -0,0 +1,210 @@
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import {
+  cleanup,
+  keyboard,
+  mount,
+  pointer,
+  setupDOM,
+} from "../../../assets/salad_ui/testing";
+import "../../../assets/salad_ui/components/command";
+
+const ITEMS = `
+  <div data-part="item" data-value="calendar">Calendar</div>
+  <div data-part="item" data-value="emoji">Search emoji</div>
+  <div data-part="item" data-value="calculator">Calculator</div>
+`;
+
+const COMMAND = `
+  <div id="command" data-component="command" data-part="root" data-state="idle"
+       data-event-mappings='{"item-selected":"run_command"}'>
+    <input data-part="input" />
+    <div data-part="list">
+      <div data-part="empty">No results found.</div>
+      <div data-part="group">${ITEMS}</div>
+    </div>
+  </div>
+`;
+
+const PALETTE = `
+  <div id="palette" data-component="command" data-part="root" data-state="closed"
+       data-options='{"palette":true,"recentLimit":0}'
+       data-event-mappings='{"item-selected":"run_command","opened":"palette_opened","closed":"palette_closed"}'>
+    <div data-part="content" hidden>
+      <div data-part="content-panel">
+        <input data-part="input" />
+        <div data-part="list">
+          <div data-part="empty">No results found.</div>
+          <div data-part="group">${ITEMS}</div>
+        </div>
+      </div>
+    </div>
+  </div>
+`;
+
+const selectedValue = (harness) =>
+  harness.el.querySelector("[data-selected='true']")?.getAttribute("data-value");
+
+beforeAll(async () => {
+  await setupDOM();
+});
+
+afterEach(() => cleanup());
+
+describe("command", () => {
+  it("keeps the query and the selection across a patch", () => {
+    const command = mount(COMMAND);
+    const input = command.part("input");
+
+    keyboard.type(input, "ca");
+    keyboard.press(command.el, "ArrowDown");
+    const selected = selectedValue(command);
+
+    command.update((el) => {
+      const item = document.createElement("div");
+      item.setAttribute("data-part", "item");
+      item.setAttribute("data-value", "camera");
+      item.textContent = "Camera";
+      el.querySelector("[data-part='group']").prepend(item);
+    });
+
+    expect(command.part("input")).toBe(input);
+    expect(input.value).toBe("ca");
+    expect(selectedValue(command)).toBe(selected);
+  });
+
+  it("restores a selection on the first item", () => {
+    const command = mount(COMMAND);
+
+    keyboard.press(command.el, "ArrowDown");
+    keyboard.press(command.el, "ArrowUp");
+    expect(selectedValue(command)).toBe("calendar");
+
+    command.update((el) =>
+      el.setAttribute("data-options", '{"scorer":"substring"}'),
+    );
+
+    expect(selectedValue(command)).toBe("calendar");
+  });
+
+  it("follows a server data-state only when it changes", () => {
+    const palette = mount(PALETTE);
+
+    palette.update((el) => el.setAttribute("data-state", "open"));
+    expect(palette.state).toBe("open");
+
+    keyboard.press(document.body, "Escape");
+    expect(palette.state).toBe("closed");
+
+    // Re-rendering the same state doesn't override the client
+    palette.update((el) => el.setAttribute("data-state", "open"));
+    expect(palette.state).toBe("closed");
+
+    palette.update((el) => el.setAttribute("data-state", "closed"));
+    palette.update((el) => el.setAttribute("data-state", "open"));
+    expect(palette.state).toBe("open");
+  });
+
+  it("works without an input part", () => {
+    const command = mount(COMMAND.replace('<input data-part="input" />', ""));
+
+    expect(selectedValue(command)).toBe("calendar");
+    keyboard.press(command.el, "ArrowDown");
+    expect(selectedValue(command)).toBe("emoji");
+
+    expect(() => command.unmount()).not.toThrow();
+  });
+
+  it("keeps the rendered order of equally ranked items", () => {
+    const command = mount(
+      COMMAND.replace(
+        'data-state="idle"',
+        `data-state="idle" data-options='{"scorer":"substring"}'`,
+      ),
+    );
+
+    keyboard.type(command.part("input"), "ca");
+
+    const values = command.component.visibleItems.map((el) => el.dataset.value);
+    expect(values).toEqual(["calendar", "calculator"]);
+    expect(command.el.querySelector("mark[data-match]").textContent).toBe("Ca");
+  });
+});
+
+describe("command palette", () => {
+  const openWithShortcut = () =>
+    keyboard.press(document.body, "k", { ctrlKey: true });
+
+  it("toggles with the shortcut and closes on Escape", () => {
+    const palette = mount(PALETTE);
+
+    openWithShortcut();
+    expect(palette.state).toBe("open");
+    expect(palette.part("content").hidden).toBe(false);
+    expect(palette.pushed("palette_opened")).toHaveLength(1);
+
+    keyboard.press(document.activeElement, "Escape");
+    expect(palette.state).toBe("closed");
+    expect(palette.part("content").hidden).toBe(true);
+    expect(palette.pushed("palette_closed")).toHaveLength(1);
+
+    openWithShortcut();
+    openWithShortcut();
+    expect(palette.state).toBe("closed");
+    expect(palette.pushed("palette_closed")).toHaveLength(2);
+  });
+
+  it("ignores the key without its modifier", () => {
+    const palette = mount(PALETTE);
+
+    keyboard.press(document.body, "k");
+    expect(palette.state).toBe("closed");
+  });
+
+  it("closes on a pointer-down on the overlay only", () => {
+    const palette = mount(PALETTE);
+
+    openWithShortcut();
+    pointer.down(palette.part("input"));
+    expect(palette.state).toBe("open");
+
+    pointer.down(palette.part("content"));
+    expect(palette.state).toBe("closed");
+  });
+
+  it("pushes the selected item and closes", () => {
+    const palette = mount(PALETTE);
+
+    openWithShortcut();
+    keyboard.type(palette.part("input"), "calcu");
+    keyboard.press(palette.part("input"), "Enter");
+
+    expect(palette.state).toBe("closed");
+    expect(palette.pushed("run_command")).toHaveLength(1);
+    expect(palette.pushed("run_command")[0].payload).toMatchObject({
+      value: "calculator",
+    });
+
+    openWithShortcut();
+    pointer.click(palette.parts("item")[1]);
+
+    expect(palette.state).toBe("closed");
+    expect(
+      palette.pushed("run_command").map(({ payload }) => payload.value),
+    ).toEqual(["calculator", "emoji"]);
+  });
+
+  it("clears the query when reopened", () => {
+    const palette = mount(PALETTE);
+
+    openWithShortcut();
+    keyboard.type(palette.part("input"), "emoji");
+    keyboard.press(document.activeElement, "Escape");
+    openWithShortcut();
+
+    expect(palette.part("input").value).toBe("");
+    expect(selectedValue(palette)).toBe("calendar");
+    expect(
+      palette.parts("item").map((item) => item.getAttribute("data-visible")),
+    ).toEqual(["true", "true", "true"]);
+  });
+});
@@ -0,0 +1,76 @@
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import {
+  cleanup,
+  mount,
+  pointer,
+  setupDOM,
+} from "../../../assets/salad_ui/testing";
+import "../../../assets/salad_ui/components/context_menu";
+
+const CONTEXT_MENU = `
+  <div id="context" data-component="context-menu" data-part="root" data-state="closed"
+       data-event-mappings='{"closed":"menu_closed"}'>
+    <div data-part="trigger">
+      Right click here
+      <span data-testid="inner">Inner text</span>
+    </div>
+    <div data-part="positioner" hidden>
+      <div data-part="content">
+        <div data-part="item" data-value="copy">Copy</div>
+        <div data-part="item" data-value="paste">Paste</div>
+      </div>
+    </div>
+  </div>
+`;
+
+const openAt = (harness, x, y) =>
+  pointer.contextMenu(harness.part("trigger"), { clientX: x, clientY: y });
+
+beforeAll(async () => {
+  await setupDOM();
+});
+
+afterEach(() => cleanup());
+
+describe("context menu", () => {
+  it("opens at the pointer on right-click", () => {
+    const menu = mount(CONTEXT_MENU);
+
+    openAt(menu, 40, 30);
+
+    expect(menu.state).toBe("open");
+    expect(menu.part("positioner").hidden).toBe(false);
+  });
+
+  it("closes on a click inside the trigger area", () => {
+    const menu = mount(CONTEXT_MENU);
+
+    openAt(menu, 40, 30);
+    pointer.down(menu.el.querySelector("[data-testid='inner']"));
+
+    expect(menu.state).toBe("closed");
+    expect(menu.pushed("menu_closed")).toHaveLength(1);
+  });
+
+  it("keeps the menu open on clicks inside it", () => {
+    const menu = mount(CONTEXT_MENU);
+
+    openAt(menu, 40, 30);
+    pointer.down(menu.part("content"));
+
+    expect(menu.state).toBe("open");
+  });
+
+  it("moves the menu on another right-click in the trigger area", () => {
+    const menu = mount(CONTEXT_MENU);
+
+    openAt(menu, 40, 30);
+    const anchor = menu.component.anchor;
+    openAt(menu, 80, 60);
+
+    expect(menu.state).toBe("open");
+    expect(menu.pushed("menu_closed")).toHaveLength(0);
+    expect(menu.component.anchor).not.toBe(anchor);
+    expect(menu.component.anchor.getBoundingClientRect().left).toBe(80);
+  });
+});
@@ -0,0 +1,188 @@
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import {
+  cleanup,
+  keyboard,
+  mount,
+  pointer,
+  setupDOM,
+  wait,
+} from "../../../assets/salad_ui/testing";
+import "../../../assets/salad_ui/components/dropdown_menu";
+
+const DROPDOWN = `
+  <div id="menu" data-component="dropdown-menu" data-part="root" data-state="closed">
+    <button data-part="trigger">Open</button>
+    <div data-part="positioner" hidden>
+      <div data-part="content">
+        <div data-part="item" data-value="profile">Profile</div>
+        <div data-part="sub" data-state="closed">
+          <div data-part="sub-trigger" tabindex="0">Invite users</div>
+          <div data-part="sub-content" data-state="closed" hidden>
+            <div data-part="item" data-value="email">Email</div>
+            <div data-part="item" data-value="message">Message</div>
+          </div>
+        </div>
+      </div>
+    </div>
+  </div>
+`;
+
+const RADIO_DROPDOWN = `
+  <div id="sort-menu" data-component="dropdown-menu" data-part="root" data-state="closed">
+    <button data-part="trigger">Sort</button>
+    <div data-part="positioner" hidden>
+      <div data-part="content">
+        <div data-part="radio-group" data-value="date" data-event-mappings='{"value-changed":"sort_changed"}'>
+          <div data-part="radio-item" data-value="name" data-state="unchecked" tabindex="0">
+            <span data-part="item-indicator" hidden></span>Name
+          </div>
+          <div data-part="radio-item" data-value="date" data-state="unchecked" tabindex="0">
+            <span data-part="item-indicator" hidden></span>Date
+          </div>
+          <div data-part="radio-item" data-value="size" data-state="unchecked" tabindex="0">
+            <span data-part="item-indicator" hidden></span>Size
+          </div>
+        </div>
+      </div>
+    </div>
+  </div>
+`;
+
+beforeAll(async () => {
+  await setupDOM();
+});
+
+afterEach(() => cleanup());
+
+describe("dropdown menu", () => {
+  it("closes only the submenu on Escape and focuses its trigger", () => {
+    const dropdown = mount(DROPDOWN);
+    const subTrigger = dropdown.part("sub-trigger");
+
+    pointer.click(dropdown.part("trigger"));
+    keyboard.press(subTrigger, "Enter");
+    expect(dropdown.part("sub-content").hidden).toBe(false);
+
+    keyboard.press(document.activeElement, "Escape");
+
+    expect(dropdown.part("sub-content").hidden).toBe(true);
+    expect(subTrigger.getAttribute("aria-expanded")).toBe("false");
+    expect(document.activeElement).toBe(subTrigger);
+    expect(dropdown.state).toBe("open");
+
+    keyboard.press(document.activeElement, "Escape");
+    expect(dropdown.state).toBe("closed");
+  });
+
+  it("opens on the item typed on the closed trigger", async () => {
+    const dropdown = mount(
+      DROPDOWN.replace(
+        'data-state="closed">',
+        `data-state="closed" data-options='{"animations":{"closed_to_open":{"duration":10}}}'>`,
+      ),
+    );
+
+    keyboard.press(dropdown.part("trigger"), "i");
+    await wait(50);
+
+    expect(dropdown.state).toBe("open");
+    expect(dropdown.component.menu.collection.focusedItem.instance.el).toBe(
+      dropdown.part("sub"),
+    );
+    expect(document.activeElement).toBe(dropdown.part("sub-trigger"));
+  });
+
+  it("moves to the typed item while open", () => {
+    const dropdown = mount(DROPDOWN);
+
+    const focusedItem = () =>
+      dropdown.component.menu.collection.focusedItem?.instance.el;
+
+    pointer.click(dropdown.part("trigger"));
+    expect(focusedItem().textContent).toBe("Profile");
+
+    keyboard.press(dropdown.part("content"), "i");
+    expect(focusedItem()).toBe(dropdown.part("sub"));
+  });
+
+  it("labels a submenu with its sub-trigger only", () => {
+    const dropdown = mount(DROPDOWN);
+    const menu = dropdown.component.menu;
+
+    pointer.click(dropdown.part("trigger"));
+    keyboard.press(dropdown.part("content"), "i");
+
+    expect(menu.typeahead.getLabel(menu.collection.focusedItem)).toBe(
+      "invite users",
+    );
+  });
+});
+
+describe("dropdown menu radio group", () => {
+  const radio = (dropdown, value) =>
+    dropdown
+      .parts("radio-item")
+      .find((item) => item.getAttribute("data-value") === value);
+
+  const checkedValues = (dropdown) =>
+    dropdown
+      .parts("radio-item")
+      .filter((item) => item.getAttribute("aria-checked") === "true")
+      .map((item) => item.getAttribute("data-value"));
+
+  it("checks the item matching the group value", () => {
+    const dropdown = mount(RADIO_DROPDOWN);
+
+    expect(checkedValues(dropdown)).toEqual(["date"]);
+    expect(radio(dropdown, "date").getAttribute("data-state")).toBe("checked");
+    expect(
+      radio(dropdown, "date").querySelector("[data-part='item-indicator']")
+        .hidden,
+    ).toBe(false);
+    expect(
+      radio(dropdown, "name").querySelector("[data-part='item-indicator']")
+        .hidden,
+    ).toBe(true);
+  });
+
+  it("checks a single item and pushes the new value", () => {
+    const dropdown = mount(RADIO_DROPDOWN);
+
+    pointer.click(dropdown.part("trigger"));
+    pointer.click(radio(dropdown, "size"));
+
+    expect(checkedValues(dropdown)).toEqual(["size"]);
+    expect(dropdown.state).toBe("open");
+    expect(dropdown.pushed("sort_changed")).toHaveLength(1);
+    expect(dropdown.pushed("sort_changed")[0].payload).toMatchObject({
+      value: "size",
+    });
+
+    keyboard.press(radio(dropdown, "name"), "Enter");
+
+    expect(checkedValues(dropdown)).toEqual(["name"]);
+    expect(dropdown.pushed("sort_changed")).toHaveLength(2);
+  });
+
+  it("doesn't push when the checked item is activated again", () => {
+    const dropdown = mount(RADIO_DROPDOWN);
+
+    pointer.click(dropdown.part("trigger"));
+    pointer.click(radio(dropdown, "date"));
+
+    expect(checkedValues(dropdown)).toEqual(["date"]);
+    expect(dropdown.pushed("sort_changed")).toEqual([]);
+  });
+
+  it("follows a value changed by the server", () => {
+    const dropdown = mount(RADIO_DROPDOWN);
+
+    dropdown.update((el) =>
+      el
+        .querySelector("[data-part='radio-group']")
+        .setAttribute("data-value", "name"),
+    );
+
+    expect(checkedValues(dropdown)).toEqual(["name"]);
+  });
+});
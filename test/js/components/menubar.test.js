@@ -0,0 +1,133 @@
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import {
+  cleanup,
+  keyboard,
+  mount,
+  pointer,
+  setupDOM,
+} from "../../../assets/salad_ui/testing";
+import "../../../assets/salad_ui/components/menubar";
+
+const menu = (value, label, items) => `
+  <div data-part="menu" data-value="${value}" data-state="closed">
+    <button type="button" data-part="trigger" tabindex="-1">${label}</button>
+    <div data-part="positioner" hidden>
+      <div data-part="content">
+        ${items
+          .map(
+            (item) =>
+              `<div data-part="item" data-value="${item.toLowerCase()}" tabindex="-1">${item}</div>`,
+          )
+          .join("")}
+      </div>
+    </div>
+  </div>
+`;
+
+const MENUBAR = `
+  <div id="menubar" data-component="menubar" data-part="root" data-state="closed"
+       data-event-mappings='{"opened":"menu_opened","closed":"menu_closed"}'>
+    ${menu("file", "File", ["New", "Open"])}
+    ${menu("edit", "Edit", ["Undo", "Redo"])}
+    ${menu("view", "View", ["Zoom"])}
+  </div>
+`;
+
+const trigger = (menubar, index) => menubar.parts("trigger")[index];
+
+// Values of the menus whose positioner is shown
+const openMenus = (menubar) =>
+  menubar
+    .parts("menu")
+    .filter((el) => !el.querySelector("[data-part='positioner']").hidden)
+    .map((el) => el.getAttribute("data-value"));
+
+const pushedValues = (menubar, event) =>
+  menubar.pushed(event).map(({ payload }) => payload.value);
+
+beforeAll(async () => {
+  await setupDOM();
+});
+
+afterEach(() => cleanup());
+
+describe("menubar", () => {
+  it("moves the roving tabindex between the triggers", () => {
+    const menubar = mount(MENUBAR);
+
+    expect(trigger(menubar, 0).getAttribute("tabindex")).toBe("0");
+
+    trigger(menubar, 0).focus();
+    keyboard.press(trigger(menubar, 0), "ArrowRight");
+
+    expect(document.activeElement).toBe(trigger(menubar, 1));
+    expect(trigger(menubar, 1).getAttribute("tabindex")).toBe("0");
+    expect(trigger(menubar, 0).getAttribute("tabindex")).toBe("-1");
+    expect(openMenus(menubar)).toEqual([]);
+
+    keyboard.press(trigger(menubar, 1), "End");
+    expect(document.activeElement).toBe(trigger(menubar, 2));
+
+    keyboard.press(trigger(menubar, 2), "Home");
+    expect(document.activeElement).toBe(trigger(menubar, 0));
+  });
+
+  it("switches the open menu with the arrow keys", () => {
+    const menubar = mount(MENUBAR);
+
+    pointer.click(trigger(menubar, 0));
+    expect(openMenus(menubar)).toEqual(["file"]);
+    expect(document.activeElement.textContent).toBe("New");
+
+    keyboard.press(document.activeElement, "ArrowRight");
+    expect(openMenus(menubar)).toEqual(["edit"]);
+    expect(document.activeElement.textContent).toBe("Undo");
+    expect(trigger(menubar, 0).getAttribute("aria-expanded")).toBe("false");
+    expect(trigger(menubar, 1).getAttribute("aria-expanded")).toBe("true");
+
+    keyboard.press(document.activeElement, "ArrowLeft");
+    expect(openMenus(menubar)).toEqual(["file"]);
+    expect(document.activeElement.textContent).toBe("New");
+
+    expect(menubar.state).toBe("open");
+    expect(pushedValues(menubar, "menu_opened")).toEqual([
+      "file",
+      "edit",
+      "file",
+    ]);
+    expect(menubar.pushed("menu_closed")).toEqual([]);
+  });
+
+  it("switches menus on hover once one is open", () => {
+    const menubar = mount(MENUBAR);
+
+    pointer.hover(trigger(menubar, 1));
+    expect(openMenus(menubar)).toEqual([]);
+
+    pointer.click(trigger(menubar, 0));
+    pointer.hover(trigger(menubar, 2));
+
+    expect(openMenus(menubar)).toEqual(["view"]);
+    expect(trigger(menubar, 2).getAttribute("tabindex")).toBe("0");
+    expect(menubar.pushed("menu_closed")).toEqual([]);
+  });
+
+  it("pushes closed only when the whole menubar closes", () => {
+    const menubar = mount(MENUBAR);
+
+    pointer.click(trigger(menubar, 0));
+    pointer.hover(trigger(menubar, 1));
+    keyboard.press(document.activeElement, "Escape");
+
+    expect(openMenus(menubar)).toEqual([]);
+    expect(menubar.state).toBe("closed");
+    expect(document.activeElement).toBe(trigger(menubar, 1));
+    expect(pushedValues(menubar, "menu_closed")).toEqual(["edit"]);
+
+    pointer.click(trigger(menubar, 2));
+    pointer.click(trigger(menubar, 2));
+
+    expect(menubar.state).toBe("closed");
+    expect(pushedValues(menubar, "menu_closed")).toEqual(["edit", "view"]);
+  });
+});
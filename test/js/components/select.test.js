@@ -0,0 +1,185 @@
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import {
+  cleanup,
+  keyboard,
+  mount,
+  pointer,
+  setupDOM,
+  wait,
+} from "../../../assets/salad_ui/testing";
+import "../../../assets/salad_ui/components/select";
+
+const select = (options) => `
+  <div id="fruits" data-component="select" data-part="root" data-state="closed"
+       data-options='${JSON.stringify(options)}'
+       data-event-mappings='{"value-changed":"fruits_changed"}'>
+    <button type="button" data-part="trigger">
+      <span data-part="value" data-placeholder="Select fruits"></span>
+    </button>
+    <div data-part="content" hidden>
+      <div data-part="item" data-value="apple">Apple</div>
+      <div data-part="item" data-value="banana">Banana</div>
+      <div data-part="item" data-value="blueberry">Blueberry</div>
+    </div>
+  </div>
+`;
+
+const MULTIPLE = select({ name: "fruits", multiple: true });
+
+const item = (harness, value) =>
+  harness.el.querySelector(`[data-part='item'][data-value='${value}']`);
+
+const chipValues = (harness) =>
+  harness.parts("chip").map((chip) => chip.dataset.value);
+
+const inputValues = (harness) =>
+  Array.from(harness.el.querySelectorAll("input[type='hidden']")).map(
+    (input) => `${input.name}=${input.value}`,
+  );
+
+beforeAll(async () => {
+  await setupDOM();
+});
+
+afterEach(() => cleanup());
+
+describe("select with multiple values", () => {
+  it("toggles values and stays open", () => {
+    const fruits = mount(MULTIPLE);
+
+    pointer.click(fruits.part("trigger"));
+    pointer.click(item(fruits, "banana"));
+    pointer.click(item(fruits, "apple"));
+
+    expect(fruits.state).toBe("open");
+    expect(item(fruits, "apple").getAttribute("aria-selected")).toBe("true");
+    expect(chipValues(fruits)).toEqual(["banana", "apple"]);
+
+    pointer.click(item(fruits, "banana"));
+
+    expect(chipValues(fruits)).toEqual(["apple"]);
+    expect(item(fruits, "banana").getAttribute("aria-selected")).toBe("false");
+    expect(
+      fruits.pushed("fruits_changed").map((call) => call.payload.value),
+    ).toEqual([["banana"], ["banana", "apple"], ["apple"]]);
+  });
+
+  it("submits the values as a list, empty when nothing is selected", () => {
+    const fruits = mount(MULTIPLE);
+    expect(inputValues(fruits)).toEqual(["fruits[]="]);
+
+    pointer.click(fruits.part("trigger"));
+    pointer.click(item(fruits, "apple"));
+    pointer.click(item(fruits, "blueberry"));
+    expect(inputValues(fruits)).toEqual([
+      "fruits[]=apple",
+      "fruits[]=blueberry",
+    ]);
+
+    pointer.click(item(fruits, "apple"));
+    pointer.click(item(fruits, "blueberry"));
+    expect(inputValues(fruits)).toEqual(["fruits[]="]);
+  });
+
+  it("removes values from their chip without opening", () => {
+    const fruits = mount(
+      select({ name: "fruits", multiple: true, value: ["apple", "banana"] }),
+    );
+    const remove = fruits.part("chip").querySelector(
+      "[data-part='chip-remove']",
+    );
+
+    // No interactive content inside the trigger button
+    expect(remove.getAttribute("aria-hidden")).toBe("true");
+    expect(remove.hasAttribute("role")).toBe(false);
+
+    pointer.click(remove);
+
+    expect(fruits.state).toBe("closed");
+    expect(chipValues(fruits)).toEqual(["banana"]);
+    expect(inputValues(fruits)).toEqual(["fruits[]=banana"]);
+  });
+
+  it("removes the last value with Backspace on the trigger", () => {
+    const fruits = mount(
+      select({ name: "fruits", multiple: true, value: ["apple", "banana"] }),
+    );
+    const trigger = fruits.part("trigger");
+
+    keyboard.press(trigger, "Backspace");
+    expect(chipValues(fruits)).toEqual(["apple"]);
+
+    keyboard.press(trigger, "Backspace");
+    keyboard.press(trigger, "Backspace");
+    expect(chipValues(fruits)).toEqual([]);
+    expect(fruits.part("value").getAttribute("data-content")).toBe(
+      "Select fruits",
+    );
+    expect(fruits.pushed("fruits_changed")).toHaveLength(2);
+  });
+
+  it("stops selecting at maxSelected", () => {
+    const fruits = mount(
+      select({ name: "fruits", multiple: true, maxSelected: 2 }),
+    );
+
+    pointer.click(fruits.part("trigger"));
+    pointer.click(item(fruits, "apple"));
+    pointer.click(item(fruits, "banana"));
+    pointer.click(item(fruits, "blueberry"));
+
+    expect(chipValues(fruits)).toEqual(["apple", "banana"]);
+    expect(fruits.el.hasAttribute("data-max-selected")).toBe(true);
+    expect(item(fruits, "blueberry").getAttribute("aria-disabled")).toBe(
+      "true",
+    );
+  });
+});
+
+describe("select typeahead", () => {
+  const ANIMATED = { closed_to_open: { duration: 10 } };
+  const focusedValue = (harness) =>
+    harness.component.collection.focusedItem?.value;
+
+  it("selects the typed item while closed", () => {
+    const fruits = mount(select({ name: "fruit" }));
+
+    keyboard.press(fruits.part("trigger"), "b");
+
+    expect(fruits.state).toBe("closed");
+    expect(inputValues(fruits)).toEqual(["fruit=banana"]);
+
+    keyboard.press(fruits.part("trigger"), "b");
+    expect(inputValues(fruits)).toEqual(["fruit=blueberry"]);
+  });
+
+  it("opens on the typed item with multiple values", async () => {
+    const fruits = mount(
+      select({ name: "fruits", multiple: true, animations: ANIMATED }),
+    );
+
+    keyboard.press(fruits.part("trigger"), "b");
+    await wait(50);
+
+    expect(fruits.state).toBe("open");
+    expect(focusedValue(fruits)).toBe("banana");
+    expect(chipValues(fruits)).toEqual([]);
+  });
+
+  it("highlights the typed item while open", async () => {
+    const fruits = mount(select({ name: "fruit" }));
+
+    pointer.click(fruits.part("trigger"));
+    expect(focusedValue(fruits)).toBe("apple");
+
+    keyboard.press(fruits.part("content"), "b");
+    keyboard.press(fruits.part("content"), "l");
+    expect(focusedValue(fruits)).toBe("blueberry");
+
+    // A new search after the timeout
+    await wait(550);
+    keyboard.press(fruits.part("content"), "a");
+    expect(focusedValue(fruits)).toBe("apple");
+    expect(inputValues(fruits)).toEqual([]);
+  });
+});
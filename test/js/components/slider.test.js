@@ -0,0 +1,303 @@
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import {
+  cleanup,
+  keyboard,
+  mount,
+  pointer,
+  setupDOM,
+  wait,
+} from "../../../assets/salad_ui/testing";
+import "../../../assets/salad_ui/components/slider";
+
+const slider = ({ value, options = {}, mappings = {} }) => `
+  <div id="slider" data-component="slider" data-part="root" data-state="idle"
+       data-value='${JSON.stringify(value)}'
+       data-options='${JSON.stringify({ min: 0, max: 100, step: 1, ...options })}'
+       data-event-mappings='${JSON.stringify(mappings)}'>
+    <div>
+      <div data-part="track"><div data-part="range"></div></div>
+      ${[].concat(value).map(() => `<div data-part="thumb" tabindex="0"></div>`).join("")}
+    </div>
+    ${[].concat(value).map((v) => `<input type="hidden" name="price" value="${v}" />`).join("")}
+  </div>
+`;
+
+// jsdom doesn't lay out, give the track a 100px size from (0, 0)
+const mountSlider = (config) => {
+  const harness = mount(slider(config));
+  harness.part("track").getBoundingClientRect = () => ({
+    left: 0,
+    right: 100,
+    width: 100,
+    top: 0,
+    bottom: 100,
+    height: 100,
+  });
+  return harness;
+};
+
+const thumbValues = (harness) =>
+  harness.parts("thumb").map((thumb) => thumb.getAttribute("aria-valuenow"));
+
+beforeAll(async () => {
+  await setupDOM();
+});
+
+afterEach(() => cleanup());
+
+describe("slider", () => {
+  it("renders one thumb and one hidden input per value", () => {
+    const range = mountSlider({ value: [20, 60] });
+
+    expect(thumbValues(range)).toEqual(["20", "60"]);
+    expect(range.part("range").style.left).toBe("20%");
+    expect(range.part("range").style.width).toBe("40%");
+
+    const inputs = Array.from(range.el.querySelectorAll("input[type='hidden']"));
+    expect(inputs.map((input) => [input.name, input.value])).toEqual([
+      ["price[]", "20"],
+      ["price[]", "60"],
+    ]);
+  });
+
+  it("keeps thumbs apart and in order", () => {
+    const range = mountSlider({
+      value: [20, 60],
+      options: { minStepsBetweenThumbs: 5 },
+      mappings: { "value-changed": "price_changed" },
+    });
+    const [low, high] = range.parts("thumb");
+
+    keyboard.press(low, "End");
+    expect(thumbValues(range)).toEqual(["55", "60"]);
+
+    keyboard.press(high, "Home");
+    expect(thumbValues(range)).toEqual(["55", "60"]);
+
+    expect(range.hook.lastPushed("price_changed").payload.value).toEqual([55, 60]);
+  });
+
+  it("drags the thumb closest to a track press", () => {
+    const range = mountSlider({ value: [20, 60] });
+
+    pointer.down(range.part("track"), { clientX: 70 });
+    pointer.up(range.el, { clientX: 70 });
+
+    expect(thumbValues(range)).toEqual(["20", "70"]);
+  });
+
+  it("goes from bottom to top when vertical, and top to bottom inverted", () => {
+    const vertical = mountSlider({ value: 30, options: { orientation: "vertical" } });
+    const thumb = vertical.part("thumb");
+
+    expect(thumb.style.bottom).toBe("30%");
+    expect(thumb.getAttribute("aria-orientation")).toBe("vertical");
+
+    keyboard.press(thumb, "ArrowUp");
+    expect(thumbValues(vertical)).toEqual(["31"]);
+
+    pointer.down(vertical.part("track"), { clientY: 25 });
+    pointer.up(vertical.el, { clientY: 25 });
+    expect(thumbValues(vertical)).toEqual(["75"]);
+
+    cleanup();
+
+    const inverted = mountSlider({
+      value: 30,
+      options: { orientation: "vertical", inverted: true },
+    });
+    expect(inverted.part("thumb").style.top).toBe("30%");
+
+    keyboard.press(inverted.part("thumb"), "ArrowUp");
+    expect(thumbValues(inverted)).toEqual(["29"]);
+  });
+
+  it("renders marks from the options and highlights the ones in range", () => {
+    const marked = mountSlider({
+      value: 40,
+      options: { marks: [0, { value: 50, label: "50%" }, 100] },
+    });
+    const marks = marked.parts("mark");
+
+    expect(marks.map((mark) => mark.textContent)).toEqual(["0", "50%", "100"]);
+    expect(marks[1].style.left).toBe("50%");
+    expect(marks.map((mark) => mark.hasAttribute("data-in-range"))).toEqual([
+      true,
+      false,
+      false,
+    ]);
+  });
+
+  it("snaps to the marks", () => {
+    const marked = mountSlider({
+      value: 30,
+      options: { marks: [0, 25, 50, 100], snapToMarks: true },
+    });
+    const thumb = marked.part("thumb");
+
+    expect(thumbValues(marked)).toEqual(["25"]);
+
+    keyboard.press(thumb, "ArrowRight");
+    expect(thumbValues(marked)).toEqual(["50"]);
+
+    pointer.down(marked.part("track"), { clientX: 80 });
+    pointer.up(marked.el, { clientX: 80 });
+    expect(thumbValues(marked)).toEqual(["100"]);
+  });
+
+  it("pushes throttled values while dragging and commits on release", async () => {
+    const dragged = mountSlider({
+      value: 0,
+      options: { throttle: 50 },
+      mappings: {
+        "value-changing": "preview",
+        "value-committed": "apply",
+      },
+    });
+    const thumb = dragged.part("thumb");
+    const previewed = () =>
+      dragged.pushed("preview").map((call) => call.payload.value);
+
+    pointer.down(thumb, { clientX: 10 });
+    pointer.move(dragged.el, { clientX: 20 });
+    pointer.move(dragged.el, { clientX: 30 });
+    expect(previewed()).toEqual([10]);
+
+    await wait(80);
+    expect(previewed()).toEqual([10, 30]);
+    expect(dragged.pushed("apply")).toHaveLength(0);
+
+    pointer.move(dragged.el, { clientX: 40 });
+    pointer.up(dragged.el, { clientX: 40 });
+
+    expect(dragged.pushed("apply")[0].payload.value).toBe(40);
+    expect(dragged.pushed("apply")).toHaveLength(1);
+
+    // The committed value supersedes the pending one
+    await wait(80);
+    expect(previewed()).toEqual([10, 30]);
+  });
+
+  it("commits keyboard changes right away", () => {
+    const keyed = mountSlider({
+      value: 10,
+      mappings: { "value-changing": "preview", "value-committed": "apply" },
+    });
+
+    keyboard.press(keyed.part("thumb"), "ArrowRight");
+
+    expect(keyed.pushed("apply")[0].payload.value).toBe(11);
+    expect(keyed.pushed("preview")).toHaveLength(0);
+  });
+
+  it("captures the pointer on the root while dragging", () => {
+    const dragged = mountSlider({
+      value: 20,
+      mappings: { "value-changed": "set" },
+    });
+
+    pointer.down(dragged.part("thumb"), { clientX: 20, pointerId: 7 });
+    expect(dragged.el.hasPointerCapture(7)).toBe(true);
+
+    // Moves from another pointer are ignored
+    pointer.move(dragged.el, { clientX: 90, pointerId: 8 });
+    expect(thumbValues(dragged)).toEqual(["20"]);
+
+    pointer.move(dragged.el, { clientX: 60, pointerId: 7 });
+    pointer.up(dragged.el, { clientX: 60, pointerId: 7 });
+
+    expect(dragged.state).toBe("idle");
+    expect(dragged.el.hasPointerCapture(7)).toBe(false);
+    expect(dragged.pushed("set")[0].payload.value).toBe(60);
+  });
+
+  it("moves ten steps with PageUp and PageDown", () => {
+    const paged = mountSlider({ value: 50, options: { step: 2 } });
+    const thumb = paged.part("thumb");
+
+    keyboard.press(thumb, "PageUp");
+    expect(thumbValues(paged)).toEqual(["70"]);
+
+    keyboard.press(thumb, "PageDown");
+    keyboard.press(thumb, "PageDown");
+    expect(thumbValues(paged)).toEqual(["30"]);
+  });
+
+  it("glides the thumb to a track press until the pointer moves", async () => {
+    const pressed = mountSlider({ value: 10 });
+    const thumb = pressed.part("thumb");
+
+    pointer.down(pressed.part("track"), { clientX: 70 });
+    expect(thumb.style.transition).toContain("left");
+    expect(pressed.part("range").style.transition).toContain("width");
+
+    pointer.move(pressed.el, { clientX: 75 });
+    expect(thumb.style.transition).toBe("");
+    pointer.up(pressed.el, { clientX: 75 });
+
+    pointer.down(pressed.part("track"), { clientX: 30 });
+    pointer.up(pressed.el, { clientX: 30 });
+    await wait(200);
+    expect(thumb.style.transition).toBe("");
+
+    // Dragging the thumb itself follows the pointer right away
+    pointer.down(thumb, { clientX: 30 });
+    expect(thumb.style.transition).toBe("");
+  });
+
+  it("restores the start value when the drag is cancelled", () => {
+    const cancelled = mountSlider({
+      value: 40,
+      options: { throttle: 0 },
+      mappings: { "value-changing": "preview", "value-changed": "set" },
+    });
+
+    pointer.down(cancelled.part("thumb"), { clientX: 40 });
+    pointer.move(cancelled.el, { clientX: 80 });
+    expect(thumbValues(cancelled)).toEqual(["80"]);
+
+    pointer.cancel(cancelled.el);
+
+    expect(cancelled.state).toBe("idle");
+    expect(thumbValues(cancelled)).toEqual(["40"]);
+    expect(cancelled.el.hasPointerCapture(1)).toBe(false);
+    expect(cancelled.pushed("preview").at(-1).payload.value).toBe(40);
+    expect(cancelled.pushed("set")).toHaveLength(0);
+  });
+
+  it("pushes nothing for a click on a thumb", () => {
+    const clicked = mountSlider({
+      value: 30,
+      mappings: {
+        "value-changing": "preview",
+        "value-changed": "set",
+        "value-committed": "apply",
+      },
+    });
+
+    pointer.click(clicked.part("thumb"), { clientX: 30 });
+
+    expect(clicked.hook.pushedEvents()).toEqual([]);
+  });
+
+  it("only resyncs a drag that ends where it started", () => {
+    const dragged = mountSlider({
+      value: 30,
+      options: { throttle: 0 },
+      mappings: {
+        "value-changing": "preview",
+        "value-changed": "set",
+        "value-committed": "apply",
+      },
+    });
+
+    pointer.down(dragged.part("thumb"), { clientX: 30 });
+    pointer.move(dragged.el, { clientX: 50 });
+    pointer.move(dragged.el, { clientX: 30 });
+    pointer.up(dragged.el, { clientX: 30 });
+
+    expect(dragged.pushed("set")).toHaveLength(0);
+    expect(dragged.pushed("apply")).toHaveLength(0);
+    expect(dragged.pushed("preview").at(-1).payload.value).toBe(30);
+  });
+});
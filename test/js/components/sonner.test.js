@@ -0,0 +1,411 @@
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import {
+  cleanup,
+  dispatch,
+  keyboard,
+  mount,
+  pointer,
+  setupDOM,
+  wait,
+} from "../../../assets/salad_ui/testing";
+import { toast } from "../../../assets/salad_ui/components/sonner";
+import "../../../assets/salad_ui/components/dialog";
+
+const TOASTER = `
+  <div id="toaster" data-component="sonner" role="region" aria-label="Notifications"
+       data-options='{"position":"bottom-right"}'
+       data-event-mappings='{"toast-dismissed":"toast_dismissed"}'></div>
+`;
+
+const TEMPLATED_TOASTER = `
+  <div id="toaster" data-component="sonner" data-options='{"progress":true}'>
+    <template data-toast-type="default">
+      <div class="toast">
+        <span data-slot="icon"></span>
+        <p data-slot="title"></p>
+        <p data-slot="description"></p>
+        <div data-slot="actions"><button data-slot="action"></button></div>
+        <div data-slot="progress"></div>
+      </div>
+    </template>
+    <template data-toast-type="error">
+      <div class="toast-error">
+        <span data-slot="icon"><svg data-custom-icon></svg></span>
+        <strong data-slot="title"></strong>
+        <button data-slot="close">Close</button>
+      </div>
+    </template>
+  </div>
+`;
+
+const DIALOG = `
+  <div id="dialog" data-component="dialog" data-part="root" data-state="closed" data-open="true">
+    <div data-part="content" hidden>
+      <div data-part="overlay"></div>
+      <div data-part="content-panel">
+        <button data-part="close-trigger" data-action="close">Close</button>
+      </div>
+    </div>
+  </div>
+`;
+
+const toastElements = (toaster) =>
+  Array.from(toaster.el.querySelectorAll("[data-type]"));
+
+const slot = (id, name) =>
+  document.getElementById(id).querySelector(`[data-slot='${name}']`);
+
+const slotText = (id, name) => slot(id, name)?.textContent;
+
+// A toast pushed by the server with `push_toast/4`
+const serverToast = (detail) =>
+  dispatch(window, new CustomEvent("phx:salad-ui:toast", { detail }));
+
+beforeAll(async () => {
+  await setupDOM();
+});
+
+afterEach(() => cleanup());
+
+describe("sonner", () => {
+  it("shows toasts and reports dismissals with a reason", async () => {
+    const toaster = mount(TOASTER);
+
+    const id = toast.success("Saved", { duration: 0 });
+    expect(toastElements(toaster).map((el) => el.id)).toEqual([id]);
+
+    toast.dismiss(id);
+    expect(toaster.pushed("toast_dismissed")[0].payload).toEqual({
+      id,
+      reason: "programmatic",
+    });
+
+    await wait(200);
+    expect(toastElements(toaster)).toEqual([]);
+  });
+
+  it("keeps its toasts when a patch changes the options", () => {
+    const toaster = mount(TOASTER);
+
+    toast("Saved", { duration: 0 });
+    toaster.update((el) =>
+      el.setAttribute("data-options", '{"position":"top-left"}'),
+    );
+
+    expect(toaster.component.position).toBe("top-left");
+    expect(toastElements(toaster)).toHaveLength(1);
+    expect(toaster.el.querySelectorAll("[data-live-region]")).toHaveLength(2);
+  });
+
+  it("lets Escape close an open dialog instead of dismissing the toast", () => {
+    mount(TOASTER);
+    const dialog = mount(DIALOG);
+    expect(dialog.state).toBe("open");
+
+    toast("Saved", { duration: 0 });
+    keyboard.press(document.body, "Escape");
+
+    expect(dialog.state).toBe("closed");
+    expect(document.querySelectorAll("#toaster [data-type]").length).toBe(1);
+  });
+
+  it("gives focus back on Escape when the stack is focused", () => {
+    const toaster = mount(TOASTER);
+    const button = document.createElement("button");
+    document.body.appendChild(button);
+    button.focus();
+
+    toast("Saved", { duration: 0 });
+    keyboard.press(document.body, "t", { altKey: true });
+    expect(toaster.el.contains(document.activeElement)).toBe(true);
+
+    keyboard.press(document.activeElement, "Escape");
+
+    expect(document.activeElement).toBe(button);
+    expect(toastElements(toaster)).toHaveLength(1);
+
+    button.remove();
+  });
+
+  it("keeps pointer-downs on toasts from closing the layers below", () => {
+    const toaster = mount(TOASTER);
+    const dialog = mount(DIALOG);
+
+    toast("Saved", { duration: 0 });
+    pointer.down(toastElements(toaster)[0]);
+
+    expect(dialog.state).toBe("open");
+  });
+
+  it("turns a promise toast into a success toast", async () => {
+    const toaster = mount(TOASTER);
+    const upload = Promise.resolve({ name: "avatar.png" });
+
+    toast.promise(upload, {
+      id: "upload",
+      loading: "Uploading...",
+      success: (result) => `${result.name} uploaded`,
+      error: "Upload failed",
+    });
+
+    const [element] = toastElements(toaster);
+    expect(element.dataset.type).toBe("loading");
+    expect(element.getAttribute("aria-busy")).toBe("true");
+    expect(slotText("upload", "title")).toBe("Uploading...");
+
+    await upload;
+
+    expect(toastElements(toaster)).toEqual([element]);
+    expect(element.dataset.type).toBe("success");
+    expect(element.getAttribute("aria-busy")).toBe("false");
+    expect(slotText("upload", "title")).toBe("avatar.png uploaded");
+  });
+
+  it("turns a promise toast into an error toast", async () => {
+    mount(TOASTER);
+
+    const pending = toast.promise(() => Promise.reject(new Error("Offline")), {
+      id: "upload",
+      loading: "Uploading...",
+      error: (error) => `Upload failed: ${error.message}`,
+    });
+
+    await expect(pending).rejects.toThrow("Offline");
+
+    expect(document.getElementById("upload").dataset.type).toBe("error");
+    expect(slotText("upload", "title")).toBe("Upload failed: Offline");
+  });
+
+  it("updates a toast in place and restarts its timer", async () => {
+    const toaster = mount(TOASTER);
+
+    const id = toast.loading("Processing...", { description: "Step 1" });
+    toast.update(id, { type: "success", title: "Done", duration: 50 });
+
+    const [element] = toastElements(toaster);
+    expect(element.id).toBe(id);
+    expect(element.dataset.type).toBe("success");
+    expect(slotText(id, "title")).toBe("Done");
+    expect(slotText(id, "description")).toBe("Step 1");
+
+    await wait(80);
+    expect(toaster.pushed("toast_dismissed")[0].payload).toEqual({
+      id,
+      reason: "timeout",
+    });
+  });
+
+  it("dismisses every toast without an id", () => {
+    const toaster = mount(TOASTER);
+
+    toast("Saved", { duration: 0 });
+    toast("Sent", { duration: 0 });
+    toast.dismiss();
+
+    expect(
+      toaster.pushed("toast_dismissed").map((call) => call.payload.reason),
+    ).toEqual(["programmatic", "programmatic"]);
+    expect(toaster.component.toasts).toEqual([]);
+  });
+
+  it("pushes the event of a server action with the toast id", () => {
+    const toaster = mount(TOASTER);
+
+    serverToast({
+      id: "archived",
+      title: "Message archived",
+      duration: 0,
+      action: { label: "Undo", event: "unarchive", payload: { id: 42 } },
+    });
+    pointer.click(slot("archived", "action"));
+
+    expect(toaster.pushed("unarchive")[0].payload).toEqual({
+      id: 42,
+      toastId: "archived",
+    });
+    expect(toaster.pushed("toast_dismissed")[0].payload).toEqual({
+      id: "archived",
+      reason: "user",
+    });
+  });
+
+  it("runs the JS command of a server action", () => {
+    const toaster = mount(TOASTER);
+    const js = [["navigate", { href: "/reports/latest" }]];
+
+    serverToast({
+      id: "report",
+      title: "Report ready",
+      duration: 0,
+      action: { label: "Open", js },
+      cancel: { label: "Later" },
+    });
+    expect(slotText("report", "cancel")).toBe("Later");
+
+    pointer.click(slot("report", "action"));
+
+    expect(toaster.hook.calls.execJS[0].js).toEqual(js);
+  });
+
+  it("reports toasts closed by the user or pushed out by newer ones", () => {
+    const toaster = mount(
+      TOASTER.replace('"bottom-right"', '"bottom-right","maxToasts":2'),
+    );
+    const reasons = () =>
+      toaster.pushed("toast_dismissed").map((call) => call.payload);
+
+    toast("First", { id: "first", duration: 0 });
+    toast("Second", { id: "second", duration: 0 });
+    toast("Third", { id: "third", duration: 0 });
+    expect(reasons()).toEqual([{ id: "first", reason: "limit" }]);
+
+    pointer.click(slot("third", "close"));
+    expect(reasons()).toEqual([
+      { id: "first", reason: "limit" },
+      { id: "third", reason: "user" },
+    ]);
+
+    toast("Sticky", { id: "sticky", duration: 0, dismissible: false });
+    expect(slot("sticky", "close")).toBeNull();
+  });
+
+  it("stacks toasts from the edge of their position", () => {
+    const toaster = mount(TOASTER.replace('"bottom-right"', '"top-center"'));
+
+    toast("Saved", { id: "saved", duration: 0 });
+    toaster.component.updateStack();
+
+    const element = document.getElementById("saved");
+    expect(element.style.top).toBe("0px");
+    expect(element.style.bottom).toBe("");
+    expect(element.style.transformOrigin).toBe("top center");
+  });
+
+  it("shows toasts in the toaster they're sent to", () => {
+    const main = mount(TOASTER);
+    const sidebar = mount(
+      TOASTER.replace('id="toaster"', 'id="sidebar"').replace(
+        '"bottom-right"',
+        '"top-left","name":"sidebar"',
+      ),
+    );
+
+    toast("Saved", { duration: 0 });
+    toast("Filters saved", { toaster: "sidebar", duration: 0 });
+
+    expect(main.component.toasts.map((t) => t.title)).toEqual(["Saved"]);
+    expect(sidebar.component.toasts.map((t) => t.title)).toEqual([
+      "Filters saved",
+    ]);
+    expect(toastElements(sidebar)).toHaveLength(1);
+
+    // Dismissing without an id clears every toaster
+    toast.dismiss();
+    expect(main.component.toasts).toEqual([]);
+    expect(sidebar.component.toasts).toEqual([]);
+  });
+
+  it("dismisses a toast swiped toward its edge", () => {
+    const toaster = mount(TOASTER);
+
+    toast("Saved", { id: "saved", duration: 0 });
+    const element = document.getElementById("saved");
+
+    pointer.down(element, { clientX: 100, clientY: 100 });
+    pointer.move(element, { clientX: 130, clientY: 101 });
+    expect(element.style.transform).toContain("translate(30px, 0px)");
+
+    pointer.move(element, { clientX: 160, clientY: 101 });
+    pointer.up(element, { clientX: 160, clientY: 101 });
+
+    expect(toaster.pushed("toast_dismissed")[0].payload).toEqual({
+      id: "saved",
+      reason: "user",
+    });
+  });
+
+  it("snaps back swipes away from its edges or cancelled", () => {
+    const toaster = mount(TOASTER);
+
+    toast("Saved", { id: "saved", duration: 0 });
+    const element = document.getElementById("saved");
+
+    // Bottom-right toasts don't go left
+    pointer.down(element, { clientX: 100, clientY: 100 });
+    pointer.move(element, { clientX: 40, clientY: 100 });
+    expect(element.style.transform).toContain("translate(0px, 0px)");
+    pointer.up(element, { clientX: 40, clientY: 100 });
+
+    pointer.down(element, { clientX: 100, clientY: 100 });
+    pointer.move(element, { clientX: 100, clientY: 180 });
+    pointer.cancel(element);
+
+    expect(element.style.transform).not.toContain("translate(");
+    expect(toaster.pushed("toast_dismissed")).toHaveLength(0);
+  });
+
+  it("renders toasts from the template of their type", () => {
+    mount(TEMPLATED_TOASTER);
+
+    toast.error("Upload failed", { id: "failed", duration: 0 });
+    toast.success("Saved", { id: "saved", duration: 0 });
+
+    const failed = document.getElementById("failed");
+    expect(failed.firstElementChild.className).toBe("toast-error");
+    expect(failed.querySelector("[data-custom-icon]")).not.toBeNull();
+    expect(slotText("failed", "title")).toBe("Upload failed");
+
+    // Without its own template, a type falls back to the default one
+    const saved = document.getElementById("saved");
+    expect(saved.firstElementChild.className).toBe("toast");
+    expect(slot("saved", "icon").querySelector("svg")).not.toBeNull();
+  });
+
+  it("removes the slots a toast has no content for", () => {
+    mount(TEMPLATED_TOASTER);
+
+    toast("Saved", { id: "saved", duration: 0 });
+    expect(slot("saved", "description")).toBeNull();
+    expect(slot("saved", "actions")).toBeNull();
+    // A default toast has no icon
+    expect(slot("saved", "icon")).toBeNull();
+
+    toast("Archived", {
+      id: "archived",
+      duration: 0,
+      description: "1 message",
+      action: { label: "Undo", onClick: () => {} },
+    });
+    expect(slotText("archived", "description")).toBe("1 message");
+    expect(slotText("archived", "action")).toBe("Undo");
+
+    toast.error("Failed", { id: "failed", duration: 0, dismissible: false });
+    expect(slot("failed", "close")).toBeNull();
+  });
+
+  it("shrinks the progress bar along the timer and freezes it on hover", () => {
+    const toaster = mount(TEMPLATED_TOASTER);
+
+    toast("Saved", { id: "saved", duration: 1000 });
+    const bar = slot("saved", "progress");
+    expect(bar.hidden).toBe(false);
+    expect(bar.style.transform).toBe("scaleX(0)");
+    expect(bar.style.transition).toBe("transform 1000ms linear");
+
+    pointer.hover(toaster.el);
+    expect(bar.style.transition).toBe("none");
+    const [, scale] = bar.style.transform.match(/scaleX\((.*)\)/);
+    expect(Number(scale)).toBeGreaterThan(0.9);
+
+    toast("Pinned", { id: "pinned", duration: 0 });
+    expect(slot("pinned", "progress").hidden).toBe(true);
+  });
+
+  it("hides the progress bar unless the toaster enables it", () => {
+    mount(TOASTER);
+
+    toast("Saved", { id: "saved", duration: 1000 });
+
+    expect(slot("saved", "progress").hidden).toBe(true);
+  });
+});
@@ -0,0 +1,64 @@
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import {
+  cleanup,
+  mount,
+  pointer,
+  setupDOM,
+  wait,
+} from "../../../assets/salad_ui/testing";
+import "../../../assets/salad_ui/components/tooltip";
+
+// Same options as the rendered tooltip defaults
+const OPTIONS = JSON.stringify({
+  openDelay: 150,
+  closeDelay: 100,
+  animations: {
+    closed_to_open: { duration: 200, target_part: "content" },
+    open_to_closed: { duration: 130, target_part: "content" },
+  },
+});
+
+const TOOLTIP = `
+  <div id="tooltip" data-component="tooltip" data-part="root" data-state="closed"
+       data-options='${OPTIONS}'>
+    <button data-part="trigger">Hover</button>
+    <div data-part="content" hidden>Add to library</div>
+  </div>
+`;
+
+beforeAll(async () => {
+  await setupDOM();
+});
+
+afterEach(() => cleanup());
+
+describe("tooltip", () => {
+  it("opens after the delay and closes when the pointer leaves", async () => {
+    const tooltip = mount(TOOLTIP);
+
+    pointer.hover(tooltip.part("trigger"));
+    await wait(400);
+    expect(tooltip.state).toBe("open");
+    expect(tooltip.part("content").hidden).toBe(false);
+
+    pointer.unhover(tooltip.part("trigger"));
+    await wait(300);
+    expect(tooltip.state).toBe("closed");
+    expect(tooltip.part("content").hidden).toBe(true);
+  });
+
+  it("closes when the pointer leaves while the open animation runs", async () => {
+    const tooltip = mount(TOOLTIP);
+
+    pointer.hover(tooltip.part("trigger"));
+    await wait(160);
+    expect(tooltip.state).toBe("open");
+
+    // The close lands inside the 200ms closed_to_open animation
+    pointer.unhover(tooltip.part("trigger"));
+    await wait(500);
+
+    expect(tooltip.state).toBe("closed");
+    expect(tooltip.part("content").hidden).toBe(true);
+  });
+});
@@ -0,0 +1,149 @@
+import { afterEach, beforeAll, describe, expect, it, vi } from "vitest";
+import { setupDOM } from "../../../assets/salad_ui/testing";
+import {
+  clearHighlights,
+  fuzzyScorer,
+  getMatchText,
+  getScorer,
+  highlightMatches,
+  registerScorer,
+  scoreItem,
+  substringScorer,
+} from "../../../assets/salad_ui/core/fuzzy";
+
+const rank = (query, labels) =>
+  labels
+    .map((label) => ({ label, result: fuzzyScorer(query, label) }))
+    .filter(({ result }) => result)
+    .sort((a, b) => b.result.score - a.result.score)
+    .map(({ label }) => label);
+
+beforeAll(async () => {
+  await setupDOM();
+});
+
+describe("fuzzyScorer", () => {
+  it("matches the query characters in order, ignoring case", () => {
+    expect(fuzzyScorer("gst", "Git Status").matches).toEqual([0, 4, 5]);
+    expect(fuzzyScorer("tsg", "Git Status")).toBeNull();
+    expect(fuzzyScorer("", "Git Status")).toEqual({ score: 0, matches: [] });
+  });
+
+  it("matches the shortest window ending at the first match", () => {
+    expect(fuzzyScorer("ab", "a xab tab").matches).toEqual([3, 4]);
+  });
+
+  it("ranks word starts and consecutive characters first", () => {
+    expect(rank("gs", ["Bugs", "Git Status"])).toEqual(["Git Status", "Bugs"]);
+    expect(rank("cal", ["Clear all", "Calendar"])).toEqual([
+      "Calendar",
+      "Clear all",
+    ]);
+    expect(rank("ow", ["Snow", "openWindow"])).toEqual(["openWindow", "Snow"]);
+  });
+
+  it("caps the penalty of long gaps", () => {
+    const near = fuzzyScorer("ad", "abcd").score;
+    const far = fuzzyScorer("ad", "abcdefghid").score;
+
+    // Only the text length tells them apart
+    expect(Math.round(near)).toBe(Math.round(far));
+  });
+
+  it("prefers the shorter text between equal matches", () => {
+    expect(rank("set", ["Settings and more", "Settings"])).toEqual([
+      "Settings",
+      "Settings and more",
+    ]);
+  });
+});
+
+describe("substringScorer", () => {
+  it("ranks earlier matches first", () => {
+    expect(substringScorer("set", "Reset").matches).toEqual([2, 3, 4]);
+    expect(substringScorer("set", "Settings").score).toBeGreaterThan(
+      substringScorer("set", "Reset").score,
+    );
+    expect(substringScorer("gs", "Git Status")).toBeNull();
+  });
+});
+
+describe("getScorer", () => {
+  afterEach(() => vi.restoreAllMocks());
+
+  it("finds scorers by name and passes functions through", () => {
+    const custom = () => null;
+    registerScorer("none", custom);
+
+    expect(getScorer()).toBe(fuzzyScorer);
+    expect(getScorer("substring")).toBe(substringScorer);
+    expect(getScorer("none")).toBe(custom);
+    expect(getScorer(custom)).toBe(custom);
+  });
+
+  it("falls back to the fuzzy scorer with a warning", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(getScorer("unknown")).toBe(fuzzyScorer);
+    expect(warn).toHaveBeenCalledWith(
+      "SaladUI: unknown scorer 'unknown', using 'fuzzy'",
+    );
+  });
+});
+
+describe("scoreItem", () => {
+  it("matches keywords without highlighting them", () => {
+    const score = (query) =>
+      scoreItem(fuzzyScorer, query, "Settings", ["preferences", "reset"]);
+
+    expect(score("prefs").matches).toEqual([]);
+    expect(score("set").matches).toEqual([0, 1, 2]);
+    expect(score("xyz")).toBeNull();
+  });
+});
+
+describe("highlightMatches", () => {
+  const element = (html) => {
+    const el = document.createElement("div");
+    el.innerHTML = html;
+    return el;
+  };
+  const marks = (el) =>
+    Array.from(el.querySelectorAll("mark[data-match]")).map(
+      (mark) => mark.textContent,
+    );
+
+  it("wraps runs of matched characters across text nodes", () => {
+    const el = element("Git <b>Status</b>");
+    const text = getMatchText(el);
+
+    highlightMatches(el, fuzzyScorer("gsta", text).matches);
+
+    expect(marks(el)).toEqual(["G", "Sta"]);
+    expect(el.textContent).toBe("Git Status");
+  });
+
+  it("skips ignored descendants", () => {
+    const el = element("Save <kbd>⌘S</kbd> file");
+    const text = getMatchText(el, "kbd");
+    expect(text).toBe("Save  file");
+
+    highlightMatches(el, fuzzyScorer("sf", text).matches, "kbd");
+
+    expect(marks(el)).toEqual(["S", "f"]);
+    expect(el.querySelector("kbd").textContent).toBe("⌘S");
+  });
+
+  it("replaces previous highlights", () => {
+    const el = element("Calendar");
+
+    highlightMatches(el, [0, 1]);
+    highlightMatches(el, [3]);
+    expect(marks(el)).toEqual(["e"]);
+
+    clearHighlights(el);
+    expect(marks(el)).toEqual([]);
+    expect(el.childNodes).toHaveLength(1);
+    expect(el.textContent).toBe("Calendar");
+  });
+});
@@ -0,0 +1,284 @@
+import { describe, expect, it } from "vitest";
+import Positioner from "../../../assets/salad_ui/core/positioner";
+
+const rect = (left, top, width, height) => ({
+  left,
+  top,
+  width,
+  height,
+  right: left + width,
+  bottom: top + height,
+});
+
+// Elements only need the measurements the positioner reads
+const element = (width, height) => ({
+  offsetWidth: width,
+  offsetHeight: height,
+});
+const reference = (...args) => ({ getBoundingClientRect: () => rect(...args) });
+
+// 400x300 viewport-like container
+const container = reference(0, 0, 400, 300);
+
+const position = (referenceEl, options = {}) =>
+  Positioner.calculate(element(80, 50), referenceEl, {
+    container,
+    ...options,
+  });
+
+describe("Positioner.calculate", () => {
+  it("centers the element below the reference by default", () => {
+    const result = position(reference(100, 100, 40, 20));
+
+    expect(result).toMatchObject({
+      x: 80,
+      y: 128,
+      placement: "bottom",
+      alignment: "center",
+    });
+    expect(result.middlewareData.flip).toEqual({ flipped: false });
+    expect(result.middlewareData.shift).toEqual({ x: 0, y: 0 });
+  });
+
+  it("applies the side and align offsets", () => {
+    const result = position(reference(100, 100, 40, 20), {
+      placement: "right",
+      alignment: "start",
+      sideOffset: 4,
+      alignOffset: 6,
+    });
+
+    expect(result).toMatchObject({ x: 144, y: 106, placement: "right" });
+  });
+
+  it("recomputes the position when a middleware changes the placement", () => {
+    const result = position(reference(100, 100, 40, 20), {
+      middleware: [{ name: "custom", fn: () => ({ placement: "top" }) }],
+    });
+
+    expect(result).toMatchObject({ x: 80, y: 42, placement: "top" });
+    expect(result.middlewareData).toEqual({});
+  });
+});
+
+describe("Positioner.flip", () => {
+  const state = (placement, x, y, height) => ({
+    x,
+    y,
+    placement,
+    rects: {
+      element: { width: 80, height },
+      container: rect(0, 0, 400, 300),
+    },
+  });
+
+  it("flips to the opposite side when the element overflows", () => {
+    const result = position(reference(100, 260, 40, 20));
+
+    expect(result).toMatchObject({ x: 80, y: 202, placement: "top" });
+    expect(result.middlewareData.flip).toEqual({ flipped: true });
+  });
+
+  it("flips horizontal placements too", () => {
+    const result = position(reference(340, 100, 40, 20), {
+      placement: "right",
+    });
+
+    expect(result).toMatchObject({ x: 252, placement: "left" });
+  });
+
+  it("keeps the placement when the element fits", () => {
+    expect(Positioner.flip().fn(state("bottom", 80, 128, 50))).toEqual({
+      placement: "bottom",
+      data: { flipped: false },
+    });
+  });
+
+  it("keeps the placement when the element overflows both sides", () => {
+    expect(Positioner.flip().fn(state("bottom", 80, -10, 400))).toEqual({
+      placement: "bottom",
+      data: { flipped: false },
+    });
+    expect(Positioner.flip().fn(state("top", 80, -10, 400))).toEqual({
+      placement: "top",
+      data: { flipped: false },
+    });
+  });
+
+  it("doesn't flip when disabled", () => {
+    const result = position(reference(100, 260, 40, 20), { flip: false });
+
+    expect(result.placement).toBe("bottom");
+    expect(result.middlewareData.flip).toBeUndefined();
+  });
+});
+
+describe("Positioner.shift", () => {
+  it("clamps the element to the start edge minus the padding", () => {
+    const result = position(reference(0, 100, 20, 20));
+
+    expect(result).toMatchObject({ x: 8, y: 128, alignment: "start" });
+    expect(result.middlewareData.shift).toEqual({ x: 38, y: 0 });
+  });
+
+  it("clamps the element to the end edge minus the padding", () => {
+    const result = position(reference(390, 100, 10, 20));
+
+    expect(result).toMatchObject({ x: 312, alignment: "end" });
+    expect(result.middlewareData.shift).toEqual({ x: -43, y: 0 });
+  });
+
+  it("slides horizontal placements vertically", () => {
+    const result = position(reference(100, 280, 40, 20), {
+      placement: "right",
+    });
+
+    expect(result).toMatchObject({ x: 148, y: 242, placement: "right" });
+    expect(result.middlewareData.shift).toEqual({ x: 0, y: -23 });
+  });
+
+  it("uses the collision padding", () => {
+    const result = position(reference(0, 100, 20, 20), {
+      collisionPadding: 2,
+    });
+
+    expect(result.x).toBe(2);
+  });
+
+  it("sticks elements larger than the container to its start", () => {
+    const result = Positioner.calculate(
+      element(500, 50),
+      reference(100, 100, 40, 20),
+      { container },
+    );
+
+    expect(result.x).toBe(8);
+  });
+
+  it("doesn't shift when disabled", () => {
+    const result = position(reference(0, 100, 20, 20), { shift: false });
+
+    expect(result).toMatchObject({ x: -30, alignment: "center" });
+  });
+});
+
+describe("Positioner.autoPlacement", () => {
+  it("picks the side with the most space", () => {
+    const result = position(reference(100, 20, 40, 20), {
+      placement: "top",
+      autoPlacement: true,
+    });
+
+    expect(result).toMatchObject({ y: 48, placement: "bottom" });
+    expect(result.middlewareData.autoPlacement.space).toEqual({
+      top: 12,
+      right: 252,
+      bottom: 252,
+      left: 92,
+    });
+    expect(result.middlewareData.flip).toBeUndefined();
+  });
+
+  it("keeps the preferred placement on ties", () => {
+    const result = position(reference(180, 140, 40, 20), {
+      placement: "top",
+      autoPlacement: { allowedPlacements: ["bottom", "top"] },
+    });
+
+    expect(result.placement).toBe("top");
+  });
+
+  it("only picks allowed placements", () => {
+    const result = position(reference(100, 20, 40, 20), {
+      placement: "top",
+      autoPlacement: { allowedPlacements: ["top", "left"] },
+    });
+
+    expect(result.placement).toBe("left");
+  });
+});
+
+describe("Positioner.size", () => {
+  it("measures the space on a vertical side", () => {
+    const result = position(reference(100, 100, 40, 20));
+
+    expect(result.middlewareData.size).toEqual({
+      availableWidth: 384,
+      availableHeight: 164,
+    });
+  });
+
+  it("measures the space on a horizontal side", () => {
+    const result = position(reference(100, 100, 40, 20), {
+      placement: "right",
+    });
+
+    expect(result.middlewareData.size).toEqual({
+      availableWidth: 244,
+      availableHeight: 284,
+    });
+  });
+
+  it("never reports negative space", () => {
+    const result = position(reference(100, 290, 40, 20), {
+      middleware: [Positioner.size()],
+    });
+
+    expect(result.middlewareData.size.availableHeight).toBe(0);
+  });
+});
+
+describe("Positioner.arrow", () => {
+  const arrow = element(10, 10);
+
+  it("points the arrow at the reference center", () => {
+    const result = position(reference(100, 100, 40, 20), { arrow });
+
+    expect(result.middlewareData.arrow).toEqual({
+      x: 35,
+      y: null,
+      centerOffset: 0,
+    });
+  });
+
+  it("follows the element after it shifted", () => {
+    const result = position(reference(380, 100, 20, 20), {
+      alignment: "start",
+      arrow,
+    });
+
+    // Shifted from 380 to 312, the reference center is 78px right of x
+    expect(result.x).toBe(312);
+    expect(result.middlewareData.arrow).toEqual({
+      x: 66,
+      y: null,
+      centerOffset: 7,
+    });
+  });
+
+  it("clamps the arrow away from the element corners", () => {
+    const result = position(reference(0, 100, 20, 20), {
+      arrow,
+      arrowPadding: 6,
+    });
+
+    expect(result.middlewareData.arrow).toEqual({
+      x: 6,
+      y: null,
+      centerOffset: -9,
+    });
+  });
+
+  it("offsets the arrow vertically on horizontal sides", () => {
+    const result = position(reference(100, 100, 40, 20), {
+      placement: "right",
+      arrow,
+    });
+
+    expect(result.middlewareData.arrow).toEqual({
+      x: null,
+      y: 20,
+      centerOffset: 0,
+    });
+  });
+});
@@ -0,0 +1,295 @@
+import { describe, expect, it } from "vitest";
+import StateMachine, {
+  assign,
+  DEFERRED,
+} from "../../../assets/salad_ui/core/state-machine";
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => (resolve = done));
+  return { promise, resolve };
+};
+
+describe("StateMachine", () => {
+  it("defers events received while animating until the animation ends", async () => {
+    const calls = [];
+    const animation = deferred();
+    const machine = new StateMachine(
+      {
+        closed: {
+          enter: () => calls.push("enter closed"),
+          transitions: { open: "open" },
+        },
+        open: {
+          enter: () => calls.push("enter open"),
+          transitions: { close: "closed" },
+        },
+      },
+      "closed",
+      {
+        onStateChanged: (_prev, next) =>
+          next === "open" ? animation.promise : null,
+      },
+    );
+
+    machine.transition("open");
+    expect(machine.transition("close")).toBe(DEFERRED);
+    expect(machine.state).toBe("open");
+    expect(calls).toEqual([]);
+
+    animation.resolve();
+    await animation.promise;
+    await Promise.resolve();
+
+    expect(machine.state).toBe("closed");
+    expect(calls).toEqual(["enter open", "enter closed"]);
+  });
+
+  it("runs every deferred event in order", async () => {
+    const animation = deferred();
+    const visited = [];
+    const machine = new StateMachine(
+      {
+        a: { transitions: { next: "b" } },
+        b: { transitions: { next: "c", back: "a" } },
+        c: { transitions: { back: "b" } },
+      },
+      "a",
+      {
+        onStateChanged: (_prev, next) => {
+          visited.push(next);
+          // Only the first transition animates
+          return visited.length === 1 ? animation.promise : null;
+        },
+      },
+    );
+
+    machine.transition("next");
+    expect(machine.transition("next")).toBe(DEFERRED);
+    expect(machine.transition("back")).toBe(DEFERRED);
+
+    animation.resolve();
+    await animation.promise;
+    await Promise.resolve();
+
+    expect(visited).toEqual(["b", "c", "b"]);
+    expect(machine.state).toBe("b");
+  });
+
+  it("skips deferred events no state handles once the animation ends", async () => {
+    const animation = deferred();
+    const machine = new StateMachine(
+      {
+        closed: { transitions: { open: "open" } },
+        open: { transitions: { close: "closed" } },
+      },
+      "closed",
+      {
+        onStateChanged: (_prev, next) =>
+          next === "open" ? animation.promise : null,
+      },
+    );
+
+    machine.transition("open");
+    // Handled by "closed" when sent, not by "open" when run
+    machine.transition("open");
+    machine.transition("close");
+
+    animation.resolve();
+    await animation.promise;
+    await Promise.resolve();
+
+    expect(machine.state).toBe("closed");
+    expect(machine.queuedEvents).toEqual([]);
+  });
+
+  it("checks the guards of deferred events when they run", async () => {
+    const animation = deferred();
+    const machine = new StateMachine(
+      {
+        closed: { transitions: { open: "open" } },
+        open: {
+          transitions: {
+            close: { target: "closed", guard: (_params, ctx) => !ctx.locked },
+            lock: { target: "open", actions: assign({ locked: true }) },
+          },
+        },
+      },
+      "closed",
+      {
+        context: { locked: false },
+        onStateChanged: (prev, next) =>
+          prev === "closed" && next === "open" ? animation.promise : null,
+      },
+    );
+
+    machine.transition("open");
+    machine.transition("lock");
+    machine.transition("close");
+
+    animation.resolve();
+    await animation.promise;
+    await Promise.resolve();
+
+    expect(machine.context.locked).toBe(true);
+    expect(machine.state).toBe("open");
+  });
+
+  it("defers the remaining events behind a new animation", async () => {
+    const [first, second] = [deferred(), deferred()];
+    const animations = [first.promise, second.promise];
+    const entered = [];
+    const machine = new StateMachine(
+      {
+        closed: {
+          enter: () => entered.push("closed"),
+          transitions: { open: "open" },
+        },
+        open: {
+          enter: () => entered.push("open"),
+          transitions: { close: "closed" },
+        },
+      },
+      "closed",
+      { onStateChanged: () => animations.shift() },
+    );
+
+    machine.transition("open");
+    machine.transition("close");
+    machine.transition("open");
+
+    first.resolve();
+    await first.promise;
+    await Promise.resolve();
+    expect(machine.state).toBe("closed");
+    expect(machine.queuedEvents).toHaveLength(1);
+
+    second.resolve();
+    await second.promise;
+    await Promise.resolve();
+    expect(machine.state).toBe("open");
+    expect(entered).toEqual(["open", "closed", "open"]);
+  });
+
+  it("enters the initial child of compound states", () => {
+    const machine = new StateMachine(
+      {
+        closed: { transitions: { open: "open" } },
+        open: {
+          initial: "idle",
+          transitions: { close: "closed" },
+          states: {
+            loading: { transitions: { loaded: "idle" } },
+            idle: { transitions: { search: "loading" } },
+          },
+        },
+      },
+      "closed",
+    );
+
+    machine.transition("open");
+    expect(machine.state).toBe("open.idle");
+    expect(machine.matches("open")).toBe(true);
+
+    machine.transition("search");
+    expect(machine.state).toBe("open.loading");
+
+    // Handled by the parent state
+    machine.transition("close");
+    expect(machine.state).toBe("closed");
+    expect(machine.matches("open")).toBe(false);
+  });
+
+  it("runs exit handlers inside out and enter handlers outside in", () => {
+    const calls = [];
+    const track = (name) => ({
+      enter: () => calls.push(`enter ${name}`),
+      exit: () => calls.push(`exit ${name}`),
+    });
+    const machine = new StateMachine(
+      {
+        a: {
+          ...track("a"),
+          states: { a1: { ...track("a1"), transitions: { go: "b" } } },
+        },
+        b: {
+          ...track("b"),
+          states: { b1: track("b1") },
+        },
+      },
+      "a.a1",
+    );
+
+    machine.transition("go");
+
+    expect(machine.state).toBe("b.b1");
+    expect(calls).toEqual(["exit a1", "exit a", "enter b", "enter b1"]);
+  });
+
+  it("runs parallel regions side by side", () => {
+    const machine = new StateMachine(
+      {
+        editor: {
+          type: "parallel",
+          states: {
+            bold: {
+              states: {
+                off: { transitions: { toggleBold: "on" } },
+                on: { transitions: { toggleBold: "off" } },
+              },
+            },
+            list: {
+              states: {
+                none: { transitions: { bullets: "bullets" } },
+                bullets: { transitions: { bullets: "none" } },
+              },
+            },
+          },
+        },
+      },
+      "editor",
+    );
+
+    expect(machine.activeStates).toEqual(["editor.bold.off", "editor.list.none"]);
+
+    machine.transition("toggleBold");
+    machine.transition("bullets");
+
+    expect(machine.state).toBe("editor");
+    expect(machine.activeStates).toEqual([
+      "editor.bold.on",
+      "editor.list.bullets",
+    ]);
+  });
+
+  it("picks the first transition whose guard passes and runs its actions", () => {
+    const machine = new StateMachine(
+      {
+        idle: {
+          transitions: {
+            submit: [
+              {
+                target: "saving",
+                guard: (params) => params.valid,
+                actions: assign({ attempts: (context) => context.attempts + 1 }),
+              },
+              { target: "invalid" },
+            ],
+          },
+        },
+        saving: {},
+        invalid: { transitions: { submit: "idle" } },
+      },
+      "idle",
+      { context: { attempts: 0 } },
+    );
+
+    machine.transition("submit", { valid: false });
+    expect(machine.state).toBe("invalid");
+
+    machine.transition("submit");
+    machine.transition("submit", { valid: true });
+    expect(machine.state).toBe("saving");
+    expect(machine.context).toEqual({ attempts: 1 });
+  });
+});
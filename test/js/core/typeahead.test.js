@@ -0,0 +1,97 @@
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import { setupDOM, wait } from "../../../assets/salad_ui/testing";
+import Collection from "../../../assets/salad_ui/core/collection";
+import Typeahead from "../../../assets/salad_ui/core/typeahead";
+
+const collectionOf = (labels, disabled = []) => {
+  const collection = new Collection();
+  labels.forEach((label) =>
+    collection.add({
+      value: label.toLowerCase(),
+      label,
+      disabled: disabled.includes(label),
+    }),
+  );
+  return collection;
+};
+
+const typed = (typeahead, text, collection) => {
+  let item = null;
+  Array.from(text).forEach((char) => {
+    item = typeahead.type(char, collection, item ?? collection.focusedItem);
+    if (item) collection.focus(item);
+  });
+  return item?.value ?? null;
+};
+
+let typeahead;
+
+beforeAll(async () => {
+  await setupDOM();
+});
+
+afterEach(() => typeahead?.destroy());
+
+describe("Typeahead", () => {
+  it("finds the first item starting with the typed characters", () => {
+    typeahead = new Typeahead();
+    const fruits = collectionOf(["Apple", "Banana", "Blueberry", "Cherry"]);
+
+    expect(typed(typeahead, "bl", fruits)).toBe("blueberry");
+    expect(typeahead.buffer).toBe("bl");
+  });
+
+  it("cycles through the items starting with a repeated character", () => {
+    typeahead = new Typeahead();
+    const fruits = collectionOf(["Apple", "Banana", "Blueberry", "Cherry"]);
+
+    expect(typed(typeahead, "b", fruits)).toBe("banana");
+    expect(typed(typeahead, "b", fruits)).toBe("blueberry");
+    expect(typed(typeahead, "b", fruits)).toBe("banana");
+  });
+
+  it("keeps the current item while it still matches", () => {
+    typeahead = new Typeahead();
+    const fruits = collectionOf(["Apple", "Apricot", "Avocado"]);
+
+    expect(typed(typeahead, "a", fruits)).toBe("apple");
+    expect(typed(typeahead, "p", fruits)).toBe("apple");
+    expect(typed(typeahead, "r", fruits)).toBe("apricot");
+  });
+
+  it("skips disabled items and reports misses", () => {
+    typeahead = new Typeahead();
+    const fruits = collectionOf(["Apple", "Banana", "Blueberry"], ["Banana"]);
+
+    expect(typed(typeahead, "b", fruits)).toBe("blueberry");
+    typeahead.reset();
+    expect(typed(typeahead, "z", fruits)).toBeNull();
+  });
+
+  it("starts a new search after the timeout", async () => {
+    typeahead = new Typeahead({ timeout: 20 });
+    const fruits = collectionOf(["Apple", "Banana", "Cherry"]);
+
+    typed(typeahead, "b", fruits);
+    await wait(40);
+
+    expect(typeahead.buffer).toBe("");
+    expect(typed(typeahead, "c", fruits)).toBe("cherry");
+    expect(typeahead.buffer).toBe("c");
+  });
+
+  it("only handles printable keys outside of text fields", () => {
+    typeahead = new Typeahead();
+    const key = (init, target = document.body) => {
+      const event = new KeyboardEvent("keydown", init);
+      Object.defineProperty(event, "target", { value: target });
+      return typeahead.isTypeaheadKey(event);
+    };
+
+    expect(key({ key: "a" })).toBe(true);
+    expect(key({ key: " " })).toBe(false);
+    expect(key({ key: "ArrowDown" })).toBe(false);
+    expect(key({ key: "a", ctrlKey: true })).toBe(false);
+    expect(key({ key: "a" }, document.createElement("input"))).toBe(false);
+  });
+});
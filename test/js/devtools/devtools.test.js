@@ -0,0 +1,119 @@
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import {
+  cleanup,
+  mount,
+  pointer,
+  setupDOM,
+} from "../../../assets/salad_ui/testing";
+import Component from "../../../assets/salad_ui/core/component";
+import SaladUI from "../../../assets/salad_ui/index";
+import devtools from "../../../assets/salad_ui/devtools";
+
+// Enter handlers use the DOM event and element they were triggered with
+class PickerComponent extends Component {
+  constructor(el, hookContext) {
+    super(el, { hookContext });
+    this.picked = [];
+  }
+
+  getComponentConfig() {
+    return {
+      stateMachine: {
+        idle: {
+          enter: "onIdleEnter",
+          transitions: { pick: "picked" },
+        },
+        picked: {
+          enter: "onPickedEnter",
+          transitions: { reset: "idle" },
+        },
+      },
+    };
+  }
+
+  onIdleEnter() {}
+
+  onPickedEnter(params) {
+    params.originalEvent?.preventDefault();
+    const part = params.target?.closest("[data-part]");
+    this.picked.push(params.value ?? part?.getAttribute("data-value"));
+  }
+}
+
+SaladUI.register("devtools-picker", PickerComponent);
+
+const PICKER = `
+  <div id="picker" data-component="devtools-picker" data-part="root" data-state="idle">
+    <button data-part="item" data-action="pick" data-value="apple">Apple</button>
+    <button data-action="reset">Reset</button>
+  </div>
+`;
+
+beforeAll(async () => {
+  await setupDOM();
+});
+
+afterEach(() => {
+  cleanup();
+  devtools.clear();
+});
+
+describe("devtools", () => {
+  it("records transitions with serialized params", () => {
+    const picker = mount(PICKER);
+
+    pointer.click(picker.part("item"));
+
+    const [entry] = devtools.log("picker");
+    expect(entry).toMatchObject({
+      event: "pick",
+      prevState: "idle",
+      nextState: "picked",
+      params: {
+        originalEvent: { type: "click" },
+        target: "button[data-part=item]",
+      },
+      rejected: null,
+    });
+  });
+
+  it("records rejected events", () => {
+    const picker = mount(PICKER);
+
+    picker.component.transition("reset");
+
+    expect(devtools.log("picker")[0].rejected).toBe("no-transition");
+  });
+
+  it("replays the event name and primitive params only", async () => {
+    const picker = mount(PICKER);
+
+    pointer.click(picker.part("item"));
+    picker.component.transition("reset");
+    picker.component.transition("pick", { value: "banana" });
+    picker.component.transition("reset");
+    const entries = devtools.log("picker");
+
+    await devtools.replay("picker", entries);
+
+    expect(picker.state).toBe("idle");
+    expect(picker.component.picked).toEqual([
+      "apple",
+      "banana",
+      undefined,
+      "banana",
+    ]);
+  });
+
+  it("replays copied entries by event name", async () => {
+    const picker = mount(PICKER);
+
+    pointer.click(picker.part("item"));
+    const copied = JSON.parse(JSON.stringify(devtools.log("picker")));
+    picker.component.transition("reset");
+
+    await devtools.replay("picker", copied);
+
+    expect(picker.state).toBe("picked");
+  });
+});
@@ -0,0 +1,291 @@
+import { afterEach, beforeAll, describe, expect, it } from "vitest";
+import {
+  cleanup,
+  dispatch,
+  FakeHook,
+  focus,
+  keyboard,
+  mount,
+  pointer,
+  setupDOM,
+} from "../../../assets/salad_ui/testing";
+import "../../../assets/salad_ui/components/collapsible";
+
+const COLLAPSIBLE = `
+  <div id="faq" data-component="collapsible" data-part="root" data-state="closed"
+       data-event-mappings='{"opened":"faq_opened","closed":{"push":"faq_closed"}}'>
+    <button data-part="trigger" data-action="toggle">Toggle</button>
+    <div data-part="content" hidden>Answer</div>
+  </div>
+`;
+
+beforeAll(async () => {
+  await setupDOM();
+});
+
+afterEach(() => cleanup());
+
+describe("mount", () => {
+  it("creates the component through the hook", () => {
+    const harness = mount(COLLAPSIBLE);
+
+    expect(harness.el.id).toBe("faq");
+    expect(harness.component).toBeTruthy();
+    expect(harness.state).toBe("closed");
+    expect(harness.part("content").hidden).toBe(true);
+  });
+
+  it("uses the type option when the root has no data-component", () => {
+    const harness = mount(
+      `<div data-part="root" data-state="closed"><button data-part="trigger"></button></div>`,
+      { type: "collapsible" },
+    );
+
+    expect(harness.el.getAttribute("data-component")).toBe("collapsible");
+    expect(harness.el.id).toMatch(/^collapsible-/);
+  });
+
+  it("rejects unregistered components", () => {
+    expect(() => mount(`<div data-component="unknown"></div>`)).toThrow(
+      /not registered/,
+    );
+  });
+
+  it("finds parts portalled outside the root", () => {
+    const harness = mount(COLLAPSIBLE);
+    const portalled = document.createElement("div");
+    portalled.setAttribute("data-part", "content");
+    document.body.appendChild(portalled);
+
+    expect(harness.parts("content")).toHaveLength(2);
+
+    portalled.remove();
+  });
+});
+
+describe("ComponentHarness", () => {
+  it("records events pushed to the server", () => {
+    const harness = mount(COLLAPSIBLE);
+
+    pointer.click(harness.part("trigger"));
+
+    expect(harness.state).toBe("open");
+    expect(harness.part("content").hidden).toBe(false);
+    expect(harness.pushed("faq_opened")).toHaveLength(1);
+    expect(harness.hook.lastPushed("faq_opened").target).toBe(harness.el);
+  });
+
+  it("records JS commands run through execJS", () => {
+    const harness = mount(COLLAPSIBLE);
+
+    harness.command("open");
+    harness.command("close");
+
+    expect(harness.state).toBe("closed");
+    expect(harness.hook.calls.execJS).toHaveLength(1);
+    expect(harness.hook.calls.execJS[0].js).toEqual({ push: "faq_closed" });
+  });
+
+  it("ignores commands for another target", () => {
+    const harness = mount(COLLAPSIBLE);
+
+    harness.command("open", {}, "other");
+
+    expect(harness.state).toBe("closed");
+  });
+
+  it("applies a patch and runs updated", () => {
+    const harness = mount(COLLAPSIBLE);
+
+    harness.update((el) => el.setAttribute("data-state", "open"));
+    expect(harness.state).toBe("open");
+
+    harness.update(COLLAPSIBLE.replace('data-state="closed"', 'data-state="closed" data-foo="bar"'));
+    expect(harness.el.getAttribute("data-foo")).toBe("bar");
+    expect(harness.state).toBe("closed");
+  });
+
+  it("destroys the component on unmount", () => {
+    const harness = mount(COLLAPSIBLE);
+    const { el } = harness;
+
+    harness.unmount();
+
+    expect(harness.component).toBeNull();
+    expect(document.body.contains(el)).toBe(false);
+  });
+
+  it("unmounts every harness on cleanup", () => {
+    const first = mount(COLLAPSIBLE);
+    const second = mount(COLLAPSIBLE.replace('id="faq"', 'id="faq-2"'));
+
+    cleanup();
+
+    expect(first.component).toBeNull();
+    expect(second.component).toBeNull();
+    expect(document.querySelector("[data-testing-container]")).toBeNull();
+  });
+});
+
+describe("FakeHook", () => {
+  it("copies callbacks onto the context", () => {
+    const el = document.createElement("div");
+    const hook = new FakeHook(el, {
+      mounted() {
+        this.pushEvent("ready", { id: this.el.id });
+      },
+    });
+    el.id = "widget";
+
+    hook.mounted();
+
+    expect(hook.lastPushed("ready")).toEqual({
+      target: null,
+      event: "ready",
+      payload: { id: "widget" },
+    });
+  });
+
+  it("replies to pushed events", async () => {
+    const hook = new FakeHook(document.createElement("div"));
+    let replied = false;
+
+    const reply = hook.pushEventTo("#target", "save", {}, () => {
+      replied = true;
+    });
+
+    expect(replied).toBe(true);
+    await expect(reply).resolves.toEqual({});
+  });
+
+  it("routes server pushes to handlers until they're removed", () => {
+    const hook = new FakeHook(document.createElement("div"));
+    const received = [];
+
+    const ref = hook.handleEvent("highlight", (payload) => received.push(payload));
+    hook.serverPush("highlight", { id: 1 });
+    hook.removeHandleEvent(ref);
+    hook.serverPush("highlight", { id: 2 });
+
+    expect(received).toEqual([{ id: 1 }]);
+  });
+
+  it("forgets recorded calls on reset but keeps handlers", () => {
+    const hook = new FakeHook(document.createElement("div"));
+    const received = [];
+
+    hook.handleEvent("highlight", (payload) => received.push(payload));
+    hook.pushEvent("ready");
+    hook.liveSocket.execJS(hook.el, "not json");
+    expect(hook.calls.execJS[0].js).toBe("not json");
+
+    hook.reset();
+    hook.serverPush("highlight", { id: 1 });
+
+    expect(hook.pushedEvents()).toEqual([]);
+    expect(hook.calls.execJS).toEqual([]);
+    expect(received).toEqual([{ id: 1 }]);
+  });
+});
+
+describe("interaction helpers", () => {
+  it("presses keys and reports prevented defaults", () => {
+    const target = document.createElement("div");
+    document.body.appendChild(target);
+    const events = [];
+    target.addEventListener("keydown", (event) => {
+      events.push(`down:${event.key}`);
+      event.preventDefault();
+    });
+    target.addEventListener("keyup", (event) => events.push(`up:${event.key}`));
+
+    const event = keyboard.press(target, "Enter", { shiftKey: true });
+
+    expect(events).toEqual(["down:Enter", "up:Enter"]);
+    expect(event.shiftKey).toBe(true);
+    expect(event.defaultPrevented).toBe(true);
+
+    target.remove();
+  });
+
+  it("types into text fields unless keydown is prevented", () => {
+    const input = document.createElement("input");
+    document.body.appendChild(input);
+    const values = [];
+    input.addEventListener("input", () => values.push(input.value));
+    input.addEventListener("keydown", (event) => {
+      if (event.key === "x") event.preventDefault();
+    });
+
+    keyboard.type(input, "axb");
+    expect(input.value).toBe("ab");
+    expect(values).toEqual(["a", "ab"]);
+
+    keyboard.clear(input);
+    expect(input.value).toBe("");
+
+    input.remove();
+  });
+
+  it("dispatches pointer sequences", () => {
+    const target = document.createElement("div");
+    document.body.appendChild(target);
+    const events = [];
+    [
+      "pointerdown",
+      "mousedown",
+      "pointermove",
+      "pointerup",
+      "mouseup",
+      "click",
+      "contextmenu",
+      "mouseenter",
+      "mouseleave",
+    ].forEach((type) =>
+      target.addEventListener(type, (event) => events.push(event.type)),
+    );
+
+    pointer.click(target);
+    expect(events).toEqual(["pointerdown", "mousedown", "pointerup", "mouseup", "click"]);
+
+    events.length = 0;
+    pointer.drag(target, { clientX: 0, clientY: 0 }, { clientX: 10, clientY: 0 }, {
+      steps: 2,
+      moveTarget: target,
+    });
+    expect(events.filter((type) => type === "pointermove")).toHaveLength(2);
+
+    events.length = 0;
+    pointer.contextMenu(target);
+    expect(events.at(-1)).toBe("contextmenu");
+
+    events.length = 0;
+    pointer.hover(target);
+    pointer.unhover(target);
+    expect(events).toEqual(["mouseenter", "mouseleave"]);
+
+    target.remove();
+  });
+
+  it("focuses elements and dispatches custom events", () => {
+    const button = document.createElement("button");
+    document.body.appendChild(button);
+    let detail = null;
+    button.addEventListener("custom", (event) => (detail = event.detail));
+
+    expect(focus(button)).toBe(true);
+    dispatch(button, new CustomEvent("custom", { detail: { ok: true } }));
+    expect(detail).toEqual({ ok: true });
+
+    button.remove();
+  });
+
+  it("polyfills pointer capture", () => {
+    const el = document.createElement("div");
+
+    el.setPointerCapture(1);
+    expect(el.hasPointerCapture(1)).toBe(true);
+    el.releasePointerCapture(1);
+    expect(el.hasPointerCapture(1)).toBe(false);
+  });
+});
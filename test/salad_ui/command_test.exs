@@ -19,6 +19,20 @@ defmodule SaladUI.CommandTest do
       assert html =~ "data-component=\"command\""
       assert html =~ "<span>Content</span>"
     end
+
+    test "passes the scorer in the options" do
+      assigns = %{}
+
+      html =
+        rendered_to_string(~H"""
+        <.command id="my-command" scorer="substring">
+          <span>Content</span>
+        </.command>
+        """)
+
+      assert html =~ "data-options="
+      assert html =~ "&quot;scorer&quot;:&quot;substring&quot;"
+    end
   end
 
   describe "command_dialog/1" do
@@ -38,6 +52,27 @@ defmodule SaladUI.CommandTest do
     end
   end
 
+  describe "command_palette/1" do
+    test "renders a closed command in a modal with palette options" do
+      assigns = %{}
+
+      html =
+        rendered_to_string(~H"""
+        <.command_palette id="palette" shortcut="mod+p" on-item-selected="run_command">
+          <.command_input placeholder="Search..." />
+        </.command_palette>
+        """)
+
+      assert html =~ ~s(id="palette")
+      assert html =~ ~s(data-component="command")
+      assert html =~ ~s(data-state="closed")
+      assert html =~ ~s(data-part="content-panel")
+      assert html =~ "&quot;palette&quot;:true"
+      assert html =~ "&quot;shortcut&quot;:&quot;mod+p&quot;"
+      assert html =~ "run_command"
+    end
+  end
+
   describe "command_input/1" do
     test "renders input with class and placeholder" do
       assigns = %{}
@@ -135,6 +170,19 @@ defmodule SaladUI.CommandTest do
       assert html =~ " data-selected "
       assert html =~ " aria-selected "
     end
+
+    test "renders keywords" do
+      assigns = %{}
+
+      html =
+        rendered_to_string(~H"""
+        <.command_item keywords={["schedule", "events"]}>
+          <span>Calendar</span>
+        </.command_item>
+        """)
+
+      assert html =~ ~s(data-keywords="schedule,events")
+    end
   end
 
   describe "command_shortcut/1" do
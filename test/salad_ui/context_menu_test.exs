@@ -0,0 +1,68 @@
+defmodule SaladUI.ContextMenuTest do
+  use ComponentCase
+
+  import SaladUI.ContextMenu
+  import SaladUI.DropdownMenu
+
+  describe "Test Context menu" do
+    test "It renders context menu root correctly" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.context_menu id="file-menu" long-press-delay={500} on-open="opened">
+          <.context_menu_trigger>Right click here</.context_menu_trigger>
+          <.context_menu_content>
+            <.dropdown_menu_item value="reload" on-select="reload">Reload</.dropdown_menu_item>
+          </.context_menu_content>
+        </.context_menu>
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "data-component=\"context-menu\""
+      assert html =~ "data-state=\"closed\""
+      assert html =~ "phx-hook=\"SaladUI\""
+      assert html =~ "&quot;longPressDelay&quot;:500"
+      assert html =~ "&quot;opened&quot;:&quot;opened&quot;"
+      assert html =~ "data-part=\"trigger\""
+      assert html =~ "data-part=\"positioner\""
+      assert html =~ "data-value=\"reload\""
+      assert html =~ "Right click here"
+    end
+
+    test "It renders a disabled trigger" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.context_menu_trigger disabled>Area</.context_menu_trigger>
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "data-disabled"
+      assert html =~ "select-none"
+    end
+
+    test "It renders context menu content correctly" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.context_menu_content class="w-56">
+          <.dropdown_menu_item>Back</.dropdown_menu_item>
+        </.context_menu_content>
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "data-part=\"content\""
+      assert html =~ "hidden"
+
+      for class <- ~w(w-56 rounded-md border bg-popover overflow-y-auto) do
+        assert html =~ class
+      end
+    end
+  end
+end
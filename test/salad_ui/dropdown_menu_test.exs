@@ -131,5 +131,61 @@ defmodule SaladUI.DropdownMenuTest do
         assert html =~ css_class
       end
     end
+
+    test "It renders dropdown submenu correctly" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.dropdown_menu_sub>
+          <.dropdown_menu_sub_trigger value="move" inset>Move to</.dropdown_menu_sub_trigger>
+          <.dropdown_menu_sub_content class="w-40">
+            <.dropdown_menu_item value="inbox">Inbox</.dropdown_menu_item>
+          </.dropdown_menu_sub_content>
+        </.dropdown_menu_sub>
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "data-part=\"sub\""
+      assert html =~ "data-part=\"sub-trigger\""
+      assert html =~ "data-value=\"move\""
+      assert html =~ "data-part=\"sub-content\""
+      assert html =~ "data-value=\"inbox\""
+      assert html =~ "Move to"
+
+      for css_class <- ~w(pl-8 w-40 data-[state=open]:bg-accent) do
+        assert html =~ css_class
+      end
+    end
+
+    test "It renders dropdown radio group correctly" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.dropdown_menu_radio_group value="date" on-value-change="sort_changed">
+          <.dropdown_menu_radio_item value="name">Name</.dropdown_menu_radio_item>
+          <.dropdown_menu_radio_item value="date">Date</.dropdown_menu_radio_item>
+          <.dropdown_menu_radio_item value="size" disabled>Size</.dropdown_menu_radio_item>
+        </.dropdown_menu_radio_group>
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "data-part=\"radio-group\""
+      assert html =~ "role=\"group\""
+      assert html =~ "&quot;value-changed&quot;:&quot;sort_changed&quot;"
+      assert html =~ "data-part=\"radio-item\""
+      assert html =~ "data-value=\"name\""
+      assert html =~ "data-state=\"unchecked\""
+      assert html =~ "data-part=\"item-indicator\""
+      assert html =~ "data-disabled"
+      assert html =~ "Size"
+
+      for css_class <- ~w(pl-8 focus:bg-accent) do
+        assert html =~ css_class
+      end
+    end
   end
 end
@@ -71,5 +71,23 @@ defmodule SaladUI.HoverCardTest do
 
       assert html =~ "Hover Card Content"
     end
+
+    test "hover_card_arrow" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.hover_card_content>Hover Card Content<.hover_card_arrow class="bg-primary" /></.hover_card_content>
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "data-part=\"arrow\""
+      assert html =~ "aria-hidden=\"true\""
+
+      for class <- ~w(absolute size-2.5 rotate-45 bg-primary data-[side=top]:-bottom-[5px] data-[side=bottom]:-top-[5px]) do
+        assert html =~ class
+      end
+    end
   end
 end
@@ -0,0 +1,68 @@
+defmodule SaladUI.MenubarTest do
+  use ComponentCase
+
+  import SaladUI.DropdownMenu
+  import SaladUI.Menubar
+
+  describe "Test Menubar" do
+    test "It renders menubar correctly" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.menubar id="app-menubar" on-open="menu_opened">
+          <.menubar_menu value="file">
+            <.menubar_trigger>File</.menubar_trigger>
+            <.menubar_content>
+              <.dropdown_menu_item value="new-tab">New Tab</.dropdown_menu_item>
+            </.menubar_content>
+          </.menubar_menu>
+          <.menubar_menu value="edit">
+            <.menubar_trigger disabled>Edit</.menubar_trigger>
+            <.menubar_content>
+              <.dropdown_menu_item value="undo">Undo</.dropdown_menu_item>
+            </.menubar_content>
+          </.menubar_menu>
+        </.menubar>
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "data-component=\"menubar\""
+      assert html =~ "role=\"menubar\""
+      assert html =~ "phx-hook=\"SaladUI\""
+      assert html =~ "&quot;opened&quot;:&quot;menu_opened&quot;"
+      assert html =~ "data-part=\"menu\""
+      assert html =~ "data-value=\"file\""
+      assert html =~ "data-part=\"trigger\""
+      assert html =~ "data-disabled"
+      assert html =~ "data-part=\"positioner\""
+      assert html =~ "data-value=\"new-tab\""
+      assert html =~ "File"
+      assert html =~ "Edit"
+    end
+
+    test "It renders menubar content correctly" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.menubar_content side="top" align-offset={0} class="w-64">
+          <.dropdown_menu_item>Undo</.dropdown_menu_item>
+        </.menubar_content>
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "data-part=\"content\""
+      assert html =~ "data-side=\"top\""
+      assert html =~ "data-side-offset=\"8\""
+      assert html =~ "data-align-offset=\"0\""
+      assert html =~ "hidden"
+
+      for class <- ~w(w-64 min-w-[12rem] rounded-md border bg-popover) do
+        assert html =~ class
+      end
+    end
+  end
+end
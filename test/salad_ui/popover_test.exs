@@ -72,5 +72,23 @@ defmodule SaladUI.PopoverTest do
       assert html =~ "Popover Content"
       assert html =~ "data-side=\"right\""
     end
+
+    test "popover_arrow" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.popover_content>Popover Content<.popover_arrow class="bg-primary" /></.popover_content>
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "data-part=\"arrow\""
+      assert html =~ "aria-hidden=\"true\""
+
+      for class <- ~w(absolute size-2.5 rotate-45 bg-primary data-[side=top]:-bottom-[5px] data-[side=bottom]:-top-[5px]) do
+        assert html =~ class
+      end
+    end
   end
 end
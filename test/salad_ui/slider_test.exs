@@ -0,0 +1,89 @@
+defmodule SaladUI.SliderTest do
+  use ComponentCase
+
+  import SaladUI.Slider
+
+  describe "Test Slider" do
+    test "It renders a single thumb slider" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.slider id="volume" name="volume" value={52} step={5} on-value-changed="volume_changed" />
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "data-component=\"slider\""
+      assert html =~ "data-value=\"50\""
+      assert html =~ "data-orientation=\"horizontal\""
+      assert html =~ "&quot;value-changed&quot;:&quot;volume_changed&quot;"
+      assert html =~ "name=\"volume\" value=\"50\""
+      assert length(String.split(html, "data-part=\"thumb\"")) == 2
+    end
+
+    test "It renders one thumb and one hidden input per value" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.slider id="price" name="price" max={1000} step={10} value={[600, 100]} min-steps-between-thumbs={5} />
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "data-value=\"[100,600]\""
+      assert html =~ "&quot;minStepsBetweenThumbs&quot;:5"
+      assert html =~ "name=\"price[]\" value=\"100\""
+      assert html =~ "name=\"price[]\" value=\"600\""
+      assert length(String.split(html, "data-part=\"thumb\"")) == 3
+    end
+
+    test "It renders a vertical inverted slider" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.slider id="level" orientation="vertical" inverted value={30} class="h-48" />
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "data-orientation=\"vertical\""
+      assert html =~ "&quot;orientation&quot;:&quot;vertical&quot;"
+      assert html =~ "&quot;inverted&quot;:true"
+
+      for class <- ~w(h-48 flex-col w-2) do
+        assert html =~ class
+      end
+    end
+
+    test "It renders marks and live value events" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.slider
+          id="conversion"
+          value={40}
+          marks={[0, %{value: 50, label: "50%"}, 100]}
+          snap-to-marks
+          throttle={250}
+          on-value-changing="preview"
+          on-value-committed="apply"
+        />
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "&quot;snapToMarks&quot;:true"
+      assert html =~ "&quot;throttle&quot;:250"
+      assert html =~ "&quot;value-changing&quot;:&quot;preview&quot;"
+      assert html =~ "&quot;value-committed&quot;:&quot;apply&quot;"
+      assert html =~ "data-value=\"50\""
+      assert html =~ ">50%</span>"
+      assert html =~ "mb-6"
+      assert length(String.split(html, "data-part=\"mark\"")) == 4
+    end
+  end
+end
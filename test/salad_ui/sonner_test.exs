@@ -0,0 +1,101 @@
+defmodule SaladUI.SonnerTest do
+  use ComponentCase
+
+  import SaladUI.Sonner
+
+  alias Phoenix.LiveView.JS
+
+  describe "Test Sonner" do
+    test "It renders the toaster with its options and events" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.toaster duration={5000} max_toasts={5} on-dismiss="toast_dismissed" />
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "id=\"toaster\""
+      assert html =~ "data-component=\"sonner\""
+      assert html =~ "phx-update=\"ignore\""
+      assert html =~ "&quot;duration&quot;:5000"
+      assert html =~ "&quot;maxToasts&quot;:5"
+      assert html =~ "&quot;toast-dismissed&quot;:&quot;toast_dismissed&quot;"
+      assert html =~ "role=\"region\""
+      assert html =~ "aria-label=\"Notifications Alt+T\""
+      assert html =~ "&quot;hotkey&quot;:&quot;alt+t&quot;"
+    end
+
+    test "It renders a named toaster at a position" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.toaster name="sidebar" position="top-center" />
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "id=\"toaster-sidebar\""
+      assert html =~ "&quot;name&quot;:&quot;sidebar&quot;"
+      assert html =~ "&quot;position&quot;:&quot;top-center&quot;"
+      assert html =~ "data-position=\"top-center\""
+      assert html =~ "top: 1rem; left: 50%; transform: translateX(-50%);"
+    end
+
+    test "It renders toast templates inside the toaster" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.toaster progress>
+          <.toast_template type="success">
+            <div class="bg-brand">
+              <p data-slot="title"></p>
+              <div data-slot="progress"></div>
+            </div>
+          </.toast_template>
+        </.toaster>
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "&quot;progress&quot;:true"
+      assert html =~ "<template data-toast-type=\"success\">"
+      assert html =~ "data-slot=\"title\""
+      assert html =~ "data-slot=\"progress\""
+      assert html =~ "bg-brand"
+    end
+  end
+
+  describe "Test push_toast" do
+    test "It sends the ops of a JS action" do
+      socket =
+        push_toast(%Phoenix.LiveView.Socket{}, :default, "Report ready",
+          action: %{label: "Open", js: JS.navigate("/reports/latest")},
+          cancel: [label: "Later", event: "later"]
+        )
+
+      [["salad-ui:toast", payload]] = socket.private.live_temp.push_events
+
+      assert payload.action.label == "Open"
+      assert payload.action.js == JS.navigate("/reports/latest").ops
+      assert is_list(payload.action.js)
+      assert payload.cancel == %{label: "Later", event: "later"}
+      assert Jason.encode!(payload) =~ ~s("js":[["navigate")
+    end
+
+    test "It sends the ops of a JS action when updating a toast" do
+      socket =
+        update_toast(%Phoenix.LiveView.Socket{}, "report",
+          action: %{label: "Open", js: JS.push("open_report")}
+        )
+
+      [["salad-ui:toast-update", payload]] = socket.private.live_temp.push_events
+
+      assert payload.id == "report"
+      assert payload.action.js == JS.push("open_report").ops
+    end
+  end
+end
@@ -0,0 +1,25 @@
+defmodule SaladUI.TooltipTest do
+  use ComponentCase
+
+  import SaladUI.Tooltip
+
+  describe "test tooltip" do
+    test "tooltip_arrow" do
+      assigns = %{}
+
+      html =
+        ~H"""
+        <.tooltip_content>Tooltip Content<.tooltip_arrow class="bg-primary" /></.tooltip_content>
+        """
+        |> rendered_to_string()
+        |> clean_string()
+
+      assert html =~ "data-part=\"arrow\""
+      assert html =~ "aria-hidden=\"true\""
+
+      for class <- ~w(absolute size-2.5 rotate-45 bg-primary data-[side=top]:-bottom-[5px] data-[side=bottom]:-top-[5px]) do
+        assert html =~ class
+      end
+    end
+  end
+end